@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/***
+ * Tool for detecting breaking changes between two versions of pixel and wide event definitions
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+
+import { MAIN_DIR_ARG, getMainDirPositional } from '../src/args_utils.mjs';
+import { CHANGE_KINDS } from '../src/constants.mjs';
+import { CHANGE_REPORT_FORMATS, compareDefinitions, formatChanges } from '../src/definitions_diff.mjs';
+import { loadResolvedDefinitions } from '../src/definitions_loader.mjs';
+import * as fileUtils from '../src/file_utils.mjs';
+
+const OTHER_DIR_ARG = 'otherDirPath';
+
+const argv = yargs(hideBin(process.argv))
+    .command(
+        `$0 ${MAIN_DIR_ARG} [${OTHER_DIR_ARG}]`,
+        'Reports additive, compatible and breaking changes between two versions of the definitions',
+        (yargs) => {
+            return yargs
+                .positional(MAIN_DIR_ARG, {
+                    ...getMainDirPositional(),
+                    describe: 'path to the base definitions, or to the changed definitions if --baseRef is used',
+                })
+                .positional(OTHER_DIR_ARG, {
+                    ...getMainDirPositional(),
+                    describe: 'path to the changed definitions',
+                    demandOption: false,
+                });
+        },
+    )
+    .option('baseRef', {
+        alias: 'b',
+        type: 'string',
+        description: `Git commit, branch or tag to read the base definitions from, instead of ${OTHER_DIR_ARG}`,
+    })
+    .option('format', {
+        type: 'string',
+        choices: CHANGE_REPORT_FORMATS,
+        description: 'Output format',
+        default: 'text',
+    })
+    .option('failOnBreaking', {
+        type: 'boolean',
+        description: 'Exit with a non-zero code if any breaking change is found',
+        default: false,
+    })
+    .check((argv) => {
+        if (!argv.baseRef === !argv[OTHER_DIR_ARG]) {
+            throw new Error(`Either ${OTHER_DIR_ARG} or --baseRef must be provided, but not both`);
+        }
+        return true;
+    })
+    .demandOption(MAIN_DIR_ARG)
+    .parse();
+
+function main() {
+    let tempDir = null;
+    try {
+        let baseDir = argv.dirPath;
+        let newDir = argv[OTHER_DIR_ARG];
+        if (argv.baseRef) {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pixel-schema-compare-'));
+            fileUtils.extractDirAtGitRef(argv.dirPath, argv.baseRef, tempDir);
+            baseDir = tempDir;
+            newDir = argv.dirPath;
+        }
+
+        const changes = compareDefinitions(loadResolvedDefinitions(baseDir), loadResolvedDefinitions(newDir));
+        if (argv.format === 'text') {
+            console.log(`Comparing ${argv.baseRef ? `${argv.dirPath} at ${argv.baseRef}` : baseDir} with ${newDir}`);
+        }
+        console.log(formatChanges(changes, argv.format));
+
+        if (argv.failOnBreaking && changes.some((change) => change.kind === CHANGE_KINDS.BREAKING)) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(`Failed to compare definitions: ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+main();
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+
+/***
+ * Tool for exporting pixel definitions as standalone JSON Schemas, one file per pixel
+ */
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+
+import { MAIN_DIR_ARG, getMainDirPositional } from '../src/args_utils.mjs';
+import * as fileUtils from '../src/file_utils.mjs';
+import { buildPixelSchemas } from '../src/pixel_schema_exporter.mjs';
+
+const argv = yargs(hideBin(process.argv))
+    .command(
+        `$0 ${MAIN_DIR_ARG}`,
+        'Writes a self-contained JSON Schema for each pixel, covering its suffixes and params with shortcuts expanded',
+        (yargs) => {
+            return yargs.positional(MAIN_DIR_ARG, getMainDirPositional());
+        },
+    )
+    .option('output', {
+        alias: 'o',
+        type: 'string',
+        description: 'Directory to write the schemas to (default: generated_schemas in the pixels folder)',
+    })
+    .demandOption(MAIN_DIR_ARG)
+    .parse();
+
+async function main() {
+    try {
+        const schemas = buildPixelSchemas(argv.dirPath);
+        const outDir = argv.output ?? fileUtils.getPixelSchemasDir(fileUtils.resolvePixelsDirs(argv.dirPath).pixelsConfigDir);
+        await fileUtils.writePixelSchemas(outDir, schemas);
+        console.log(`Exported ${Object.keys(schemas).length} pixel schema(s) to ${outDir}`);
+    } catch (error) {
+        console.error(`Failed to export pixel schemas: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+main();
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/***
+ * Tool for exporting pixel, native experiment and wide event definitions as a spreadsheet
+ */
+import fs from 'fs';
+import path from 'path';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+
+import { MAIN_DIR_ARG, getMainDirPositional } from '../src/args_utils.mjs';
+import { SPREADSHEET_FORMATS, buildExportRows, formatCsv, getSheets } from '../src/spreadsheet_export.mjs';
+import { createXlsx } from '../src/xlsx_writer.mjs';
+
+const argv = yargs(hideBin(process.argv))
+    .command(
+        `$0 ${MAIN_DIR_ARG}`,
+        'Writes one row per suffix, param, metric and property of every definition, with their type, allowed values and owners',
+        (yargs) => {
+            return yargs.positional(MAIN_DIR_ARG, getMainDirPositional());
+        },
+    )
+    .option('output', {
+        alias: 'o',
+        type: 'string',
+        description: 'File to write the spreadsheet to',
+        demandOption: true,
+    })
+    .option('format', {
+        type: 'string',
+        choices: SPREADSHEET_FORMATS,
+        description: 'Spreadsheet format (default: xlsx if the output file ends in .xlsx, csv otherwise)',
+    })
+    .demandOption(MAIN_DIR_ARG)
+    .parse();
+
+function main() {
+    try {
+        const rows = buildExportRows(argv.dirPath);
+        const format = argv.format ?? (path.extname(argv.output).toLowerCase() === '.xlsx' ? 'xlsx' : 'csv');
+        fs.mkdirSync(path.dirname(argv.output), { recursive: true });
+        if (format === 'xlsx') {
+            const sheets = getSheets(rows);
+            fs.writeFileSync(argv.output, createXlsx(sheets));
+            console.log(`Exported ${rows.length} row(s) in ${sheets.length} sheet(s) to ${argv.output}`);
+        } else {
+            fs.writeFileSync(argv.output, formatCsv(rows));
+            console.log(`Exported ${rows.length} row(s) to ${argv.output}`);
+        }
+    } catch (error) {
+        console.error(`Failed to export definitions: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+main();
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+/***
+ * Tool for rendering a static HTML catalog of pixel, native experiment and wide event definitions
+ */
+import fs from 'fs';
+import path from 'path';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+
+import { MAIN_DIR_ARG, getMainDirPositional } from '../src/args_utils.mjs';
+import { buildCatalog, renderCatalog } from '../src/catalog_generator.mjs';
+
+const argv = yargs(hideBin(process.argv))
+    .command(
+        `$0 ${MAIN_DIR_ARG}`,
+        'Renders a self-contained static site with one page per definition, searchable by owner and trigger',
+        (yargs) => {
+            return yargs.positional(MAIN_DIR_ARG, getMainDirPositional());
+        },
+    )
+    .option('output', {
+        alias: 'o',
+        type: 'string',
+        description: 'Directory to write the catalog to',
+        demandOption: true,
+    })
+    .demandOption(MAIN_DIR_ARG)
+    .parse();
+
+function main() {
+    try {
+        const entries = buildCatalog(argv.dirPath);
+        const pages = renderCatalog(entries);
+        for (const [pagePath, html] of Object.entries(pages)) {
+            const filePath = path.join(argv.output, pagePath);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, html);
+        }
+        console.log(`Generated a catalog of ${entries.length} definition(s) in ${path.join(argv.output, 'index.html')}`);
+    } catch (error) {
+        console.error(`Failed to generate the catalog: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+main();
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/***
+ * Tool for generating typed pixel helpers from pixel definitions
+ */
+import fs from 'fs';
+import path from 'path';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+
+import { MAIN_DIR_ARG, getMainDirPositional } from '../src/args_utils.mjs';
+import { readPixelDefinitions } from '../src/definitions_loader.mjs';
+import { CODEGEN_LANGUAGES, DEFAULT_KOTLIN_PACKAGE, buildPixelModels, generatePixelCode } from '../src/pixel_codegen.mjs';
+import * as fileUtils from '../src/file_utils.mjs';
+
+const argv = yargs(hideBin(process.argv))
+    .command(`$0 ${MAIN_DIR_ARG}`, 'Generates one typed helper per pixel, building the pixel name and params to send', (yargs) => {
+        return yargs.positional(MAIN_DIR_ARG, getMainDirPositional());
+    })
+    .option('language', {
+        alias: 'l',
+        type: 'string',
+        choices: CODEGEN_LANGUAGES,
+        description: 'Language of the generated code',
+        default: 'typescript',
+    })
+    .option('output', {
+        alias: 'o',
+        type: 'string',
+        description: 'File to write the generated code to (default: stdout)',
+    })
+    .option('package', {
+        type: 'string',
+        description: 'Package of the generated Kotlin code',
+        default: DEFAULT_KOTLIN_PACKAGE,
+    })
+    .option('check', {
+        type: 'boolean',
+        // No default: yargs would otherwise always require --output, see implies below
+        description: 'Fails if the output file is not up to date with the definitions, instead of writing it',
+    })
+    .implies('check', 'output')
+    .demandOption(MAIN_DIR_ARG)
+    .parse();
+
+function main() {
+    try {
+        const { pixelsConfigDir } = fileUtils.resolvePixelsDirs(argv.dirPath);
+        const pixelsDef = Object.fromEntries(Object.entries(readPixelDefinitions(argv.dirPath)).map(([name, { def }]) => [name, def]));
+        const { pixels, skipped } = buildPixelModels(
+            pixelsDef,
+            fileUtils.readCommonParams(pixelsConfigDir),
+            fileUtils.readCommonSuffixes(pixelsConfigDir),
+        );
+        skipped.forEach(({ name, reason }) => console.error(`WARNING: skipping ${name} --> ${reason}`));
+
+        const code = generatePixelCode(pixels, argv.language, { packageName: argv.package });
+        if (argv.check) {
+            const existingCode = fs.existsSync(argv.output) ? fs.readFileSync(argv.output, 'utf8') : null;
+            if (existingCode === code) {
+                console.error(`${argv.output} is up to date`);
+            } else {
+                console.error(`${argv.output} is out of date, regenerate it from the pixel definitions`);
+                process.exitCode = 1;
+            }
+        } else if (argv.output) {
+            fs.mkdirSync(path.dirname(argv.output), { recursive: true });
+            fs.writeFileSync(argv.output, code);
+            console.error(`Generated ${pixels.length} pixel helper(s) in ${argv.output}`);
+        } else {
+            process.stdout.write(code);
+        }
+    } catch (error) {
+        console.error(`Failed to generate pixel code: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+main();
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/***
+ * Tool for generating example pixel URLs from pixel definitions, e.g. to use in client tests
+ */
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+
+import { buildLivePixelValidator, buildTokenizedPixels, validateSinglePixel } from '../main.mjs';
+import { MAIN_DIR_ARG, getMainDirPositional } from '../src/args_utils.mjs';
+import { readPixelDefinitions } from '../src/definitions_loader.mjs';
+import * as fileUtils from '../src/file_utils.mjs';
+import { DEFAULT_SAMPLE_BASE_URL, generateSamplePixels } from '../src/sample_pixels.mjs';
+
+const argv = yargs(hideBin(process.argv))
+    .command(
+        `$0 ${MAIN_DIR_ARG}`,
+        'Generates example URLs for each pixel, covering every suffix sequence, enum value and boundary value',
+        (yargs) => {
+            return yargs.positional(MAIN_DIR_ARG, getMainDirPositional());
+        },
+    )
+    .option('pixel', {
+        alias: 'p',
+        type: 'array',
+        string: true,
+        description: 'Only generate samples for these pixels (default: all pixels)',
+    })
+    .option('invalid', {
+        alias: 'i',
+        type: 'boolean',
+        description: 'Also generate samples with a single invalid suffix or param',
+        default: false,
+    })
+    .option('baseUrl', {
+        alias: 'b',
+        type: 'string',
+        description: 'URL the pixel names are appended to',
+        default: DEFAULT_SAMPLE_BASE_URL,
+    })
+    .option('format', {
+        alias: 'f',
+        type: 'string',
+        choices: ['text', 'json'],
+        description: 'Output format',
+        default: 'text',
+    })
+    .option('verify', {
+        type: 'boolean',
+        description: 'Validates the samples against the definitions instead of printing them, and fails on unexpected results',
+        default: false,
+    })
+    .demandOption(MAIN_DIR_ARG)
+    .parse();
+
+/**
+ * Round-trips samples through live pixel validation
+ * @param {Record<string, import('../src/sample_pixels.mjs').SamplePixel[]>} samplesByPixel
+ * @param {Record<string, object>} pixelsDef - all pixel definitions, keyed by name
+ * @returns {number} number of samples whose validation result differs from the expected one
+ */
+function verifySamples(samplesByPixel, pixelsDef) {
+    const { pixelsConfigDir } = fileUtils.resolvePixelsDirs(argv.dirPath);
+    const productDef = fileUtils.readProductDef(argv.dirPath);
+    const ignoreParams = { ...fileUtils.readIgnoreParams(fileUtils.GLOBAL_PIXEL_DIR), ...fileUtils.readIgnoreParams(pixelsConfigDir) };
+    const validator = buildLivePixelValidator(
+        fileUtils.readCommonParams(pixelsConfigDir),
+        fileUtils.readCommonSuffixes(pixelsConfigDir),
+        // Samples don't carry a realistic app version, so skip version checks
+        { ...productDef, target: { key: productDef.target.key } },
+        ignoreParams,
+        buildTokenizedPixels([pixelsDef]),
+    );
+
+    let mismatches = 0;
+    let total = 0;
+    for (const [pixelName, samples] of Object.entries(samplesByPixel)) {
+        for (const { url, valid, description } of samples) {
+            total++;
+            let error = null;
+            try {
+                validateSinglePixel(validator, url);
+            } catch (validationError) {
+                error = validationError;
+            }
+            if (valid === !error) continue;
+
+            mismatches++;
+            const expectation = valid ? `was rejected: ${error.message}` : 'was accepted';
+            console.error(`${pixelName}: sample '${description}' ${expectation}\n    ${url}`);
+        }
+    }
+    console.log(`Verified ${total} sample(s): ${mismatches ? `${mismatches} did not match the expected result` : 'all as expected'}`);
+    return mismatches;
+}
+
+function main() {
+    try {
+        const { pixelsConfigDir } = fileUtils.resolvePixelsDirs(argv.dirPath);
+        const commonParams = fileUtils.readCommonParams(pixelsConfigDir);
+        const commonSuffixes = fileUtils.readCommonSuffixes(pixelsConfigDir);
+        const pixelsDef = Object.fromEntries(Object.entries(readPixelDefinitions(argv.dirPath)).map(([name, { def }]) => [name, def]));
+
+        const pixelNames = argv.pixel ?? Object.keys(pixelsDef).sort();
+        const unknownPixels = pixelNames.filter((name) => !pixelsDef[name]);
+        if (unknownPixels.length) {
+            throw new Error(`unknown pixel(s): ${unknownPixels.join(', ')}`);
+        }
+
+        /** @type {Record<string, import('../src/sample_pixels.mjs').SamplePixel[]>} */
+        const samplesByPixel = {};
+        for (const name of pixelNames) {
+            try {
+                samplesByPixel[name] = generateSamplePixels(name, pixelsDef[name], commonParams, commonSuffixes, {
+                    invalid: argv.invalid,
+                    baseUrl: argv.baseUrl,
+                });
+            } catch (error) {
+                throw new Error(`${name} --> ${error.message}`);
+            }
+        }
+
+        if (argv.verify) {
+            if (verifySamples(samplesByPixel, pixelsDef)) process.exitCode = 1;
+        } else if (argv.format === 'json') {
+            console.log(JSON.stringify(samplesByPixel, null, 4));
+        } else {
+            for (const [name, samples] of Object.entries(samplesByPixel)) {
+                console.log(`${name}:`);
+                samples.forEach(({ url, description }) => console.log(`    ${url}  # ${description}`));
+            }
+        }
+    } catch (error) {
+        console.error(`Failed to generate sample pixels: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+main();
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/***
+ * Tool for moving a definitions repo from the legacy layout to the pixels/definitions layout
+ */
+import path from 'path';
+import yargs from 'yargs';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { hideBin } from 'yargs/helpers';
+
+import { MAIN_DIR_ARG, getMainDirPositional } from '../src/args_utils.mjs';
+import { applyLayoutMoves, diffValidationFindings, planLayoutMigration, revertLayoutMoves } from '../src/layout_migration.mjs';
+import * as fileUtils from '../src/file_utils.mjs';
+
+const VALIDATE_SCHEMA_SCRIPT = path.join(path.dirname(fileURLToPath(import.meta.url)), 'validate_schema.mjs');
+
+const argv = yargs(hideBin(process.argv))
+    .command(
+        `$0 ${MAIN_DIR_ARG}`,
+        'Moves definitions into pixels/definitions and config files into pixels/, checking that validation results are unchanged',
+        (yargs) => {
+            return yargs.positional(MAIN_DIR_ARG, getMainDirPositional());
+        },
+    )
+    .option('dryRun', {
+        alias: 'd',
+        type: 'boolean',
+        description: 'List the files that would be moved without moving them',
+        default: false,
+    })
+    .demandOption(MAIN_DIR_ARG)
+    .parse();
+
+/**
+ * @param {string} mainDir
+ * @returns {import('../src/layout_migration.mjs').ValidationFinding[]} findings of validate-ddg-pixel-defs
+ */
+function getValidationFindings(mainDir) {
+    // Also report unused entries, so that the comparison covers how dictionaries are looked up
+    const result = spawnSync(process.execPath, [VALIDATE_SCHEMA_SCRIPT, mainDir, '--format', 'json', '--unusedEntries', 'warn'], {
+        encoding: 'utf8',
+    });
+    try {
+        return JSON.parse(result.stdout).findings;
+    } catch {
+        throw new Error(`Validation did not produce a report: ${result.stderr.trim()}`);
+    }
+}
+
+function main() {
+    const mainDir = argv.dirPath;
+    let moves;
+    try {
+        moves = planLayoutMigration(mainDir);
+    } catch (error) {
+        console.error(`Cannot migrate ${mainDir}: ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    moves.forEach(({ from, to }) => console.log(`${argv.dryRun ? 'Would move' : 'Moving'} ${from} -> ${to}`));
+    if (argv.dryRun) return;
+
+    const legacyDefsDir = fileUtils.resolvePixelsDirs(mainDir).pixelDefsDir;
+    let before;
+    try {
+        before = getValidationFindings(mainDir);
+    } catch (error) {
+        console.error(`Cannot migrate ${mainDir}: ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    let differences;
+    try {
+        applyLayoutMoves(moves);
+        differences = diffValidationFindings(before, getValidationFindings(mainDir), moves, legacyDefsDir);
+    } catch (error) {
+        differences = [error.message];
+    }
+
+    if (differences.length > 0) {
+        revertLayoutMoves(moves);
+        console.error('Validation results changed after moving the files, so the migration was reverted:');
+        differences.forEach((difference) => console.error(`    ${difference}`));
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`Moved ${moves.length} file(s) and folder(s); validation results are unchanged`);
+}
+
+main();
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/***
+ * Tool for summarising pixel definitions and listing pixels that need attention
+ */
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+
+import { MAIN_DIR_ARG, getMainDirPositional } from '../src/args_utils.mjs';
+import { RULE_IDS } from '../src/constants.mjs';
+import { STATS_FORMATS, buildDefinitionStats, formatDefinitionStats } from '../src/definition_stats.mjs';
+import * as fileUtils from '../src/file_utils.mjs';
+import { RuleEngine } from '../src/rule_engine.mjs';
+
+const argv = yargs(hideBin(process.argv))
+    .command(
+        `$0 ${MAIN_DIR_ARG}`,
+        'Counts pixels per owner, trigger and prefix, and lists pixels missing privacy reviews, expiring soon or with free-form params',
+        (yargs) => {
+            return yargs.positional(MAIN_DIR_ARG, getMainDirPositional());
+        },
+    )
+    .option('expiryWarningDays', {
+        alias: 'e',
+        type: 'number',
+        description: 'List pixels that expire within this many days (default: as configured for the expiring-pixel rule)',
+    })
+    .option('prefixDepth', {
+        type: 'number',
+        description: 'Number of pixel name tokens that make up the top-level prefix',
+        default: 1,
+    })
+    .option('format', {
+        type: 'string',
+        choices: STATS_FORMATS,
+        description: 'Output format',
+        default: 'text',
+    })
+    .demandOption(MAIN_DIR_ARG)
+    .parse();
+
+function main() {
+    try {
+        const ruleEngine = new RuleEngine(fileUtils.readLintConfig(argv.dirPath));
+        const stats = buildDefinitionStats(argv.dirPath, {
+            expiryWarningDays: argv.expiryWarningDays ?? ruleEngine.getOptions(RULE_IDS.EXPIRING_PIXEL).days,
+            prefixDepth: argv.prefixDepth,
+        });
+        console.log(formatDefinitionStats(stats, argv.format));
+    } catch (error) {
+        console.error(`Failed to report definition stats: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+main();
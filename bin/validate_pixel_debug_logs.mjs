@@ -57,6 +57,8 @@ async function main() {
                 console.warn(`⚠️  Undocumented: '${pixel}'`);
             } else if (result.status === PIXEL_VALIDATION_RESULT.OLD_APP_VERSION) {
                 console.warn(`⚠️  Old app version, validation skipped: ${outputPixel}`);
+            } else if (result.status === PIXEL_VALIDATION_RESULT.EXPIRED) {
+                console.warn(`⚠️  Expired on ${result.expires} but still firing: ${outputPixel}`);
             } else if (result.status === PIXEL_VALIDATION_RESULT.VALIDATION_FAILED) {
                 console.error(`❌ Invalid: ${outputPixel} - see below for details`);
                 printValidationErrors(result.errors.map((errorObj) => errorObj.error));
@@ -1,14 +1,17 @@
 #!/usr/bin/env node
 
 import fs from 'fs';
-import JSON5 from 'json5';
 import path from 'path';
 import yargs from 'yargs';
 import yaml from 'js-yaml';
 
 import { PixelDefinitionsValidator, WideEventDefinitionsValidator } from '../src/definitions_validator.mjs';
-import { logErrors } from '../src/error_utils.mjs';
 import { hideBin } from 'yargs/helpers';
+import { DEFAULT_EXPIRY_WARNING_DAYS, RULE_IDS } from '../src/constants.mjs';
+import { REPORT_FORMATS, ValidationReport } from '../src/report_utils.mjs';
+import { PRIVACY_RULE_IDS } from '../src/privacy_rules.mjs';
+import { RuleEngine } from '../src/rule_engine.mjs';
+import { fixPixelDefinitionsFile } from '../src/definition_fixer.mjs';
 
 import * as fileUtils from '../src/file_utils.mjs';
 import { resolveTargetVersion } from '../src/pixel_utils.mjs';
@@ -17,7 +20,7 @@ async function main() {
     const argv = yargs(hideBin(process.argv))
         .command('$0 [dirPath]', 'validate pixel definitions', (yargs) => {
             return yargs.positional('dirPath', {
-                describe: 'path to directory containing the pixels folder and common_[params/suffixes].json in the root',
+                describe: 'path to directory containing the pixels and wide_events folders',
                 type: 'string',
                 demandOption: true,
                 coerce: (dirPath) => {
@@ -37,15 +40,51 @@ async function main() {
         .option('file', {
             alias: 'f',
             type: 'string',
-            description: 'Relative path to a single definition file within {dirPath}/pixels/definitions',
+            description: 'Relative path to a single definition file within the pixel or wide event definitions folder',
+        })
+        .option('expiryWarningDays', {
+            alias: 'e',
+            type: 'number',
+            description: `Warn about pixels that expire within this many days (default: ${DEFAULT_EXPIRY_WARNING_DAYS})`,
+        })
+        .option('unusedEntries', {
+            alias: 'u',
+            type: 'string',
+            choices: ['off', 'warn', 'error'],
+            description: 'Report dictionary and ignore_params.json entries that no definition or experiment uses (default: off)',
+        })
+        .option('privacyRules', {
+            alias: 'p',
+            type: 'string',
+            choices: ['off', 'warn', 'error'],
+            description: 'Report parameters and suffixes that could carry identifying data, see README for the rules (default: off)',
+        })
+        .option('config', {
+            alias: 'c',
+            type: 'string',
+            description: 'Path to a lint config to use instead of {dirPath}/lint_config.json',
+        })
+        .option('fix', {
+            type: 'boolean',
+            description: 'Rewrite pixel definition files in place to fix the problems that can be fixed mechanically, see README',
+            default: false,
+        })
+        .option('format', {
+            type: 'string',
+            choices: REPORT_FORMATS,
+            description: 'Output format. Machine-readable formats are printed to stdout once validation is done',
+            default: 'text',
         })
         .parse();
 
+    const report = new ValidationReport(argv.format);
+    // Keep stdout clean for machine-readable reports
+    const logInfo = report.isText ? console.log : () => {};
+
     // 1) Validate common params and suffixes
     const mainDir = argv.dirPath;
-    const pixelsConfigDir = path.join(mainDir, 'pixels');
+    const { pixelsConfigDir, pixelDefsDir: pixelsDir } = fileUtils.resolvePixelsDirs(mainDir);
     const wideEventsConfigDir = path.join(mainDir, 'wide_events');
-    const pixelsDir = path.join(pixelsConfigDir, 'definitions');
 
     const commonParams = fileUtils.readCommonParams(pixelsConfigDir);
     const commonSuffixes = fileUtils.readCommonSuffixes(pixelsConfigDir);
@@ -57,9 +96,9 @@ async function main() {
     try {
         const resolvedVersion = await resolveTargetVersion(productDef.target);
         if (resolvedVersion) {
-            console.log(`Target version: ${resolvedVersion}`);
+            logInfo(`Target version: ${resolvedVersion}`);
         } else {
-            console.log('No target version specified; skipping version checks.');
+            logInfo('No target version specified; skipping version checks.');
         }
     } catch (error) {
         console.error(`ERROR in product.json target version: ${error.message}`);
@@ -68,20 +107,36 @@ async function main() {
 
     const ignoreParams = { ...globalIgnoreParams, ...pixelIgnoreParams }; // allow local ignores to override global ones
 
-    const validator = new PixelDefinitionsValidator(commonParams, commonSuffixes, ignoreParams);
-    logErrors('ERROR in params_dictionary.json:', validator.validateCommonParamsDefinition());
-    logErrors('ERROR in suffixes_dictionary.json:', validator.validateCommonSuffixesDefinition());
-    logErrors('ERROR in ignore_params.json:', validator.validateIgnoreParamsDefinition());
+    // Command line options take precedence over the lint config
+    let ruleEngine;
+    try {
+        ruleEngine = new RuleEngine(fileUtils.readLintConfig(mainDir, argv.config));
+    } catch (error) {
+        console.error(`ERROR in lint config: ${error.message}`);
+        process.exit(1);
+    }
+    if (argv.unusedEntries) ruleEngine.setSeverity(RULE_IDS.UNUSED_DICTIONARY_ENTRY, argv.unusedEntries);
+    if (argv.privacyRules) PRIVACY_RULE_IDS.forEach((ruleId) => ruleEngine.setSeverity(ruleId, argv.privacyRules));
+    const expiryWarningDays = argv.expiryWarningDays ?? ruleEngine.getOptions(RULE_IDS.EXPIRING_PIXEL).days;
+
+    const validator = new PixelDefinitionsValidator(commonParams, commonSuffixes, ignoreParams, expiryWarningDays);
+    // Errors outside definition files are labelled with the file name only in text output
+    const reportPixelConfigErrors = (fileName, errors) => {
+        report.addMessages(path.join(pixelsConfigDir, fileName), RULE_IDS.SCHEMA, 'error', errors, { label: fileName });
+    };
+    reportPixelConfigErrors('params_dictionary.json', validator.validateCommonParamsDefinition());
+    reportPixelConfigErrors('suffixes_dictionary.json', validator.validateCommonSuffixesDefinition());
+    reportPixelConfigErrors('ignore_params.json', validator.validateIgnoreParamsDefinition());
 
     // 2) Validate experiments
     const experiments = fileUtils.readNativeExperimentsDef(pixelsConfigDir);
-    logErrors('ERROR in native_experiments.json:', validator.validateNativeExperimentsDefinition(experiments));
+    reportPixelConfigErrors('native_experiments.json', validator.validateNativeExperimentsDefinition(experiments));
 
     if (productDef.searchExperimentsEnabled === true) {
-        console.log('Validating search_experiments.json');
+        logInfo('Validating search_experiments.json');
         try {
             const rawSearchExperiments = fileUtils.readSearchExperimentsDef(pixelsConfigDir);
-            logErrors('ERROR in search_experiments.json:', validator.validateSearchExperimentsDefinition(rawSearchExperiments));
+            reportPixelConfigErrors('search_experiments.json', validator.validateSearchExperimentsDefinition(rawSearchExperiments));
         } catch (error) {
             console.error('Failed to parse search_experiments.json:', error.message);
         }
@@ -95,7 +150,9 @@ async function main() {
     if (fs.existsSync(wideEventsDir)) {
         const wideEventParams = fileUtils.readCommonProps(wideEventsConfigDir);
         wideEventValidator = new WideEventDefinitionsValidator(wideEventParams);
-        logErrors('ERROR in wide_events/props_dictionary.json:', wideEventValidator.validateCommonPropsDefinition());
+        const propsDictionaryPath = path.join(wideEventsConfigDir, 'props_dictionary.json');
+        const errors = wideEventValidator.validateCommonPropsDefinition();
+        report.addMessages(propsDictionaryPath, RULE_IDS.SCHEMA, 'error', errors, { label: 'wide_events/props_dictionary.json' });
 
         // Read base event template (required for wide event validation)
         baseEvent = fileUtils.readBaseEvent(wideEventsConfigDir);
@@ -106,15 +163,22 @@ async function main() {
     }
 
     async function validateWideEventFile(file, userMap) {
-        console.log(`Validating wide events definition: ${file}`);
-        const wideEventsDef = JSON5.parse(fs.readFileSync(file, 'utf8'));
-        const { errors, generatedSchemas } = wideEventValidator.validateWideEventDefinition(wideEventsDef, baseEvent, userMap);
-        logErrors(`ERROR in ${file}:`, errors);
+        logInfo(`Validating wide events definition: ${file}`);
+        const { data: wideEventsDef, source } = fileUtils.readDefinitionFile(file);
+        const { errors, generatedSchemas } = wideEventValidator.getWideEventDefinitionDiagnostics(
+            wideEventsDef,
+            baseEvent,
+            userMap,
+            source,
+        );
+        const findings = ruleEngine.classify(errors);
+        report.addFileDiagnostics(source, findings.errors, 'error');
+        report.addFileDiagnostics(source, findings.warnings, 'warning');
 
         // Write generated schemas
         if (Object.keys(generatedSchemas).length > 0) {
             await fileUtils.writeAllGeneratedSchemas(wideEventsConfigDir, generatedSchemas);
-            console.log(
+            logInfo(
                 `Generated ${Object.keys(generatedSchemas).length} schema(s) to ${path.join(wideEventsConfigDir, 'generated_schemas')}`,
             );
         }
@@ -132,27 +196,41 @@ async function main() {
     }
 
     // 4) Validate pixels and params
-    function validatePixelFile(file, userMap) {
-        console.log(`Validating pixels definition: ${file}`);
-        const pixelsDef = JSON5.parse(fs.readFileSync(file, 'utf8'));
-        logErrors(`ERROR in ${file}:`, validator.validatePixelsDefinition(pixelsDef, userMap));
+    async function validatePixelFile(file, userMap) {
+        logInfo(`Validating pixels definition: ${file}`);
+        if (argv.fix) {
+            const fixes = await fixPixelDefinitionsFile(file, {
+                commonParams,
+                commonSuffixes,
+                forceLowerCase: productDef.forceLowerCase === true,
+            });
+            fixes.forEach((fix) => logInfo(`Fixed ${fix}`));
+        }
+        const { data: pixelsDef, source } = fileUtils.readDefinitionFile(file);
+        const { errors, warnings } = validator.getPixelsDefinitionDiagnostics(pixelsDef, userMap, source);
+        // Convention rules expect definitions that match the schema
+        const isSchemaValid = !errors.some((error) => error.ruleId === RULE_IDS.SCHEMA);
+        const conventionFindings = isSchemaValid ? ruleEngine.checkPixels(pixelsDef) : [];
+        const findings = ruleEngine.classify([...errors, ...warnings, ...conventionFindings]);
+        report.addFileDiagnostics(source, findings.errors, 'error');
+        report.addFileDiagnostics(source, findings.warnings, 'warning');
     }
 
-    function validatePixelFolder(folder, userMap) {
-        fs.readdirSync(folder, { recursive: true, encoding: 'utf8' }).forEach((file) => {
+    async function validatePixelFolder(folder, userMap) {
+        for (const file of fs.readdirSync(folder, { recursive: true, encoding: 'utf8' })) {
             const fullPath = path.join(folder, file);
             if (fs.statSync(fullPath).isDirectory()) {
-                return;
+                continue;
             }
 
-            validatePixelFile(fullPath, userMap);
-        });
+            await validatePixelFile(fullPath, userMap);
+        }
     }
 
     let userMap = null;
 
     if (argv.githubUserMap) {
-        console.log(`Reading GitHub user map from: ${argv.githubUserMap}`);
+        logInfo(`Reading GitHub user map from: ${argv.githubUserMap}`);
         try {
             userMap = yaml.load(fs.readFileSync(argv.githubUserMap, 'utf8'));
         } catch (error) {
@@ -160,7 +238,7 @@ async function main() {
             process.exit(1);
         }
     } else {
-        console.log('No GitHub user map provided, skipping owner validation.');
+        logInfo('No GitHub user map provided, skipping owner validation.');
     }
 
     if (argv.file) {
@@ -168,7 +246,7 @@ async function main() {
         const wideEventPath = path.join(wideEventsDir, argv.file);
 
         if (fs.existsSync(pixelPath)) {
-            validatePixelFile(pixelPath, userMap);
+            await validatePixelFile(pixelPath, userMap);
         } else if (fs.existsSync(wideEventPath) && wideEventValidator) {
             await validateWideEventFile(wideEventPath, userMap);
         } else {
@@ -176,11 +254,58 @@ async function main() {
             process.exit(1);
         }
     } else {
-        validatePixelFolder(pixelsDir, userMap);
+        await validatePixelFolder(pixelsDir, userMap);
         if (wideEventValidator) {
             await validateWideEventFolder(wideEventsDir, userMap);
         }
     }
+
+    // 5) Look for pixel names that more than one definition can match
+    const getReportSeverity = (ruleId) => (ruleEngine.getSeverity(ruleId) === 'error' ? 'error' : 'warning');
+    if (ruleEngine.isEnabled(RULE_IDS.AMBIGUOUS_PIXEL_NAME)) {
+        const severity = getReportSeverity(RULE_IDS.AMBIGUOUS_PIXEL_NAME);
+        validator.getAmbiguousPixelNameDiagnostics().forEach(({ source, diagnostic }) => {
+            if (source) {
+                report.addFileDiagnostics(source, [diagnostic], severity);
+            } else {
+                report.addMessages(pixelsDir, diagnostic.ruleId, severity, [diagnostic.message]);
+            }
+        });
+    }
+
+    // 6) Report dictionary entries that no definition or experiment uses
+    if (ruleEngine.isEnabled(RULE_IDS.UNUSED_DICTIONARY_ENTRY)) {
+        if (argv.file) {
+            logInfo('Skipping unused dictionary entries, as they can only be found when validating all definitions');
+        } else {
+            const unusedPixelEntries = validator.getUnusedDictionaryEntries();
+            // Global ignore params are shared by all platforms, so only report local ones
+            const unusedIgnoreParams = unusedPixelEntries.ignoreParams.filter((name) =>
+                Object.prototype.hasOwnProperty.call(pixelIgnoreParams, name),
+            );
+            const unusedEntries = [
+                { label: 'params_dictionary.json', dir: pixelsConfigDir, names: unusedPixelEntries.params },
+                { label: 'suffixes_dictionary.json', dir: pixelsConfigDir, names: unusedPixelEntries.suffixes },
+                { label: 'ignore_params.json', dir: pixelsConfigDir, names: unusedIgnoreParams },
+                {
+                    label: 'wide_events/props_dictionary.json',
+                    dir: mainDir,
+                    names: wideEventValidator?.getUnusedDictionaryEntries().props ?? [],
+                },
+            ];
+
+            const severity = getReportSeverity(RULE_IDS.UNUSED_DICTIONARY_ENTRY);
+            for (const { label, dir, names } of unusedEntries) {
+                const file = path.join(dir, label);
+                names.forEach((name) => {
+                    const message = `${name} --> not used by any definition or experiment`;
+                    report.addMessages(file, RULE_IDS.UNUSED_DICTIONARY_ENTRY, severity, [message], { name, label });
+                });
+            }
+        }
+    }
+
+    report.print();
 }
 
 main().catch((err) => {
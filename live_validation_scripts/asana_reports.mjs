@@ -293,6 +293,20 @@ async function main() {
     const numPixelsWithErrors = Object.keys(pixelsWithErrors).length;
     console.log('Final number of pixel with errors keys (object):', numPixelsWithErrors);
 
+    // Load expired pixels that are still firing (older validation runs may not have produced this file)
+    let expiredPixels = {};
+    const expiredPixelsPath = fileUtils.getExpiredPixelsPath(pixelsConfigDir);
+    if (fs.existsSync(expiredPixelsPath)) {
+        try {
+            expiredPixels = JSON.parse(fs.readFileSync(expiredPixelsPath, 'utf8'));
+        } catch (error) {
+            console.error(`Error parsing expired pixels JSON:`, error);
+            process.exit(1);
+        }
+    }
+    const numExpiredPixels = Object.keys(expiredPixels).length;
+    console.log('Number of expired pixels still firing:', numExpiredPixels);
+
     // Build ownerToPixelsMap from pixelsWithErrors
     // We could modify validate_live_pixel.mjs to export this format
     ownerToPixelsMap = {};
@@ -315,6 +329,21 @@ async function main() {
         }
     }
 
+    // Expired pixels are reported to their owners like any other error type
+    for (const [pixelName, expiredPixel] of Object.entries(expiredPixels)) {
+        if (expiredPixel.owners && expiredPixel.owners.length > 0) {
+            const owner = expiredPixel.owners[0];
+            if (!ownerToPixelsMap[owner]) {
+                ownerToPixelsMap[owner] = {};
+            }
+
+            ownerToPixelsMap[owner][pixelName] = {
+                ...ownerToPixelsMap[owner][pixelName],
+                [`Expired on ${expiredPixel.expires} but still firing`]: expiredPixel.examples,
+            };
+        }
+    }
+
     const ownersWithErrors = Object.keys(ownerToPixelsMap);
     console.log(`...Owners with errors: ${ownersWithErrors}`);
 
@@ -324,7 +353,13 @@ async function main() {
 
     console.log(taskName);
 
-    const pixelPhrase = getPixelFailureMessage(numPixelsWithErrors, false);
+    let pixelPhrase = getPixelFailureMessage(numPixelsWithErrors, false);
+    if (numExpiredPixels > 0) {
+        const expiredPhrase = numExpiredPixels === 1 ? '1 expired pixel is' : `${numExpiredPixels} expired pixels are`;
+        pixelPhrase += `
+
+ ${expiredPhrase} still firing. Check per-owner subtasks for details.`;
+    }
 
     // For valid formatting options: https://developers.asana.com/docs/rich-text#reading-rich-text
     const taskNotes = `<body> ${pixelPhrase} </body>`;
@@ -389,15 +424,15 @@ async function main() {
             console.error('Full error:', attachmentError);
             hasErrors = true;
         }
+    }
 
-        // Even if there are no errors, continue to create per-owner subtasks where possible
-        if (MAKE_PER_OWNER_SUBTASKS) {
-            for (const [thisOwner, thisOwnerPixelsWithErrors] of Object.entries(ownerToPixelsMap)) {
-                const success = await createOwnerSubtask(thisOwner, taskGid, thisOwnerPixelsWithErrors);
-                if (!success) {
-                    console.error(`Error creating subtask for ${thisOwner}`);
-                    hasErrors = true;
-                }
+    // Even if attaching the errors failed, continue to create per-owner subtasks where possible
+    if (MAKE_PER_OWNER_SUBTASKS) {
+        for (const [thisOwner, thisOwnerPixelsWithErrors] of Object.entries(ownerToPixelsMap)) {
+            const success = await createOwnerSubtask(thisOwner, taskGid, thisOwnerPixelsWithErrors);
+            if (!success) {
+                console.error(`Error creating subtask for ${thisOwner}`);
+                hasErrors = true;
             }
         }
     }
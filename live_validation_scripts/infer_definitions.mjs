@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/***
+ * Tool for drafting definitions of the undocumented pixels found by validate-live-pixels
+ */
+import csv from 'csv-parser';
+import fs from 'fs';
+
+import { getArgParserWithCsv } from '../src/args_utils.mjs';
+import { formatDraftDefinitions, inferPixelDefinitions } from '../src/definition_inference.mjs';
+import * as fileUtils from '../src/file_utils.mjs';
+import { parseLivePixelRow } from '../src/live_validation_utils.mjs';
+
+const argv = getArgParserWithCsv(
+    'Drafts definitions for the undocumented pixels of the last live validation, inferred from the CSV file',
+    'path to the CSV file that was validated',
+)
+    .option('output', {
+        alias: 'o',
+        type: 'string',
+        description: 'File to write the draft definitions to (default: stdout)',
+    })
+    .parse();
+
+/**
+ * Reads the live pixels matching the given names from a CSV file
+ * @param {string} csvFile
+ * @param {Set<string>} names - pixel names in "_" notation
+ * @param {string|null} versionKey
+ * @returns {Promise<import('../src/definition_inference.mjs').LivePixel[]>}
+ */
+function readLivePixels(csvFile, names, versionKey) {
+    return new Promise((resolve, reject) => {
+        const livePixels = [];
+        fs.createReadStream(csvFile)
+            .on('error', reject)
+            .pipe(csv())
+            .on('data', (row) => {
+                const livePixel = parseLivePixelRow(row, versionKey);
+                if (names.has(livePixel.pixel)) livePixels.push(livePixel);
+            })
+            .on('end', () => resolve(livePixels))
+            .on('error', reject);
+    });
+}
+
+async function main(mainDir, csvFile) {
+    const { pixelsConfigDir } = fileUtils.resolvePixelsDirs(mainDir);
+    const productDef = fileUtils.readProductDef(mainDir);
+    const undocumentedPixels = new Set(fileUtils.readUndocumentedPixels(pixelsConfigDir));
+    const livePixels = await readLivePixels(csvFile, undocumentedPixels, productDef.target.key ?? null);
+
+    const drafts = inferPixelDefinitions(
+        livePixels,
+        fileUtils.readCommonParams(pixelsConfigDir),
+        fileUtils.readCommonSuffixes(pixelsConfigDir),
+        { ...fileUtils.readIgnoreParams(fileUtils.GLOBAL_PIXEL_DIR), ...fileUtils.readIgnoreParams(pixelsConfigDir) },
+    );
+    const output = await formatDraftDefinitions(drafts);
+    if (argv.output) {
+        fs.writeFileSync(argv.output, output);
+        console.log(`Drafted ${drafts.length} definition(s) for ${undocumentedPixels.size} undocumented pixel(s) in ${argv.output}`);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+main(argv.dirPath, argv.csvFile).catch((err) => {
+    console.error('Error:', err.message);
+    process.exitCode = 1;
+});
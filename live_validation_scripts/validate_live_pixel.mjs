@@ -2,69 +2,80 @@
 
 import csv from 'csv-parser';
 import fs from 'fs';
-import JSON5 from 'json5';
 
 import { getArgParserWithCsv } from '../src/args_utils.mjs';
 import * as fileUtils from '../src/file_utils.mjs';
-import { buildLivePixelValidator } from '../src/live_validation_utils.mjs';
-import { PIXEL_DELIMITER, PIXEL_VALIDATION_RESULT } from '../src/constants.mjs';
+import { buildLivePixelValidator, parseLivePixelRow } from '../src/live_validation_utils.mjs';
+import { DefinitionPatchSuggester } from '../src/definition_patches.mjs';
+import { PIXEL_VALIDATION_RESULT } from '../src/constants.mjs';
 
 const NUM_EXAMPLE_ERRORS = 5;
 
-const argv = getArgParserWithCsv('Validates pixels from the provided CSV file', 'path to CSV file containing pixels to validate').parse();
+const argv = getArgParserWithCsv('Validates pixels from the provided CSV file', 'path to CSV file containing pixels to validate')
+    .option('suggestPatches', {
+        type: 'boolean',
+        description: 'Write a patch of the definitions allowing the enum values, params and suffixes that failed validation',
+        default: false,
+    })
+    .parse();
 const undocumentedPixels = new Set();
 const pixelErrors = {};
+const expiredPixels = {};
+let patchSuggester = null;
 
 async function main(mainDir, csvFile) {
     console.log(`Validating live pixels in ${csvFile} against definitions from ${mainDir}`);
 
     const { validator: liveValidator, pixelsConfigDir, productDef } = await buildLivePixelValidator(mainDir);
-    let processedPixels = 0;
-    fs.createReadStream(csvFile)
-        .pipe(csv())
-        .on('data', (row) => {
-            processedPixels++;
-            if (processedPixels % 100000 === 0) {
-                console.log(`...Processing row ${processedPixels.toLocaleString('en-US')}...`);
-            }
-            const pixelRequestFormat = row.pixel.replaceAll('.', PIXEL_DELIMITER);
-            let parsedParams = JSON5.parse(row.params);
-
-            // filter out SERP nounces in the form "7128788=7128788"
-            // TODO: move this to https://dub.duckduckgo.com/duckduckgo/prefect-etl/blob/main/deployments/pixels_validation.py#L27
-            try {
-                parsedParams = parsedParams.filter((p) => !p.match(/^\d+=\d*$/));
-            } catch (e) {
-                console.error(`Error filtering params for pixel ${pixelRequestFormat}: ${parsedParams}`);
-                console.error(e);
-            }
+    if (argv.suggestPatches) {
+        patchSuggester = new DefinitionPatchSuggester(mainDir, productDef);
+    }
+    const processedPixels = await validateLivePixels(csvFile, liveValidator, productDef.target.key ?? null);
+
+    console.log(`\nDone.\nTotal pixels processed: ${processedPixels.toLocaleString('en-US')}`);
+    console.log(`Undocumented pixels: ${undocumentedPixels.size.toLocaleString('en-US')}`);
+    console.log(`Pixels with validation errors: ${Object.keys(pixelErrors).length.toLocaleString('en-US')}`);
+    console.log(`Expired pixels still firing: ${Object.keys(expiredPixels).length.toLocaleString('en-US')}`);
+
+    fs.writeFileSync(fileUtils.getUndocumentedPixelsPath(pixelsConfigDir), JSON.stringify(Array.from(undocumentedPixels), null, 4));
+    fs.writeFileSync(fileUtils.getPixelErrorsPath(pixelsConfigDir), JSON.stringify(pixelErrors, setReplacer, 4));
+    fs.writeFileSync(fileUtils.getExpiredPixelsPath(pixelsConfigDir), JSON.stringify(expiredPixels, setReplacer, 4));
+    console.log(`Validation results saved to ${fileUtils.getResultsDir(pixelsConfigDir)}`);
+
+    if (patchSuggester) {
+        const patchPath = fileUtils.getSuggestedPatchesPath(pixelsConfigDir);
+        fs.writeFileSync(patchPath, await patchSuggester.buildPatch());
+        console.log(`Suggested ${patchSuggester.getSuggestions().length} definition change(s) in ${patchPath}`);
+    }
+}
 
-            // Append version param (e.g. appVersion=1.2.3) when defined in product.json
-            const versionKey = productDef.target.key ?? null;
-            if (versionKey) {
-                // ensure version present in a dedicated CSV column and not already in params
-                if (
-                    typeof row.version === 'string' &&
-                    row.version.trim() !== '' &&
-                    parsedParams.every((p) => !p.startsWith(versionKey + '='))
-                ) {
-                    parsedParams = parsedParams.concat(row.version.trim());
+/**
+ * Validates the live pixels of a CSV file, saving the results as they are read
+ * @param {string} csvFile
+ * @param {import('../src/live_pixel_validator.mjs').LivePixelsValidator} liveValidator
+ * @param {string|null} versionKey
+ * @returns {Promise<number>} number of pixels processed
+ */
+function validateLivePixels(csvFile, liveValidator, versionKey) {
+    return new Promise((resolve, reject) => {
+        let processedPixels = 0;
+        fs.createReadStream(csvFile)
+            .on('error', reject)
+            .pipe(csv())
+            .on('data', (row) => {
+                processedPixels++;
+                if (processedPixels % 100000 === 0) {
+                    console.log(`...Processing row ${processedPixels.toLocaleString('en-US')}...`);
                 }
-            }
-            const paramsUrlFormat = parsedParams.join('&');
-
-            const result = liveValidator.validatePixel(pixelRequestFormat, paramsUrlFormat);
-            saveResult(pixelRequestFormat, result);
-        })
-        .on('end', async () => {
-            console.log(`\nDone.\nTotal pixels processed: ${processedPixels.toLocaleString('en-US')}`);
-            console.log(`Undocumented pixels: ${undocumentedPixels.size.toLocaleString('en-US')}`);
-            console.log(`Pixels with validation errors: ${Object.keys(pixelErrors).length.toLocaleString('en-US')}`);
-
-            fs.writeFileSync(fileUtils.getUndocumentedPixelsPath(pixelsConfigDir), JSON.stringify(Array.from(undocumentedPixels), null, 4));
-            fs.writeFileSync(fileUtils.getPixelErrorsPath(pixelsConfigDir), JSON.stringify(pixelErrors, setReplacer, 4));
-            console.log(`Validation results saved to ${fileUtils.getResultsDir(pixelsConfigDir)}`);
-        });
+                const { pixel: pixelRequestFormat, params: parsedParams } = parseLivePixelRow(row, versionKey);
+                const paramsUrlFormat = parsedParams.join('&');
+
+                const result = liveValidator.validatePixel(pixelRequestFormat, paramsUrlFormat);
+                saveResult(pixelRequestFormat, result);
+            })
+            .on('end', () => resolve(processedPixels))
+            .on('error', reject);
+    });
 }
 
 function saveResult(pixelRequestFormat, result) {
@@ -90,6 +101,17 @@ function saveResult(pixelRequestFormat, result) {
             }
             pixelErrors[prefix][errorWithExample.error].add(errorWithExample.example);
         }
+        patchSuggester?.addResult(result);
+    } else if (result.status === PIXEL_VALIDATION_RESULT.EXPIRED) {
+        const prefix = result.prefixForErrors;
+        if (!expiredPixels[prefix]) {
+            expiredPixels[prefix] = {
+                owners: result.owners,
+                expires: result.expires,
+                examples: new Set(),
+            };
+        }
+        expiredPixels[prefix].examples.add(pixelRequestFormat);
     }
 }
 
@@ -5,10 +5,13 @@
 import { PIXEL_VALIDATION_RESULT } from './src/constants.mjs';
 import { LivePixelsValidator } from './src/live_pixel_validator.mjs';
 import { ParamsValidator } from './src/params_validator.mjs';
+import { generateSamplePixels } from './src/sample_pixels.mjs';
 import { tokenizePixelDefs } from './src/tokenizer.mjs';
 
 /**
  * @typedef {import('./src/types.mjs').ProductDefinition} ProductDefinition
+ * @typedef {import('./src/sample_pixels.mjs').SamplePixel} SamplePixel
+ * @typedef {import('./src/sample_pixels.mjs').SampleOptions} SampleOptions
  */
 
 /**
@@ -49,13 +52,28 @@ export function validateSinglePixel(validator, url) {
     // parse pixel ID out of the URL path
     const pixel = parsedUrl.pathname.slice(3);
     // validator expects URL params after cache buster
-    const params = parsedUrl.search.slice(1).replace(/^\d+=?&/, '');
+    const params = parsedUrl.search.slice(1).replace(/^\d+=?(&|$)/, '');
 
     const pixelStatus = validator.validatePixel(pixel, params);
     if (pixelStatus.status === PIXEL_VALIDATION_RESULT.UNDOCUMENTED) {
         throw new Error(`Undocumented Pixel: ${JSON.stringify(pixel)}`);
     }
     if (Object.keys(pixelStatus.errors).length > 0) {
-        throw new Error(`Pixel Errors: ${JSON.stringify(pixelStatus.errors)}`);
+        throw new Error(`Pixel Errors: ${JSON.stringify(pixelStatus.errors.map(({ error, example }) => ({ error, example })))}`);
     }
 }
+
+/**
+ * Generate example URLs of a pixel, e.g. for client unit tests.
+ * Valid samples cover every suffix sequence, enum value and boundary value, and should pass validateSinglePixel.
+ *
+ * @param {string} pixelName
+ * @param {object} pixelDef - definition of the pixel, following schemas/pixel_schema.json5
+ * @param {object} commonParams
+ * @param {object} commonSuffixes
+ * @param {SampleOptions} [options] - set invalid to also get samples with a single invalid suffix or param
+ * @returns {SamplePixel[]}
+ */
+export function generateSamplePixelUrls(pixelName, pixelDef, commonParams = {}, commonSuffixes = {}, options = {}) {
+    return generateSamplePixels(pixelName, pixelDef, commonParams, commonSuffixes, options);
+}
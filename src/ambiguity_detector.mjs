@@ -0,0 +1,188 @@
+import { PIXEL_DELIMITER, ROOT_PREFIX } from './constants.mjs';
+import { matchPixel } from './pixel_utils.mjs';
+import { getPatternBoundaryValues } from './sample_pixels.mjs';
+
+/**
+ * @typedef {import('./params_validator.mjs').ParamsValidator} ParamsValidator
+ * @typedef {import('./params_validator.mjs').SuffixUnit} SuffixUnit
+ * @typedef {import('ajv').ValidateFunction} ValidateFunction
+ */
+
+/**
+ * @typedef {Object} PixelNameAmbiguity
+ * @property {string} prefix - pixel whose suffixes accept the example name
+ * @property {string} otherPrefix - pixel (or suffix alternative of the same pixel) that can also match the example name
+ * @property {string} example - concrete pixel name matched by both definitions
+ * @property {?string} matchedPrefix - pixel that live pixels with the example name are validated against (null if undocumented)
+ * @property {number[]} [alternatives] - indices of the overlapping suffix alternatives in the definition, if prefix === otherPrefix
+ */
+
+// Generic values tried against every token schema, on top of the values a schema lists itself
+const PROBE_TOKENS = ['value', 'x', '1', 'true', 'false'];
+
+/**
+ * @typedef {Object} FirstToken
+ * @property {object} schema - schema of the static key or value a suffix starts with
+ * @property {ValidateFunction} validate - compiled schema
+ * @property {number[]} spans - numbers of pixel name tokens the key or value can span
+ */
+
+/**
+ * Lists concrete values worth trying against a token schema: the values it lists and the shortest and longest matches of its pattern
+ * @param {object} tokenSchema
+ * @returns {string[]} candidate values, which may span several pixel name tokens
+ */
+function getCandidateTokens(tokenSchema) {
+    const candidates = [...(tokenSchema.enum ?? []), ...(tokenSchema.examples ?? [])];
+    if (tokenSchema.const !== undefined) candidates.push(tokenSchema.const);
+    if (tokenSchema.pattern) candidates.push(...getPatternBoundaryValues(tokenSchema.pattern));
+
+    return candidates.map((val) => String(val)).filter((val) => val);
+}
+
+/**
+ * @param {FirstToken} first
+ * @param {string} value - one or more pixel name tokens, joined by the delimiter
+ * @returns {boolean} whether a suffix starting with the given key or value accepts the value
+ */
+function acceptsValue(first, value) {
+    return first.spans.includes(value.split(PIXEL_DELIMITER).length) && first.validate(value);
+}
+
+/**
+ * Finds a value accepted by both token schemas
+ * @param {FirstToken} first
+ * @param {FirstToken} second
+ * @returns {?string} a value accepted by both, or null if none could be found
+ */
+function findCommonToken(first, second) {
+    const candidates = [...getCandidateTokens(first.schema), ...getCandidateTokens(second.schema), ...PROBE_TOKENS];
+    return candidates.find((value) => acceptsValue(first, value) && acceptsValue(second, value)) ?? null;
+}
+
+/**
+ * Lists the suffixes a pixel name can continue with: the first suffix of a sequence,
+ * and the ones after it for as long as the suffixes before them are optional
+ * @param {SuffixUnit[]} units - suffixes of a sequence
+ * @returns {SuffixUnit[]}
+ */
+function getLeadingUnits(units) {
+    const firstRequiredIdx = units.findIndex(({ optional }) => !optional);
+    return firstRequiredIdx === -1 ? units : units.slice(0, firstRequiredIdx + 1);
+}
+
+/**
+ * Lists the paths of a given number of tokens down a tokenized subtree
+ * @param {Record<string, any>} node - subtree of tokenized pixel definitions
+ * @param {number} length - number of tokens in each path
+ * @returns {{ tokens: string[], node: Record<string, any> }[]} tokens of each path, and the subtree it leads to
+ */
+function getTokenPaths(node, length) {
+    if (length === 0) return [{ tokens: [], node }];
+
+    return Object.entries(node)
+        .filter(([token]) => token !== ROOT_PREFIX)
+        .flatMap(([token, child]) => getTokenPaths(child, length - 1).map((path) => ({ ...path, tokens: [token, ...path.tokens] })));
+}
+
+/**
+ * Finds the first pixel defined within a tokenized subtree
+ * @param {Record<string, any>} node - subtree of tokenized pixel definitions
+ * @param {string} prefix - pixel name leading to the node
+ * @returns {?string} name of the first pixel found
+ */
+function findFirstPixel(node, prefix) {
+    if (node[ROOT_PREFIX]) return prefix;
+
+    for (const [token, child] of Object.entries(node)) {
+        const pixel = findFirstPixel(child, `${prefix}${PIXEL_DELIMITER}${token}`);
+        if (pixel) return pixel;
+    }
+    return null;
+}
+
+/**
+ * @param {string} pixel - concrete pixel name
+ * @param {Record<string, any>} tokenizedDefs - tokenized pixel definitions
+ * @returns {?string} pixel the name is matched to during live validation (null if undocumented)
+ */
+function getMatchedPrefix(pixel, tokenizedDefs) {
+    const [prefix, match] = matchPixel(pixel, tokenizedDefs);
+    return match ? prefix : null;
+}
+
+/**
+ * Walks tokenized pixel definitions and finds concrete pixel names that more than one definition can match:
+ * 1) suffix values of one pixel that are also the next token of another pixel's name (e.g. m_foo with
+ *    suffix 'bar' and m_foo_bar). Live pixels are matched to the longest prefix, so such names are
+ *    never validated against the shorter one.
+ * 2) alternative suffix sequences of a single pixel that accept the same name.
+ *
+ * Trailing suffixes can be left out, so it is enough to look at the static key or value each sequence starts with,
+ * or each of its leading suffixes when they are optional. Values can span several tokens (e.g. 'en_us'). Optional suffixes are not expanded into every
+ * combination they allow: each sequence of the definition is a single alternative.
+ * Only pixels whose suffixes can be compiled should be included in the tokenized definitions.
+ *
+ * @param {Record<string, any>} tokenizedDefs - tokenized pixel definitions, see tokenizePixelDefs
+ * @param {ParamsValidator} paramsValidator - used to resolve suffix shortcuts
+ * @returns {PixelNameAmbiguity[]} pairs of definitions found to match the same pixel name. Overlapping suffix values are found
+ * by trying the values suffixes list, matches generated from their patterns and a few generic values, so overlaps that none
+ * of those values hit (e.g. between patterns the generator does not support) go unreported
+ */
+export function findAmbiguousPixelNames(tokenizedDefs, paramsValidator) {
+    /** @type {PixelNameAmbiguity[]} */
+    const ambiguities = [];
+
+    const visit = (node, prefix) => {
+        const children = Object.entries(node).filter(([token]) => token !== ROOT_PREFIX);
+        const pixelDef = node[ROOT_PREFIX];
+
+        if (pixelDef?.suffixes) {
+            const suffixes = JSON.parse(JSON.stringify(pixelDef.suffixes));
+            // Static keys or values the leading suffixes of each alternative sequence start with
+            /** @type {FirstToken[][]} */
+            const firstTokens = paramsValidator.getSuffixUnitSequences(suffixes).map((units) =>
+                getLeadingUnits(units).map(({ tokens, spans }) => ({
+                    schema: tokens[0],
+                    validate: paramsValidator.compileSuffixTokenSchema(tokens[0]),
+                    // Static keys take up a single token
+                    spans: tokens.length > 1 ? [1] : spans,
+                })),
+            );
+
+            // 1) Suffix values that continue into other pixel names
+            const spans = [...new Set(firstTokens.flat().flatMap((first) => first.spans))].sort((a, b) => a - b);
+            for (const { tokens, node: child } of spans.flatMap((span) => getTokenPaths(node, span))) {
+                const value = tokens.join(PIXEL_DELIMITER);
+                if (!firstTokens.flat().some((first) => acceptsValue(first, value))) continue;
+
+                const example = `${prefix}${PIXEL_DELIMITER}${value}`;
+                const matchedPrefix = getMatchedPrefix(example, tokenizedDefs);
+                // Every node in the tree leads to at least one pixel
+                const otherPrefix = matchedPrefix ?? /** @type {string} */ (findFirstPixel(child, example));
+                ambiguities.push({ prefix, otherPrefix, example, matchedPrefix });
+            }
+
+            // 2) Overlapping suffix alternatives
+            firstTokens.forEach((firsts, i) => {
+                firstTokens.slice(i + 1).forEach((seconds, offset) => {
+                    const token = firsts
+                        .flatMap((first) => seconds.map((second) => findCommonToken(first, second)))
+                        .find((common) => common !== null);
+                    if (token) {
+                        const example = `${prefix}${PIXEL_DELIMITER}${token}`;
+                        const matchedPrefix = getMatchedPrefix(example, tokenizedDefs);
+                        ambiguities.push({ prefix, otherPrefix: prefix, example, matchedPrefix, alternatives: [i, i + offset + 1] });
+                    }
+                });
+            });
+        }
+
+        for (const [token, child] of children) {
+            visit(child, prefix ? `${prefix}${PIXEL_DELIMITER}${token}` : token);
+        }
+    };
+
+    visit(tokenizedDefs, '');
+    return ambiguities;
+}
@@ -0,0 +1,498 @@
+/**
+ * Helper functions for rendering a static HTML catalog of pixel, native experiment and wide event definitions
+ */
+import path from 'path';
+
+import { EXPERIMENT_DEFAULT_METRICS, EXPERIMENT_DEFAULT_METRIC_VALUES, PIXEL_DELIMITER } from './constants.mjs';
+import { loadResolvedDefinitions } from './definitions_loader.mjs';
+import * as fileUtils from './file_utils.mjs';
+import { ParamsValidator } from './params_validator.mjs';
+import { splitRequiredParam } from './pixel_utils.mjs';
+
+/**
+ * @typedef {Object} CatalogField
+ * @property {string} name - param key (or key pattern), suffix position, metric or property path
+ * @property {string} type
+ * @property {string} description
+ * @property {string[]} constraints - human readable constraints on the values
+ * @property {boolean} [required]
+ */
+
+/**
+ * @typedef {Object} CatalogEntry
+ * @property {'pixel'|'experiment'|'wide_event'} kind
+ * @property {string} name
+ * @property {string} page - path of the entry's page, relative to the catalog root
+ * @property {string} description
+ * @property {string[]} owners
+ * @property {string[]} triggers
+ * @property {string} [expires]
+ * @property {string[]} privacyReview - links to privacy reviews
+ * @property {string} [file] - definition file, relative to the definitions root
+ * @property {string} [version] - wide event version
+ * @property {string[]} cohorts - native experiment cohorts
+ * @property {CatalogField[][]} suffixSequences - pixel name tokens after the prefix, for each alternative sequence
+ * @property {CatalogField[]} params - params, experiment metrics or wide event properties
+ * @property {string[]} examples - example pixel names
+ */
+
+// Example names are the first combinations of suffix values, in definition order
+const MAX_EXAMPLES_PER_SEQUENCE = 5;
+
+const KIND_LABELS = Object.freeze({
+    pixel: 'Pixel',
+    experiment: 'Native experiment',
+    wide_event: 'Wide event',
+});
+
+const KIND_DIRS = Object.freeze({
+    pixel: 'pixels',
+    experiment: 'experiments',
+    wide_event: 'wide_events',
+});
+
+/**
+ * @param {any} value - JSON value
+ * @returns {string} the value as it appears in pixels for strings and numbers, JSON otherwise
+ */
+function formatValue(value) {
+    return typeof value === 'string' || typeof value === 'number' ? String(value) : JSON.stringify(value);
+}
+
+/**
+ * @param {object} schema - resolved param, suffix or property schema
+ * @returns {string} the schema type, e.g. "string", "array of integer" or "string | boolean"
+ */
+function getTypeLabel(schema) {
+    if (schema.type === 'array') return schema.items ? `array of ${getTypeLabel(schema.items)}` : 'array';
+    if (Array.isArray(schema.type)) return schema.type.join(' | ');
+    if (schema.type) return schema.type;
+    if (schema.const !== undefined || schema.enum) return typeof (schema.const ?? schema.enum[0]);
+    return 'any';
+}
+
+/**
+ * @param {object} schema - resolved param, suffix or property schema
+ * @returns {string[]} human readable constraints on the values of the schema
+ */
+function getConstraints(schema) {
+    const constraints = [];
+    if (schema.const !== undefined) constraints.push(`Value: ${formatValue(schema.const)}`);
+    if (schema.enum) constraints.push(`One of: ${schema.enum.map(formatValue).join(', ')}`);
+    if (schema.pattern) constraints.push(`Pattern: ${schema.pattern}`);
+    if (schema.format) constraints.push(`Format: ${schema.format}`);
+    if (schema.minimum !== undefined) constraints.push(`Minimum: ${schema.minimum}`);
+    if (schema.maximum !== undefined) constraints.push(`Maximum: ${schema.maximum}`);
+    if (schema.minLength !== undefined) constraints.push(`Min length: ${schema.minLength}`);
+    if (schema.maxLength !== undefined) constraints.push(`Max length: ${schema.maxLength}`);
+    if (schema.minItems !== undefined) constraints.push(`Min items: ${schema.minItems}`);
+    if (schema.maxItems !== undefined) constraints.push(`Max items: ${schema.maxItems}`);
+    if (schema.items) constraints.push(...getConstraints(schema.items).map((constraint) => `Items: ${constraint}`));
+    for (const keyword of ['anyOf', 'oneOf']) {
+        if (!schema[keyword]) continue;
+        const branches = schema[keyword].map((branch) => [getTypeLabel(branch), ...getConstraints(branch)].join(', '));
+        constraints.push(`${keyword === 'anyOf' ? 'Any' : 'One'} of: ${branches.map((branch) => `(${branch})`).join(' ')}`);
+    }
+    if (schema.encoding) constraints.push(`Encoding: ${schema.encoding}`);
+    if (schema.examples) constraints.push(`Examples: ${schema.examples.map(formatValue).join(', ')}`);
+    return constraints;
+}
+
+/**
+ * Lists a field along with the nested properties of objects, named by their dotted path
+ * @param {string} name
+ * @param {object} schema
+ * @param {boolean} [required]
+ * @returns {CatalogField[]}
+ */
+function getFields(name, schema, required) {
+    /** @type {CatalogField} */
+    const field = { name, type: getTypeLabel(schema), description: schema.description ?? '', constraints: getConstraints(schema) };
+    if (required !== undefined) field.required = required;
+    const requiredProperties = schema.required ?? [];
+    const properties = Object.entries(schema.properties ?? {}).flatMap(([property, propertySchema]) =>
+        getFields(`${name}.${property}`, propertySchema, required === undefined ? undefined : requiredProperties.includes(property)),
+    );
+    return [field, ...properties];
+}
+
+/**
+ * @param {object} param - resolved param schema
+ * @param {string} [condition] - when the param is sent, for conditional params
+ * @returns {CatalogField[]}
+ */
+function getParamFields(param, condition) {
+    const { required, schema } = splitRequiredParam(param);
+    // Only pixels with required params get a required column
+    const fields = getFields(param.key ?? param.keyPattern, schema, required || undefined);
+    if (condition) fields[0].constraints.unshift(condition);
+    return fields;
+}
+
+/**
+ * @param {object[]} tokens - schemas of the pixel name tokens after the prefix
+ * @returns {CatalogField[]}
+ */
+function getSuffixFields(tokens) {
+    return tokens.map((token, idx) => {
+        const isStaticKey = !token.type && token.enum?.length === 1 && !token.description;
+        return {
+            name: String(idx + 1),
+            type: isStaticKey ? 'static' : getTypeLabel(token),
+            description: isStaticKey ? 'Static key' : (token.description ?? ''),
+            constraints: isStaticKey ? [`Value: ${token.enum[0]}`] : getConstraints(token),
+        };
+    });
+}
+
+/**
+ * @param {string} prefix
+ * @param {object[]} tokens - schemas of the pixel name tokens after the prefix
+ * @returns {string[]} the first pixel names the tokens produce, with placeholders for open-ended values
+ */
+function getExampleNames(prefix, tokens) {
+    let names = [prefix];
+    tokens.forEach((token) => {
+        let values = [`{${getTypeLabel(token)}}`];
+        if (token.const !== undefined) values = [token.const];
+        else if (token.enum) values = token.enum;
+        else if (token.examples) values = token.examples;
+        names = names
+            .flatMap((name) => values.map((value) => `${name}${PIXEL_DELIMITER}${formatValue(value)}`))
+            .slice(0, MAX_EXAMPLES_PER_SEQUENCE);
+    });
+    return names;
+}
+
+/**
+ * @template T
+ * @param {Record<string, T>} record
+ * @returns {Array<[string, T]>} entries of the record, sorted by key
+ */
+function getSortedEntries(record) {
+    return Object.entries(record).sort(([a], [b]) => a.localeCompare(b));
+}
+
+/**
+ * @param {CatalogEntry['kind']} kind
+ * @param {string} name
+ * @returns {string} path of the entry's page, relative to the catalog root
+ */
+function getPagePath(kind, name) {
+    return `${KIND_DIRS[kind]}/${encodeURIComponent(name)}.html`;
+}
+
+/**
+ * Collects everything the catalog shows from a definitions tree. Definitions are expected to be valid
+ * (see validate-ddg-pixel-defs).
+ * @param {string} mainDir - path to the directory containing the pixels (and optionally wide_events) folder
+ * @returns {CatalogEntry[]} pixels, native experiments and wide events, each sorted by name
+ * @throws if any definition cannot be resolved
+ */
+export function buildCatalog(mainDir) {
+    const { pixels, wideEvents } = loadResolvedDefinitions(mainDir);
+    const { pixelsConfigDir } = fileUtils.resolvePixelsDirs(mainDir);
+
+    /** @type {CatalogEntry[]} */
+    const pixelEntries = getSortedEntries(pixels).map(([name, def]) => ({
+        kind: 'pixel',
+        name,
+        page: getPagePath('pixel', name),
+        description: def.description,
+        owners: def.owners,
+        // See the default of triggers in pixel_schema.json5
+        triggers: def.triggers ?? ['other'],
+        expires: def.expires,
+        privacyReview: def.privacyReview ?? [],
+        file: path.relative(mainDir, def.file),
+        cohorts: [],
+        suffixSequences: def.suffixes.map(getSuffixFields),
+        params: [
+            ...def.parameters.flatMap((param) => getParamFields(param)),
+            ...def.conditionalParameters.flatMap(({ suffix, equals, parameters }) =>
+                parameters.flatMap((param) => getParamFields(param, `Only when suffix ${suffix} is ${equals}`)),
+            ),
+        ],
+        examples: (def.suffixes.length ? def.suffixes : [[]]).flatMap((tokens) => getExampleNames(name, tokens)),
+    }));
+
+    const experimentsDef = fileUtils.readNativeExperimentsDef(pixelsConfigDir);
+    const paramsValidator = new ParamsValidator(
+        fileUtils.readCommonParams(pixelsConfigDir),
+        fileUtils.readCommonSuffixes(pixelsConfigDir),
+        {},
+    );
+    const experimentSuffixes = experimentsDef.defaultSuffixes?.length
+        ? paramsValidator.getSuffixTokenSequences(experimentsDef.defaultSuffixes)
+        : [];
+    /** @type {CatalogEntry[]} */
+    const experimentEntries = getSortedEntries(experimentsDef.activeExperiments ?? {}).map(([name, def]) => {
+        // Every experiment also sends the default metrics, see LivePixelsValidator
+        const defaultMetrics = EXPERIMENT_DEFAULT_METRICS.map((metric) => [metric, { enum: EXPERIMENT_DEFAULT_METRIC_VALUES }]);
+        const metrics = Object.entries({ ...def.metrics, ...Object.fromEntries(defaultMetrics) }).map(([metric, metricDef]) => ({
+            name: metric,
+            type: getTypeLabel(metricDef),
+            description: metricDef.description ?? '',
+            constraints: getConstraints(metricDef),
+        }));
+        // The cohort is the first token after the experiment name
+        const sequences = (experimentSuffixes.length ? experimentSuffixes : [[]]).map((tokens) => [{ enum: def.cohorts }, ...tokens]);
+        const examples = ['enroll', 'metrics'].flatMap((pixelType) => {
+            const prefix = ['experiment', pixelType, name].join(PIXEL_DELIMITER);
+            return sequences.flatMap((tokens) => getExampleNames(prefix, tokens));
+        });
+        /** @type {CatalogEntry} */
+        const entry = {
+            kind: 'experiment',
+            name,
+            page: getPagePath('experiment', name),
+            description: `Native experiment with ${def.cohorts.length} cohort(s)`,
+            owners: [],
+            triggers: [],
+            privacyReview: [],
+            cohorts: def.cohorts,
+            suffixSequences: experimentSuffixes.map(getSuffixFields),
+            params: metrics,
+            examples,
+        };
+        return entry;
+    });
+
+    /** @type {CatalogEntry[]} */
+    const wideEventEntries = getSortedEntries(wideEvents).map(([name, schema]) => ({
+        kind: 'wide_event',
+        name,
+        page: getPagePath('wide_event', name),
+        description: schema.description ?? '',
+        // Generated schemas keep the owners in a comment, see WideEventDefinitionsValidator
+        owners: JSON.parse(schema.$comment ?? '{}').owners ?? [],
+        triggers: [],
+        privacyReview: [],
+        version: schema.properties?.meta?.properties?.version?.const,
+        cohorts: [],
+        suffixSequences: [],
+        params: Object.entries(schema.properties ?? {}).flatMap(([property, propertySchema]) =>
+            getFields(property, propertySchema, (schema.required ?? []).includes(property)),
+        ),
+        examples: [],
+    }));
+
+    return [...pixelEntries, ...experimentEntries, ...wideEventEntries];
+}
+
+/**
+ * @param {any} value
+ * @returns {string} the value with HTML special characters escaped
+ */
+function escapeHtml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+const CATALOG_STYLE = `
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif; margin: 0 auto; max-width: 1200px; padding: 16px 24px; color: #222; }
+h1 { word-break: break-all; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 16px; }
+th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+th { background: #f6f6f6; }
+code { background: #f2f2f2; padding: 1px 4px; border-radius: 3px; word-break: break-all; }
+ul.constraints { margin: 0; padding-left: 16px; }
+.kind { display: inline-block; background: #de5833; color: #fff; border-radius: 3px; padding: 2px 6px; font-size: 12px; }
+.filters { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 16px; }
+.filters input { flex: 1; min-width: 240px; padding: 6px; }
+dt { font-weight: bold; margin-top: 8px; }
+dd { margin-left: 0; }
+`;
+
+/**
+ * @param {string} title
+ * @param {string} body - page content
+ * @returns {string} self-contained HTML page
+ */
+function renderPage(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${CATALOG_STYLE}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * @param {CatalogField[]} fields
+ * @param {string} nameLabel - header of the name column
+ * @returns {string} HTML table of the fields
+ */
+function renderFieldsTable(fields, nameLabel) {
+    const hasRequired = fields.some((field) => field.required !== undefined);
+    const header = [nameLabel, 'Type', ...(hasRequired ? ['Required'] : []), 'Description', 'Constraints'];
+    const rows = fields.map((field) => {
+        const constraints = field.constraints.length
+            ? `<ul class="constraints">${field.constraints.map((constraint) => `<li>${escapeHtml(constraint)}</li>`).join('')}</ul>`
+            : '';
+        const cells = [
+            `<code>${escapeHtml(field.name)}</code>`,
+            escapeHtml(field.type),
+            ...(hasRequired ? [field.required ? 'yes' : 'no'] : []),
+            escapeHtml(field.description),
+            constraints,
+        ];
+        return `<tr>${cells.map((cell) => `<td>${cell}</td>`).join('')}</tr>`;
+    });
+    return `<table>\n<tr>${header.map((cell) => `<th>${cell}</th>`).join('')}</tr>\n${rows.join('\n')}\n</table>`;
+}
+
+/**
+ * @param {string} link
+ * @returns {string} HTML link, or plain text if the link is not a web URL
+ */
+function renderLink(link) {
+    return /^https?:\/\//.test(link) ? `<a href="${escapeHtml(link)}">${escapeHtml(link)}</a>` : escapeHtml(link);
+}
+
+/**
+ * @param {CatalogEntry} entry
+ * @returns {string} HTML page of a single pixel, experiment or wide event
+ */
+function renderEntryPage(entry) {
+    const details = [
+        ['Owners', entry.owners.map(escapeHtml).join(', ')],
+        ['Triggers', entry.triggers.map(escapeHtml).join(', ')],
+        ['Expires', entry.expires ? escapeHtml(entry.expires) : ''],
+        ['Version', entry.version ? escapeHtml(entry.version) : ''],
+        ['Cohorts', entry.cohorts.map((cohort) => `<code>${escapeHtml(cohort)}</code>`).join(', ')],
+        ['Privacy review', entry.privacyReview.map(renderLink).join('<br>')],
+        ['Definition file', entry.file ? `<code>${escapeHtml(entry.file)}</code>` : ''],
+    ].filter(([, value]) => value);
+
+    const sections = [];
+    if (entry.suffixSequences.length) {
+        const title = entry.kind === 'experiment' ? 'Default suffixes' : 'Suffixes';
+        const sequences = entry.suffixSequences.map((fields, idx) => {
+            const heading = entry.suffixSequences.length > 1 ? `<h3>Alternative ${idx + 1}</h3>\n` : '';
+            return `${heading}${renderFieldsTable(fields, 'Position')}`;
+        });
+        sections.push(`<h2>${title}</h2>\n${sequences.join('\n')}`);
+    }
+    if (entry.params.length) {
+        const [title, nameLabel] = {
+            pixel: ['Parameters', 'Key'],
+            experiment: ['Metrics', 'Metric'],
+            wide_event: ['Properties', 'Property'],
+        }[entry.kind];
+        sections.push(`<h2>${title}</h2>\n${renderFieldsTable(entry.params, nameLabel)}`);
+    }
+    if (entry.examples.length) {
+        const examples = entry.examples.map((example) => `<li><code>${escapeHtml(example)}</code></li>`).join('\n');
+        sections.push(`<h2>Example pixel names</h2>\n<ul>\n${examples}\n</ul>`);
+    }
+
+    const body = [
+        '<p><a href="../index.html">&larr; All definitions</a></p>',
+        `<h1>${escapeHtml(entry.name)}</h1>`,
+        `<p><span class="kind">${KIND_LABELS[entry.kind]}</span></p>`,
+        `<p>${escapeHtml(entry.description)}</p>`,
+        details.length ? `<dl>\n${details.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('\n')}\n</dl>` : '',
+        ...sections,
+    ].filter(Boolean);
+    return renderPage(`${entry.name} - Pixel catalog`, body.join('\n'));
+}
+
+const INDEX_SCRIPT = `
+const filters = ['search', 'kind', 'owner', 'trigger'].map((id) => document.getElementById(id));
+const rows = Array.from(document.querySelectorAll('tbody tr'));
+const count = document.getElementById('count');
+function applyFilters() {
+    const [query, kind, owner, trigger] = filters.map((filter) => filter.value.trim().toLowerCase());
+    let visible = 0;
+    rows.forEach((row) => {
+        const matches =
+            (!query || row.dataset.search.includes(query)) &&
+            (!kind || row.dataset.kind === kind) &&
+            (!owner || JSON.parse(row.dataset.owners).includes(owner)) &&
+            (!trigger || JSON.parse(row.dataset.triggers).includes(trigger));
+        row.hidden = !matches;
+        if (matches) visible++;
+    });
+    count.textContent = visible + ' of ' + rows.length + ' definitions';
+}
+filters.forEach((filter) => filter.addEventListener('input', applyFilters));
+applyFilters();
+`;
+
+/**
+ * @param {string} id
+ * @param {string} label - label of the option matching everything
+ * @param {string[][]} options - values and labels
+ * @returns {string} HTML select
+ */
+function renderSelect(id, label, options) {
+    const optionsHtml = options.map(([value, text]) => `<option value="${escapeHtml(value.toLowerCase())}">${escapeHtml(text)}</option>`);
+    return `<select id="${id}"><option value="">${label}</option>${optionsHtml.join('')}</select>`;
+}
+
+/**
+ * @param {CatalogEntry[]} entries
+ * @returns {string} HTML page listing all entries, with search and filters
+ */
+function renderIndexPage(entries) {
+    const unique = (values) => [...new Set(values)].sort().map((value) => [value, value]);
+    const kinds = Object.entries(KIND_LABELS).filter(([kind]) => entries.some((entry) => entry.kind === kind));
+    const rows = entries.map((entry) => {
+        const search = [entry.name, entry.description, ...entry.owners, ...entry.params.map((param) => param.name)].join(' ').toLowerCase();
+        const attributes = {
+            'data-kind': entry.kind,
+            'data-search': search,
+            'data-owners': JSON.stringify(entry.owners.map((owner) => owner.toLowerCase())),
+            'data-triggers': JSON.stringify(entry.triggers.map((trigger) => trigger.toLowerCase())),
+        };
+        const cells = [
+            `<a href="${escapeHtml(encodeURI(entry.page))}">${escapeHtml(entry.name)}</a>`,
+            KIND_LABELS[entry.kind],
+            escapeHtml(entry.description),
+            entry.owners.map(escapeHtml).join(', '),
+            entry.triggers.map(escapeHtml).join(', '),
+        ];
+        const attributesHtml = Object.entries(attributes)
+            .map(([name, value]) => `${name}="${escapeHtml(value)}"`)
+            .join(' ');
+        return `<tr ${attributesHtml}>${cells.map((cell) => `<td>${cell}</td>`).join('')}</tr>`;
+    });
+
+    const body = [
+        '<h1>Pixel catalog</h1>',
+        '<div class="filters">',
+        '<input id="search" type="search" placeholder="Search names, descriptions, owners and parameters" autofocus>',
+        renderSelect('kind', 'All types', kinds),
+        renderSelect('owner', 'All owners', unique(entries.flatMap((entry) => entry.owners))),
+        renderSelect('trigger', 'All triggers', unique(entries.flatMap((entry) => entry.triggers))),
+        '</div>',
+        '<p id="count"></p>',
+        '<table>',
+        '<thead><tr><th>Name</th><th>Type</th><th>Description</th><th>Owners</th><th>Triggers</th></tr></thead>',
+        `<tbody>\n${rows.join('\n')}\n</tbody>`,
+        '</table>',
+        `<script>${INDEX_SCRIPT}</script>`,
+    ];
+    return renderPage('Pixel catalog', body.join('\n'));
+}
+
+/**
+ * Renders the catalog as a static site: an index page with search and filters, and one page per entry
+ * @param {CatalogEntry[]} entries - see buildCatalog
+ * @returns {Record<string, string>} HTML pages keyed by path, relative to the catalog root
+ */
+export function renderCatalog(entries) {
+    /** @type {Record<string, string>} */
+    const pages = { 'index.html': renderIndexPage(entries) };
+    entries.forEach((entry) => {
+        pages[entry.page] = renderEntryPage(entry);
+    });
+    return pages;
+}
@@ -7,6 +7,49 @@ export const PIXEL_VALIDATION_RESULT = Object.freeze({
     OLD_APP_VERSION: 1,
     VALIDATION_FAILED: 2,
     VALIDATION_PASSED: 3,
+    EXPIRED: 4,
+});
+
+// Metrics sent by every native experiment on top of the ones it defines, and the values they accept
+export const EXPERIMENT_DEFAULT_METRICS = Object.freeze(['app_use', 'search']);
+export const EXPERIMENT_DEFAULT_METRIC_VALUES = Object.freeze([1, 4, 6, 11, 21, 30]);
+
+// Most suffix sequences that optional suffixes can expand to: tools listing every combination
+// (generated code, exported schemas, catalogs, samples) would otherwise grow exponentially
+export const MAX_SUFFIX_SEQUENCES = 64;
+
+// Pixels expiring within this many days are reported as warnings when validating definitions
+export const DEFAULT_EXPIRY_WARNING_DAYS = 30;
+
+// Identifiers of the checks performed when validating definitions, reported alongside each finding
+export const RULE_IDS = Object.freeze({
+    SCHEMA: 'schema',
+    DUPLICATE_DEFINITION: 'duplicate-definition',
+    UNKNOWN_OWNER: 'unknown-owner',
+    EXPIRED_PIXEL: 'expired-pixel',
+    EXPIRING_PIXEL: 'expiring-pixel',
+    INVALID_SUFFIXES: 'invalid-suffixes',
+    INVALID_PARAMETERS: 'invalid-parameters',
+    AMBIGUOUS_PIXEL_NAME: 'ambiguous-pixel-name',
+    DISALLOWED_SECTION: 'disallowed-section',
+    MISSING_BASE_EVENT: 'missing-base-event',
+    UNUSED_DICTIONARY_ENTRY: 'unused-dictionary-entry',
+    PRIVACY_UNCONSTRAINED_PARAM: 'privacy-unconstrained-param',
+    PRIVACY_UNCONSTRAINED_SUFFIX: 'privacy-unconstrained-suffix',
+    PRIVACY_UNBOUNDED_NUMBER: 'privacy-unbounded-number',
+    PRIVACY_UNBOUNDED_KEY_PATTERN: 'privacy-unbounded-key-pattern',
+    PRIVACY_MISSING_REVIEW: 'privacy-missing-review',
+    PIXEL_NAME_PATTERN: 'pixel-name-pattern',
+    OWNER_COUNT: 'owner-count',
+    DESCRIPTION_LENGTH: 'description-length',
+    ALLOWED_TRIGGERS: 'allowed-triggers',
+});
+
+// How a change between two versions of the definitions affects pixels and wide events sent by clients
+export const CHANGE_KINDS = Object.freeze({
+    ADDITIVE: 'additive', // something new was defined
+    COMPATIBLE: 'compatible', // existing definitions accept everything they accepted before
+    BREAKING: 'breaking', // existing definitions reject something they accepted before
 });
 
 export const DDG_ASANA_WORKSPACEID = '137249556945';
@@ -0,0 +1,346 @@
+/**
+ * Autofixes for pixel definition files. Fixes are applied as edits to the source text, so that comments are preserved.
+ */
+import fs from 'fs';
+import JSON5 from 'json5';
+import path from 'path';
+import prettier from 'prettier';
+import { fileURLToPath } from 'url';
+
+import { escapePointerToken, parseJson5WithSourceMap } from './source_map_utils.mjs';
+
+/**
+ * @typedef {import('./source_map_utils.mjs').SourcePointer} SourcePointer
+ */
+
+/**
+ * @typedef {Object} FixOptions
+ * @property {Record<string, any>} commonParams - params_dictionary.json
+ * @property {Record<string, any>} commonSuffixes - suffixes_dictionary.json
+ * @property {boolean} [forceLowerCase] - whether the product's definitions are case insensitive
+ */
+
+/**
+ * @typedef {Object} TextEdit
+ * @property {number} start - offset of the first replaced character
+ * @property {number} end - offset right after the last replaced character
+ * @property {string} text - replacement text
+ */
+
+/**
+ * @typedef {Object} MemberSpan
+ * @property {string} name - member key
+ * @property {number} start - offset right after the previous member (or the opening brace), so that
+ * comments before the key belong to the member
+ * @property {number} valueEnd - offset right after the value
+ * @property {string} trailingComment - comment on the same line as the end of the value, if any
+ * @property {number} end - offset right after the member, including its comma and trailing comment
+ */
+
+const schemasPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'schemas');
+const pixelSchema = JSON5.parse(fs.readFileSync(path.join(schemasPath, 'pixel_schema.json5')).toString());
+// Pixel properties are kept in the order they are documented in the schema
+export const CANONICAL_PROPERTY_ORDER = Object.keys(pixelSchema.$defs.pixel.properties);
+const SUFFIX_VALUE_FIELDS = ['key', 'const', 'enum'];
+
+/**
+ * @param {any} value
+ * @returns {string} JSON with object keys sorted, so that equal values serialize identically
+ */
+function toCanonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(toCanonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        const members = Object.keys(value)
+            .sort()
+            .map((key) => `${JSON.stringify(key)}:${toCanonicalJson(value[key])}`);
+        return `{${members.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks whether JSON5 source text contains a comment outside of strings
+ * @param {string} text
+ * @returns {boolean}
+ */
+function containsComment(text) {
+    for (let pos = 0; pos < text.length; pos++) {
+        const char = text[pos];
+        if (char === '"' || char === "'") {
+            pos++;
+            while (pos < text.length && text[pos] !== char) {
+                pos += text[pos] === '\\' ? 2 : 1;
+            }
+        } else if (char === '/' && (text[pos + 1] === '/' || text[pos + 1] === '*')) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Finds the source spans of every member of an object
+ * @param {string} text - JSON5 source text
+ * @param {Record<string, SourcePointer>} pointers - source map of the text
+ * @param {string} objectPointer - JSON pointer to the object
+ * @param {object} object - parsed object
+ * @returns {{ members: MemberSpan[], tailStart: number, tailEnd: number }} members in source order, and the
+ * location of anything between the last member and the closing brace
+ */
+function getMemberSpans(text, pointers, objectPointer, object) {
+    const sourceMembers = Object.keys(object)
+        .map((name) => ({ name, pointer: pointers[`${objectPointer}/${escapePointerToken(name)}`] }))
+        .sort((first, second) => first.pointer.value.pos - second.pointer.value.pos);
+
+    /** @type {MemberSpan[]} */
+    const members = [];
+    let start = pointers[objectPointer].value.pos + 1; // {
+    for (const { name, pointer } of sourceMembers) {
+        const valueEnd = pointer.valueEnd.pos;
+        let pos = valueEnd;
+        const skipSpaces = () => {
+            while (text[pos] === ' ' || text[pos] === '\t') pos++;
+        };
+
+        skipSpaces();
+        if (text[pos] === ',') pos++;
+        let end = pos;
+        skipSpaces();
+
+        let trailingComment = '';
+        if (text.startsWith('//', pos)) {
+            const lineEnd = text.indexOf('\n', pos);
+            end = lineEnd === -1 ? text.length : lineEnd;
+            trailingComment = text.slice(pos, end).trimEnd();
+        } else if (text.startsWith('/*', pos)) {
+            const commentEnd = text.indexOf('*/', pos) + 2;
+            if (!text.slice(pos, commentEnd).includes('\n')) {
+                end = commentEnd;
+                trailingComment = text.slice(pos, end);
+            }
+        }
+
+        members.push({ name, start, valueEnd, trailingComment, end });
+        start = end;
+    }
+
+    return { members, tailStart: start, tailEnd: pointers[objectPointer].valueEnd.pos - 1 };
+}
+
+/**
+ * @param {string} text
+ * @param {TextEdit[]} edits - non-overlapping edits
+ * @returns {string} text with all edits applied
+ */
+export function applyEdits(text, edits) {
+    return [...edits]
+        .sort((first, second) => second.start - first.start)
+        .reduce((result, edit) => `${result.slice(0, edit.start)}${edit.text}${result.slice(edit.end)}`, text);
+}
+
+/**
+ * Finds the dictionary entry an inline param or suffix is identical to
+ * @param {any} item - inline param or suffix
+ * @param {Record<string, any>} dictionary - common params or suffixes
+ * @returns {?string} name of the matching entry
+ */
+function findMatchingShortcut(item, dictionary) {
+    if (!isPlainObject(item)) return null;
+
+    const itemJson = toCanonicalJson(item);
+    return Object.keys(dictionary).find((name) => toCanonicalJson(dictionary[name]) === itemJson) ?? null;
+}
+
+/**
+ * Lowercases the key, const and enum values of an inline suffix, including nested schemas
+ * @param {any} value - inline suffix or part of it
+ * @param {string} pointer - JSON pointer to the value
+ * @param {Record<string, SourcePointer>} pointers
+ * @returns {TextEdit[]} edits replacing string values that are not lowercase
+ */
+function getLowerCaseEdits(value, pointer, pointers) {
+    if (!value || typeof value !== 'object') return [];
+
+    /** @type {TextEdit[]} */
+    const edits = [];
+    const lowerCase = (str, strPointer) => {
+        if (typeof str !== 'string' || str === str.toLowerCase()) return;
+        const { value: start, valueEnd: end } = pointers[strPointer];
+        edits.push({ start: start.pos, end: end.pos, text: JSON.stringify(str.toLowerCase()) });
+    };
+
+    for (const [field, fieldValue] of Object.entries(value)) {
+        const fieldPointer = `${pointer}/${escapePointerToken(field)}`;
+        if (!Array.isArray(value) && SUFFIX_VALUE_FIELDS.includes(field)) {
+            if (Array.isArray(fieldValue)) {
+                fieldValue.forEach((val, idx) => lowerCase(val, `${fieldPointer}/${idx}`));
+            } else {
+                lowerCase(fieldValue, fieldPointer);
+            }
+        } else {
+            edits.push(...getLowerCaseEdits(fieldValue, fieldPointer, pointers));
+        }
+    }
+    return edits;
+}
+
+/**
+ * First pass: shortcuts, default triggers and lowercase suffix values, none of which overlap
+ * @param {string} text
+ * @param {FixOptions} options
+ * @param {string[]} fixes - collects descriptions of the applied fixes
+ * @returns {string} updated text
+ */
+function fixValues(text, { commonParams, commonSuffixes, forceLowerCase = false }, fixes) {
+    const { data, pointers } = parseJson5WithSourceMap(text);
+    /** @type {TextEdit[]} */
+    const edits = [];
+
+    for (const [pixelName, pixelDef] of Object.entries(data)) {
+        // Definitions that do not match the schema are left for validation to report
+        if (!isPlainObject(pixelDef)) continue;
+        const pixelPointer = `/${escapePointerToken(pixelName)}`;
+
+        const replaceWithShortcut = (item, itemPointer, dictionary, kind) => {
+            const shortcut = findMatchingShortcut(item, dictionary);
+            const { value: start, valueEnd: end } = pointers[itemPointer];
+            // Comments within the item would be lost
+            if (!shortcut || containsComment(text.slice(start.pos, end.pos))) return false;
+
+            edits.push({ start: start.pos, end: end.pos, text: JSON.stringify(shortcut) });
+            fixes.push(`${pixelName} --> replaced inline ${kind} with shortcut '${shortcut}'`);
+            return true;
+        };
+
+        const parameters = Array.isArray(pixelDef.parameters) ? pixelDef.parameters : [];
+        parameters.forEach((param, idx) => {
+            replaceWithShortcut(param, `${pixelPointer}/parameters/${idx}`, commonParams, 'parameter');
+        });
+
+        const suffixes = Array.isArray(pixelDef.suffixes) ? pixelDef.suffixes : [];
+        const suffixItems = suffixes.flatMap((item, idx) => {
+            const itemPointer = `${pixelPointer}/suffixes/${idx}`;
+            return Array.isArray(item)
+                ? item.map((nested, nestedIdx) => ({ suffix: nested, pointer: `${itemPointer}/${nestedIdx}` }))
+                : [{ suffix: item, pointer: itemPointer }];
+        });
+        let hasLowerCaseEdits = false;
+        suffixItems.forEach(({ suffix, pointer }) => {
+            if (replaceWithShortcut(suffix, pointer, commonSuffixes, 'suffix') || !forceLowerCase) return;
+
+            const lowerCaseEdits = getLowerCaseEdits(suffix, pointer, pointers);
+            edits.push(...lowerCaseEdits);
+            hasLowerCaseEdits = hasLowerCaseEdits || lowerCaseEdits.length > 0;
+        });
+        if (hasLowerCaseEdits) {
+            fixes.push(`${pixelName} --> lowercased suffix values`);
+        }
+
+        if (toCanonicalJson(pixelDef.triggers) === toCanonicalJson(['other'])) {
+            const { members } = getMemberSpans(text, pointers, pixelPointer, pixelDef);
+            const triggers = /** @type {MemberSpan} */ (members.find((member) => member.name === 'triggers'));
+            edits.push({ start: triggers.start, end: triggers.end, text: '' });
+            fixes.push(`${pixelName} --> removed default triggers`);
+        }
+    }
+
+    return applyEdits(text, edits);
+}
+
+/**
+ * Second pass: puts pixel properties in canonical order, moving comments along with the property they precede
+ * @param {string} text
+ * @param {string[]} fixes - collects descriptions of the applied fixes
+ * @returns {string} updated text
+ */
+function fixPropertyOrder(text, fixes) {
+    const { data, pointers } = parseJson5WithSourceMap(text);
+    /** @type {TextEdit[]} */
+    const edits = [];
+
+    for (const [pixelName, pixelDef] of Object.entries(data)) {
+        if (!isPlainObject(pixelDef)) continue;
+        const pixelPointer = `/${escapePointerToken(pixelName)}`;
+        const { members, tailStart, tailEnd } = getMemberSpans(text, pointers, pixelPointer, pixelDef);
+        const getRank = (member) => {
+            const rank = CANONICAL_PROPERTY_ORDER.indexOf(member.name);
+            return rank === -1 ? CANONICAL_PROPERTY_ORDER.length : rank;
+        };
+        const sorted = [...members].sort((first, second) => getRank(first) - getRank(second));
+        if (sorted.every((member, idx) => member === members[idx])) continue;
+
+        // Commas are added after every member, the formatter removes the trailing one
+        let body = '';
+        let endsWithLineComment = false;
+        const append = (chunk) => {
+            // A line comment must not swallow what follows it
+            if (endsWithLineComment && !/^[ \t]*\n/.test(chunk)) body += '\n';
+            body += chunk;
+        };
+        for (const member of sorted) {
+            append(`${text.slice(member.start, member.valueEnd)},${member.trailingComment ? ` ${member.trailingComment}` : ''}`);
+            endsWithLineComment = member.trailingComment.startsWith('//');
+        }
+        append(text.slice(tailStart, tailEnd));
+        edits.push({ start: members[0].start, end: tailEnd, text: body });
+        fixes.push(`${pixelName} --> reordered properties`);
+    }
+
+    return applyEdits(text, edits);
+}
+
+/**
+ * Applies autofixes to the source text of a pixel definitions file:
+ * - inline params and suffixes identical to a dictionary entry are replaced with a shortcut to it
+ * - default triggers (["other"]) are removed
+ * - suffix key, const and enum values are lowercased for case insensitive products
+ * - pixel properties are put in the order they are documented in the pixel schema
+ *
+ * @param {string} text - JSON5 source text of a pixel definitions file
+ * @param {FixOptions} options
+ * @returns {{ text: string, fixes: string[] }} fixed text (unformatted), and descriptions of the applied fixes
+ * @throws if the text is not valid JSON5
+ */
+export function fixPixelDefinitionsText(text, options) {
+    const { data, duplicateKeys } = parseJson5WithSourceMap(text);
+    // Member locations are ambiguous with duplicated keys, which validation reports anyway
+    if (!isPlainObject(data) || duplicateKeys.length) {
+        return { text, fixes: [] };
+    }
+
+    /** @type {string[]} */
+    const fixes = [];
+    const fixedText = fixPropertyOrder(fixValues(text, options, fixes), fixes);
+    return { text: fixedText, fixes };
+}
+
+/**
+ * Applies autofixes to a pixel definitions file in place, formatting it with the repo's prettier config
+ * @param {string} filePath - path to the pixel definitions file
+ * @param {FixOptions} options
+ * @returns {Promise<string[]>} descriptions of the applied fixes (empty if the file was left untouched)
+ */
+export async function fixPixelDefinitionsFile(filePath, options) {
+    const original = fs.readFileSync(filePath, 'utf8');
+    let result;
+    try {
+        result = fixPixelDefinitionsText(original, options);
+    } catch {
+        // Syntax errors are reported by validation
+        return [];
+    }
+    if (!result.fixes.length) return [];
+
+    const prettierConfig = (await prettier.resolveConfig(filePath)) ?? { singleQuote: true, printWidth: 140, tabWidth: 4 };
+    const formatted = await prettier.format(result.text, { ...prettierConfig, filepath: filePath, parser: 'json' });
+    fs.writeFileSync(filePath, formatted);
+    return result.fixes;
+}
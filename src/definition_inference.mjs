@@ -0,0 +1,335 @@
+/**
+ * Helper functions for inferring draft pixel definitions from live pixels that are not documented yet
+ */
+import prettier from 'prettier';
+
+import { PIXEL_DELIMITER } from './constants.mjs';
+import { ParamsValidator } from './params_validator.mjs';
+
+/**
+ * @typedef {Object} LivePixel
+ * @property {string} pixel - pixel name in "_" notation
+ * @property {string[]} params - params in "key=value" format
+ */
+
+/**
+ * @typedef {Object} DraftDefinition
+ * @property {string} name - inferred pixel prefix
+ * @property {object} def - draft definition, following schemas/pixel_schema.json5
+ * @property {string[]} examples - observed pixel names the definition was inferred from
+ */
+
+// Inferred prefixes are at least this many tokens long, so that e.g. platform prefixes like "m" are never suffixed
+const MIN_PREFIX_TOKENS = 2;
+
+// Positions and params with more distinct values than this are described by a pattern rather than an enum
+const MAX_ENUM_VALUES = 10;
+
+const MAX_EXAMPLES = 3;
+
+export const TODO_DESCRIPTION = 'TODO: describe';
+const TODO_OWNER = 'TODO';
+
+// Patterns tried in order on values that are not enums, the first one matching all observed values is used
+const VALUE_PATTERNS = Object.freeze(['^[0-9]+(\\.[0-9]+)+$', '^[0-9a-f]+$', '^[a-z]+$', '^[a-zA-Z0-9]+$', '^[a-zA-Z0-9-]+$']);
+
+/** PREFIXES */
+
+/**
+ * @typedef {Object} TrieNode
+ * @property {Map<string, TrieNode>} children
+ * @property {string[]} names - pixel names ending at this node
+ */
+
+/**
+ * @returns {TrieNode}
+ */
+function createNode() {
+    return { children: new Map(), names: [] };
+}
+
+/**
+ * @param {TrieNode} node
+ * @returns {string[]} all pixel names in the subtree
+ */
+function getSubtreeNames(node) {
+    return [...node.names, ...[...node.children.values()].flatMap(getSubtreeNames)];
+}
+
+/**
+ * @param {TrieNode} node
+ * @returns {Set<number>} numbers of tokens following the node in the pixel names of its subtree
+ */
+function getRemainingLengths(node) {
+    const lengths = new Set(node.names.length ? [0] : []);
+    node.children.forEach((child) => getRemainingLengths(child).forEach((length) => lengths.add(length + 1)));
+    return lengths;
+}
+
+/**
+ * Children look like values of a suffix when the pixel names continue in the same way after each of them,
+ * e.g. m_feature_phone_daily and m_feature_tablet_first
+ * @param {TrieNode} node
+ * @returns {boolean}
+ */
+function hasSuffixChildren(node) {
+    if (node.children.size < 2) return false;
+
+    const shapes = [...node.children.values()].map((child) => [...getRemainingLengths(child)].sort().join());
+    return shapes.every((shape) => shape === shapes[0]);
+}
+
+/**
+ * Groups pixel names by their likely prefix, i.e. the name of the definition that would match them
+ * @param {string[]} names - pixel names in "_" notation
+ * @returns {Map<string, string[][]>} suffix tokens of each pixel name, keyed by prefix
+ */
+export function groupByPrefix(names) {
+    const root = createNode();
+    names.forEach((name) => {
+        let node = root;
+        name.split(PIXEL_DELIMITER).forEach((token) => {
+            const child = node.children.get(token) ?? createNode();
+            node.children.set(token, child);
+            node = child;
+        });
+        node.names.push(name);
+    });
+
+    /** @type {Map<string, string[][]>} */
+    const groups = new Map();
+    const visit = (node, tokens) => {
+        // A name ending here is the prefix of every longer name, as suffixes are optional
+        if (node.names.length || (tokens.length >= MIN_PREFIX_TOKENS && hasSuffixChildren(node))) {
+            const prefix = tokens.join(PIXEL_DELIMITER);
+            const suffixes = getSubtreeNames(node).map((name) =>
+                name === prefix ? [] : name.slice(prefix.length + 1).split(PIXEL_DELIMITER),
+            );
+            groups.set(prefix, suffixes);
+            return;
+        }
+        node.children.forEach((child, token) => visit(child, [...tokens, token]));
+    };
+    visit(root, []);
+    return groups;
+}
+
+/** VALUES */
+
+/**
+ * Infers the schema of observed values
+ * @param {string[]} values - distinct values, as sent
+ * @returns {object} param or suffix schema, without a description
+ */
+export function inferValueSchema(values) {
+    const sortedValues = [...values].sort();
+    const getNumericExamples = () =>
+        values
+            .map(Number)
+            .sort((a, b) => a - b)
+            .slice(0, MAX_EXAMPLES);
+    if (values.every((value) => /^-?[0-9]+$/.test(value))) {
+        return { type: 'integer', examples: getNumericExamples() };
+    }
+    if (values.every((value) => /^-?[0-9]*\.[0-9]+$|^-?[0-9]+$/.test(value))) {
+        return { type: 'number', examples: getNumericExamples() };
+    }
+    if (values.every((value) => value === 'true' || value === 'false')) {
+        return { type: 'boolean' };
+    }
+    if (values.every((value) => /^[0-9]{4}-[0-9]{2}-[0-9]{2}$/.test(value))) {
+        return { type: 'string', format: 'date' };
+    }
+
+    const parsed = values.map((value) => {
+        try {
+            return JSON.parse(value);
+        } catch {
+            return undefined;
+        }
+    });
+    if (parsed.every((value) => Array.isArray(value))) {
+        const items = [...new Set(parsed.flat().map((item) => (typeof item === 'string' ? item : JSON.stringify(item))))];
+        return { type: 'array', items: items.length ? inferValueSchema(items) : { type: 'string' } };
+    }
+    if (parsed.every((value) => value !== null && typeof value === 'object')) {
+        return { type: 'object', properties: {}, examples: parsed.slice(0, 1) };
+    }
+
+    if (values.length <= MAX_ENUM_VALUES && values.every((value) => /^[a-zA-Z][a-zA-Z0-9-]*$/.test(value))) {
+        return { type: 'string', enum: sortedValues };
+    }
+    const pattern = VALUE_PATTERNS.find((valuePattern) => values.every((value) => new RegExp(valuePattern).test(value)));
+    return pattern
+        ? { type: 'string', pattern, examples: sortedValues.slice(0, MAX_EXAMPLES) }
+        : { type: 'string', examples: sortedValues.slice(0, MAX_EXAMPLES) };
+}
+
+/**
+ * @param {string} value - URL encoded value
+ * @returns {string} decoded value, or the value as is if it is not properly encoded
+ */
+function decodeValue(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+}
+
+/** DEFINITIONS */
+
+/**
+ * Infers definitions for undocumented pixels:
+ * names are grouped into likely prefixes and suffix positions, and params are collected from every observed pixel.
+ * Observed values become enums, patterns or typed values, reusing common params and suffixes whenever they accept all of them.
+ * Native experiment pixels are skipped, as they are defined in native_experiments.json.
+ *
+ * @param {LivePixel[]} livePixels - observed undocumented pixels
+ * @param {Record<string, any>} commonParams - params_dictionary.json
+ * @param {Record<string, any>} commonSuffixes - suffixes_dictionary.json
+ * @param {Record<string, any>} [ignoreParams] - params accepted on every pixel, which are left out of the drafts
+ * @returns {DraftDefinition[]} drafts sorted by pixel name
+ */
+export function inferPixelDefinitions(livePixels, commonParams, commonSuffixes, ignoreParams = {}) {
+    const paramsValidator = new ParamsValidator(commonParams, commonSuffixes, {});
+    const accepts = (schema, values) => {
+        const validate = paramsValidator.compileSuffixTokenSchema(schema);
+        return values.every((value) => validate(value));
+    };
+
+    /** @type {Map<string, Map<string, Set<string>>>} */
+    const paramsByPixel = new Map();
+    livePixels
+        .filter(({ pixel }) => !pixel.startsWith(`experiment${PIXEL_DELIMITER}`))
+        .forEach(({ pixel, params }) => {
+            const observed = paramsByPixel.get(pixel) ?? new Map();
+            params.forEach((param) => {
+                const [key, ...rest] = param.split('=');
+                if (!observed.has(key)) observed.set(key, new Set());
+                observed.get(key).add(decodeValue(rest.join('=')));
+            });
+            paramsByPixel.set(pixel, observed);
+        });
+
+    // Resolved once, as getUpdatedItem sets defaults on the dictionaries
+    const resolvedSuffixes = Object.keys(commonSuffixes).map((name) => [name, paramsValidator.getUpdatedItem(name, commonSuffixes)]);
+    const resolvedParams = Object.keys(commonParams).map((name) => [name, paramsValidator.getUpdatedItem(name, commonParams)]);
+    const ignoredParams = Object.values(ignoreParams).map((param) => paramsValidator.getUpdatedItem(JSON.parse(JSON.stringify(param)), {}));
+    const matchesKey = (param, key) => (param.keyPattern ? new RegExp(param.keyPattern).test(key) : param.key === key);
+
+    const inferSuffixes = (sequences) => {
+        const positions = [];
+        sequences.forEach((tokens) =>
+            tokens.forEach((token, idx) => {
+                positions[idx] = positions[idx] ?? new Set();
+                positions[idx].add(token);
+            }),
+        );
+
+        const suffixes = [];
+        for (let idx = 0; idx < positions.length; idx++) {
+            const values = [...positions[idx]];
+            const nextValues = positions[idx + 1] ? [...positions[idx + 1]] : null;
+
+            // Reuse common suffixes that accept every observed value, and have a static key if they need one
+            const shortcut = resolvedSuffixes.find(([, suffix]) => {
+                if (!suffix.enum && !suffix.pattern) return false;
+                if (suffix.key) return values.length === 1 && values[0] === suffix.key && nextValues && accepts(suffix, nextValues);
+                return accepts(suffix, values);
+            });
+            if (shortcut) {
+                suffixes.push(shortcut[0]);
+                idx += shortcut[1].key ? 1 : 0;
+                continue;
+            }
+
+            // A constant token followed by other ones is the static key of the next suffix
+            if (values.length === 1 && nextValues && !/^[0-9]+$/.test(values[0])) {
+                suffixes.push({ key: values[0], description: TODO_DESCRIPTION, ...inferValueSchema(nextValues) });
+                idx++;
+                continue;
+            }
+            suffixes.push({ description: TODO_DESCRIPTION, ...inferValueSchema(values) });
+        }
+        return suffixes;
+    };
+
+    const inferParameters = (pixelNames) => {
+        /** @type {Map<string, Set<string>>} */
+        const valuesByKey = new Map();
+        pixelNames.forEach((name) =>
+            paramsByPixel.get(name)?.forEach((values, key) => {
+                valuesByKey.set(key, new Set([...(valuesByKey.get(key) ?? []), ...values]));
+            }),
+        );
+
+        const parameters = [];
+        [...valuesByKey.keys()].sort().forEach((key) => {
+            const values = [...(valuesByKey.get(key) ?? [])];
+            if (ignoredParams.some((param) => matchesKey(param, key))) return;
+
+            const shortcut = resolvedParams.find(([, param]) => matchesKey(param, key) && accepts(param, values));
+            if (shortcut) {
+                if (!parameters.includes(shortcut[0])) parameters.push(shortcut[0]);
+                return;
+            }
+            parameters.push({ key, description: TODO_DESCRIPTION, ...inferValueSchema(values) });
+        });
+        return parameters;
+    };
+
+    /** @type {DraftDefinition[]} */
+    const drafts = [];
+    groupByPrefix([...paramsByPixel.keys()]).forEach((groupSequences, groupName) => {
+        const pixelNames = groupSequences.map((tokens) => [groupName, ...tokens].join(PIXEL_DELIMITER));
+        let name = groupName;
+        let sequences = groupSequences;
+
+        // When all pixels use the same common suffix, its static key ends up in the prefix: move it back to the suffixes
+        const prefixTokens = groupName.split(PIXEL_DELIMITER);
+        const lastToken = prefixTokens[prefixTokens.length - 1];
+        const keyedSuffix = resolvedSuffixes.find(
+            ([, suffix]) =>
+                suffix.key === lastToken &&
+                prefixTokens.length > MIN_PREFIX_TOKENS &&
+                sequences.every((tokens) => tokens.length) &&
+                accepts(
+                    suffix,
+                    sequences.map((tokens) => tokens[0]),
+                ),
+        );
+        if (keyedSuffix) {
+            name = prefixTokens.slice(0, -1).join(PIXEL_DELIMITER);
+            sequences = sequences.map((tokens) => [lastToken, ...tokens]);
+        }
+
+        const def = { description: TODO_DESCRIPTION, owners: [TODO_OWNER], triggers: ['other'] };
+        const suffixes = inferSuffixes(sequences);
+        if (suffixes.length) def.suffixes = suffixes;
+        const parameters = inferParameters(pixelNames);
+        if (parameters.length) def.parameters = parameters;
+
+        drafts.push({ name, def, examples: pixelNames.sort() });
+    });
+    return drafts.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Renders draft definitions as a JSON5 definitions file, with a comment listing the pixels each one was inferred from
+ * @param {DraftDefinition[]} drafts
+ * @returns {Promise<string>} formatted file contents
+ */
+export async function formatDraftDefinitions(drafts) {
+    const entries = drafts.map(({ name, def, examples }) => {
+        const shownExamples = examples.slice(0, MAX_EXAMPLES).join(', ');
+        const more = examples.length > MAX_EXAMPLES ? ` and ${examples.length - MAX_EXAMPLES} more` : '';
+        return `// Inferred from ${shownExamples}${more}\n${JSON.stringify(name)}: ${JSON.stringify(def)}`;
+    });
+    return prettier.format(`{\n${entries.join(',\n')}\n}`, {
+        singleQuote: true,
+        printWidth: 140,
+        tabWidth: 4,
+        parser: 'json',
+    });
+}
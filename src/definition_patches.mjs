@@ -0,0 +1,603 @@
+/**
+ * Suggests edits to pixel definitions from live validation errors, for definitions that are stale rather than clients that are wrong:
+ * values missing from enums, params that are not defined yet and extra suffixes.
+ */
+import fs from 'fs';
+import path from 'path';
+import prettier from 'prettier';
+
+import { readPixelDefinitions } from './definitions_loader.mjs';
+import { applyEdits, CANONICAL_PROPERTY_ORDER } from './definition_fixer.mjs';
+import { inferValueSchema, TODO_DESCRIPTION } from './definition_inference.mjs';
+import * as fileUtils from './file_utils.mjs';
+import { ParamsValidator } from './params_validator.mjs';
+import { escapePointerToken, getValueAtPointer, parseJson5WithSourceMap, unescapePointerToken } from './source_map_utils.mjs';
+
+/**
+ * @typedef {import('./definition_fixer.mjs').TextEdit} TextEdit
+ * @typedef {import('./live_pixel_validator.mjs').PixelError} PixelError
+ * @typedef {import('./live_pixel_validator.mjs').SchemaErrorDetails} SchemaErrorDetails
+ * @typedef {import('./source_map_utils.mjs').SourcePointer} SourcePointer
+ * @typedef {import('./types.mjs').PixelDefinition} PixelDefinition
+ * @typedef {import('./types.mjs').ProductDefinition} ProductDefinition
+ */
+
+/**
+ * @typedef {Object} PatchSuggestion
+ * @property {'enumValue'|'param'|'suffix'} type - a value to add to an enum, a new param, or a new suffix at the end of a suffix sequence
+ * @property {string} file - definitions or dictionary file to edit
+ * @property {string} pointer - JSON pointer to the edited array: an enum, or a suffix sequence (for new suffixes of pixels without suffixes, where the sequence would be)
+ * @property {string} pixelName - definition the errors were reported for
+ * @property {string} description - summary of the suggested edit
+ * @property {Set<string>} values - observed values
+ * @property {number} occurrences - live pixels backing the suggestion
+ * @property {string} [key] - key of a new param
+ * @property {number} [position] - index of a new suffix among the suffixes added to its sequence
+ */
+
+/**
+ * @typedef {Omit<PatchSuggestion, 'values'|'occurrences'> & { value: any }} ObservedSuggestion - suggestion backed by a single live pixel
+ */
+
+/**
+ * @typedef {Object} SourceText
+ * @property {string} text
+ * @property {any} data
+ * @property {Record<string, SourcePointer>} pointers
+ */
+
+/**
+ * @typedef {Object} ItemSource - where a param or suffix is defined
+ * @property {string} file
+ * @property {string} pointer - JSON pointer to the param or suffix within the file
+ * @property {string} label - how to refer to the param or suffix in descriptions
+ */
+
+const DIFF_CONTEXT_LINES = 3;
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @param {PatchSuggestion[]} suggestions
+ * @returns {Map<string, PatchSuggestion[]>} suggestions keyed by the array they edit
+ */
+function groupByPointer(suggestions) {
+    const groups = new Map();
+    suggestions.forEach((suggestion) => groups.set(suggestion.pointer, [...(groups.get(suggestion.pointer) ?? []), suggestion]));
+    return groups;
+}
+
+/**
+ * @param {string} text
+ * @returns {string[]} lines, including their line terminator
+ */
+function splitLines(text) {
+    return text.match(/[^\n]*\n|[^\n]+$/g) ?? [];
+}
+
+/**
+ * Finds the shortest edit script between two lists of lines (Myers' algorithm)
+ * @param {string[]} oldLines
+ * @param {string[]} newLines
+ * @returns {{ op: ' '|'-'|'+', line: string }[]} unchanged, removed and added lines in order
+ */
+function diffLines(oldLines, newLines) {
+    const max = oldLines.length + newLines.length;
+    // Furthest reaching x for each diagonal k = x - y, offset by max
+    const furthest = new Array(2 * max + 2).fill(0);
+    const trace = [];
+    let done = false;
+    for (let d = 0; d <= max && !done; d++) {
+        trace.push([...furthest]);
+        for (let k = -d; k <= d && !done; k += 2) {
+            const moveDown = k === -d || (k !== d && furthest[max + k - 1] < furthest[max + k + 1]);
+            let x = moveDown ? furthest[max + k + 1] : furthest[max + k - 1] + 1;
+            let y = x - k;
+            while (x < oldLines.length && y < newLines.length && oldLines[x] === newLines[y]) {
+                x++;
+                y++;
+            }
+            furthest[max + k] = x;
+            done = x >= oldLines.length && y >= newLines.length;
+        }
+    }
+
+    const ops = [];
+    let x = oldLines.length;
+    let y = newLines.length;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const previous = trace[d];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && previous[max + k - 1] < previous[max + k + 1]) ? k + 1 : k - 1;
+        const prevX = previous[max + prevK];
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            ops.push({ op: ' ', line: oldLines[--x] });
+            y--;
+        }
+        if (d > 0) {
+            ops.push(x === prevX ? { op: '+', line: newLines[--y] } : { op: '-', line: oldLines[--x] });
+        }
+    }
+    return /** @type {{ op: ' '|'-'|'+', line: string }[]} */ (ops.reverse());
+}
+
+/**
+ * Builds a unified diff of two versions of a file
+ * @param {string} filePath - path shown in the diff headers
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {string} unified diff, empty if the texts are identical
+ */
+export function createUnifiedDiff(filePath, oldText, newText) {
+    const ops = diffLines(splitLines(oldText), splitLines(newText));
+    const changes = ops.flatMap(({ op }, idx) => (op === ' ' ? [] : [idx]));
+    if (!changes.length) return '';
+
+    // Changes closer than twice the context share a hunk
+    const ranges = [];
+    changes.forEach((idx) => {
+        const last = ranges[ranges.length - 1];
+        if (last && idx - last.end <= 2 * DIFF_CONTEXT_LINES) {
+            last.end = idx;
+        } else {
+            ranges.push({ start: idx, end: idx });
+        }
+    });
+
+    let output = `--- a/${filePath}\n+++ b/${filePath}\n`;
+    ranges.forEach(({ start, end }) => {
+        const from = Math.max(0, start - DIFF_CONTEXT_LINES);
+        const to = Math.min(ops.length - 1, end + DIFF_CONTEXT_LINES);
+        const before = ops.slice(0, from);
+        const hunk = ops.slice(from, to + 1);
+        const oldBefore = before.filter(({ op }) => op !== '+').length;
+        const newBefore = before.filter(({ op }) => op !== '-').length;
+        const oldLength = hunk.filter(({ op }) => op !== '+').length;
+        const newLength = hunk.filter(({ op }) => op !== '-').length;
+        const oldStart = oldLength ? oldBefore + 1 : oldBefore;
+        const newStart = newLength ? newBefore + 1 : newBefore;
+
+        output += `@@ -${oldStart},${oldLength} +${newStart},${newLength} @@\n`;
+        hunk.forEach(({ op, line }) => {
+            output += line.endsWith('\n') ? `${op}${line}` : `${op}${line}\n\\ No newline at end of file\n`;
+        });
+    });
+    return output;
+}
+
+/**
+ * Collects live validation errors that stale definitions would explain, and turns them into a patch of the definition files.
+ * Supported errors:
+ * - values that are not in the enum of a param, a suffix, or a common param or suffix
+ * - params that the definition does not list
+ * - extra pixel name tokens following the suffixes of a definition
+ */
+export class DefinitionPatchSuggester {
+    #mainDir;
+    #forceLowerCase;
+    #definitions;
+    #definitionNames = new Map();
+    #commonParams;
+    #commonSuffixes;
+    #commonParamsFile;
+    #commonSuffixesFile;
+    #paramsValidator;
+
+    /** @type {Map<string, SourceText>} */
+    #sources = new Map();
+    /** @type {Map<string, PatchSuggestion>} */
+    #suggestions = new Map();
+
+    /**
+     * @param {string} mainDir - path to the directory containing the pixels folder
+     * @param {ProductDefinition} productDef
+     */
+    constructor(mainDir, productDef) {
+        const { pixelsConfigDir } = fileUtils.resolvePixelsDirs(mainDir);
+        this.#mainDir = mainDir;
+        this.#forceLowerCase = !!productDef.forceLowerCase;
+        this.#definitions = readPixelDefinitions(mainDir);
+        Object.keys(this.#definitions).forEach((name) => this.#definitionNames.set(this.#normalize(name), name));
+
+        this.#commonParams = fileUtils.readCommonParams(pixelsConfigDir);
+        this.#commonSuffixes = fileUtils.readCommonSuffixes(pixelsConfigDir);
+        this.#commonParamsFile = fileUtils.getCommonParamsPath(pixelsConfigDir);
+        this.#commonSuffixesFile = fileUtils.getCommonSuffixesPath(pixelsConfigDir);
+        this.#paramsValidator = new ParamsValidator(this.#commonParams, this.#commonSuffixes, {});
+    }
+
+    /**
+     * @param {string} value
+     * @returns {string} value as live validation compares it
+     */
+    #normalize(value) {
+        return this.#forceLowerCase ? value.toLowerCase() : value;
+    }
+
+    /**
+     * @param {string} file
+     * @returns {SourceText} parsed file, read once
+     */
+    #getSource(file) {
+        let source = this.#sources.get(file);
+        if (!source) {
+            const text = fs.readFileSync(file, 'utf8');
+            source = { text, ...parseJson5WithSourceMap(text) };
+            this.#sources.set(file, source);
+        }
+        return source;
+    }
+
+    /**
+     * @param {string} file
+     * @param {string} pointer
+     * @returns {boolean} whether the pointer refers to an array in the source file
+     */
+    #isSourceArray(file, pointer) {
+        return Array.isArray(getValueAtPointer(this.#getSource(file).data, pointer));
+    }
+
+    /**
+     * @param {PixelDefinition[]|Object[]|undefined} parameters
+     * @param {string} pixelName
+     * @param {string} file
+     * @param {string} key - normalized param key
+     * @returns {?ItemSource} where the param matching the key is defined
+     */
+    #findParamSource(parameters, pixelName, file, key) {
+        const params = Array.isArray(parameters) ? parameters : [];
+        for (const [idx, param] of params.entries()) {
+            const resolved = typeof param === 'string' ? this.#commonParams[param] : param;
+            if (!isPlainObject(resolved)) continue;
+
+            const matches = resolved.keyPattern
+                ? new RegExp(this.#normalize(resolved.keyPattern)).test(key)
+                : this.#normalize(resolved.key) === key;
+            if (!matches) continue;
+            return typeof param === 'string'
+                ? { file: this.#commonParamsFile, pointer: `/${escapePointerToken(param)}`, label: `common param '${param}'` }
+                : { file, pointer: `/${escapePointerToken(pixelName)}/parameters/${idx}`, label: `${pixelName} param '${key}'` };
+        }
+        return null;
+    }
+
+    /**
+     * @param {any[]} sequence - suffixes of a single sequence, possibly with shortcuts
+     * @param {string} pixelName
+     * @param {string} file
+     * @param {string} sequencePointer
+     * @returns {(?ItemSource)[]} where the suffix of each pixel name token is defined (null for static keys)
+     */
+    #getTokenSources(sequence, pixelName, file, sequencePointer) {
+        /** @type {(?ItemSource)[]} */
+        const tokens = [];
+        sequence.forEach((suffix, idx) => {
+            const resolved = typeof suffix === 'string' ? this.#commonSuffixes[suffix] : suffix;
+            if (isPlainObject(resolved) && resolved.key) tokens.push(null);
+            tokens.push(
+                typeof suffix === 'string'
+                    ? { file: this.#commonSuffixesFile, pointer: `/${escapePointerToken(suffix)}`, label: `common suffix '${suffix}'` }
+                    : { file, pointer: `${sequencePointer}/${idx}`, label: `${pixelName} suffix ${tokens.length + 1}` },
+            );
+        });
+        return tokens;
+    }
+
+    /**
+     * @param {PixelError[]} errors - params errors of a single live pixel
+     * @param {string} pixelName
+     * @param {{ def: PixelDefinition, file: string }} definition
+     * @returns {ObservedSuggestion[]} suggestions explaining the errors
+     */
+    #getParamSuggestions(errors, pixelName, { def, file }) {
+        /** @type {ObservedSuggestion[]} */
+        const suggestions = [];
+        errors.forEach(({ details }) => {
+            const { ajvError, value } = /** @type {SchemaErrorDetails} */ (details);
+            if (ajvError.keyword === 'additionalProperties' && !ajvError.instancePath) {
+                const key = ajvError.params.additionalProperty;
+                const pointer = `/${escapePointerToken(pixelName)}/parameters`;
+                suggestions.push({ type: 'param', file, pointer, pixelName, description: `${pixelName}: add param '${key}'`, key, value });
+                return;
+            }
+            if (ajvError.keyword !== 'enum' || (typeof value !== 'string' && typeof value !== 'number')) return;
+
+            // e.g. #/properties/colors/items/enum or #/patternProperties/%5Eud%5B0-9%5D%24/enum
+            const [, , , ...schemaPath] = ajvError.schemaPath.split('/');
+            const key = unescapePointerToken(ajvError.instancePath.split('/')[1]);
+            const source = this.#findParamSource(def.parameters, pixelName, file, key);
+            const pointer = source && [source.pointer, ...schemaPath].join('/');
+            if (!source || !pointer || !this.#isSourceArray(source.file, pointer)) return;
+            suggestions.push({
+                type: 'enumValue',
+                file: source.file,
+                pointer,
+                pixelName,
+                description: `${source.label}: allow '${value}'`,
+                value,
+            });
+        });
+        return suggestions;
+    }
+
+    /**
+     * @param {PixelError[]} errors - suffix errors of a single live pixel
+     * @param {string} pixelName
+     * @param {string} file
+     * @param {any[]} sequence - suffixes of the alternative, possibly with shortcuts
+     * @param {?number} alternative - index of the alternative, null for flat suffixes
+     * @returns {?ObservedSuggestion[]} suggestions explaining the errors of the alternative, null if some cannot be explained
+     */
+    #getAlternativeSuggestions(errors, pixelName, file, sequence, alternative) {
+        const suffixesPointer = `/${escapePointerToken(pixelName)}/suffixes`;
+        const sequencePointer = alternative === null ? suffixesPointer : `${suffixesPointer}/${alternative}`;
+        const tokens = this.#getTokenSources(sequence, pixelName, file, sequencePointer);
+
+        /** @type {ObservedSuggestion[]} */
+        const suggestions = [];
+        for (const { details } of errors) {
+            const { ajvError, value } = /** @type {SchemaErrorDetails} */ (details);
+            // e.g. #/anyOf/1/properties/0/enum for nested suffixes, #/properties/0/enum otherwise
+            const schemaPath = ajvError.schemaPath.split('/').slice(1);
+            if (alternative !== null) {
+                // Errors of other alternatives, and the anyOf error itself
+                if (schemaPath[0] !== 'anyOf' || Number(schemaPath[1]) !== alternative || schemaPath.length < 3) continue;
+                schemaPath.splice(0, 2);
+            }
+
+            if (ajvError.keyword === 'additionalProperties') {
+                const position = Number(ajvError.params.additionalProperty) - tokens.length;
+                const target = alternative === null ? '' : ` to alternative ${alternative + 1}`;
+                const description = `${pixelName}: add suffix ${tokens.length + position + 1}${target}`;
+                suggestions.push({ type: 'suffix', file, pointer: sequencePointer, pixelName, description, position, value });
+                continue;
+            }
+
+            const source = ajvError.keyword === 'enum' && schemaPath[0] === 'properties' ? tokens[Number(schemaPath[1])] : null;
+            const pointer = source && [source.pointer, ...schemaPath.slice(2)].join('/');
+            if (!source || !pointer || !this.#isSourceArray(source.file, pointer)) return null;
+            suggestions.push({
+                type: 'enumValue',
+                file: source.file,
+                pointer,
+                pixelName,
+                description: `${source.label}: allow '${value}'`,
+                value,
+            });
+        }
+        return suggestions;
+    }
+
+    /**
+     * Suffix errors are reported for every alternative sequence: suggestions explain the errors of a single one,
+     * the one needing the fewest edits
+     * @param {PixelError[]} errors - suffix errors of a single live pixel
+     * @param {string} pixelName
+     * @param {{ def: PixelDefinition, file: string }} definition
+     * @returns {ObservedSuggestion[]} suggestions explaining the errors
+     */
+    #getSuffixSuggestions(errors, pixelName, { def, file }) {
+        // Either a single sequence or a list of alternative sequences
+        const suffixes = /** @type {any[]} */ (Array.isArray(def.suffixes) ? def.suffixes : []);
+        if (!suffixes.some(Array.isArray)) {
+            return this.#getAlternativeSuggestions(errors, pixelName, file, suffixes, null) ?? [];
+        }
+
+        /** @type {?ObservedSuggestion[]} */
+        let best = null;
+        suffixes.forEach((sequence, alternative) => {
+            const suggestions = this.#getAlternativeSuggestions(errors, pixelName, file, sequence, alternative);
+            if (suggestions?.length && (!best || suggestions.length < best.length)) best = suggestions;
+        });
+        return best ?? [];
+    }
+
+    /**
+     * Collects suggestions from the result of validating a live pixel
+     * @param {{ prefixForErrors: ?string, errors: PixelError[] }} result - result of LivePixelsValidator.validatePixel
+     */
+    addResult({ prefixForErrors, errors }) {
+        const pixelName = prefixForErrors && this.#definitionNames.get(this.#normalize(prefixForErrors));
+        // Native experiments are not defined in definition files
+        if (!pixelName) return;
+
+        const definition = this.#definitions[pixelName];
+        const paramErrors = errors.filter(({ details }) => details?.target === 'params');
+        const suffixErrors = errors.filter(({ details }) => details?.target === 'suffixes');
+        const suggestions = [
+            ...this.#getParamSuggestions(paramErrors, pixelName, definition),
+            ...(suffixErrors.length ? this.#getSuffixSuggestions(suffixErrors, pixelName, definition) : []),
+        ];
+
+        // A live pixel backs each suggestion once, e.g. when an array param has the same unexpected value twice
+        const seen = new Set();
+        suggestions.forEach(({ value, ...suggestion }) => {
+            const { type, file, pointer, key, position } = suggestion;
+            const id = JSON.stringify([type, file, pointer, key, position, type === 'enumValue' ? String(value) : null]);
+            if (seen.has(id)) return;
+            seen.add(id);
+
+            const existing = this.#suggestions.get(id) ?? { ...suggestion, values: new Set(), occurrences: 0 };
+            existing.values.add(String(value));
+            existing.occurrences++;
+            this.#suggestions.set(id, existing);
+        });
+    }
+
+    /**
+     * @returns {PatchSuggestion[]} collected suggestions, most frequent first
+     */
+    getSuggestions() {
+        return [...this.#suggestions.values()].sort(
+            (first, second) => second.occurrences - first.occurrences || first.description.localeCompare(second.description),
+        );
+    }
+
+    /**
+     * @param {string[]} values
+     * @param {Record<string, any>} dictionary - common params or suffixes
+     * @param {(item: any) => boolean} canReuse - whether a dictionary entry describes the same param or suffix
+     * @returns {?string} shortcut to a dictionary entry accepting every value
+     */
+    #findShortcut(values, dictionary, canReuse) {
+        return (
+            Object.keys(dictionary).find((name) => {
+                const item = this.#paramsValidator.getUpdatedItem(name, dictionary);
+                if (!canReuse(item)) return false;
+                const validate = this.#paramsValidator.compileSuffixTokenSchema(item);
+                return values.every((value) => validate(value));
+            }) ?? null
+        );
+    }
+
+    /**
+     * @param {PatchSuggestion} suggestion
+     * @returns {string|object} new param or suffix, a shortcut when a dictionary entry accepts every observed value
+     */
+    #getNewItem({ type, key, values }) {
+        const observed = [...values];
+        if (type === 'param') {
+            const shortcut = this.#findShortcut(observed, this.#commonParams, (param) => param.key === key);
+            return shortcut ?? { key, description: TODO_DESCRIPTION, ...inferValueSchema(observed) };
+        }
+        const shortcut = this.#findShortcut(observed, this.#commonSuffixes, (suffix) => !suffix.key && (suffix.enum || suffix.pattern));
+        return shortcut ?? { description: TODO_DESCRIPTION, ...inferValueSchema(observed) };
+    }
+
+    /**
+     * @param {SourceText} source
+     * @param {string} pointer - JSON pointer to an array
+     * @param {string[]} items - JSON of the items to append
+     * @returns {TextEdit}
+     */
+    #getAppendEdit({ data, pointers }, pointer, items) {
+        const array = getValueAtPointer(data, pointer);
+        if (array.length) {
+            // After the last item, so that trailing commas and comments stay in place
+            const pos = pointers[`${pointer}/${array.length - 1}`].valueEnd.pos;
+            return { start: pos, end: pos, text: `, ${items.join(', ')}` };
+        }
+        const pos = pointers[pointer].value.pos + 1; // [
+        return { start: pos, end: pos, text: items.join(', ') };
+    }
+
+    /**
+     * @param {SourceText} source
+     * @param {string} pixelPointer
+     * @param {string} property
+     * @param {any} value
+     * @returns {TextEdit} edit adding the property where it belongs in the canonical property order
+     */
+    #getAddPropertyEdit({ data, pointers }, pixelPointer, property, value) {
+        const rank = CANONICAL_PROPERTY_ORDER.indexOf(property);
+        const names = Object.keys(getValueAtPointer(data, pixelPointer));
+        const getMember = (name) => pointers[`${pixelPointer}/${escapePointerToken(name)}`];
+        // Object members always have a key
+        const getKeyPos = (pointer) => /** @type {{ pos: number }} */ (pointer.key).pos;
+        const member = `${JSON.stringify(property)}: ${JSON.stringify(value)}`;
+
+        const next = names
+            .filter((name) => CANONICAL_PROPERTY_ORDER.indexOf(name) > rank)
+            .map(getMember)
+            .sort((first, second) => getKeyPos(first) - getKeyPos(second))[0];
+        if (next) {
+            return { start: getKeyPos(next), end: getKeyPos(next), text: `${member}, ` };
+        }
+        const pos = Math.max(...names.map((name) => getMember(name).valueEnd.pos));
+        return { start: pos, end: pos, text: `, ${member}` };
+    }
+
+    /**
+     * @param {string} file
+     * @param {PatchSuggestion[]} suggestions - suggestions for the file
+     * @returns {string} updated file text
+     */
+    #applySuggestions(file, suggestions) {
+        const original = this.#getSource(file);
+
+        // Enum values first, then new params and suffixes on the updated text, so that edits never overlap
+        const enumEdits = [];
+        const byEnum = groupByPointer(suggestions.filter(({ type }) => type === 'enumValue'));
+        byEnum.forEach((enumSuggestions, pointer) => {
+            const current = getValueAtPointer(original.data, pointer);
+            const isNumeric = current.length > 0 && current.every((value) => typeof value === 'number');
+            const values = enumSuggestions
+                .map(({ values: [value] }) => (isNumeric && !Number.isNaN(Number(value)) ? Number(value) : value))
+                .filter((value) => !current.includes(value));
+            if (values.length)
+                enumEdits.push(
+                    this.#getAppendEdit(
+                        original,
+                        pointer,
+                        values.map((value) => JSON.stringify(value)),
+                    ),
+                );
+        });
+        const text = applyEdits(original.text, enumEdits);
+
+        const source = { text, ...parseJson5WithSourceMap(text) };
+        const structureEdits = [];
+        const byArray = groupByPointer(suggestions.filter(({ type }) => type !== 'enumValue'));
+        byArray.forEach((arraySuggestions, pointer) => {
+            const items = [...arraySuggestions]
+                .sort(
+                    (first, second) =>
+                        (first.position ?? 0) - (second.position ?? 0) || String(first.key).localeCompare(String(second.key)),
+                )
+                .map((suggestion) => this.#getNewItem(suggestion));
+            if (Array.isArray(getValueAtPointer(source.data, pointer))) {
+                structureEdits.push(
+                    this.#getAppendEdit(
+                        source,
+                        pointer,
+                        items.map((item) => JSON.stringify(item)),
+                    ),
+                );
+                return;
+            }
+            const pixelPointer = `/${escapePointerToken(arraySuggestions[0].pixelName)}`;
+            structureEdits.push(
+                this.#getAddPropertyEdit(source, pixelPointer, arraySuggestions[0].type === 'param' ? 'parameters' : 'suffixes', items),
+            );
+        });
+        return applyEdits(text, structureEdits);
+    }
+
+    /**
+     * Builds a patch of the definition and dictionary files applying every suggestion.
+     * Each file's diff is preceded by a summary of its suggestions and the number of live pixels backing each one.
+     * Files formatted with prettier stay formatted.
+     * @returns {Promise<string>} patch, to apply from the main directory (e.g. with `patch -p1`), empty without suggestions
+     */
+    async buildPatch() {
+        const suggestions = this.getSuggestions();
+        const files = [...new Set(suggestions.map(({ file }) => file))].sort();
+
+        const patches = [];
+        for (const file of files) {
+            const fileSuggestions = suggestions.filter((suggestion) => suggestion.file === file);
+            const original = this.#getSource(file).text;
+            let updated = this.#applySuggestions(file, fileSuggestions);
+
+            const prettierConfig = (await prettier.resolveConfig(file)) ?? { singleQuote: true, printWidth: 140, tabWidth: 4 };
+            const prettierOptions = { ...prettierConfig, filepath: file, parser: 'json' };
+            if (await prettier.check(original, prettierOptions)) {
+                updated = await prettier.format(updated, prettierOptions);
+            }
+
+            const relativePath = path.relative(this.#mainDir, file).split(path.sep).join('/');
+            const summary = fileSuggestions.map(
+                ({ description, occurrences }) => `# ${description} (${occurrences} live pixel${occurrences === 1 ? '' : 's'})\n`,
+            );
+            patches.push(`${summary.join('')}${createUnifiedDiff(relativePath, original, updated)}`);
+        }
+        return patches.join('');
+    }
+}
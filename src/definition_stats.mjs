@@ -0,0 +1,234 @@
+/**
+ * Helper functions for summarising a definitions tree: who owns which pixels, and which pixels need attention
+ */
+import { PIXEL_DELIMITER } from './constants.mjs';
+import { loadResolvedDefinitions, readPixelDefinitions } from './definitions_loader.mjs';
+import * as fileUtils from './file_utils.mjs';
+import { getDaysUntilExpiry } from './pixel_utils.mjs';
+import { acceptsAnyString } from './privacy_rules.mjs';
+
+/**
+ * @typedef {Object} NamedCount
+ * @property {string} name
+ * @property {number} count
+ */
+
+/**
+ * @typedef {Object} DefinitionStats
+ * @property {{ pixels: number, definitionFiles: number, experiments: number }} summary
+ * @property {NamedCount[]} owners - number of pixels per owner
+ * @property {NamedCount[]} triggers - number of pixels per trigger
+ * @property {NamedCount[]} prefixes - number of pixels per top-level prefix of their name
+ * @property {string[]} missingPrivacyReview - pixels without a privacyReview link
+ * @property {Array<{ name: string, expires: string, daysUntilExpiry: number }>} expiringPixels - pixels expired or expiring soon
+ * @property {Array<{ name: string, params: string[] }>} freeFormParams - pixels with params that accept any string
+ * @property {Array<{ name: string, names: ?number }>} suffixFanOut - number of concrete names per pixel, null if unbounded
+ * @property {{ params: NamedCount[], suffixes: NamedCount[] }} dictionaryUsage - number of pixels referencing each dictionary entry
+ * @property {Array<{ name: string, cohorts: number, metrics: number }>} experiments - native experiments
+ */
+
+/**
+ * @typedef {Object} StatsOptions
+ * @property {number} expiryWarningDays - pixels expiring within this many days are listed
+ * @property {number} [prefixDepth] - number of name tokens that make up the top-level prefix (default: 1)
+ * @property {Date} [currentDate] - date to compute expiry against, defaults to now
+ */
+
+export const STATS_FORMATS = ['text', 'json'];
+
+// Only the pixels with the most concrete names are listed in text output
+const MAX_TEXT_FAN_OUT_ENTRIES = 10;
+
+/**
+ * @param {Map<string, number>} counts
+ * @returns {NamedCount[]} counts sorted from most to least common, then by name
+ */
+function sortCounts(counts) {
+    return Array.from(counts, ([name, count]) => ({ name, count })).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * @param {Map<string, number>} counts
+ * @param {string} name
+ */
+function increment(counts, name) {
+    counts.set(name, (counts.get(name) ?? 0) + 1);
+}
+
+/**
+ * @param {object} token - schema of a pixel name token
+ * @returns {?number} number of values the token accepts, null if unbounded
+ */
+function countTokenValues(token) {
+    if (token.const !== undefined) return 1;
+    if (token.enum) return token.enum.length;
+    if (token.type === 'boolean') return 2;
+    return null;
+}
+
+/**
+ * @param {object[][]} suffixes - schemas of the pixel name tokens for each alternative suffix sequence
+ * @returns {?number} number of concrete pixel names the sequences produce, null if unbounded
+ */
+function countPixelNames(suffixes) {
+    if (!suffixes.length) return 1;
+
+    let total = 0;
+    for (const tokens of suffixes) {
+        let names = 1;
+        for (const token of tokens) {
+            const values = countTokenValues(token);
+            if (values === null) return null;
+            names *= values;
+        }
+        total += names;
+    }
+    return total;
+}
+
+/**
+ * @param {object[]} items - parameters or suffixes of a raw pixel definition, possibly nested
+ * @returns {string[]} shortcuts the items reference
+ */
+function getShortcuts(items) {
+    return items.flatMap((item) => {
+        if (Array.isArray(item)) return getShortcuts(item);
+        return typeof item === 'string' ? [item] : [];
+    });
+}
+
+/**
+ * Collects statistics about a definitions tree. Definitions are expected to be valid (see validate-ddg-pixel-defs).
+ * @param {string} mainDir - path to the directory containing the pixels folder
+ * @param {StatsOptions} options
+ * @returns {DefinitionStats}
+ * @throws if any definition cannot be resolved
+ */
+export function buildDefinitionStats(mainDir, { expiryWarningDays, prefixDepth = 1, currentDate = new Date() }) {
+    const { pixels } = loadResolvedDefinitions(mainDir);
+    const { pixelsConfigDir } = fileUtils.resolvePixelsDirs(mainDir);
+    const pixelEntries = Object.entries(pixels).sort(([a], [b]) => a.localeCompare(b));
+
+    const owners = new Map();
+    const triggers = new Map();
+    const prefixes = new Map();
+    pixelEntries.forEach(([name, def]) => {
+        def.owners.forEach((owner) => increment(owners, owner));
+        // See the default of triggers in pixel_schema.json5
+        (def.triggers ?? ['other']).forEach((trigger) => increment(triggers, trigger));
+        increment(prefixes, name.split(PIXEL_DELIMITER).slice(0, prefixDepth).join(PIXEL_DELIMITER));
+    });
+
+    const expiringPixels = pixelEntries
+        .flatMap(([name, { expires }]) => (expires ? [{ name, expires, daysUntilExpiry: getDaysUntilExpiry(expires, currentDate) }] : []))
+        .filter(({ daysUntilExpiry }) => daysUntilExpiry <= expiryWarningDays)
+        .sort((a, b) => a.daysUntilExpiry - b.daysUntilExpiry);
+
+    const freeFormParams = pixelEntries
+        .map(([name, def]) => ({
+            name,
+            params: [...def.parameters, ...def.conditionalParameters.flatMap(({ parameters }) => parameters)]
+                .filter(acceptsAnyString)
+                .map((param) => param.key ?? param.keyPattern),
+        }))
+        .filter(({ params }) => params.length > 0);
+
+    // Unbounded pixels first, then from most to least names
+    const suffixFanOut = pixelEntries
+        .map(([name, def]) => ({ name, names: countPixelNames(def.suffixes) }))
+        .sort((a, b) => (a.names === b.names ? 0 : (b.names ?? Infinity) - (a.names ?? Infinity)));
+
+    const commonParams = fileUtils.readCommonParams(pixelsConfigDir);
+    const commonSuffixes = fileUtils.readCommonSuffixes(pixelsConfigDir);
+    const paramUsage = new Map(Object.keys(commonParams).map((name) => [name, 0]));
+    const suffixUsage = new Map(Object.keys(commonSuffixes).map((name) => [name, 0]));
+    Object.values(readPixelDefinitions(mainDir)).forEach(({ def }) => {
+        const conditionalParams = (def.conditionalParameters ?? []).flatMap(({ parameters }) => parameters);
+        new Set(getShortcuts([...(def.parameters ?? []), ...conditionalParams])).forEach((shortcut) => increment(paramUsage, shortcut));
+        new Set(getShortcuts(def.suffixes ?? [])).forEach((shortcut) => increment(suffixUsage, shortcut));
+    });
+
+    const experimentsDef = fileUtils.readNativeExperimentsDef(pixelsConfigDir);
+    const experiments = Object.entries(experimentsDef.activeExperiments ?? {})
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, def]) => ({ name, cohorts: def.cohorts.length, metrics: Object.keys(def.metrics ?? {}).length }));
+
+    return {
+        summary: {
+            pixels: pixelEntries.length,
+            definitionFiles: new Set(pixelEntries.map(([, def]) => def.file)).size,
+            experiments: experiments.length,
+        },
+        owners: sortCounts(owners),
+        triggers: sortCounts(triggers),
+        prefixes: sortCounts(prefixes),
+        missingPrivacyReview: pixelEntries.filter(([, def]) => !def.privacyReview?.length).map(([name]) => name),
+        expiringPixels,
+        freeFormParams,
+        suffixFanOut,
+        dictionaryUsage: { params: sortCounts(paramUsage), suffixes: sortCounts(suffixUsage) },
+        experiments,
+    };
+}
+
+/**
+ * @param {string} title
+ * @param {string[]} lines - section contents, unindented
+ * @param {boolean} [counted] - whether to show the number of lines in the title
+ * @returns {string[]} section lines, or a single line if the section is empty
+ */
+function formatSection(title, lines, counted = false) {
+    if (!lines.length) return [`${title}: none`];
+    return [`${title}${counted ? ` (${lines.length})` : ''}:`, ...lines.map((line) => `    ${line}`)];
+}
+
+/**
+ * @param {NamedCount[]} counts
+ * @returns {string[]}
+ */
+function formatCounts(counts) {
+    return counts.map(({ name, count }) => `${name}: ${count}`);
+}
+
+/**
+ * @param {DefinitionStats} stats
+ * @param {string} format - one of STATS_FORMATS
+ * @returns {string} stats grouped in sections (text), or as a JSON report
+ */
+export function formatDefinitionStats(stats, format) {
+    if (format === 'json') {
+        return JSON.stringify(stats, null, 4);
+    }
+
+    const { summary } = stats;
+    const fanOut = stats.suffixFanOut.slice(0, MAX_TEXT_FAN_OUT_ENTRIES);
+    return [
+        `${summary.pixels} pixel(s) in ${summary.definitionFiles} definition file(s), ${summary.experiments} native experiment(s)`,
+        ...formatSection('Pixels per owner', formatCounts(stats.owners)),
+        ...formatSection('Pixels per trigger', formatCounts(stats.triggers)),
+        ...formatSection('Pixels per prefix', formatCounts(stats.prefixes)),
+        ...formatSection('Missing privacyReview', stats.missingPrivacyReview, true),
+        ...formatSection(
+            'Expired or expiring soon',
+            stats.expiringPixels.map(({ name, expires, daysUntilExpiry }) =>
+                daysUntilExpiry <= 0 ? `${name}: expired on ${expires}` : `${name}: expires in ${daysUntilExpiry} day(s) on ${expires}`,
+            ),
+            true,
+        ),
+        ...formatSection(
+            'Free-form params',
+            stats.freeFormParams.map(({ name, params }) => `${name}: ${params.join(', ')}`),
+            true,
+        ),
+        ...formatSection(
+            `Suffix fan-out (top ${fanOut.length} of ${stats.suffixFanOut.length})`,
+            fanOut.map(({ name, names }) => `${name}: ${names ?? 'unbounded'}`),
+        ),
+        ...formatSection('Params dictionary usage', formatCounts(stats.dictionaryUsage.params)),
+        ...formatSection('Suffixes dictionary usage', formatCounts(stats.dictionaryUsage.suffixes)),
+        ...formatSection(
+            'Native experiments',
+            stats.experiments.map(({ name, cohorts, metrics }) => `${name}: ${cohorts} cohort(s), ${metrics} metric(s)`),
+        ),
+    ].join('\n');
+}
@@ -0,0 +1,568 @@
+/**
+ * Helper functions for comparing two versions of resolved definitions and classifying the changes between them
+ */
+import { CHANGE_KINDS } from './constants.mjs';
+import { splitRequiredParam } from './pixel_utils.mjs';
+
+/**
+ * @typedef {import('./definitions_loader.mjs').ResolvedDefinitions} ResolvedDefinitions
+ * @typedef {import('./definitions_loader.mjs').ResolvedPixelDefinition} ResolvedPixelDefinition
+ * @typedef {import('./params_validator.mjs').SuffixUnit} SuffixUnit
+ */
+
+/**
+ * @typedef {Object} DefinitionChange
+ * @property {string} kind - see CHANGE_KINDS
+ * @property {'pixel'|'wide_event'} type - type of definition that changed
+ * @property {string} name - pixel or wide event name
+ * @property {string} path - location of the change within the definition (empty if the whole definition changed)
+ * @property {string} message
+ */
+
+/**
+ * @callback ReportChange
+ * @param {string} kind - see CHANGE_KINDS
+ * @param {string} path - location of the change within the definition
+ * @param {string} message
+ */
+
+// Keywords where a larger value accepts fewer values, and vice versa
+const LOWER_BOUNDS = ['minimum', 'exclusiveMinimum', 'minLength', 'minItems', 'minProperties'];
+const UPPER_BOUNDS = ['maximum', 'exclusiveMaximum', 'maxLength', 'maxItems', 'maxProperties'];
+// Keywords where any change can reject previously valid values
+const EXACT_CONSTRAINTS = ['const', 'pattern', 'format', 'multipleOf', 'uniqueItems'];
+
+// Wide event versions are expected to be bumped whenever an event changes
+const VERSION_PATH = 'meta.version';
+
+/**
+ * @param {any} value
+ * @returns {string} value formatted for use in change messages
+ */
+function formatValue(value) {
+    return JSON.stringify(value);
+}
+
+/**
+ * @param {string} parent
+ * @param {string} child
+ * @returns {string} dotted path to the child
+ */
+function joinPath(parent, child) {
+    return parent ? `${parent}.${child}` : child;
+}
+
+/**
+ * @param {any} first
+ * @param {any} second
+ * @returns {boolean} true if both values serialize identically
+ */
+function isEqual(first, second) {
+    return JSON.stringify(first) === JSON.stringify(second);
+}
+
+/**
+ * @param {string|string[]|undefined} type - JSON schema type keyword
+ * @returns {string[]} list of allowed types (empty if unrestricted)
+ */
+function toTypeList(type) {
+    if (type === undefined) return [];
+    return Array.isArray(type) ? type : [type];
+}
+
+/**
+ * Compares the type keyword of two schemas
+ * @param {object} oldSchema
+ * @param {object} newSchema
+ * @param {string} at - path of the schemas
+ * @param {ReportChange} report
+ */
+function compareTypes(oldSchema, newSchema, at, report) {
+    const oldTypes = toTypeList(oldSchema.type);
+    const newTypes = toTypeList(newSchema.type);
+    if (isEqual([...oldTypes].sort(), [...newTypes].sort())) return;
+
+    const message = `type changed from ${formatValue(oldSchema.type)} to ${formatValue(newSchema.type)}`;
+    const isWidened = !newTypes.length || (oldTypes.length && oldTypes.every((type) => newTypes.includes(type)));
+    report(isWidened ? CHANGE_KINDS.COMPATIBLE : CHANGE_KINDS.BREAKING, at, message);
+}
+
+/**
+ * Compares the enum keyword of two schemas
+ * @param {object} oldSchema
+ * @param {object} newSchema
+ * @param {string} at - path of the schemas
+ * @param {ReportChange} report
+ */
+function compareEnums(oldSchema, newSchema, at, report) {
+    const oldEnum = oldSchema.enum;
+    const newEnum = newSchema.enum;
+    if (!oldEnum && !newEnum) return;
+
+    if (!oldEnum) {
+        report(CHANGE_KINDS.BREAKING, at, `values restricted to ${formatValue(newEnum)}`);
+        return;
+    }
+    if (!newEnum) {
+        report(CHANGE_KINDS.COMPATIBLE, at, `values no longer restricted to ${formatValue(oldEnum)}`);
+        return;
+    }
+
+    const removed = oldEnum.filter((value) => !newEnum.some((other) => isEqual(value, other)));
+    const added = newEnum.filter((value) => !oldEnum.some((other) => isEqual(value, other)));
+    if (removed.length) {
+        report(CHANGE_KINDS.BREAKING, at, `values removed: ${removed.map(formatValue).join(', ')}`);
+    }
+    if (added.length) {
+        report(CHANGE_KINDS.COMPATIBLE, at, `values added: ${added.map(formatValue).join(', ')}`);
+    }
+}
+
+/**
+ * Compares numeric bounds and other value constraints of two schemas
+ * @param {object} oldSchema
+ * @param {object} newSchema
+ * @param {string} at - path of the schemas
+ * @param {ReportChange} report
+ */
+function compareConstraints(oldSchema, newSchema, at, report) {
+    const compareBound = (keyword, isTightened) => {
+        const oldValue = oldSchema[keyword];
+        const newValue = newSchema[keyword];
+        if (oldValue === newValue) return;
+
+        if (oldValue === undefined) {
+            report(CHANGE_KINDS.BREAKING, at, `${keyword} ${formatValue(newValue)} added`);
+        } else if (newValue === undefined) {
+            report(CHANGE_KINDS.COMPATIBLE, at, `${keyword} ${formatValue(oldValue)} removed`);
+        } else {
+            const kind = isTightened(oldValue, newValue) ? CHANGE_KINDS.BREAKING : CHANGE_KINDS.COMPATIBLE;
+            report(kind, at, `${keyword} changed from ${formatValue(oldValue)} to ${formatValue(newValue)}`);
+        }
+    };
+
+    LOWER_BOUNDS.forEach((keyword) => compareBound(keyword, (oldValue, newValue) => newValue > oldValue));
+    UPPER_BOUNDS.forEach((keyword) => compareBound(keyword, (oldValue, newValue) => newValue < oldValue));
+    EXACT_CONSTRAINTS.forEach((keyword) => {
+        if (at === VERSION_PATH && keyword === 'const') {
+            if (!isEqual(oldSchema.const, newSchema.const)) {
+                report(
+                    CHANGE_KINDS.COMPATIBLE,
+                    at,
+                    `version changed from ${formatValue(oldSchema.const)} to ${formatValue(newSchema.const)}`,
+                );
+            }
+            return;
+        }
+        compareBound(keyword, (oldValue, newValue) => !isEqual(oldValue, newValue));
+    });
+}
+
+/**
+ * Compares object properties of two schemas, recursing into properties defined in both
+ * @param {object} oldSchema
+ * @param {object} newSchema
+ * @param {string} at - path of the schemas
+ * @param {ReportChange} report
+ */
+function compareProperties(oldSchema, newSchema, at, report) {
+    const oldProps = oldSchema.properties ?? {};
+    const newProps = newSchema.properties ?? {};
+    const oldRequired = oldSchema.required ?? [];
+    const newRequired = newSchema.required ?? [];
+
+    for (const [name, oldProp] of Object.entries(oldProps)) {
+        const propPath = joinPath(at, name);
+        if (!(name in newProps)) {
+            report(CHANGE_KINDS.BREAKING, propPath, 'property removed');
+        } else {
+            compareSchemas(oldProp, newProps[name], propPath, report);
+        }
+    }
+    for (const name of Object.keys(newProps)) {
+        if (name in oldProps) continue;
+
+        if (newRequired.includes(name)) {
+            report(CHANGE_KINDS.BREAKING, joinPath(at, name), 'required property added');
+        } else {
+            report(CHANGE_KINDS.ADDITIVE, joinPath(at, name), 'property added');
+        }
+    }
+
+    // Added properties were already reported above
+    newRequired
+        .filter((name) => !oldRequired.includes(name) && name in oldProps)
+        .forEach((name) => report(CHANGE_KINDS.BREAKING, joinPath(at, name), 'property is now required'));
+    oldRequired
+        .filter((name) => !newRequired.includes(name) && name in newProps)
+        .forEach((name) => report(CHANGE_KINDS.COMPATIBLE, joinPath(at, name), 'property is no longer required'));
+
+    const oldAdditional = oldSchema.additionalProperties ?? true;
+    const newAdditional = newSchema.additionalProperties ?? true;
+    if (oldAdditional !== newAdditional && typeof oldAdditional === 'boolean' && typeof newAdditional === 'boolean') {
+        const kind = newAdditional ? CHANGE_KINDS.COMPATIBLE : CHANGE_KINDS.BREAKING;
+        report(kind, at, newAdditional ? 'additional properties are now allowed' : 'additional properties are no longer allowed');
+    }
+}
+
+/**
+ * Compares two JSON schemas and reports every difference that affects which values they accept.
+ * Documentation-only keywords (description, examples, ...) are ignored.
+ *
+ * @param {object} oldSchema
+ * @param {object} newSchema
+ * @param {string} at - path of the schemas, used when reporting changes
+ * @param {ReportChange} report - called for every change found
+ */
+export function compareSchemas(oldSchema, newSchema, at, report) {
+    compareTypes(oldSchema, newSchema, at, report);
+    compareEnums(oldSchema, newSchema, at, report);
+    compareConstraints(oldSchema, newSchema, at, report);
+    compareProperties(oldSchema, newSchema, at, report);
+
+    if (oldSchema.items && newSchema.items) {
+        compareSchemas(oldSchema.items, newSchema.items, `${at}[]`, report);
+    } else if (oldSchema.items || newSchema.items) {
+        const kind = newSchema.items ? CHANGE_KINDS.BREAKING : CHANGE_KINDS.COMPATIBLE;
+        report(kind, `${at}[]`, newSchema.items ? 'item schema added' : 'item schema removed');
+    }
+}
+
+/**
+ * @param {object} param - resolved parameter schema
+ * @returns {string} key identifying the parameter
+ */
+function getParamKey(param) {
+    return param.keyPattern ?? param.key;
+}
+
+/**
+ * @param {object} param - resolved parameter schema
+ * @returns {object} schema of the parameter value, without the key that identifies the parameter nor its requiredness
+ */
+function getValueSchema(param) {
+    const valueSchema = { ...splitRequiredParam(param).schema };
+    delete valueSchema.key;
+    delete valueSchema.keyPattern;
+    return valueSchema;
+}
+
+/**
+ * Compares the parameters of two versions of a pixel
+ * @param {object[]} oldParams
+ * @param {object[]} newParams
+ * @param {ReportChange} report
+ * @param {string} [listPath] - path of the parameters list
+ */
+function compareParameters(oldParams, newParams, report, listPath = 'parameters') {
+    const newParamsByKey = new Map(newParams.map((param) => [getParamKey(param), param]));
+    const oldKeys = new Set(oldParams.map(getParamKey));
+
+    oldParams.forEach((oldParam) => {
+        const key = getParamKey(oldParam);
+        const at = `${listPath}.${key}`;
+        const newParam = newParamsByKey.get(key);
+        if (!newParam) {
+            report(CHANGE_KINDS.BREAKING, at, 'parameter removed');
+            return;
+        }
+
+        compareSchemas(getValueSchema(oldParam), getValueSchema(newParam), at, report);
+
+        const wasRequired = splitRequiredParam(oldParam).required;
+        const isRequired = splitRequiredParam(newParam).required;
+        if (isRequired && !wasRequired) report(CHANGE_KINDS.BREAKING, at, 'parameter is now required');
+        if (wasRequired && !isRequired) report(CHANGE_KINDS.COMPATIBLE, at, 'parameter is no longer required');
+    });
+    newParams
+        .filter((param) => !oldKeys.has(getParamKey(param)))
+        .forEach((param) => {
+            const at = `${listPath}.${getParamKey(param)}`;
+            if (splitRequiredParam(param).required) {
+                report(CHANGE_KINDS.BREAKING, at, 'required parameter added');
+            } else {
+                report(CHANGE_KINDS.ADDITIVE, at, 'parameter added');
+            }
+        });
+}
+
+/**
+ * Compares the conditional parameters of two versions of a pixel, telling conditions apart by suffix position and value
+ * @param {ResolvedPixelDefinition['conditionalParameters']} oldConditions
+ * @param {ResolvedPixelDefinition['conditionalParameters']} newConditions
+ * @param {ReportChange} report
+ */
+function compareConditionalParameters(oldConditions, newConditions, report) {
+    const getPath = ({ suffix, equals }) => `conditionalParameters[suffix ${suffix} = ${equals}]`;
+    const newConditionsByPath = new Map(newConditions.map((condition) => [getPath(condition), condition]));
+    const oldPaths = new Set(oldConditions.map(getPath));
+
+    oldConditions.forEach((oldCondition) => {
+        const at = getPath(oldCondition);
+        const newCondition = newConditionsByPath.get(at);
+        if (!newCondition) {
+            report(CHANGE_KINDS.BREAKING, at, 'conditional parameters removed');
+            return;
+        }
+        compareParameters(oldCondition.parameters, newCondition.parameters, report, at);
+    });
+    newConditions
+        .filter((condition) => !oldPaths.has(getPath(condition)))
+        .forEach((condition) => {
+            // Pixels with that suffix value must now send the required parameters
+            if (condition.parameters.some((param) => splitRequiredParam(param).required)) {
+                report(CHANGE_KINDS.BREAKING, getPath(condition), 'conditional parameters with required parameters added');
+            } else {
+                report(CHANGE_KINDS.ADDITIVE, getPath(condition), 'conditional parameters added');
+            }
+        });
+}
+
+/**
+ * @param {SuffixUnit} unit
+ * @returns {?string} static key of the suffix, if any
+ */
+function getSuffixKey(unit) {
+    return unit.tokens.length > 1 ? unit.tokens[0].enum[0] : null;
+}
+
+/**
+ * @param {SuffixUnit} unit
+ * @returns {object} schema of the suffix value
+ */
+function getSuffixValueSchema(unit) {
+    return unit.tokens[unit.tokens.length - 1];
+}
+
+/**
+ * @param {SuffixUnit} oldUnit
+ * @param {SuffixUnit} newUnit
+ * @returns {number} cost of comparing the suffixes with each other, against 2 for reporting one removed and the other added:
+ * at most 1, and lower the fewer changes there are between them. Only suffixes with the same static key (or none) are compared
+ */
+function getPairingCost(oldUnit, newUnit) {
+    if (isEqual(oldUnit, newUnit)) return 0;
+    if (getSuffixKey(oldUnit) !== getSuffixKey(newUnit)) return 3;
+
+    let changeCount = oldUnit.optional === newUnit.optional ? 0 : 1;
+    compareSchemas(getSuffixValueSchema(oldUnit), getSuffixValueSchema(newUnit), '', () => changeCount++);
+    return Math.min(1, 0.5 + changeCount / 4);
+}
+
+/**
+ * Aligns two versions of a suffix sequence, keeping suffixes in order and telling edited suffixes apart from inserted or removed ones
+ * @param {SuffixUnit[]} oldUnits
+ * @param {SuffixUnit[]} newUnits
+ * @returns {{ cost: number, steps: Array<{ oldPos?: number, newPos?: number }> }} cost of the changes between the versions
+ * (1 per suffix added or removed, see getPairingCost for edited ones), and the old and new positions of each suffix in order,
+ * both being set for suffixes found in both versions
+ */
+function alignSuffixUnits(oldUnits, newUnits) {
+    // costs[i][j]: cost of aligning the first i old suffixes with the first j new ones
+    const costs = Array.from({ length: oldUnits.length + 1 }, (_, i) =>
+        Array.from({ length: newUnits.length + 1 }, (_, j) => (i && j ? 0 : i + j)),
+    );
+    for (let i = 1; i <= oldUnits.length; i++) {
+        for (let j = 1; j <= newUnits.length; j++) {
+            const pairingCost = costs[i - 1][j - 1] + getPairingCost(oldUnits[i - 1], newUnits[j - 1]);
+            costs[i][j] = Math.min(pairingCost, costs[i - 1][j] + 1, costs[i][j - 1] + 1);
+        }
+    }
+
+    const steps = [];
+    for (let i = oldUnits.length, j = newUnits.length; i || j;) {
+        if (i && j && costs[i][j] === costs[i - 1][j - 1] + getPairingCost(oldUnits[i - 1], newUnits[j - 1])) {
+            steps.unshift({ oldPos: --i, newPos: --j });
+        } else if (i && costs[i][j] === costs[i - 1][j] + 1) {
+            steps.unshift({ oldPos: --i });
+        } else {
+            steps.unshift({ newPos: --j });
+        }
+    }
+    return { cost: costs[oldUnits.length][newUnits.length], steps };
+}
+
+/**
+ * Compares two versions of a suffix sequence, suffix by suffix
+ * @param {SuffixUnit[]} oldUnits
+ * @param {SuffixUnit[]} newUnits
+ * @param {string} at - path of the old sequence. Suffixes are reported at their old position, or their new one if added
+ * @param {ReportChange} report
+ */
+function compareSuffixUnits(oldUnits, newUnits, at, report) {
+    const { steps } = alignSuffixUnits(oldUnits, newUnits);
+    steps.forEach(({ oldPos, newPos }, stepIdx) => {
+        if (newPos === undefined) {
+            report(CHANGE_KINDS.BREAKING, `${at}[${oldPos}]`, 'suffix removed');
+            return;
+        }
+
+        const newUnit = newUnits[newPos];
+        if (oldPos === undefined) {
+            const tokenPath = `${at}[${newPos}]`;
+            if (steps.slice(stepIdx).every((step) => step.oldPos === undefined)) {
+                // Trailing suffixes can be left out, so names accepted before still are
+                report(CHANGE_KINDS.ADDITIVE, tokenPath, 'suffix added');
+            } else if (newUnit.optional) {
+                report(CHANGE_KINDS.ADDITIVE, tokenPath, 'optional suffix added');
+            } else {
+                report(CHANGE_KINDS.BREAKING, tokenPath, 'required suffix added');
+            }
+            return;
+        }
+
+        const oldUnit = oldUnits[oldPos];
+        const tokenPath = `${at}[${oldPos}]`;
+        compareSchemas(getSuffixValueSchema(oldUnit), getSuffixValueSchema(newUnit), tokenPath, report);
+        if (oldUnit.optional && !newUnit.optional) report(CHANGE_KINDS.BREAKING, tokenPath, 'suffix is now required');
+        if (!oldUnit.optional && newUnit.optional) report(CHANGE_KINDS.COMPATIBLE, tokenPath, 'suffix is now optional');
+    });
+}
+
+/**
+ * Compares the suffix alternatives of two versions of a pixel.
+ * Unchanged alternatives are matched first, then the remaining ones that are most alike (see alignSuffixUnits)
+ * are compared suffix by suffix. Alternatives without any suffix in common are reported as removed or added.
+ *
+ * @param {SuffixUnit[][]} oldSuffixes - suffixes of each old alternative, see ResolvedPixelDefinition.suffixUnits
+ * @param {SuffixUnit[][]} newSuffixes - suffixes of each new alternative
+ * @param {ReportChange} report
+ */
+function compareSuffixes(oldSuffixes, newSuffixes, report) {
+    const unmatchedNew = newSuffixes.map((units, idx) => ({ units, idx }));
+    const unmatchedOld = oldSuffixes
+        .map((units, idx) => ({ units, idx }))
+        .filter(({ units }) => {
+            const match = unmatchedNew.findIndex((other) => isEqual(units, other.units));
+            if (match === -1) return true;
+
+            unmatchedNew.splice(match, 1);
+            return false;
+        });
+
+    const candidates = unmatchedOld
+        .flatMap((oldAlternative) =>
+            unmatchedNew.map((newAlternative) => ({
+                oldAlternative,
+                newAlternative,
+                cost: alignSuffixUnits(oldAlternative.units, newAlternative.units).cost,
+            })),
+        )
+        // Removing every old suffix and adding every new one costs as much
+        .filter(({ oldAlternative, newAlternative, cost }) => cost < oldAlternative.units.length + newAlternative.units.length)
+        .sort((first, second) => first.cost - second.cost);
+    /** @type {Map<number, { units: SuffixUnit[], idx: number }>} */
+    const pairs = new Map();
+    const pairedNew = new Set();
+    candidates.forEach(({ oldAlternative, newAlternative }) => {
+        if (pairs.has(oldAlternative.idx) || pairedNew.has(newAlternative.idx)) return;
+
+        pairs.set(oldAlternative.idx, newAlternative);
+        pairedNew.add(newAlternative.idx);
+    });
+
+    unmatchedOld.forEach((oldAlternative) => {
+        const newAlternative = pairs.get(oldAlternative.idx);
+        const at = `suffixes[${oldAlternative.idx}]`;
+        if (!newAlternative) {
+            report(CHANGE_KINDS.BREAKING, at, 'suffix alternative removed');
+            return;
+        }
+        compareSuffixUnits(oldAlternative.units, newAlternative.units, at, report);
+    });
+    unmatchedNew
+        .filter(({ idx }) => !pairedNew.has(idx))
+        .forEach(({ idx }) => report(CHANGE_KINDS.ADDITIVE, `suffixes[${idx}]`, 'suffix alternative added'));
+}
+
+/**
+ * Compares two versions of resolved definitions (see loadResolvedDefinitions) and classifies every change:
+ * - additive: new pixels, wide events, parameters, properties, trailing or optional suffixes, or suffix alternatives
+ * - compatible: changes that still accept everything accepted before (e.g. enum values added)
+ * - breaking: changes that reject something accepted before (e.g. removed parameters, narrowed types)
+ *
+ * @param {ResolvedDefinitions} oldDefs - base version
+ * @param {ResolvedDefinitions} newDefs - version to compare against the base
+ * @returns {DefinitionChange[]} changes, in definition order
+ */
+export function compareDefinitions(oldDefs, newDefs) {
+    /** @type {DefinitionChange[]} */
+    const changes = [];
+
+    /**
+     * @param {'pixel'|'wide_event'} type
+     * @param {Record<string, any>} oldItems
+     * @param {Record<string, any>} newItems
+     * @param {(oldItem: any, newItem: any, report: ReportChange) => void} compareItems
+     */
+    const compareCollections = (type, oldItems, newItems, compareItems) => {
+        for (const [name, oldItem] of Object.entries(oldItems)) {
+            if (!(name in newItems)) {
+                changes.push({ kind: CHANGE_KINDS.BREAKING, type, name, path: '', message: `${type.replace('_', ' ')} removed` });
+                continue;
+            }
+            compareItems(oldItem, newItems[name], (kind, path, message) => changes.push({ kind, type, name, path, message }));
+        }
+        for (const name of Object.keys(newItems)) {
+            if (name in oldItems) continue;
+            changes.push({ kind: CHANGE_KINDS.ADDITIVE, type, name, path: '', message: `${type.replace('_', ' ')} added` });
+        }
+    };
+
+    compareCollections('pixel', oldDefs.pixels, newDefs.pixels, (oldPixel, newPixel, report) => {
+        compareParameters(oldPixel.parameters, newPixel.parameters, report);
+        compareConditionalParameters(oldPixel.conditionalParameters ?? [], newPixel.conditionalParameters ?? [], report);
+        compareSuffixes(oldPixel.suffixUnits, newPixel.suffixUnits, report);
+    });
+    compareCollections('wide_event', oldDefs.wideEvents, newDefs.wideEvents, (oldSchema, newSchema, report) => {
+        compareSchemas(oldSchema, newSchema, '', report);
+    });
+
+    return changes;
+}
+
+export const CHANGE_REPORT_FORMATS = ['text', 'json'];
+
+/**
+ * @param {DefinitionChange[]} changes
+ * @returns {Record<string, number>} number of changes per kind
+ */
+function countChanges(changes) {
+    /** @type {Record<string, number>} */
+    const counts = {};
+    Object.values(CHANGE_KINDS).forEach((kind) => {
+        counts[kind] = changes.filter((change) => change.kind === kind).length;
+    });
+    return counts;
+}
+
+/**
+ * Formats changes found by compareDefinitions
+ * @param {DefinitionChange[]} changes
+ * @param {string} format - one of CHANGE_REPORT_FORMATS
+ * @returns {string} changes grouped by kind (text), or a JSON report with a summary of the number of changes per kind
+ */
+export function formatChanges(changes, format) {
+    const summary = countChanges(changes);
+    if (format === 'json') {
+        return JSON.stringify({ summary, changes }, null, 4);
+    }
+
+    const lines = [];
+    [CHANGE_KINDS.BREAKING, CHANGE_KINDS.COMPATIBLE, CHANGE_KINDS.ADDITIVE].forEach((kind) => {
+        if (!summary[kind]) return;
+
+        lines.push(`${kind[0].toUpperCase()}${kind.slice(1)} changes (${summary[kind]}):`);
+        changes
+            .filter((change) => change.kind === kind)
+            .forEach(({ type, name, path, message }) => {
+                lines.push(`    ${type} ${name}${path ? ` ${path}` : ''}: ${message}`);
+            });
+    });
+    lines.push(
+        Object.entries(summary)
+            .map(([kind, count]) => `${count} ${kind}`)
+            .join(', '),
+    );
+    return lines.join('\n');
+}
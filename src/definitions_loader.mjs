@@ -0,0 +1,143 @@
+/**
+ * Helper functions for loading a whole definitions tree, with shortcuts to common params, suffixes and props expanded
+ */
+import fs from 'fs';
+import path from 'path';
+import JSON5 from 'json5';
+
+import * as fileUtils from './file_utils.mjs';
+import { ParamsValidator, expandSuffixUnitSequences } from './params_validator.mjs';
+import { WideEventDefinitionsValidator } from './definitions_validator.mjs';
+
+/**
+ * @typedef {import('./types.mjs').PixelDefinition} PixelDefinition
+ * @typedef {import('./params_validator.mjs').SuffixUnit} SuffixUnit
+ */
+
+/**
+ * @typedef {Object} ResolvedPixelDefinition
+ * @property {string} description
+ * @property {string[]} owners
+ * @property {string[]} [triggers]
+ * @property {string} [expires]
+ * @property {string[]} [privacyReview] - links to privacy reviews
+ * @property {Object[]} parameters - parameter schemas, with shortcuts expanded
+ * @property {Object[][]} suffixes - schemas of the pixel name tokens for each alternative suffix sequence,
+ * with one sequence per combination of optional suffixes
+ * @property {SuffixUnit[][]} suffixUnits - suffixes of each alternative sequence as defined, with optional ones kept as such
+ * @property {Array<{ suffix: number, equals: string, parameters: Object[] }>} conditionalParameters - parameters only sent
+ * when a pixel name token has a given value, with shortcuts expanded
+ * @property {string} file - path to the file the pixel is defined in
+ */
+
+/**
+ * @typedef {Object} ResolvedDefinitions
+ * @property {Record<string, ResolvedPixelDefinition>} pixels - pixels keyed by name
+ * @property {Record<string, object>} wideEvents - generated JSON schemas of wide events, keyed by name
+ */
+
+/**
+ * Lists definition files within a definitions directory, skipping templates
+ * @param {string} definitionsDir
+ * @returns {string[]} paths to the definition files
+ */
+function listDefinitionFiles(definitionsDir) {
+    if (!fs.existsSync(definitionsDir)) return [];
+
+    return fs
+        .readdirSync(definitionsDir, { recursive: true, encoding: 'utf8' })
+        .filter((file) => !path.basename(file).startsWith('TEMPLATE'))
+        .map((file) => path.join(definitionsDir, file))
+        .filter((file) => !fs.statSync(file).isDirectory())
+        .sort();
+}
+
+/**
+ * Reads all pixel definitions in a definitions tree
+ * @param {string} mainDir - path to the directory containing the pixels folder
+ * @returns {Record<string, { def: PixelDefinition, file: string }>} pixel definitions keyed by name, along with their file
+ */
+export function readPixelDefinitions(mainDir) {
+    const { pixelDefsDir } = fileUtils.resolvePixelsDirs(mainDir);
+    /** @type {Record<string, { def: PixelDefinition, file: string }>} */
+    const pixels = {};
+    listDefinitionFiles(pixelDefsDir).forEach((file) => {
+        const pixelsDef = JSON5.parse(fs.readFileSync(file, 'utf8'));
+        for (const [name, def] of Object.entries(pixelsDef)) {
+            pixels[name] = { def, file };
+        }
+    });
+    return pixels;
+}
+
+/**
+ * Loads a definitions tree, expanding shortcuts in pixels and generating wide event schemas.
+ * Definitions are expected to be valid (see validate-ddg-pixel-defs).
+ *
+ * @param {string} mainDir - path to the directory containing the pixels (and optionally wide_events) folder
+ * @returns {ResolvedDefinitions} resolved pixel and wide event definitions
+ * @throws if any definition cannot be resolved
+ */
+export function loadResolvedDefinitions(mainDir) {
+    const { pixelsConfigDir } = fileUtils.resolvePixelsDirs(mainDir);
+    const commonParams = fileUtils.readCommonParams(pixelsConfigDir);
+    const commonSuffixes = fileUtils.readCommonSuffixes(pixelsConfigDir);
+    const paramsValidator = new ParamsValidator(commonParams, commonSuffixes, {});
+
+    /** @type {Record<string, ResolvedPixelDefinition>} */
+    const pixels = {};
+    for (const [name, { def, file }] of Object.entries(readPixelDefinitions(mainDir))) {
+        // Shortcut expansion mutates items, so work on a copy
+        const { parameters = [], suffixes, conditionalParameters = [], ...rest } = JSON.parse(JSON.stringify(def));
+        try {
+            const suffixUnits = suffixes ? paramsValidator.getSuffixUnitSequences(suffixes) : [];
+            pixels[name] = {
+                ...rest,
+                parameters: parameters.map((param) => paramsValidator.getUpdatedItem(param, commonParams)),
+                suffixes: expandSuffixUnitSequences(suffixUnits),
+                suffixUnits,
+                conditionalParameters: conditionalParameters.map((condition) => ({
+                    ...condition,
+                    parameters: condition.parameters.map((param) => paramsValidator.getUpdatedItem(param, commonParams)),
+                })),
+                file,
+            };
+        } catch (error) {
+            throw new Error(`${file}: ${name} --> ${error.message}`);
+        }
+    }
+
+    return { pixels, wideEvents: loadWideEventSchemas(mainDir) };
+}
+
+/**
+ * Generates JSON schemas for all wide events in a definitions tree
+ * @param {string} mainDir - path to the directory containing the wide_events folder
+ * @returns {Record<string, object>} generated schemas keyed by wide event name (empty if there are no wide events)
+ * @throws if any wide event cannot be resolved
+ */
+function loadWideEventSchemas(mainDir) {
+    const wideEventsConfigDir = path.join(mainDir, 'wide_events');
+    const files = listDefinitionFiles(path.join(wideEventsConfigDir, 'definitions'));
+    if (!files.length) return {};
+
+    const validator = new WideEventDefinitionsValidator(fileUtils.readCommonProps(wideEventsConfigDir));
+    const baseEvent = fileUtils.readBaseEvent(wideEventsConfigDir);
+    if (!baseEvent) {
+        throw new Error(`${wideEventsConfigDir}: base_event.json is required for wide events`);
+    }
+
+    const schemas = {};
+    files.forEach((file) => {
+        const errors = [];
+        try {
+            Object.assign(schemas, validator.generateWideEventSchemas(JSON5.parse(fs.readFileSync(file, 'utf8')), baseEvent, errors));
+        } catch (error) {
+            errors.push({ message: error.message });
+        }
+        if (errors.length) {
+            throw new Error(`${file}: ${errors[0].message}`);
+        }
+    });
+    return schemas;
+}
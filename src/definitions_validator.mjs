@@ -4,12 +4,21 @@ import fs from 'fs';
 import JSON5 from 'json5';
 import path from 'path';
 
-import { formatAjvErrors } from './error_utils.mjs';
+import { formatAjvErrors, getAjvDiagnostics } from './error_utils.mjs';
 import { fileURLToPath } from 'url';
 import { ParamsValidator } from './params_validator.mjs';
+import { checkSuffixSequenceCount, getDaysUntilExpiry, getVariantParameters } from './pixel_utils.mjs';
+import { DEFAULT_EXPIRY_WARNING_DAYS, RULE_IDS } from './constants.mjs';
+import { escapePointerToken, formatSourceLocation, getSourceLocation } from './source_map_utils.mjs';
+import { tokenizePixelDefs } from './tokenizer.mjs';
+import { findAmbiguousPixelNames } from './ambiguity_detector.mjs';
+import { getPrivacyDiagnostics } from './privacy_rules.mjs';
 
 /**
+ * @typedef {import('./types.mjs').PixelDefinition} PixelDefinition
  * @typedef {import('./types.mjs').PixelDefinitions} PixelDefinitions
+ * @typedef {import('./error_utils.mjs').Diagnostic} Diagnostic
+ * @typedef {import('./source_map_utils.mjs').DefinitionSource} DefinitionSource
  */
 
 const schemasPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'schemas');
@@ -42,8 +51,12 @@ class BaseDefinitionsValidator {
     _paramsValidator;
     /** @protected */
     _dictionary;
-    /** @protected */
-    _definedPrefixes = new Set();
+    /**
+     * Names of already validated pixels or wide events, mapped to where they were first defined (if known)
+     * @protected
+     * @type {Map<string, ?string>}
+     */
+    _definedPrefixes = new Map();
 
     /**
      * @param {Record<string, unknown>} dictionary - object containing common params (pixels) or props (wide events)
@@ -80,6 +93,57 @@ class BaseDefinitionsValidator {
 
         return obj;
     }
+
+    /**
+     * Checks whether a pixel or wide event was already defined, in this file or a previously validated one,
+     * and remembers where it is defined otherwise.
+     * @protected
+     * @param {string} name - pixel name or wide event type
+     * @param {string} instancePath - JSON pointer to the definition
+     * @param {?DefinitionSource} source - definitions file being validated, if known
+     * @returns {?Diagnostic} duplicate definition error, if any
+     */
+    _checkDuplicateDefinition(name, instancePath, source) {
+        if (this._definedPrefixes.has(name)) {
+            const message = this._getDuplicateDefinitionMessage(name, this._definedPrefixes.get(name));
+            return { message, instancePath, ruleId: RULE_IDS.DUPLICATE_DEFINITION };
+        }
+
+        const location = source ? formatSourceLocation(source.filePath, getSourceLocation(source.pointers, instancePath)) : null;
+        this._definedPrefixes.set(name, location);
+        return null;
+    }
+
+    /**
+     * Reports top-level keys that are repeated within the same file. The parser silently keeps
+     * the last one, so these duplicates would otherwise go unnoticed.
+     * @protected
+     * @param {?DefinitionSource} source - definitions file being validated, if known
+     * @param {(name: string) => string} getInstancePath - maps a duplicated key to the pointer to report it at
+     * @returns {Diagnostic[]} duplicate definition errors
+     */
+    _getDuplicateKeyDiagnostics(source, getInstancePath) {
+        if (!source) return [];
+
+        return source.duplicateKeys
+            .filter((duplicate) => duplicate.pointer.lastIndexOf('/') === 0)
+            .map(({ name, first }) => ({
+                message: this._getDuplicateDefinitionMessage(name, formatSourceLocation(source.filePath, first)),
+                instancePath: getInstancePath(name),
+                ruleId: RULE_IDS.DUPLICATE_DEFINITION,
+            }));
+    }
+
+    /**
+     * @protected
+     * @param {string} name - pixel name or wide event type
+     * @param {?string} [firstLocation] - where the name was first defined, if known
+     * @returns {string} duplicate definition error message
+     */
+    _getDuplicateDefinitionMessage(name, firstLocation) {
+        const message = `${name} --> Conflicting/duplicated definitions found!`;
+        return firstLocation ? `${message} First defined at ${firstLocation}` : message;
+    }
 }
 
 /**
@@ -92,16 +156,24 @@ export class PixelDefinitionsValidator extends BaseDefinitionsValidator {
 
     #commonSuffixes;
     #ignoreParams;
+    #expiryWarningDays;
+
+    // Pixels that compiled successfully, used to look for ambiguous pixel names across all definitions
+    #tokenizedDefs = {};
+    /** @type {Map<string, DefinitionSource>} */
+    #pixelSources = new Map();
 
     /**
      * @param {Record<string, unknown>} commonParams - object containing common parameters (params_dictionary.json)
      * @param {Record<string, unknown>} commonSuffixes - object containing common suffixes (suffixes_dictionary.json)
      * @param {Record<string, unknown>} ignoreParams - object containing parameters to ignore (ignore_params.json)
+     * @param {number} [expiryWarningDays] - warn about pixels expiring within this many days
      */
-    constructor(commonParams, commonSuffixes, ignoreParams) {
+    constructor(commonParams, commonSuffixes, ignoreParams, expiryWarningDays = DEFAULT_EXPIRY_WARNING_DAYS) {
         super(commonParams);
         this.#commonSuffixes = commonSuffixes;
         this.#ignoreParams = ignoreParams;
+        this.#expiryWarningDays = expiryWarningDays;
         this._paramsValidator = new ParamsValidator(this._dictionary, this.#commonSuffixes, this.#ignoreParams);
 
         this._ajv.addSchema(paramsSchema);
@@ -147,8 +219,18 @@ export class PixelDefinitionsValidator extends BaseDefinitionsValidator {
      */
     validateNativeExperimentsDefinition(experimentsDef) {
         const ajvExpSchema = this._ajv.compile(nativeExperimentsSchema);
-        ajvExpSchema(experimentsDef);
-        return formatAjvErrors(ajvExpSchema.errors);
+        if (!ajvExpSchema(experimentsDef)) {
+            return formatAjvErrors(ajvExpSchema.errors);
+        }
+
+        // Resolve default suffixes, so that invalid shortcuts are caught and used ones are tracked
+        const { defaultSuffixes = [] } = /** @type {{ defaultSuffixes?: Array }} */ (experimentsDef);
+        try {
+            this._paramsValidator.getSuffixTokenSequences(JSON.parse(JSON.stringify(defaultSuffixes)));
+        } catch (error) {
+            return [`defaultSuffixes --> ${error.message}`];
+        }
+        return [];
     }
 
     /**
@@ -168,45 +250,293 @@ export class PixelDefinitionsValidator extends BaseDefinitionsValidator {
      *
      * @param {PixelDefinitions} pixelsDef - object containing multiple pixel definitions
      * @param {?Record<string, string>} [userMap] - map of valid github usernames
+     * @param {string[]} [warnings] - array to collect non-fatal issues, such as pixels that expire soon
      * @returns {Array<string>} - array of error messages
      */
-    validatePixelsDefinition(pixelsDef, userMap = null) {
+    validatePixelsDefinition(pixelsDef, userMap = null, warnings = []) {
+        const diagnostics = this.getPixelsDefinitionDiagnostics(pixelsDef, userMap);
+        warnings.push(...diagnostics.warnings.map((warning) => warning.message));
+        return diagnostics.errors.map((error) => error.message);
+    }
+
+    /**
+     * Same as validatePixelsDefinition, but also reports where in the definition each issue was found
+     *
+     * @param {PixelDefinitions} pixelsDef - object containing multiple pixel definitions
+     * @param {?Record<string, string>} [userMap] - map of valid github usernames
+     * @param {?DefinitionSource} [source] - file the definitions were read from, used to report where duplicates were first defined
+     * @returns {{ errors: Diagnostic[], warnings: Diagnostic[] }} - errors and non-fatal issues
+     */
+    getPixelsDefinitionDiagnostics(pixelsDef, userMap = null, source = null) {
+        /** @type {Diagnostic[]} */
+        const errors = [];
+        /** @type {Diagnostic[]} */
+        const warnings = [];
+
         // 1) Validate that pixel definition conforms to schema
         if (!this.#ajvValidatePixels(pixelsDef)) {
             // Doesn't make sense to check the rest if main definition is invalid
-            return formatAjvErrors(this.#ajvValidatePixels.errors);
+            return { errors: getAjvDiagnostics(this.#ajvValidatePixels.errors), warnings };
         }
 
+        errors.push(...this._getDuplicateKeyDiagnostics(source, (pixelName) => `/${escapePointerToken(pixelName)}`));
+
         // 2) Validate that:
         // (a) there are no duplicate prefixes and
-        // (b) shortcuts, params, and suffixes can be compiled into a separate schema
+        // (b) shortcuts, params, and suffixes can be compiled into a separate schema, with each of the conditional params
         // (c) all owners are valid github usernames in the provided userMap
-        const errors = [];
+        // (d) pixels have not expired
+        // (e) parameters and suffixes follow privacy rules (reported as warnings)
         Object.entries(/** @type {PixelDefinitions} */ (pixelsDef)).forEach(([pixelName, pixelDef]) => {
-            if (this._definedPrefixes.has(pixelName)) {
-                errors.push(`${pixelName} --> Conflicting/duplicated definitions found!`);
+            const pixelPath = `/${escapePointerToken(pixelName)}`;
+            const duplicateError = this._checkDuplicateDefinition(pixelName, pixelPath, source);
+            if (duplicateError) {
+                errors.push(duplicateError);
                 return;
             }
 
             // All owners should be valid github user names in the approved DDG list
             if (userMap) {
-                for (const owner of pixelDef.owners ?? []) {
+                (pixelDef.owners ?? []).forEach((owner, idx) => {
                     if (!userMap[owner]) {
-                        errors.push(`Owner ${owner} for pixel ${pixelName} not in list of acceptable github user names`);
+                        errors.push({
+                            message: `Owner ${owner} for pixel ${pixelName} not in list of acceptable github user names`,
+                            instancePath: `${pixelPath}/owners/${idx}`,
+                            ruleId: RULE_IDS.UNKNOWN_OWNER,
+                        });
                     }
+                });
+            }
+
+            if (pixelDef.expires) {
+                const instancePath = `${pixelPath}/expires`;
+                const daysUntilExpiry = getDaysUntilExpiry(pixelDef.expires);
+                if (daysUntilExpiry <= 0) {
+                    const message = `${pixelName} --> expired on ${pixelDef.expires}. Remove the pixel or extend its expiry date`;
+                    errors.push({ message, instancePath, ruleId: RULE_IDS.EXPIRED_PIXEL });
+                } else if (daysUntilExpiry <= this.#expiryWarningDays) {
+                    const message = `${pixelName} --> expires in ${daysUntilExpiry} day(s) on ${pixelDef.expires}`;
+                    warnings.push({ message, instancePath, ruleId: RULE_IDS.EXPIRING_PIXEL });
                 }
             }
 
-            this._definedPrefixes.add(pixelName);
+            /** @type {{ items: Array|undefined, common: Record<string, unknown>, instancePath: string, ruleId: string }} */
+            let compiledList = {
+                items: pixelDef.suffixes,
+                common: this.#commonSuffixes,
+                instancePath: `${pixelPath}/suffixes`,
+                ruleId: RULE_IDS.INVALID_SUFFIXES,
+            };
             try {
                 this._paramsValidator.compileSuffixesSchema(pixelDef.suffixes);
+                // Validation does not expand optional suffixes, but tools listing their combinations do
+                if (pixelDef.suffixes) checkSuffixSequenceCount(this._paramsValidator.getSuffixUnitSequences(pixelDef.suffixes));
+                compiledList = {
+                    items: pixelDef.parameters,
+                    common: this._dictionary,
+                    instancePath: `${pixelPath}/parameters`,
+                    ruleId: RULE_IDS.INVALID_PARAMETERS,
+                };
                 this._paramsValidator.compileParamsSchema(pixelDef.parameters);
+                (pixelDef.conditionalParameters ?? []).forEach((condition, idx) => {
+                    compiledList = {
+                        items: condition.parameters,
+                        common: this._dictionary,
+                        instancePath: `${pixelPath}/conditionalParameters/${idx}/parameters`,
+                        ruleId: RULE_IDS.INVALID_PARAMETERS,
+                    };
+                    const parameters = getVariantParameters(pixelDef.parameters ?? [], pixelDef.conditionalParameters ?? [], [idx]);
+                    this._paramsValidator.compileParamsSchema(parameters);
+                });
+                errors.push(...this.#getConditionalParametersDiagnostics(pixelName, pixelDef, pixelPath));
+
+                tokenizePixelDefs({ [pixelName]: pixelDef }, this.#tokenizedDefs);
+                if (source) this.#pixelSources.set(pixelName, source);
+
+                warnings.push(...this.#getPrivacyDiagnostics(pixelName, pixelDef, pixelPath));
             } catch (error) {
-                errors.push(`${pixelName} --> ${error.message}`);
+                const instancePath = this.#findUnresolvableItem(compiledList.items, compiledList.common, compiledList.instancePath);
+                errors.push({ message: `${pixelName} --> ${error.message}`, instancePath, ruleId: compiledList.ruleId });
             }
         });
 
-        return errors;
+        return { errors, warnings };
+    }
+
+    /**
+     * Lists dictionary and ignore param entries that none of the pixels or experiments validated so far use.
+     * Should be called once all definitions have been validated.
+     *
+     * @returns {{ params: string[], suffixes: string[], ignoreParams: string[] }} names of unused entries
+     */
+    getUnusedDictionaryEntries() {
+        const usedParams = this._paramsValidator.getUsedShortcuts(this._dictionary);
+        const usedSuffixes = this._paramsValidator.getUsedShortcuts(this.#commonSuffixes);
+
+        return {
+            params: Object.keys(this._dictionary).filter((name) => !usedParams.has(name)),
+            suffixes: Object.keys(this.#commonSuffixes).filter((name) => !usedSuffixes.has(name)),
+            ignoreParams: Object.entries(this.#ignoreParams)
+                .filter(([, param]) => !this._paramsValidator.isIgnoreParamUsed(param))
+                .map(([name]) => name),
+        };
+    }
+
+    /**
+     * Reports concrete pixel names that more than one of the pixels validated so far can match,
+     * e.g. m_foo with an enum suffix 'bar' and a separately defined m_foo_bar.
+     * Should be called once all pixel definitions have been validated.
+     *
+     * @returns {Array<{ source: ?DefinitionSource, diagnostic: Diagnostic }>} - warnings, along with the file
+     * that defines the affected pixel (if known)
+     */
+    getAmbiguousPixelNameDiagnostics() {
+        return findAmbiguousPixelNames(this.#tokenizedDefs, this._paramsValidator).map((ambiguity) => {
+            const { prefix, otherPrefix, example, matchedPrefix, alternatives } = ambiguity;
+            const suffixesPath = `/${escapePointerToken(prefix)}/suffixes`;
+
+            /** @type {Diagnostic} */
+            let diagnostic;
+            if (alternatives) {
+                const [first, second] = alternatives;
+                const message = `${prefix} --> suffix alternatives ${first + 1} and ${second + 1} can both match pixel name '${example}'`;
+                diagnostic = { message, instancePath: `${suffixesPath}/${second}`, ruleId: RULE_IDS.AMBIGUOUS_PIXEL_NAME };
+            } else if (matchedPrefix) {
+                const message = `${prefix} --> pixel name '${example}' can match both ${prefix} and ${otherPrefix}, but is always validated against ${matchedPrefix}`;
+                diagnostic = { message, instancePath: suffixesPath, ruleId: RULE_IDS.AMBIGUOUS_PIXEL_NAME };
+            } else {
+                const message = `${prefix} --> pixel name '${example}' can match ${prefix}, but is reported as undocumented because it partially matches ${otherPrefix}`;
+                diagnostic = { message, instancePath: suffixesPath, ruleId: RULE_IDS.AMBIGUOUS_PIXEL_NAME };
+            }
+
+            return { source: this.#pixelSources.get(prefix) ?? null, diagnostic };
+        });
+    }
+
+    /**
+     * Runs privacy rules against a pixel whose parameters and suffixes could be compiled
+     *
+     * @param {string} pixelName
+     * @param {PixelDefinition} pixelDef
+     * @param {string} pixelPath - JSON pointer to the pixel
+     * @returns {Diagnostic[]} privacy findings
+     */
+    #getPrivacyDiagnostics(pixelName, pixelDef, pixelPath) {
+        const resolve = (item, common, instancePath, position) => ({
+            name: typeof item === 'string' ? item : (item.key ?? item.keyPattern ?? `#${position}`),
+            // Clone, as resolving non-shortcut items updates them in place
+            schema: this._paramsValidator.getUpdatedItem(JSON.parse(JSON.stringify(item)), common),
+            instancePath,
+        });
+
+        const params = (pixelDef.parameters ?? []).map((param, idx) =>
+            resolve(param, this._dictionary, `${pixelPath}/parameters/${idx}`, idx + 1),
+        );
+        (pixelDef.conditionalParameters ?? []).forEach((condition, conditionIdx) => {
+            const conditionPath = `${pixelPath}/conditionalParameters/${conditionIdx}/parameters`;
+            params.push(...condition.parameters.map((param, idx) => resolve(param, this._dictionary, `${conditionPath}/${idx}`, idx + 1)));
+        });
+
+        // Alternative suffix sequences often repeat the same suffixes, so only check each one once
+        const suffixes = [];
+        const seenSuffixes = new Set();
+        const addSuffix = (item, instancePath, position) => {
+            const id = JSON.stringify(item);
+            if (seenSuffixes.has(id)) return;
+
+            seenSuffixes.add(id);
+            suffixes.push(resolve(item, this.#commonSuffixes, instancePath, position));
+        };
+        (pixelDef.suffixes ?? []).forEach((item, idx) => {
+            const itemPath = `${pixelPath}/suffixes/${idx}`;
+            if (Array.isArray(item)) {
+                item.forEach((nested, nestedIdx) => addSuffix(nested, `${itemPath}/${nestedIdx}`, nestedIdx + 1));
+            } else {
+                addSuffix(item, itemPath, idx + 1);
+            }
+        });
+
+        return getPrivacyDiagnostics(pixelName, pixelDef, pixelPath, { params, suffixes });
+    }
+
+    /**
+     * Checks that conditional parameters can apply, and do not redefine parameters the pixel always sends
+     *
+     * @param {string} pixelName
+     * @param {PixelDefinition} pixelDef - definition whose parameters and suffixes could be compiled
+     * @param {string} pixelPath - JSON pointer to the pixel
+     * @returns {Diagnostic[]} errors
+     */
+    #getConditionalParametersDiagnostics(pixelName, pixelDef, pixelPath) {
+        const conditions = pixelDef.conditionalParameters ?? [];
+        if (!conditions.length) return [];
+
+        // Clone, as resolving non-shortcut items updates them in place
+        const clone = (item) => JSON.parse(JSON.stringify(item));
+        const getKey = (param) => {
+            const resolved = this._paramsValidator.getUpdatedItem(clone(param), this._dictionary);
+            return resolved.keyPattern ?? resolved.key;
+        };
+        const alwaysSentKeys = new Set((pixelDef.parameters ?? []).map(getKey));
+        const sequences = pixelDef.suffixes ? this._paramsValidator.getSuffixTokenSequences(clone(pixelDef.suffixes)) : [];
+
+        /** @type {Diagnostic[]} */
+        const diagnostics = [];
+        conditions.forEach(({ suffix, equals, parameters }, idx) => {
+            const conditionPath = `${pixelPath}/conditionalParameters/${idx}`;
+            const canMatch = sequences.some(
+                (tokens) => tokens.length >= suffix && this._paramsValidator.compileSuffixTokenSchema(tokens[suffix - 1])(equals),
+            );
+            if (!canMatch) {
+                diagnostics.push({
+                    message: `${pixelName} --> suffix ${suffix} can never be '${equals}', so its conditional parameters never apply`,
+                    instancePath: `${conditionPath}/equals`,
+                    ruleId: RULE_IDS.INVALID_PARAMETERS,
+                });
+            }
+
+            parameters.forEach((param, paramIdx) => {
+                const key = getKey(param);
+                if (!alwaysSentKeys.has(key)) return;
+                diagnostics.push({
+                    message: `${pixelName} --> parameter '${key}' is already defined for all suffix values`,
+                    instancePath: `${conditionPath}/parameters/${paramIdx}`,
+                    ruleId: RULE_IDS.INVALID_PARAMETERS,
+                });
+            });
+        });
+        return diagnostics;
+    }
+
+    /**
+     * Finds the first suffix or parameter that cannot be resolved on its own (e.g. an invalid shortcut),
+     * so that compilation errors can point at the offending item rather than the whole list.
+     *
+     * @param {Array|undefined} items - suffixes (possibly nested) or parameters
+     * @param {Record<string, unknown>} common - common suffixes or params used to resolve shortcuts
+     * @param {string} instancePath - JSON pointer to the list of items
+     * @returns {string} JSON pointer to the failing item, or to the list itself if all items resolve
+     */
+    #findUnresolvableItem(items, common, instancePath) {
+        if (!Array.isArray(items)) return instancePath;
+
+        for (const [idx, item] of items.entries()) {
+            const itemPath = `${instancePath}/${idx}`;
+            if (Array.isArray(item)) {
+                const nestedPath = this.#findUnresolvableItem(item, common, itemPath);
+                if (nestedPath !== itemPath) return nestedPath;
+                continue;
+            }
+
+            try {
+                // Clone, as resolving non-shortcut items updates them in place
+                this._paramsValidator.getUpdatedItem(JSON.parse(JSON.stringify(item)), common);
+            } catch {
+                return itemPath;
+            }
+        }
+
+        return instancePath;
     }
 }
 
@@ -236,6 +566,17 @@ export class WideEventDefinitionsValidator extends BaseDefinitionsValidator {
         return formatAjvErrors(this.#ajvValidateProps.errors);
     }
 
+    /**
+     * Lists props dictionary entries that none of the wide events validated so far use.
+     * Should be called once all definitions have been validated.
+     *
+     * @returns {{ props: string[] }} names of unused entries
+     */
+    getUnusedDictionaryEntries() {
+        const usedProps = this._paramsValidator.getUsedShortcuts(this._dictionary);
+        return { props: Object.keys(this._dictionary).filter((name) => !usedProps.has(name)) };
+    }
+
     /**
      * Expands shortcuts in a properties object (for feature.data.ext)
      * @param {object} props - properties object
@@ -387,7 +728,7 @@ export class WideEventDefinitionsValidator extends BaseDefinitionsValidator {
      * Each generated schema is a valid JSON Schema that can validate wide event data.
      * @param {object} wideEvents - The wide event definitions
      * @param {object} baseEvent - The base event template (required)
-     * @param {string[]} errors - array to collect validation errors
+     * @param {Diagnostic[]} errors - array to collect validation errors
      * @returns {object} Generated JSON Schemas keyed by event name
      */
     generateWideEventSchemas(wideEvents, baseEvent, errors) {
@@ -401,6 +742,7 @@ export class WideEventDefinitionsValidator extends BaseDefinitionsValidator {
         const ajvMetaSchema = this._ajv.compile(wideEventSchema);
 
         for (const [eventName, eventDef] of Object.entries(wideEvents)) {
+            const eventPath = `/${escapePointerToken(eventName)}`;
             // we require type and version to generate the filename
             if (!eventDef.meta?.type) {
                 throw new Error(`${eventName}: 'meta.type' is required`);
@@ -413,26 +755,26 @@ export class WideEventDefinitionsValidator extends BaseDefinitionsValidator {
             }
             for (const sectionName of WIDE_EVENT_DISALLOWED_EVENT_SECTIONS) {
                 if (!eventDef[sectionName]) continue;
-                const error = `${eventName}: '${sectionName}' section should not be defined in event - it comes from base_event.json`;
-                errors.push(error);
+                const message = `${eventName}: '${sectionName}' section should not be defined in event - it comes from base_event.json`;
+                errors.push({ message, instancePath: `${eventPath}/${sectionName}`, ruleId: RULE_IDS.DISALLOWED_SECTION });
             }
 
             const generatedSchema = this.#generateEventJsonSchema(eventName, eventDef, baseEvent);
 
             // Validate generated schema against metaschema
             if (!ajvMetaSchema(generatedSchema)) {
-                const error = `${eventName}: Generated schema does not match metaschema - ${formatAjvErrors(ajvMetaSchema.errors).join(
+                const message = `${eventName}: Generated schema does not match metaschema - ${formatAjvErrors(ajvMetaSchema.errors).join(
                     '; ',
                 )}`;
-                errors.push(error);
+                errors.push({ message, instancePath: eventPath, ruleId: RULE_IDS.SCHEMA });
             }
 
             // Verify generated schema is a valid JSON Schema by compiling it
             try {
                 this._ajv.compile(/** @type {import('ajv').AnySchema} */ (generatedSchema));
             } catch (error) {
-                const errorMessage = `${eventName}: Generated schema is not valid JSON Schema - ${error.message}`;
-                errors.push(errorMessage);
+                const message = `${eventName}: Generated schema is not valid JSON Schema - ${error.message}`;
+                errors.push({ message, instancePath: eventPath, ruleId: RULE_IDS.SCHEMA });
             }
 
             generatedSchemas[eventName] = generatedSchema;
@@ -450,10 +792,34 @@ export class WideEventDefinitionsValidator extends BaseDefinitionsValidator {
      * @returns {{ errors: string[], generatedSchemas: object }} validation errors and generated schemas
      */
     validateWideEventDefinition(wideEvents, baseEvent, userMap = null) {
+        const { errors, generatedSchemas } = this.getWideEventDefinitionDiagnostics(wideEvents, baseEvent, userMap);
+        return { errors: errors.map((error) => error.message), generatedSchemas };
+    }
+
+    /**
+     * Same as validateWideEventDefinition, but also reports where in the definition each error was found
+     *
+     * @param {object} wideEvents should follow the schema defined in wide_event_schema.json5
+     * @param {object} baseEvent - base event template (required)
+     * @param {?Record<string, string>} [userMap] - map of valid github usernames
+     * @param {?DefinitionSource} [source] - file the definitions were read from, used to report where duplicates were first defined
+     * @returns {{ errors: Diagnostic[], generatedSchemas: object }} validation errors and generated schemas
+     */
+    getWideEventDefinitionDiagnostics(wideEvents, baseEvent, userMap = null, source = null) {
+        /** @type {Diagnostic[]} */
         const errors = [];
 
         if (!baseEvent) {
-            return { errors: ['base_event.json is required for wide event validation'], generatedSchemas: {} };
+            return {
+                errors: [
+                    {
+                        message: 'base_event.json is required for wide event validation',
+                        instancePath: '',
+                        ruleId: RULE_IDS.MISSING_BASE_EVENT,
+                    },
+                ],
+                generatedSchemas: {},
+            };
         }
 
         // 1. Generate JSON Schemas by merging with base event
@@ -461,29 +827,34 @@ export class WideEventDefinitionsValidator extends BaseDefinitionsValidator {
         try {
             generatedSchemas = this.generateWideEventSchemas(wideEvents, baseEvent, errors);
         } catch (error) {
-            return { errors: [error.message], generatedSchemas: {} };
+            return { errors: [{ message: error.message, instancePath: '', ruleId: RULE_IDS.SCHEMA }], generatedSchemas: {} };
         }
 
         // 2. Additional checks: duplicates and owner validation
+        errors.push(...this._getDuplicateKeyDiagnostics(source, (eventName) => `/${escapePointerToken(eventName)}/meta/type`));
         for (const [eventName] of Object.entries(/** @type {Record<string, any>} */ (generatedSchemas))) {
+            const eventPath = `/${escapePointerToken(eventName)}`;
             // Check duplicates using the event meta.type
             const eventType = wideEvents?.[eventName]?.meta?.type;
             if (eventType) {
-                if (this._definedPrefixes.has(eventType)) {
-                    errors.push(`${eventType} --> Conflicting/duplicated definitions found!`);
-                } else {
-                    this._definedPrefixes.add(eventType);
+                const duplicateError = this._checkDuplicateDefinition(eventType, `${eventPath}/meta/type`, source);
+                if (duplicateError) {
+                    errors.push(duplicateError);
                 }
             }
 
             // Check owners (stored in x-owners)
             if (userMap) {
                 const owners = wideEvents?.[eventName]?.owners ?? [];
-                for (const owner of owners) {
+                owners.forEach((owner, idx) => {
                     if (!userMap[owner]) {
-                        errors.push(`Owner ${owner} for wide event ${eventName} not in list of acceptable github user names`);
+                        errors.push({
+                            message: `Owner ${owner} for wide event ${eventName} not in list of acceptable github user names`,
+                            instancePath: `${eventPath}/owners/${idx}`,
+                            ruleId: RULE_IDS.UNKNOWN_OWNER,
+                        });
                     }
-                }
+                });
             }
         }
 
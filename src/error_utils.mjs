@@ -2,6 +2,54 @@
  * Helper functions for formatting and logging errors
  */
 
+import { escapePointerToken, formatSourceLocation, getSourceLocation } from './source_map_utils.mjs';
+import { RULE_IDS } from './constants.mjs';
+
+/**
+ * @typedef {import('./source_map_utils.mjs').DefinitionSource} DefinitionSource
+ */
+
+/**
+ * @typedef {Object} Diagnostic
+ * @property {string} message - formatted error message
+ * @property {string} instancePath - JSON pointer to the offending part of the definition
+ * @property {string} ruleId - identifier of the check that found the issue, see RULE_IDS
+ */
+
+/**
+ * Formats a single AJV validation error
+ *
+ * @param {import("ajv").ErrorObject} error - AJV error object
+ * @param {*} suffixes - object containing request suffixes
+ * @returns {string|null} - formatted error message or null if the error should be omitted
+ */
+function formatAjvError(error, suffixes = null) {
+    // Omit confusing errors
+    if (error.message === 'must NOT be valid') return null;
+
+    let formattedError = `${error.instancePath} ${error.message}`;
+    if (suffixes) {
+        if (error.params.additionalProperty) {
+            formattedError += `. Found extra suffix '${suffixes[error.params.additionalProperty]}'`;
+        } else if (error.params.allowedValues) {
+            const idx = Number(error.instancePath.split('/')[1]);
+            formattedError = `Suffix '${suffixes[idx]}' ${error.message}`;
+        }
+    } else {
+        if (error.params.additionalProperty) formattedError += `. Found extra property '${error.params.additionalProperty}'`;
+
+        if (error.message === 'property name must be valid' && error.instancePath) {
+            formattedError = `${error.instancePath} has invalid property name '${error.params.propertyName}'`;
+        } else if (error.message === 'property name must be valid') {
+            formattedError = `Invalid property name '${error.params.propertyName}'. If this is a pixel:`;
+            formattedError += `\n\t* pixel names must not contain '.' --> use '_' instead`;
+            formattedError += `\n\t* experiments must be defined in the 'native_experiments.json' file`;
+        }
+    }
+
+    return formattedError.trim();
+}
+
 /**
  * Formats AJV validation errors
  *
@@ -16,33 +64,38 @@ function formatAjvErrors(validationErrors, suffixes = null) {
     }
 
     validationErrors.forEach((error) => {
-        // Omit confusing errors
-        if (error.message === 'must NOT be valid') return;
-
-        let formattedError = `${error.instancePath} ${error.message}`;
-        if (suffixes) {
-            if (error.params.additionalProperty) {
-                formattedError += `. Found extra suffix '${suffixes[error.params.additionalProperty]}'`;
-            } else if (error.params.allowedValues) {
-                const idx = Number(error.instancePath.split('/')[1]);
-                formattedError = `Suffix '${suffixes[idx]}' ${error.message}`;
-            }
-        } else {
-            if (error.params.additionalProperty) formattedError += `. Found extra property '${error.params.additionalProperty}'`;
-
-            if (error.message === 'property name must be valid') {
-                formattedError = `Invalid property name '${error.params.propertyName}'. If this is a pixel:`;
-                formattedError += `\n\t* pixel names must not contain '.' --> use '_' instead`;
-                formattedError += `\n\t* experiments must be defined in the 'native_experiments.json' file`;
-            }
-        }
-
-        errors.push(formattedError.trim());
+        const formattedError = formatAjvError(error, suffixes);
+        if (formattedError) errors.push(formattedError);
     });
 
     return errors;
 }
 
+/**
+ * Converts AJV validation errors into diagnostics, keeping track of where in the definition each error occurred.
+ * Errors about unexpected properties point at the offending property itself.
+ *
+ * @param {Array<import("ajv").ErrorObject> | null | undefined} validationErrors - array of AJV error objects
+ * @returns {Array<Diagnostic>} - array of diagnostics
+ */
+function getAjvDiagnostics(validationErrors) {
+    const diagnostics = [];
+    if (!Array.isArray(validationErrors)) {
+        return diagnostics;
+    }
+
+    validationErrors.forEach((error) => {
+        const message = formatAjvError(error);
+        if (!message) return;
+
+        const propertyName = error.params.additionalProperty ?? error.params.propertyName;
+        const instancePath = propertyName === undefined ? error.instancePath : `${error.instancePath}/${escapePointerToken(propertyName)}`;
+        diagnostics.push({ message, instancePath, ruleId: RULE_IDS.SCHEMA });
+    });
+
+    return diagnostics;
+}
+
 /**
  * Logs the errors (if any) and sets exit code to failing
  *
@@ -59,4 +112,55 @@ function logErrors(prefix, errors) {
     });
 }
 
-export { formatAjvErrors, logErrors };
+/**
+ * Logs the warnings (if any) without failing the process
+ *
+ * @param prefix {string} - prefix for the warning messages
+ * @param {Array<string>} warnings
+ */
+function logWarnings(prefix, warnings) {
+    warnings.forEach((warning) => {
+        console.warn(`${prefix} ${warning}`);
+    });
+}
+
+/**
+ * Formats a diagnostic as `file:line:col: message`, so that editors and CI annotations can link to it
+ *
+ * @param {DefinitionSource} source - definitions file the diagnostic refers to
+ * @param {Diagnostic} diagnostic
+ * @returns {string} formatted diagnostic
+ */
+function formatDiagnostic(source, diagnostic) {
+    const location = getSourceLocation(source.pointers, diagnostic.instancePath);
+    return `${formatSourceLocation(source.filePath, location)}: ${diagnostic.message}`;
+}
+
+/**
+ * Logs errors found in a definitions file (if any) with their location, and sets exit code to failing
+ *
+ * @param {DefinitionSource} source - definitions file the errors refer to
+ * @param {Array<Diagnostic>} errors
+ */
+function logFileErrors(source, errors) {
+    if (errors.length <= 0) return;
+
+    process.exitCode = 1;
+    errors.forEach((error) => {
+        console.error(`ERROR in ${formatDiagnostic(source, error)}`);
+    });
+}
+
+/**
+ * Logs warnings found in a definitions file (if any) with their location, without failing the process
+ *
+ * @param {DefinitionSource} source - definitions file the warnings refer to
+ * @param {Array<Diagnostic>} warnings
+ */
+function logFileWarnings(source, warnings) {
+    warnings.forEach((warning) => {
+        console.warn(`WARNING in ${formatDiagnostic(source, warning)}`);
+    });
+}
+
+export { formatAjvErrors, getAjvDiagnostics, formatDiagnostic, logErrors, logWarnings, logFileErrors, logFileWarnings };
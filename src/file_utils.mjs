@@ -7,9 +7,15 @@ import path from 'path';
 import JSON5 from 'json5';
 import prettier from 'prettier';
 
+import { spawnSync } from 'child_process';
 import { fileURLToPath } from 'url';
+import { parseJson5WithSourceMap } from './source_map_utils.mjs';
 
-const RESULTS_DIR = 'pixel_processing_results';
+/**
+ * @typedef {import('./source_map_utils.mjs').DefinitionSource} DefinitionSource
+ */
+
+export const RESULTS_DIR = 'pixel_processing_results';
 export const GLOBAL_PIXEL_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'global_pixel_definitions');
 
 /**
@@ -27,6 +33,25 @@ export function resolvePixelsDirs(mainDir) {
     };
 }
 
+/**
+ * Resolves the path of a .json file, falling back to the .json5 file of the same name if missing.
+ *
+ * @param {string} filePath - Absolute path to a file
+ * @returns {string} path of the existing file
+ * @throws Will throw an error if neither file exists.
+ */
+function resolveJsonFilePath(filePath) {
+    if (fs.existsSync(filePath)) return filePath;
+
+    // Try the '.json5' fallback
+    const { dir, name } = path.parse(filePath);
+    const altPath = path.join(dir, `${name}.json5`);
+    if (!fs.existsSync(altPath)) {
+        throw new Error(`Neither ${filePath} nor ${altPath} exist.`);
+    }
+    return altPath;
+}
+
 /**
  * Attempt to read and parse a file using JSON5. Tries .json
  * first but will try to json5 if missing.
@@ -36,21 +61,21 @@ export function resolvePixelsDirs(mainDir) {
  * @throws Will throw an error if neither file exists.
  */
 function parseFile(filePath) {
-    let resolvedPath = filePath;
-    if (!fs.existsSync(resolvedPath)) {
-        // Try the '.json5' fallback
-        const { dir, name } = path.parse(filePath);
-        const altPath = path.join(dir, `${name}.json5`);
-        if (fs.existsSync(altPath)) {
-            resolvedPath = altPath;
-        } else {
-            throw new Error(`Neither ${filePath} nor ${altPath} exist.`);
-        }
-    }
-    const fileContent = fs.readFileSync(resolvedPath, 'utf8');
+    const fileContent = fs.readFileSync(resolveJsonFilePath(filePath), 'utf8');
     return JSON5.parse(fileContent);
 }
 
+/**
+ * Read a pixel or wide event definitions file, keeping track of where each definition is located
+ *
+ * @param {string} filePath - path to the definitions file
+ * @returns {{ data: object, source: DefinitionSource }} parsed definitions and their source map
+ */
+export function readDefinitionFile(filePath) {
+    const { data, pointers, duplicateKeys } = parseJson5WithSourceMap(fs.readFileSync(filePath, 'utf8'));
+    return { data, source: { filePath, pointers, duplicateKeys } };
+}
+
 /**
  * Builds a file path from the main pixel directory and the given filename,
  * then parses the file.
@@ -64,6 +89,39 @@ function readSchemaFile(mainPixelDir, filename) {
     return parseFile(filePath);
 }
 
+/**
+ * Read the lint config of a definitions repo
+ * @param {string} mainDir - path to the directory containing pixels/ and wide_events/
+ * @param {?string} [configPath] - path to a config file to use instead of {mainDir}/lint_config.json
+ * @returns {object} lint config, or an empty config if the repo has none
+ */
+export function readLintConfig(mainDir, configPath = null) {
+    if (configPath) {
+        return JSON5.parse(fs.readFileSync(configPath, 'utf8'));
+    }
+
+    const hasConfig = ['lint_config.json', 'lint_config.json5'].some((filename) => fs.existsSync(path.join(mainDir, filename)));
+    return hasConfig ? readSchemaFile(mainDir, 'lint_config.json') : {};
+}
+
+/**
+ * Get path to the common parameters file
+ * @param {string} mainPixelDir - path to the main pixels directory
+ * @returns {string} path to params_dictionary.json (or .json5)
+ */
+export function getCommonParamsPath(mainPixelDir) {
+    return resolveJsonFilePath(path.join(mainPixelDir, 'params_dictionary.json'));
+}
+
+/**
+ * Get path to the common suffixes file
+ * @param {string} mainPixelDir - path to the main pixels directory
+ * @returns {string} path to suffixes_dictionary.json (or .json5)
+ */
+export function getCommonSuffixesPath(mainPixelDir) {
+    return resolveJsonFilePath(path.join(mainPixelDir, 'suffixes_dictionary.json'));
+}
+
 /**
  * Read common parameters
  * @param {string} mainPixelDir - path to the main pixels directory
@@ -173,6 +231,15 @@ export function getPixelErrorsPath(mainPixelDir) {
     return getResultsFilePath(mainPixelDir, 'pixel_errors.json');
 }
 
+/**
+ * Get path to the definition patches suggested from live validation errors
+ * @param {string} mainPixelDir - path to the main pixels directory
+ * @returns {string} suggested patches path
+ */
+export function getSuggestedPatchesPath(mainPixelDir) {
+    return getResultsFilePath(mainPixelDir, 'suggested_definition_patches.patch');
+}
+
 /**
  * Get path to undocumented pixels encountered during live validation
  * @param {string} mainPixelDir - path to the main pixels directory
@@ -182,6 +249,24 @@ export function getUndocumentedPixelsPath(mainPixelDir) {
     return getResultsFilePath(mainPixelDir, 'undocumented_pixels.json');
 }
 
+/**
+ * Read undocumented pixels encountered during live validation
+ * @param {string} mainPixelDir - path to the main pixels directory
+ * @returns {string[]} undocumented pixel names
+ */
+export function readUndocumentedPixels(mainPixelDir) {
+    return parseFile(getUndocumentedPixelsPath(mainPixelDir));
+}
+
+/**
+ * Get path to expired pixels that were still firing during live validation
+ * @param {string} mainPixelDir - path to the main pixels directory
+ * @returns {string} expired pixels path
+ */
+export function getExpiredPixelsPath(mainPixelDir) {
+    return getResultsFilePath(mainPixelDir, 'expired_pixels.json');
+}
+
 /**
  * Get tokenized pixels path
  * @param {string} mainPixelDir - path to the main pixels directory
@@ -237,7 +322,15 @@ export async function writeGeneratedSchema(wideEventsDir, eventName, schema) {
     // Extract version from schema to include in filename
     const version = schema.properties.meta.properties.version.const; // crash if ver is missing
     const filename = version ? `${eventName}-${version}.json` : `${eventName}.json`;
-    const schemaPath = path.join(generatedSchemasDir, filename);
+    await writeFormattedSchema(path.join(generatedSchemasDir, filename), schema);
+}
+
+/**
+ * Write a JSON schema, formatted with the repo's prettier settings
+ * @param {string} schemaPath - path to write the schema to
+ * @param {object} schema - the schema to write
+ */
+async function writeFormattedSchema(schemaPath, schema) {
     const formattedSchema = await prettier.format(JSON.stringify(schema), {
         singleQuote: true,
         printWidth: 140,
@@ -258,3 +351,47 @@ export async function writeAllGeneratedSchemas(wideEventsDir, schemas) {
         await writeGeneratedSchema(wideEventsDir, eventName, schemaDef);
     }
 }
+
+/**
+ * Get the default directory for standalone pixel schemas
+ * @param {string} mainPixelDir - path to the main pixels directory
+ * @returns {string} pixel schemas directory path
+ */
+export function getPixelSchemasDir(mainPixelDir) {
+    return path.join(mainPixelDir, 'generated_schemas');
+}
+
+/**
+ * Write standalone pixel schemas, one file per pixel
+ * @param {string} outDir - directory to write the schemas to, created if it doesn't exist
+ * @param {Record<string, object>} schemas - schemas keyed by pixel name
+ */
+export async function writePixelSchemas(outDir, schemas) {
+    fs.mkdirSync(outDir, { recursive: true });
+    for (const [pixelName, schema] of Object.entries(schemas)) {
+        await writeFormattedSchema(path.join(outDir, `${pixelName}.json`), schema);
+    }
+}
+
+/**
+ * Extract the contents of a directory, as of the given git revision, into another directory
+ * @param {string} dirPath - directory within a git repository
+ * @param {string} gitRef - commit, branch or tag to read the directory at
+ * @param {string} outDir - existing directory to extract the contents into
+ * @throws if the directory cannot be read at the given revision
+ */
+export function extractDirAtGitRef(dirPath, gitRef, outDir) {
+    // Paths in the archive are relative to the directory git is run from
+    const archive = spawnSync('git', ['archive', '--format=tar', gitRef, '--', '.'], {
+        cwd: dirPath,
+        maxBuffer: 512 * 1024 * 1024,
+    });
+    if (archive.error || archive.status !== 0) {
+        throw new Error(`Failed to read ${dirPath} at ${gitRef}: ${archive.error?.message ?? archive.stderr.toString().trim()}`);
+    }
+
+    const extract = spawnSync('tar', ['-x', '-C', outDir], { input: archive.stdout });
+    if (extract.error || extract.status !== 0) {
+        throw new Error(`Failed to extract ${dirPath} at ${gitRef}: ${extract.error?.message ?? extract.stderr.toString().trim()}`);
+    }
+}
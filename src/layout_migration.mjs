@@ -0,0 +1,162 @@
+/**
+ * Helper functions for moving a definitions repo from the legacy layout (definitions directly in pixels/, config files
+ * next to it) to the pixels/definitions layout (config files in pixels/, definitions in pixels/definitions)
+ */
+import fs from 'fs';
+import path from 'path';
+
+import * as fileUtils from './file_utils.mjs';
+
+/**
+ * @typedef {Object} LayoutMove
+ * @property {string} from - current path of the file or directory
+ * @property {string} to - path in the pixels/definitions layout
+ */
+
+/**
+ * @typedef {Object} ValidationFinding
+ * @property {string} ruleId
+ * @property {string} severity
+ * @property {string} file
+ * @property {string} name
+ * @property {string} message
+ */
+
+// Files read from the pixels config dir, see fileUtils.resolvePixelsDirs.
+// product.json and lint_config.json are read from the repo root in both layouts, so they stay where they are.
+const PIXEL_CONFIG_FILES = [
+    'params_dictionary',
+    'suffixes_dictionary',
+    'ignore_params',
+    'native_experiments',
+    'search_experiments',
+    'search_pixels',
+].flatMap((name) => [`${name}.json`, `${name}.json5`]);
+
+/**
+ * Lists the moves needed to bring a legacy layout repo to the pixels/definitions layout
+ * @param {string} mainDir - path to the directory containing the pixels folder
+ * @returns {LayoutMove[]} moves, in the order they should be applied. Everything in pixels/ moves into pixels/definitions
+ * first, so config files never clash with existing files
+ * @throws if the repo does not use the legacy layout
+ */
+export function planLayoutMigration(mainDir) {
+    const { pixelsConfigDir: legacyConfigDir, pixelDefsDir: legacyDefsDir } = fileUtils.resolvePixelsDirs(mainDir);
+    if (!fs.existsSync(legacyDefsDir)) {
+        throw new Error(`${legacyDefsDir} does not exist`);
+    }
+    if (legacyConfigDir !== mainDir) {
+        throw new Error(`${mainDir} already uses the pixels/definitions layout`);
+    }
+
+    const configDir = legacyDefsDir;
+    const defsDir = path.join(configDir, 'definitions');
+    /** @type {LayoutMove[]} */
+    const moves = fs
+        .readdirSync(legacyDefsDir)
+        .sort()
+        .map((entry) => ({ from: path.join(legacyDefsDir, entry), to: path.join(defsDir, entry) }));
+
+    const generatedPaths = [
+        [path.join(legacyConfigDir, fileUtils.RESULTS_DIR), path.join(configDir, fileUtils.RESULTS_DIR)],
+        [fileUtils.getPixelSchemasDir(legacyConfigDir), fileUtils.getPixelSchemasDir(configDir)],
+    ];
+    [...PIXEL_CONFIG_FILES.map((file) => [path.join(legacyConfigDir, file), path.join(configDir, file)]), ...generatedPaths]
+        .filter(([from]) => fs.existsSync(from))
+        .forEach(([from, to]) => moves.push({ from, to }));
+
+    return moves;
+}
+
+/**
+ * Applies moves planned by planLayoutMigration
+ * @param {LayoutMove[]} moves
+ */
+export function applyLayoutMoves(moves) {
+    moves.forEach(({ from, to }) => {
+        fs.mkdirSync(path.dirname(to), { recursive: true });
+        fs.renameSync(from, to);
+    });
+}
+
+/**
+ * Undoes moves applied by applyLayoutMoves, removing directories they created if left empty
+ * @param {LayoutMove[]} moves - moves that were applied, including partially
+ */
+export function revertLayoutMoves(moves) {
+    [...moves].reverse().forEach(({ from, to }) => {
+        // Skip moves that were not applied, e.g. because an earlier one failed
+        if (fs.existsSync(from) || !fs.existsSync(to)) return;
+        fs.renameSync(to, from);
+        const dir = path.dirname(to);
+        if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+            fs.rmdirSync(dir);
+        }
+    });
+}
+
+/**
+ * @param {string} file
+ * @param {LayoutMove[]} moves
+ * @returns {string} resolved path of the file once the moves are applied
+ */
+function getMovedPath(file, moves) {
+    const resolved = path.resolve(file);
+    for (const { from, to } of moves) {
+        const resolvedFrom = path.resolve(from);
+        if (resolved === resolvedFrom || resolved.startsWith(resolvedFrom + path.sep)) {
+            return path.resolve(to) + resolved.slice(resolvedFrom.length);
+        }
+    }
+    return resolved;
+}
+
+/**
+ * @param {ValidationFinding} finding
+ * @returns {string} finding formatted for use in difference messages
+ */
+function formatFinding({ severity, ruleId, file, name, message }) {
+    return `${severity} [${ruleId}] ${file}${name ? ` ${name}` : ''}: ${message}`;
+}
+
+/**
+ * Compares validation findings from before and after a migration, accounting for moved files
+ * @param {ValidationFinding[]} before - findings for the legacy layout
+ * @param {ValidationFinding[]} after - findings for the pixels/definitions layout
+ * @param {LayoutMove[]} moves - moves applied in between
+ * @param {string} legacyDefsDir - pixels folder the definition files were in before the migration
+ * @returns {string[]} findings that only appear on one side, empty if the results are identical
+ */
+export function diffValidationFindings(before, after, moves, legacyDefsDir) {
+    // Findings about config files refer to where they are read from, whether they exist or not
+    const configMoves = PIXEL_CONFIG_FILES.map((file) => ({
+        from: path.join(path.dirname(legacyDefsDir), file),
+        to: path.join(legacyDefsDir, file),
+    }));
+    // Findings about the definitions as a whole refer to the folder the definition files were in
+    const findingMoves = [...moves, ...configMoves, { from: legacyDefsDir, to: path.join(legacyDefsDir, 'definitions') }];
+    /**
+     * @param {ValidationFinding[]} findings
+     * @param {LayoutMove[]} movesToApply
+     * @returns {Map<string, ValidationFinding[]>} findings keyed by their content once the moves are applied
+     */
+    const groupFindings = (findings, movesToApply) => {
+        const groups = new Map();
+        findings.forEach((finding) => {
+            const key = JSON.stringify({ ...finding, file: getMovedPath(finding.file, movesToApply) });
+            groups.set(key, [...(groups.get(key) ?? []), finding]);
+        });
+        return groups;
+    };
+    const beforeGroups = groupFindings(before, findingMoves);
+    const afterGroups = groupFindings(after, []);
+
+    const differences = [];
+    for (const key of new Set([...beforeGroups.keys(), ...afterGroups.keys()])) {
+        const beforeFindings = beforeGroups.get(key) ?? [];
+        const afterFindings = afterGroups.get(key) ?? [];
+        beforeFindings.slice(afterFindings.length).forEach((finding) => differences.push(`- ${formatFinding(finding)}`));
+        afterFindings.slice(beforeFindings.length).forEach((finding) => differences.push(`+ ${formatFinding(finding)}`));
+    }
+    return differences;
+}
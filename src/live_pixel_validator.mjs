@@ -2,17 +2,41 @@
 import { compareVersions, validate as validateVersion } from 'compare-versions';
 
 import { formatAjvErrors } from './error_utils.mjs';
-import { ROOT_PREFIX, PIXEL_DELIMITER, PIXEL_VALIDATION_RESULT } from './constants.mjs';
-import { matchPixel } from './pixel_utils.mjs';
+import {
+    ROOT_PREFIX,
+    PIXEL_DELIMITER,
+    PIXEL_VALIDATION_RESULT,
+    EXPERIMENT_DEFAULT_METRICS,
+    EXPERIMENT_DEFAULT_METRIC_VALUES,
+} from './constants.mjs';
+import { decodeURLComponent, getParamEncoding } from './param_encodings.mjs';
+import { getDaysUntilExpiry, getMatchingConditions, getVariantParameters, matchPixel } from './pixel_utils.mjs';
+import { getValueAtPointer } from './source_map_utils.mjs';
 
 /**
  * @typedef {import('./types.mjs').ProductDefinition} ProductDefinition
  * @typedef {import('./params_validator.mjs').ParamsValidator} ParamsValidator
  * @typedef {import('ajv').ValidateFunction} ValidateFunction
+ * @typedef {import('ajv').ErrorObject} ErrorObject
+ */
+
+/**
+ * @typedef {Object} SchemaErrorDetails
+ * @property {'params'|'suffixes'} target - what failed validation: the params, or the pixel name tokens following the prefix
+ * @property {ErrorObject} ajvError - raw AJV error
+ * @property {*} value - offending value (for unexpected params, the value as sent)
+ */
+
+/**
+ * @typedef {Object} PixelError
+ * @property {string} error - formatted error message
+ * @property {string} example - params or pixel name the error was found in
+ * @property {SchemaErrorDetails} [details] - set for errors found by the params and suffixes schemas of a pixel definition
  */
 
 export class LivePixelsValidator {
     #compiledPixels;
+    #paramsValidator;
     #defsVersion;
     #defsVersionKey;
     #forceLowerCase;
@@ -41,6 +65,8 @@ export class LivePixelsValidator {
             this.#defsVersionKey = null;
         }
 
+        // Params of pixels with conditional parameters are compiled on demand, for each combination of conditions that hold
+        this.#paramsValidator = paramsValidator;
         this.#compileDefs(tokenizedPixels, paramsValidator);
         this.#compiledPixels = tokenizedPixels;
 
@@ -50,13 +76,14 @@ export class LivePixelsValidator {
 
         // Experiment metrics
         this.#compiledExperiments = experimentsDef.activeExperiments || {};
-        const defaultsSchema = paramsValidator.compileExperimentMetricSchema({ enum: [1, 4, 6, 11, 21, 30] });
+        const defaultsSchema = paramsValidator.compileExperimentMetricSchema({ enum: [...EXPERIMENT_DEFAULT_METRIC_VALUES] });
         Object.entries(this.#compiledExperiments).forEach(([_, experimentDef]) => {
             Object.entries(experimentDef.metrics).forEach(([metric, metricDef]) => {
                 experimentDef.metrics[metric] = paramsValidator.compileExperimentMetricSchema(metricDef);
             });
-            experimentDef.metrics.app_use = defaultsSchema;
-            experimentDef.metrics.search = defaultsSchema;
+            EXPERIMENT_DEFAULT_METRICS.forEach((metric) => {
+                experimentDef.metrics[metric] = defaultsSchema;
+            });
         });
     }
 
@@ -72,30 +99,25 @@ export class LivePixelsValidator {
      * @param {String} paramValue
      * @param {import('ajv').SchemaObject | undefined} paramSchema - AJV schema fragment
      * @returns {string|object|Array<string>|null} decoded and normalized param value
+     * @throws if the value is not encoded as its schema expects
      */
     #getDecodedAndNormalizedVal(paramValue, paramSchema) {
         if (!paramSchema) return null; // will fail validation later
 
         // Decode before lowercasing
-        let updatedVal = paramValue;
+        let updatedVal;
         try {
-            updatedVal = decodeURIComponent(paramValue);
+            updatedVal = decodeURLComponent(paramValue);
         } catch (decodeErr) {
             // Attempt fallback decoding as we fail to decode strings containing unescaped %, eg. "50% off sale"
             const escapedPercentVal = paramValue.replace(/%/g, '%25');
-            if (escapedPercentVal !== paramValue) {
-                try {
-                    updatedVal = decodeURIComponent(escapedPercentVal);
-                } catch (retryErr) {
-                    console.warn(`WARNING: Failed to decode % escaped param value '${paramValue}'`, retryErr);
-                }
-            } else {
-                console.warn(`WARNING: Failed to decode param value '${paramValue}'`, decodeErr);
-            }
+            if (escapedPercentVal === paramValue) throw decodeErr;
+            updatedVal = decodeURLComponent(escapedPercentVal);
         }
 
-        if (paramSchema.encoding === 'base64') {
-            updatedVal = Buffer.from(updatedVal, 'base64').toString('utf8');
+        const encoding = paramSchema.encoding ? getParamEncoding(paramSchema.encoding) : null;
+        if (encoding) {
+            updatedVal = encoding.decode(updatedVal);
         }
 
         // Lowercase before parsing into an object
@@ -103,7 +125,13 @@ export class LivePixelsValidator {
             updatedVal = updatedVal.toLowerCase();
         }
 
-        if (paramSchema.type === 'object' || paramSchema.type === 'array') {
+        if (encoding?.json) {
+            try {
+                updatedVal = JSON.parse(updatedVal);
+            } catch {
+                throw new Error('not valid JSON');
+            }
+        } else if (paramSchema.type === 'object' || paramSchema.type === 'array') {
             try {
                 updatedVal = JSON.parse(updatedVal);
             } catch (parseErr) {
@@ -154,6 +182,9 @@ export class LivePixelsValidator {
             }
 
             const normalizedParams = pixelDef.parameters ? JSON.parse(this.#getNormalizedVal(JSON.stringify(pixelDef.parameters))) : [];
+            const normalizedConditions = pixelDef.conditionalParameters
+                ? JSON.parse(this.#getNormalizedVal(JSON.stringify(pixelDef.conditionalParameters)))
+                : [];
             // Clone suffixes before compilation to avoid mutating tokenized definitions.
             const parsedSuffixes = pixelDef.suffixes ? JSON.parse(JSON.stringify(pixelDef.suffixes)) : [];
 
@@ -165,6 +196,10 @@ export class LivePixelsValidator {
                 paramsSchema,
                 suffixesSchema,
                 owners,
+                expires: pixelDef.expires,
+                parameters: normalizedParams,
+                conditionalParameters: normalizedConditions,
+                variantParamsSchemas: new Map([['', paramsSchema]]),
             };
         });
     }
@@ -178,6 +213,7 @@ export class LivePixelsValidator {
             status: PIXEL_VALIDATION_RESULT.VALIDATION_PASSED,
             owners: [],
             prefixForErrors: null,
+            expires: null,
             errors: [],
         };
     }
@@ -261,7 +297,8 @@ export class LivePixelsValidator {
     }
 
     /**
-     * Validates pixel against saved schema and returns any errors
+     * Validates pixel against saved schema and returns any errors.
+     * Pixels that pass validation but are past their expiry date are reported with the EXPIRED status.
      * @param {String} pixel full pixel name in "_" notation
      * @param {String} params query params as they would appear in a URL, but without the cache buster
      */
@@ -282,11 +319,49 @@ export class LivePixelsValidator {
         this.#currentPixelState.owners = pixelMatch.owners;
 
         this.validatePixelParamsAndSuffixes(prefix, pixel, params, pixelMatch);
+        this.#checkExpiry(prefix, pixelMatch.expires);
         return this.#currentPixelState;
     }
 
+    /**
+     * Flags pixels that are still firing past their expiry date.
+     * Validation errors take precedence, as those need fixing regardless of expiry.
+     * @param {string} prefix matched pixel prefix.
+     * @param {string|undefined} expires expiry date of the matched pixel, if any.
+     * @returns {void}
+     */
+    #checkExpiry(prefix, expires) {
+        if (!expires || this.#currentPixelState.status !== PIXEL_VALIDATION_RESULT.VALIDATION_PASSED) return;
+        if (getDaysUntilExpiry(expires) > 0) return;
+
+        // Expired pixels are reported per prefix, just like errors
+        this.#currentPixelState.status = PIXEL_VALIDATION_RESULT.EXPIRED;
+        this.#currentPixelState.prefixForErrors = prefix;
+        this.#currentPixelState.expires = expires;
+    }
+
+    /**
+     * Picks the params schema matching the suffix values of a pixel, compiling it if needed
+     * @param {string} prefix matched pixel prefix.
+     * @param {object} pixelSchemas compiled schemas for the pixel.
+     * @param {string[]} nameTokens pixel name tokens following the prefix.
+     * @returns {ValidateFunction} params schema, including the conditional parameters that apply.
+     */
+    #getParamsSchema(prefix, pixelSchemas, nameTokens) {
+        if (!pixelSchemas.conditionalParameters?.length) return pixelSchemas.paramsSchema;
+
+        const conditionIndices = getMatchingConditions(pixelSchemas.conditionalParameters, nameTokens);
+        const cacheKey = conditionIndices.join(',');
+        if (!pixelSchemas.variantParamsSchemas.has(cacheKey)) {
+            const parameters = getVariantParameters(pixelSchemas.parameters, pixelSchemas.conditionalParameters, conditionIndices);
+            pixelSchemas.variantParamsSchemas.set(cacheKey, this.#paramsValidator.compileParamsSchema(parameters, prefix));
+        }
+        return pixelSchemas.variantParamsSchemas.get(cacheKey);
+    }
+
     /**
      * Validates pixel parameters and suffixes against compiled schemas.
+     * Params are validated against the ones defined for the actual suffix values (see conditionalParameters).
      * @param {string} prefix matched pixel prefix.
      * @param {string} pixel full pixel name.
      * @param {string} paramsUrlFormat query string without cache buster.
@@ -294,16 +369,37 @@ export class LivePixelsValidator {
      * @returns {object} resulting validation state.
      */
     validatePixelParamsAndSuffixes(prefix, pixel, paramsUrlFormat, pixelSchemas) {
+        const nameTokens = pixel.length === prefix.length ? [] : pixel.split(`${prefix}${PIXEL_DELIMITER}`)[1].split(PIXEL_DELIMITER);
+        const pixelNameStruct = { ...nameTokens };
+        // Suffixes are matched first, as suffix values can span several name tokens and conditional params depend on them.
+        // Their errors are still saved after params errors.
+        if (nameTokens.length) pixelSchemas.suffixesSchema(pixelNameStruct);
+        const suffixesErrors = pixelSchemas.suffixesSchema.errors;
+        const suffixValues = (nameTokens.length && pixelSchemas.suffixesSchema.segments) || pixelNameStruct;
+
+        const paramsSchema = this.#getParamsSchema(prefix, pixelSchemas, Object.values(suffixValues));
+        // Params schemas are always objects, compiled by ParamsValidator
+        const paramsSchemaDef = /** @type {object} */ (paramsSchema.schema);
         const rawParamsStruct = Object.fromEntries(new URLSearchParams(paramsUrlFormat));
         const paramsStruct = {};
+        const decodeErrors = [];
+        const undecodedKeys = new Set();
         Object.entries(rawParamsStruct).forEach(([key, val]) => {
             const normalizedKey = this.#getNormalizedVal(key);
-            const paramSchema = this.#getParamSchemaForKey(normalizedKey, pixelSchemas.paramsSchema.schema);
-            paramsStruct[normalizedKey] = this.#getDecodedAndNormalizedVal(val, paramSchema);
+            const paramSchema = this.#getParamSchemaForKey(normalizedKey, paramsSchemaDef);
+            try {
+                paramsStruct[normalizedKey] = this.#getDecodedAndNormalizedVal(val, paramSchema);
+            } catch (error) {
+                // Values that cannot be decoded are only reported once: they are left out of schema validation,
+                // and not reported as missing either
+                const encodingDesc = paramSchema?.encoding ? ` as ${paramSchema.encoding}` : '';
+                decodeErrors.push(`Failed to decode param '${normalizedKey}'${encodingDesc}: ${error.message}`);
+                undecodedKeys.add(normalizedKey);
+            }
         });
 
         if (this.#defsVersionKey && this.#defsVersion) {
-            const hasTargetVersionParam = !!this.#getParamSchemaForKey(this.#defsVersionKey, pixelSchemas.paramsSchema.schema);
+            const hasTargetVersionParam = !!this.#getParamSchemaForKey(this.#defsVersionKey, paramsSchemaDef);
             // 1) Skip pixels that define the app version key but do not include it in the live params.
             if (hasTargetVersionParam && !paramsStruct[this.#defsVersionKey]) {
                 this.#currentPixelState.status = PIXEL_VALIDATION_RESULT.OLD_APP_VERSION;
@@ -320,21 +416,19 @@ export class LivePixelsValidator {
         }
 
         // 2) Validate regular params
-        pixelSchemas.paramsSchema(paramsStruct);
-        this.#saveErrors(prefix, paramsUrlFormat, formatAjvErrors(pixelSchemas.paramsSchema.errors));
+        this.#saveErrors(prefix, paramsUrlFormat, decodeErrors);
+        paramsSchema(paramsStruct);
+        const paramsErrors = paramsSchema.errors?.filter(
+            (error) => error.keyword !== 'required' || error.instancePath || !undecodedKeys.has(error.params.missingProperty),
+        );
+        this.#saveSchemaErrors(prefix, paramsUrlFormat, 'params', paramsErrors, paramsStruct, rawParamsStruct);
 
         // 3) Validate suffixes if they exist
-        if (pixel.length === prefix.length) {
+        if (!nameTokens.length) {
             return this.#currentPixelState;
         }
 
-        const pixelSuffix = pixel.split(`${prefix}${PIXEL_DELIMITER}`)[1];
-        const pixelNameStruct = {};
-        pixelSuffix.split(PIXEL_DELIMITER).forEach((suffix, idx) => {
-            pixelNameStruct[idx] = suffix;
-        });
-        pixelSchemas.suffixesSchema(pixelNameStruct);
-        this.#saveErrors(prefix, pixel, formatAjvErrors(pixelSchemas.suffixesSchema.errors, pixelNameStruct));
+        this.#saveSchemaErrors(prefix, pixel, 'suffixes', suffixesErrors, suffixValues, suffixValues);
 
         return this.#currentPixelState;
     }
@@ -344,19 +438,39 @@ export class LivePixelsValidator {
      * @param {string} prefix prefix used in error reporting.
      * @param {string} example source example for the error.
      * @param {string[]|null|undefined} errors AJV error messages.
+     * @param {SchemaErrorDetails} [details] details of the AJV error, when saving a single one.
      * @returns {void}
      */
-    #saveErrors(prefix, example, errors) {
+    #saveErrors(prefix, example, errors, details = undefined) {
         if (!errors || !errors.length) return;
 
         this.#currentPixelState.status = PIXEL_VALIDATION_RESULT.VALIDATION_FAILED;
         this.#currentPixelState.prefixForErrors = prefix;
 
         for (const error of errors) {
-            this.#currentPixelState.errors.push({
-                error,
-                example,
-            });
+            /** @type {PixelError} */
+            const pixelError = { error, example };
+            if (details) pixelError.details = details;
+            this.#currentPixelState.errors.push(pixelError);
+        }
+    }
+
+    /**
+     * Persists errors of a pixel's params or suffixes schema, along with the offending values.
+     * @param {string} prefix prefix used in error reporting.
+     * @param {string} example source example for the errors.
+     * @param {'params'|'suffixes'} target what was validated.
+     * @param {ErrorObject[]|null|undefined} ajvErrors raw AJV errors.
+     * @param {object} data validated data.
+     * @param {object} rawData data as sent, for values that no schema describes.
+     * @returns {void}
+     */
+    #saveSchemaErrors(prefix, example, target, ajvErrors, data, rawData) {
+        for (const ajvError of ajvErrors ?? []) {
+            const errors = formatAjvErrors([ajvError], target === 'suffixes' ? data : null);
+            const extraKey = ajvError.params.additionalProperty;
+            const value = extraKey === undefined ? getValueAtPointer(data, ajvError.instancePath) : rawData[extraKey];
+            this.#saveErrors(prefix, example, errors, { target, ajvError, value });
         }
     }
 }
@@ -9,6 +9,7 @@ import { tokenizePixelDefs } from './tokenizer.mjs';
 import { LivePixelsValidator } from './live_pixel_validator.mjs';
 import { ParamsValidator } from './params_validator.mjs';
 import * as fileUtils from './file_utils.mjs';
+import { PIXEL_DELIMITER } from './constants.mjs';
 import { resolveTargetVersion, parseSearchExperiments, getEnabledSearchExperiments } from './pixel_utils.mjs';
 
 /**
@@ -41,28 +42,43 @@ export function processPixelDefs(mainDir) {
 }
 
 /**
- * Build a LivePixelsValidator instance from the main pixels directory.
- * @param {string} mainDir - The main directory containing pixels and wide event definitions.
- * @returns {Promise<{validator: LivePixelsValidator, pixelsConfigDir: string, productDef: ProductDefinition}>}
- * A LivePixelsValidator instance, the resolved path to the pixels config directory, and the product definition.
+ * Extracts the pixel name and params from a row of the live pixels CSV, in the format expected by LivePixelsValidator
+ * @param {{ pixel: string, params: string, version?: string }} row - CSV row, see fetch-clickhouse-data
+ * @param {string|null} versionKey - param key of the app version (see product.json), appended from the version column
+ * @returns {{ pixel: string, params: string[] }} pixel name in "_" notation and its "key=value" params
  */
-export async function buildLivePixelValidator(mainDir) {
-    const { pixelsConfigDir } = fileUtils.resolvePixelsDirs(mainDir);
-    const productDef = fileUtils.readProductDef(mainDir);
+export function parseLivePixelRow(row, versionKey) {
+    const pixel = row.pixel.replaceAll('.', PIXEL_DELIMITER);
+    let params = JSON5.parse(row.params);
 
-    // Resolve version (may fetch from URL if versionUrl is specified)
-    const resolvedVersion = await resolveTargetVersion(productDef.target);
-    if (resolvedVersion) {
-        productDef.target.version = resolvedVersion;
-        console.log(`Using minimum version: ${resolvedVersion}`);
-    } else {
-        console.log('No target version specified; skipping version checks.');
+    // filter out SERP nounces in the form "7128788=7128788"
+    // TODO: move this to https://dub.duckduckgo.com/duckduckgo/prefect-etl/blob/main/deployments/pixels_validation.py#L27
+    try {
+        params = params.filter((p) => !p.match(/^\d+=\d*$/));
+    } catch (e) {
+        console.error(`Error filtering params for pixel ${pixel}: ${params}`);
+        console.error(e);
     }
 
-    const nativeExperimentsDef = fileUtils.readNativeExperimentsDef(pixelsConfigDir);
+    // Append version param (e.g. appVersion=1.2.3) when defined in product.json
+    if (versionKey) {
+        // ensure version present in a dedicated CSV column and not already in params
+        if (typeof row.version === 'string' && row.version.trim() !== '' && params.every((p) => !p.startsWith(versionKey + '='))) {
+            params = params.concat(row.version.trim());
+        }
+    }
+    return { pixel, params };
+}
+
+/**
+ * Build the ParamsValidator used for live validation, with ignore params and (SERP only) search experiments loaded.
+ * @param {string} pixelsConfigDir - path to the pixels config directory, see fileUtils.resolvePixelsDirs
+ * @param {ProductDefinition} productDef - product definition, see product.json
+ * @returns {ParamsValidator}
+ */
+export function buildParamsValidator(pixelsConfigDir, productDef) {
     const commonParams = fileUtils.readCommonParams(pixelsConfigDir);
     const commonSuffixes = fileUtils.readCommonSuffixes(pixelsConfigDir);
-    const tokenizedPixels = fileUtils.readTokenizedPixels(pixelsConfigDir);
 
     const pixelIgnoreParams = fileUtils.readIgnoreParams(pixelsConfigDir);
     const globalIgnoreParams = fileUtils.readIgnoreParams(fileUtils.GLOBAL_PIXEL_DIR);
@@ -86,7 +102,32 @@ export async function buildLivePixelValidator(mainDir) {
         console.log('Skipping search experiments.');
     }
 
-    const paramsValidator = new ParamsValidator(commonParams, commonSuffixes, ignoreParams, searchExperiments);
+    return new ParamsValidator(commonParams, commonSuffixes, ignoreParams, searchExperiments);
+}
+
+/**
+ * Build a LivePixelsValidator instance from the main pixels directory.
+ * @param {string} mainDir - The main directory containing pixels and wide event definitions.
+ * @returns {Promise<{validator: LivePixelsValidator, pixelsConfigDir: string, productDef: ProductDefinition}>}
+ * A LivePixelsValidator instance, the resolved path to the pixels config directory, and the product definition.
+ */
+export async function buildLivePixelValidator(mainDir) {
+    const { pixelsConfigDir } = fileUtils.resolvePixelsDirs(mainDir);
+    const productDef = fileUtils.readProductDef(mainDir);
+
+    // Resolve version (may fetch from URL if versionUrl is specified)
+    const resolvedVersion = await resolveTargetVersion(productDef.target);
+    if (resolvedVersion) {
+        productDef.target.version = resolvedVersion;
+        console.log(`Using minimum version: ${resolvedVersion}`);
+    } else {
+        console.log('No target version specified; skipping version checks.');
+    }
+
+    const nativeExperimentsDef = fileUtils.readNativeExperimentsDef(pixelsConfigDir);
+    const tokenizedPixels = fileUtils.readTokenizedPixels(pixelsConfigDir);
+    const paramsValidator = buildParamsValidator(pixelsConfigDir, productDef);
+
     return {
         validator: new LivePixelsValidator(tokenizedPixels, productDef, nativeExperimentsDef, paramsValidator),
         pixelsConfigDir,
@@ -0,0 +1,108 @@
+/**
+ * Registry of the encodings parameter values can be sent with, see `encoding` in schemas/param_schema.json5
+ */
+import zlib from 'zlib';
+
+/**
+ * @typedef {Object} ParamEncoding
+ * @property {(value: string) => string} decode - decodes a URL decoded value, throws if it is not validly encoded
+ * @property {(value: string) => string} encode - encodes a serialized value, before URL encoding
+ * @property {boolean} [json] - whether decoded values are JSON, parsed whatever the type of the param
+ * @property {Record<string, string>} [annotations] - standard JSON Schema content annotations describing the encoding
+ */
+
+// Node's base64 decoder also accepts the URL-safe alphabet, so base64 values may use '-' and '_' as well
+const BASE64_PATTERN = /^[A-Za-z0-9+/_-]*={0,2}$/;
+const BASE64URL_PATTERN = /^[A-Za-z0-9_-]*={0,2}$/;
+
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * @param {string} value
+ * @param {'base64'|'base64url'} alphabet
+ * @returns {Buffer} decoded bytes
+ */
+function decodeBase64Bytes(value, alphabet) {
+    // Unescaped '+' signs are turned into spaces when query strings are parsed
+    const restored = alphabet === 'base64' ? value.replace(/ /g, '+') : value;
+    if (!(alphabet === 'base64' ? BASE64_PATTERN : BASE64URL_PATTERN).test(restored) || restored.length % 4 === 1) {
+        throw new Error(`not valid ${alphabet}`);
+    }
+    return Buffer.from(restored, alphabet);
+}
+
+/**
+ * @param {Buffer} bytes
+ * @returns {string}
+ */
+function decodeUtf8(bytes) {
+    try {
+        return utf8Decoder.decode(bytes);
+    } catch {
+        throw new Error('decoded bytes are not valid UTF-8');
+    }
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function gunzip(value) {
+    try {
+        return decodeUtf8(zlib.gunzipSync(decodeBase64Bytes(value, 'base64')));
+    } catch (error) {
+        throw new Error(error.code?.startsWith('Z_') ? 'not valid gzip data' : error.message);
+    }
+}
+
+/** @type {Readonly<Record<string, ParamEncoding>>} */
+export const PARAM_ENCODINGS = Object.freeze({
+    base64: {
+        decode: (value) => decodeUtf8(decodeBase64Bytes(value, 'base64')),
+        encode: (value) => Buffer.from(value).toString('base64'),
+        annotations: { contentEncoding: 'base64' },
+    },
+    base64url: {
+        decode: (value) => decodeUtf8(decodeBase64Bytes(value, 'base64url')),
+        encode: (value) => Buffer.from(value).toString('base64url'),
+        annotations: { contentEncoding: 'base64url' },
+    },
+    'gzip+base64': {
+        decode: gunzip,
+        encode: (value) => zlib.gzipSync(value).toString('base64'),
+        annotations: { contentEncoding: 'base64', contentMediaType: 'application/gzip' },
+    },
+    json: {
+        decode: (value) => value,
+        encode: (value) => value,
+        json: true,
+        annotations: { contentMediaType: 'application/json' },
+    },
+    'double-url': {
+        decode: decodeURLComponent,
+        encode: encodeURIComponent,
+    },
+});
+
+/**
+ * @param {string} value
+ * @returns {string} URL decoded value
+ * @throws if the value contains malformed escape sequences
+ */
+export function decodeURLComponent(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        throw new Error('malformed URL escape sequence');
+    }
+}
+
+/**
+ * @param {string} name - encoding name, as set in a param definition
+ * @returns {ParamEncoding}
+ * @throws if no such encoding is registered
+ */
+export function getParamEncoding(name) {
+    if (!Object.prototype.hasOwnProperty.call(PARAM_ENCODINGS, name)) throw new Error(`unknown encoding '${name}'`);
+    return PARAM_ENCODINGS[name];
+}
@@ -1,10 +1,155 @@
 import Ajv2020 from 'ajv/dist/2020.js';
 import addFormats from 'ajv-formats';
 import traverse from 'json-schema-traverse';
-import { matchSearchExperiment, mergeParameters } from '../src/pixel_utils.mjs';
+import { PIXEL_DELIMITER } from './constants.mjs';
+import {
+    checkSuffixSequenceCount,
+    getSuffixValueSpans,
+    matchSearchExperiment,
+    mergeParameters,
+    splitRequiredParam,
+} from '../src/pixel_utils.mjs';
 
 /** @typedef {import('ajv').ValidateFunction} ValidateFunction */
 
+/**
+ * Validates the pixel name tokens following the prefix, keyed by position.
+ * When suffix values can span several name tokens, `segments` holds the suffix values the name was split into
+ * (up to the suffix that failed, if any), which errors refer to instead of single name tokens.
+ * @typedef {((data: object) => boolean) & { errors?: import('ajv').ErrorObject[] | null, segments?: Record<number, string> }} SuffixesValidateFunction
+ */
+
+/**
+ * @typedef {Object} SuffixUnit
+ * @property {Object[]} tokens - schemas of the suffix tokens the suffix takes up: its static key, if any, and its value
+ * @property {boolean} optional - whether pixels can leave the suffix out
+ * @property {number[]} spans - numbers of name tokens the value can span, in increasing order
+ */
+
+/**
+ * @typedef {Object} CompiledSuffixUnit
+ * @property {boolean} optional
+ * @property {number[]} spans
+ * @property {?ValidateFunction} keyValidator - validator of the static key, if any
+ * @property {ValidateFunction} valueValidator
+ */
+
+/**
+ * Expands suffixes into the pixel name tokens they describe, with one sequence per combination of the optional suffixes kept,
+ * starting with all of them, up to MAX_SUFFIX_SEQUENCES in total
+ * @param {SuffixUnit[][]} unitSequences - suffixes of each alternative sequence, see ParamsValidator.getSuffixUnitSequences
+ * @returns {Object[][]} token schemas for each expanded sequence
+ * @throws if optional suffixes expand to too many sequences
+ */
+export function expandSuffixUnitSequences(unitSequences) {
+    checkSuffixSequenceCount(unitSequences);
+    return unitSequences.flatMap((units) =>
+        units.reduce(
+            (sequences, { tokens, optional }) =>
+                sequences.flatMap((sequence) => (optional ? [[...sequence, ...tokens], sequence] : [[...sequence, ...tokens]])),
+            /** @type {Object[][]} */ ([[]]),
+        ),
+    );
+}
+
+/**
+ * @param {Object[]} tokens - schemas of the pixel name tokens following the prefix
+ * @returns {object} schema of the tokens, keyed by position. Trailing tokens can be left out
+ */
+function buildSequenceSchema(tokens) {
+    const properties = {};
+    tokens.forEach((token, idx) => {
+        properties[idx] = token;
+    });
+
+    return {
+        type: 'object',
+        properties,
+        additionalProperties: false,
+    };
+}
+
+/**
+ * Matches pixel name tokens against a sequence of suffixes, leaving out optional suffixes and trying each number of tokens
+ * values can span where needed. As with other sequences, trailing suffixes can be left out too.
+ * @param {CompiledSuffixUnit[]} units - compiled suffixes, in order
+ * @param {string[]} values - pixel name tokens following the prefix
+ * @returns {{ matched: boolean, score: number, segments: string[], unitIndices: number[], failedUnitIdx: number, failedSegmentIdx: number }}
+ * whether all tokens matched and the suffix values they were split into. When they don't, the furthest failure:
+ * the number of name tokens matched (including the static key of a suffix whose value failed), the suffix values up to
+ * the failure followed by the remaining name tokens, the suffixes matched followed by the remaining ones,
+ * and the suffix that failed (the number of suffixes if the next token is an extra one) with the index of its first value
+ */
+function matchSuffixUnits(units, values) {
+    /** @type {Array<{ valueIdx: number, unitIdx: number, unitIndices: number[], segments: string[] }>} */
+    const queue = [{ valueIdx: 0, unitIdx: 0, unitIndices: [], segments: [] }];
+    const visited = new Set();
+    let furthest = { score: -1, required: false, failedSegments: [], consumed: 0, ...queue[0] };
+    /**
+     * Keeps the failure that matched the most tokens, including the static key of a suffix whose value failed.
+     * Between failures on the same token, the required suffix it should have matched is preferred to optional ones.
+     */
+    const addFailure = (state, score, failedSegments, consumed) => {
+        const required = state.unitIdx < units.length && !units[state.unitIdx].optional;
+        const isFurther =
+            score > furthest.score || (score === furthest.score && !furthest.required && (required || state.unitIdx < furthest.unitIdx));
+        if (isFurther) furthest = { score, required, failedSegments, consumed, ...state };
+    };
+    const join = (start, span) => values.slice(start, start + span).join(PIXEL_DELIMITER);
+
+    // Breadth first over (matched tokens, next suffix) states. States are only ever appended, so the queue is read in order
+    for (const state of queue) {
+        const { valueIdx, unitIdx, unitIndices, segments } = state;
+        if (valueIdx === values.length) {
+            return { matched: true, score: valueIdx, segments, unitIndices, failedUnitIdx: -1, failedSegmentIdx: -1 };
+        }
+        if (visited.has(`${valueIdx}:${unitIdx}`)) continue;
+        visited.add(`${valueIdx}:${unitIdx}`);
+        if (unitIdx === units.length) {
+            addFailure(state, valueIdx, [], 0);
+            continue;
+        }
+
+        const { optional, spans, keyValidator, valueValidator } = units[unitIdx];
+        const addMatch = (end, unitSegments) =>
+            queue.push({
+                valueIdx: end,
+                unitIdx: unitIdx + 1,
+                unitIndices: [...unitIndices, unitIdx],
+                segments: [...segments, ...unitSegments],
+            });
+        if (keyValidator && !keyValidator(values[valueIdx])) {
+            addFailure(state, valueIdx, [values[valueIdx]], 1);
+        } else {
+            const keySegments = keyValidator ? [values[valueIdx]] : [];
+            const start = valueIdx + keySegments.length;
+            if (start === values.length) {
+                // The name can end after the static key of a suffix, as it can before any trailing suffix
+                addMatch(start, keySegments);
+            } else {
+                const matchedSpans = spans.filter((span) => start + span <= values.length && valueValidator(join(start, span)));
+                matchedSpans.forEach((span) => addMatch(start + span, [...keySegments, join(start, span)]));
+                if (!matchedSpans.length) {
+                    addFailure(state, start, [...keySegments, join(start, spans[0])], keySegments.length + spans[0]);
+                }
+            }
+        }
+        if (optional) {
+            queue.push({ valueIdx, unitIdx: unitIdx + 1, unitIndices, segments });
+        }
+    }
+
+    const remainingUnits = units.map((_, idx) => idx).slice(furthest.unitIdx);
+    return {
+        matched: false,
+        score: furthest.score,
+        segments: [...furthest.segments, ...furthest.failedSegments, ...values.slice(furthest.valueIdx + furthest.consumed)],
+        unitIndices: [...furthest.unitIndices, ...remainingUnits],
+        failedUnitIdx: furthest.unitIdx,
+        failedSegmentIdx: furthest.segments.length,
+    };
+}
+
 /**
  * Validator for pixel parameters and suffixes:
  * 1) ensures they can be used as schemas themselves to validate live pixels
@@ -19,6 +164,12 @@ export class ParamsValidator {
     #ignoreParams;
     #searchExpParams;
 
+    // Shortcuts resolved so far, keyed by the dictionary they were resolved from
+    /** @type {Map<object, Set<string>>} */
+    #usedShortcuts = new Map();
+    // Ignore params that at least one compiled pixel falls back to
+    #usedIgnoreParams = new Set();
+
     /**
      *
      * @param {object} commonParams contains params that follow the schemas/param_schema.json5 type.
@@ -35,6 +186,8 @@ export class ParamsValidator {
         this.#ajv.addKeyword('key');
         this.#ajv.addKeyword('keyPattern');
         this.#ajv.addKeyword('encoding');
+        this.#ajv.addKeyword('optional');
+        this.#ajv.addKeyword('tokens');
     }
 
     /**
@@ -46,6 +199,9 @@ export class ParamsValidator {
     replaceCommonPlaceholder(item, common) {
         if (!common[item]) throw new Error(`invalid shortcut '${item}' - please update common params/suffixes`);
 
+        const usedShortcuts = this.#usedShortcuts.get(common) ?? new Set();
+        usedShortcuts.add(item);
+        this.#usedShortcuts.set(common, usedShortcuts);
         return common[item];
     }
 
@@ -116,34 +272,105 @@ export class ParamsValidator {
      *  - a single ordered list of suffixes, e.g. ['a','b','c']
      *  - or a list of alternative ordered lists, e.g. [['a','b','c'], ['b','c']]
      * In the latter case, anyOf is used to allow any of the sequences.
+     * Sequences with optional suffixes are matched token by token instead, see #compileSuffixesMatcher.
      * @param {Array|Array[]|undefined} suffixes
-     * @returns {ValidateFunction} an ajv compiled schema
+     * @returns {SuffixesValidateFunction} an ajv compiled schema, or a function reporting errors the same way
      * @throws if any errors are found
      */
     compileSuffixesSchema(suffixes) {
         if (!suffixes) return this.#ajv.compile({});
 
-        const buildSequenceSchema = (sequence) => {
-            const properties = {};
-            let idx = 0;
-            sequence.forEach((item) => {
-                const suffix = this.getUpdatedItem(item, this.#commonSuffixes);
-                this.lowerCaseSuffixValueFields(suffix);
-                if (suffix.key) {
-                    // Static token in the pixel name
-                    properties[idx] = { enum: [suffix.key] };
-                    idx++;
+        const unitSequences = this.getSuffixUnitSequences(suffixes);
+        if (unitSequences.some((units) => units.some(({ optional, spans }) => optional || spans.some((span) => span > 1)))) {
+            return this.#compileSuffixesMatcher(unitSequences);
+        }
+
+        const sequences = unitSequences.map((units) => units.flatMap(({ tokens }) => tokens));
+        if (suffixes.some(Array.isArray)) {
+            return this.#ajv.compile({ anyOf: sequences.map(buildSequenceSchema) });
+        }
+
+        // Flat, single sequence
+        return this.#ajv.compile(buildSequenceSchema(sequences[0]));
+    }
+
+    /**
+     * Compiles a validator for suffix sequences with optional suffixes or values spanning several name tokens,
+     * without expanding every combination of them: name tokens are matched against the suffixes of each sequence in order,
+     * leaving out optional suffixes and trying each way of splitting the name into suffix values where needed.
+     * When no sequence matches, errors are the ones of the sequence matching the most leading tokens,
+     * so that they point at the first suffix that failed.
+     * @param {SuffixUnit[][]} unitSequences
+     * @returns {SuffixesValidateFunction}
+     */
+    #compileSuffixesMatcher(unitSequences) {
+        const compiledSequences = unitSequences.map((units) =>
+            units.map(({ tokens, optional, spans }) => ({
+                optional,
+                spans,
+                keyValidator: tokens.length > 1 ? this.#ajv.compile(tokens[0]) : null,
+                valueValidator: this.#ajv.compile(tokens[tokens.length - 1]),
+            })),
+        );
+        /** @type {Map<string, ValidateFunction>} */
+        const schemasByUnits = new Map();
+
+        /** @type {SuffixesValidateFunction} */
+        const validate = (data) => {
+            const values = Object.values(data);
+            const failures = [];
+            for (const units of compiledSequences) {
+                const match = matchSuffixUnits(units, values);
+                if (match.matched) {
+                    validate.errors = null;
+                    validate.segments = { ...match.segments };
+                    return true;
                 }
-                properties[idx] = suffix;
-                idx++;
+                failures.push(match);
+            }
+            // Ties go to the first sequence
+            const sequenceIdx = failures.reduce((bestIdx, failure, idx) => (failure.score > failures[bestIdx].score ? idx : bestIdx), 0);
+            const best = failures[sequenceIdx];
+
+            // Validate the suffix values against the suffixes kept up to the failure, followed by all the remaining ones
+            const cacheKey = `${sequenceIdx}:${best.unitIndices.join(',')}`;
+            let sequenceSchema = schemasByUnits.get(cacheKey);
+            if (!sequenceSchema) {
+                const tokens = best.unitIndices.flatMap((idx) => unitSequences[sequenceIdx][idx].tokens);
+                sequenceSchema = this.#ajv.compile(buildSequenceSchema(tokens));
+                schemasByUnits.set(cacheKey, sequenceSchema);
+            }
+            validate.segments = { ...best.segments };
+            sequenceSchema(validate.segments);
+
+            // Values after the failed one are not aligned with their suffixes, so only the failed suffix is reported
+            const failedUnit = unitSequences[sequenceIdx][best.failedUnitIdx];
+            const failedEnd = failedUnit ? best.failedSegmentIdx + failedUnit.tokens.length : Infinity;
+            validate.errors = (sequenceSchema.errors ?? []).filter((error) => {
+                const position = Number(error.params.additionalProperty ?? error.instancePath.split('/')[1]);
+                return position >= best.failedSegmentIdx && position < failedEnd;
             });
-
-            return {
-                type: 'object',
-                properties,
-                additionalProperties: false,
-            };
+            return false;
         };
+        return validate;
+    }
+
+    /**
+     * Replaces shortcuts to common suffixes and groups the pixel name tokens they describe by suffix.
+     * Suffixes with a static key take up two tokens: the key itself, followed by the suffix value.
+     * @param {Array|Array[]} suffixes - a single ordered list of suffixes, or a list of alternative ordered lists
+     * @returns {SuffixUnit[][]} suffixes of each alternative sequence (a single one for flat lists)
+     * @throws if any errors are found
+     */
+    getSuffixUnitSequences(suffixes) {
+        const buildUnits = (sequence) =>
+            sequence.map((item) => {
+                const { optional = false, ...suffix } = this.getUpdatedItem(item, this.#commonSuffixes);
+                this.lowerCaseSuffixValueFields(suffix);
+                // Static token in the pixel name
+                const tokens = suffix.key ? [{ enum: [suffix.key] }, suffix] : [suffix];
+                return { tokens, optional, spans: getSuffixValueSpans(suffix) };
+            });
 
         if (!Array.isArray(suffixes)) {
             throw new Error('suffixes must be an array (either a list or a list of lists)');
@@ -156,13 +383,29 @@ export class ParamsValidator {
             throw new Error('Invalid suffixes definition: when using nested arrays, provide only arrays of suffix sequences.');
         }
 
-        if (isArrayOfArrays) {
-            const schemas = suffixes.map((seq) => buildSequenceSchema(seq));
-            return this.#ajv.compile({ anyOf: schemas });
-        }
+        return isArrayOfArrays ? suffixes.map(buildUnits) : [buildUnits(suffixes)];
+    }
 
-        // Flat, single sequence
-        return this.#ajv.compile(buildSequenceSchema(suffixes));
+    /**
+     * Replaces shortcuts to common suffixes and expands them into the pixel name tokens they describe.
+     * Suffixes with a static key take up two tokens: the key itself, followed by the suffix value.
+     * Sequences with optional suffixes are expanded into one sequence per combination of the optional suffixes they keep,
+     * starting with all of them, up to MAX_SUFFIX_SEQUENCES in total.
+     * @param {Array|Array[]} suffixes - a single ordered list of suffixes, or a list of alternative ordered lists
+     * @returns {Object[][]} token schemas for each alternative sequence (a single one for flat lists without optional suffixes)
+     * @throws if any errors are found, or if optional suffixes expand to too many sequences
+     */
+    getSuffixTokenSequences(suffixes) {
+        return expandSuffixUnitSequences(this.getSuffixUnitSequences(suffixes));
+    }
+
+    /**
+     * Compiles the schema of a single pixel name token, as returned by getSuffixTokenSequences
+     * @param {object} tokenSchema
+     * @returns {ValidateFunction} an ajv compiled schema
+     */
+    compileSuffixTokenSchema(tokenSchema) {
+        return this.#ajv.compile(tokenSchema);
     }
 
     /**
@@ -173,6 +416,17 @@ export class ParamsValidator {
      * @throws if any errors are found
      */
     compileParamsSchema(parameters, pixelPrefix = '') {
+        return this.#ajv.compile(this.getParamsSchema(parameters, pixelPrefix));
+    }
+
+    /**
+     * Builds the schema of the params object of a pixel, including ignore params and search experiment params
+     * @param {Object[]|undefined} parameters
+     * @param {string} [pixelPrefix] - The pixel prefix, used to check for search experiment params.
+     * @returns {object} JSON schema of the params object (empty if no params are expected)
+     * @throws if any errors are found
+     */
+    getParamsSchema(parameters, pixelPrefix = '') {
         parameters = parameters || []; // handle undefined params
 
         let extraParams = this.#ignoreParams || [];
@@ -186,34 +440,58 @@ export class ParamsValidator {
 
         // combine params with extraParams, avoiding duplicates (parameters take precedence)
         const combinedParams = mergeParameters(parameters, extraParams);
-        if (!combinedParams.length) return this.#ajv.compile({});
+        combinedParams.filter((param) => this.#ignoreParams.includes(param)).forEach((param) => this.#usedIgnoreParams.add(param));
+        if (!combinedParams.length) return {};
 
         const properties = {};
         const patternProperties = {};
+        const required = [];
         combinedParams
-            .map((param) => this.getUpdatedItem(param, this.#commonParams))
-            .forEach((param) => {
+            .map((param) => splitRequiredParam(this.getUpdatedItem(param, this.#commonParams)))
+            .forEach(({ required: isRequired, schema: param }) => {
                 if (param.keyPattern) {
                     if (patternProperties[param.keyPattern]) {
                         throw new Error(`duplicate keyPattern '${param.keyPattern}' found!`);
                     }
+                    if (isRequired) {
+                        throw new Error(`keyPattern '${param.keyPattern}' cannot be required, only params with a key can`);
+                    }
                     patternProperties[param.keyPattern] = param;
                 } else {
                     if (properties[param.key]) {
                         throw new Error(`duplicate key '${param.key}' found!`);
                     }
                     properties[param.key] = param;
+                    if (isRequired) required.push(param.key);
                 }
             });
 
-        const pixelParams = {
+        return {
             type: 'object',
             properties,
             patternProperties,
+            ...(required.length ? { required } : {}),
             additionalProperties: false,
         };
+    }
+
+    /**
+     * Lists the shortcuts that have been resolved from a dictionary so far
+     * @param {object} common - object containing common params/suffixes/props
+     * @returns {Set<string>} names of the dictionary entries that were referenced
+     */
+    getUsedShortcuts(common) {
+        return this.#usedShortcuts.get(common) ?? new Set();
+    }
 
-        return this.#ajv.compile(pixelParams);
+    /**
+     * Checks whether any parameters schema compiled so far falls back to the ignore param,
+     * i.e. not every pixel overrides it with a parameter of the same key
+     * @param {object} ignoreParam - one of the ignore params this validator was created with
+     * @returns {boolean}
+     */
+    isIgnoreParamUsed(ignoreParam) {
+        return this.#usedIgnoreParams.has(ignoreParam);
     }
 
     /** EXPERIMENTS */
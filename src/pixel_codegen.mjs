@@ -0,0 +1,1160 @@
+/**
+ * Helper functions for generating typed pixel helpers from pixel definitions
+ */
+import { PIXEL_DELIMITER } from './constants.mjs';
+import { ParamsValidator } from './params_validator.mjs';
+import { checkSuffixSequenceCount, splitRequiredParam } from './pixel_utils.mjs';
+
+/**
+ * @typedef {import('./types.mjs').PixelDefinitions} PixelDefinitions
+ */
+
+/**
+ * @typedef {Object} SuffixArgument
+ * @property {string} name - argument name
+ * @property {string} description
+ * @property {object} schema - suffix schema, with shortcuts expanded and values lowercased
+ */
+
+/**
+ * @typedef {Object} SuffixVariant
+ * @property {SuffixArgument[]} args - suffix values, in pixel name order
+ * @property {Array<?string>} layout - pixel name tokens after the prefix: static keys, or null where the next argument goes
+ */
+
+/**
+ * @typedef {Object} ParamModel
+ * @property {string} [key] - parameter key
+ * @property {string} [keyPattern] - regex matching the parameter keys, for dynamic params
+ * @property {string} description
+ * @property {string} [encoding] - see param_schema.json5
+ * @property {boolean} required - whether pixels must send the parameter
+ * @property {object} schema - parameter schema, with shortcuts expanded
+ */
+
+/**
+ * @typedef {Object} PixelModel
+ * @property {string} name - pixel prefix
+ * @property {string} functionName - name of the generated helper
+ * @property {string} description
+ * @property {string[]} owners
+ * @property {string} [expires]
+ * @property {SuffixVariant[]} variants - alternative suffix sequences (a single empty one for pixels without suffixes)
+ * @property {ParamModel[]} params
+ */
+
+/**
+ * @typedef {Object} SkippedPixel
+ * @property {string} name - pixel prefix
+ * @property {string} reason
+ */
+
+export const CODEGEN_LANGUAGES = ['typescript', 'kotlin', 'swift'];
+export const DEFAULT_KOTLIN_PACKAGE = 'com.duckduckgo.pixels';
+
+// Param encodings the generated helpers can apply, see PARAM_ENCODINGS
+const CODEGEN_ENCODINGS = ['base64', 'base64url', 'json', 'double-url'];
+
+// Identifiers that cannot be used as function or argument names
+const RESERVED_WORDS = new Set(
+    (
+        'arguments await break case catch class const continue debugger default delete do else enum export extends false finally for ' +
+        'function if implements import in instanceof interface let new null package private protected public return static super ' +
+        'switch this throw true try typeof var void while with yield'
+    ).split(' '),
+);
+
+/**
+ * Converts a pixel, parameter or suffix name to camelCase, splitting words on the pixel delimiter and any
+ * other character that is not allowed in identifiers
+ * @param {string} name
+ * @returns {string}
+ */
+export function toCamelCase(name) {
+    const words = name.split(PIXEL_DELIMITER).flatMap((part) => part.split(/[^A-Za-z0-9]+/).filter(Boolean));
+    const camelCase = words.map((word, idx) => (idx === 0 ? word : word[0].toUpperCase() + word.slice(1))).join('');
+    return /^[0-9]/.test(camelCase) ? `_${camelCase}` : camelCase;
+}
+
+/**
+ * @param {string} name - camelCase name
+ * @param {Set<string>} usedNames - names taken so far, updated with the returned name
+ * @returns {string} a valid identifier based on the name, that is not reserved or taken yet
+ */
+function getUniqueIdentifier(name, usedNames) {
+    let identifier = RESERVED_WORDS.has(name) || !name ? `${name}Value` : name;
+    for (let idx = 2; usedNames.has(identifier); idx++) {
+        identifier = `${name}${idx}`;
+    }
+    usedNames.add(identifier);
+    return identifier;
+}
+
+/**
+ * Builds the suffix variants of a pixel, expanding shortcuts the same way validation does.
+ * Sequences with optional suffixes get one variant per combination of the optional suffixes they keep, starting with all of them.
+ * @param {Array|Array[]} suffixes - a single ordered list of suffixes, or a list of alternative ordered lists
+ * @param {ParamsValidator} paramsValidator
+ * @param {Record<string, any>} commonSuffixes
+ * @returns {SuffixVariant[]}
+ * @throws if optional suffixes expand to too many variants
+ */
+function buildSuffixVariants(suffixes, paramsValidator, commonSuffixes) {
+    const sequences = (suffixes.some(Array.isArray) ? suffixes : [suffixes]).map((sequence) =>
+        sequence.map((item, idx) => {
+            const { optional = false, ...schema } = paramsValidator.getUpdatedItem(item, commonSuffixes);
+            paramsValidator.lowerCaseSuffixValueFields(schema);
+            const baseName = typeof item === 'string' ? item : (schema.key ?? `suffix${idx + 1}`);
+            return { baseName, schema, optional };
+        }),
+    );
+    checkSuffixSequenceCount(sequences);
+
+    return sequences.flatMap((resolved) => {
+        const combinations = resolved.reduce(
+            (kept, suffix) => kept.flatMap((items) => (suffix.optional ? [[...items, suffix], items] : [[...items, suffix]])),
+            /** @type {typeof resolved[]} */ ([[]]),
+        );
+
+        return combinations.map((items) => {
+            /** @type {SuffixVariant} */
+            const variant = { args: [], layout: [] };
+            const usedNames = new Set(['params']);
+            items.forEach(({ baseName, schema }) => {
+                if (schema.key) {
+                    // Static token in the pixel name
+                    variant.layout.push(schema.key);
+                }
+                variant.layout.push(null);
+                variant.args.push({ name: getUniqueIdentifier(toCamelCase(baseName), usedNames), description: schema.description, schema });
+            });
+            return variant;
+        });
+    });
+}
+
+/**
+ * Builds a language-independent model of each pixel, with shortcuts to common params and suffixes expanded.
+ * Definitions are expected to be valid (see validate-ddg-pixel-defs).
+ *
+ * @param {PixelDefinitions} pixelsDef - pixel definitions keyed by pixel prefix
+ * @param {Record<string, any>} commonParams - params_dictionary.json
+ * @param {Record<string, any>} commonSuffixes - suffixes_dictionary.json
+ * @returns {{ pixels: PixelModel[], skipped: SkippedPixel[] }} models sorted by pixel name, and pixels no helper can be generated for
+ * @throws if a definition cannot be resolved, or two pixels map to the same helper name
+ */
+export function buildPixelModels(pixelsDef, commonParams, commonSuffixes) {
+    const paramsValidator = new ParamsValidator(commonParams, commonSuffixes, {});
+    /** @type {Map<string, string>} */
+    const functionNames = new Map();
+    /** @type {PixelModel[]} */
+    const pixels = [];
+    /** @type {SkippedPixel[]} */
+    const skipped = [];
+
+    for (const name of Object.keys(pixelsDef).sort()) {
+        // Shortcut expansion mutates items, so work on a copy
+        const {
+            description,
+            owners,
+            expires,
+            suffixes,
+            parameters = [],
+            conditionalParameters,
+        } = JSON.parse(JSON.stringify(pixelsDef[name]));
+        let variants;
+        let params;
+        try {
+            variants = suffixes?.length ? buildSuffixVariants(suffixes, paramsValidator, commonSuffixes) : [{ args: [], layout: [] }];
+            params = parameters.map((param) => {
+                const { required, schema } = splitRequiredParam(paramsValidator.getUpdatedItem(param, commonParams));
+                const { key, keyPattern, encoding } = schema;
+                return { key, keyPattern, description: schema.description, encoding, required, schema };
+            });
+        } catch (error) {
+            throw new Error(`${name} --> ${error.message}`);
+        }
+
+        // Helpers tell alternatives apart by their number of suffix values
+        const layoutsByArity = new Map();
+        const conflict = variants.find(({ args, layout }) => {
+            const existing = layoutsByArity.get(args.length);
+            layoutsByArity.set(args.length, layout);
+            return existing && JSON.stringify(existing) !== JSON.stringify(layout);
+        });
+        if (conflict) {
+            skipped.push({
+                name,
+                reason: `alternative suffixes with ${conflict.args.length} value(s) have static keys in different places`,
+            });
+            continue;
+        }
+
+        // Helpers take the same params whatever the suffix values
+        if (conditionalParameters?.length) {
+            skipped.push({ name, reason: 'conditional parameters are not supported' });
+            continue;
+        }
+
+        // Generated helpers cannot gzip values
+        const encodedParam = params.find(({ encoding }) => encoding && !CODEGEN_ENCODINGS.includes(encoding));
+        if (encodedParam) {
+            skipped.push({
+                name,
+                reason: `param '${encodedParam.key ?? encodedParam.keyPattern}' uses the unsupported '${encodedParam.encoding}' encoding`,
+            });
+            continue;
+        }
+
+        const functionName = getUniqueIdentifier(toCamelCase(name), new Set());
+        if (functionNames.has(functionName)) {
+            throw new Error(`${name} --> helper name '${functionName}' is already used by ${functionNames.get(functionName)}`);
+        }
+        functionNames.set(functionName, name);
+
+        pixels.push({ name, functionName, description, owners, expires, variants, params });
+    }
+
+    return { pixels, skipped };
+}
+
+/** SHARED BY ALL LANGUAGES */
+
+const MAX_LINE_LENGTH = 140;
+const GENERATED_HEADER = '// Generated by generate-ddg-pixel-code from the pixel definitions. Do not edit by hand.';
+
+/**
+ * @param {object} schema
+ * @returns {string[]} constraints that the generated types cannot express, for documentation
+ */
+function getUntypedConstraints(schema) {
+    const constraints = [];
+    if (schema.pattern) constraints.push(`Pattern: \`${schema.pattern}\``);
+    if (schema.format) constraints.push(`Format: ${schema.format}`);
+    if (schema.minimum !== undefined) constraints.push(`Minimum: ${schema.minimum}`);
+    if (schema.maximum !== undefined) constraints.push(`Maximum: ${schema.maximum}`);
+    return constraints;
+}
+
+/**
+ * Joins a list of arguments, wrapping them one per line if they do not fit on a single line
+ * @param {string} start - code before the list, including the opening bracket
+ * @param {string[]} items
+ * @param {string} end - code after the list, including the closing bracket
+ * @param {string} indent - indentation of the line the list starts on
+ * @param {boolean} trailingComma - whether to add a comma after the last item when wrapping
+ * @returns {string}
+ */
+function formatList(start, items, end, indent = '', trailingComma = true) {
+    const singleLine = `${indent}${start}${items.join(', ')}${end}`;
+    if (singleLine.length <= MAX_LINE_LENGTH || !items.length) return singleLine;
+    const lines = items.map((item, idx) => `${indent}    ${item}${idx < items.length - 1 || trailingComma ? ',' : ''}`);
+    return `${indent}${start}\n${lines.join('\n')}\n${indent}${end}`;
+}
+
+/**
+ * @param {string[]} lines - doc comment lines
+ * @param {string} indent
+ * @returns {string} JSDoc/KDoc block, or an empty string if there are no lines
+ */
+function toDocComment(lines, indent = '') {
+    const docLines = lines.filter(Boolean).map((line) => line.replace(/\*\//g, '*\\/'));
+    if (!docLines.length) return '';
+    if (docLines.length === 1) return `${indent}/** ${docLines[0]} */\n`;
+    return `${indent}/**\n${docLines.map((line) => `${indent} * ${line}`).join('\n')}\n${indent} */\n`;
+}
+
+/**
+ * @param {string} keyPattern
+ * @returns {string} literal text every key matching the pattern starts with (empty if there is none)
+ */
+function getKeyPatternPrefix(keyPattern) {
+    const match = keyPattern.match(/^\^([A-Za-z0-9_-]*)([?*{]?)/);
+    if (!match || keyPattern.includes('|')) return '';
+    // A quantifier can make the last literal character optional
+    return match[2] ? match[1].slice(0, -1) : match[1];
+}
+
+/**
+ * @param {PixelModel} pixel
+ * @returns {string[]} doc comment lines describing the pixel
+ */
+function getPixelDocLines(pixel) {
+    return [pixel.description, `Owners: ${pixel.owners.join(', ')}`, pixel.expires ? `Expires: ${pixel.expires}` : ''].filter(Boolean);
+}
+
+/** TYPESCRIPT */
+
+/**
+ * @param {string} value
+ * @returns {string} single-quoted TypeScript string literal
+ */
+function toTsString(value) {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+}
+
+/**
+ * @param {string} name - property name
+ * @returns {string} the name, quoted if it is not a valid identifier
+ */
+function toTsPropertyName(name) {
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : toTsString(name);
+}
+
+/**
+ * @param {any} value - enum or const value
+ * @returns {string} TypeScript literal type
+ */
+function toTsLiteral(value) {
+    return typeof value === 'string' ? toTsString(value) : JSON.stringify(value);
+}
+
+/**
+ * Derives the TypeScript type of the values a schema accepts
+ * @param {any} schema - parameter or suffix schema, or part of it
+ * @returns {string}
+ */
+export function toTsType(schema) {
+    if (!schema || typeof schema !== 'object') return 'unknown';
+    if (schema.const !== undefined) return toTsLiteral(schema.const);
+    if (Array.isArray(schema.enum)) return schema.enum.map(toTsLiteral).join(' | ');
+
+    const branches = schema.anyOf ?? schema.oneOf;
+    if (Array.isArray(branches)) {
+        // Branches inherit the keywords next to anyOf/oneOf, e.g. the type
+        const base = Object.fromEntries(Object.entries(schema).filter(([keyword]) => keyword !== 'anyOf' && keyword !== 'oneOf'));
+        return [...new Set(branches.map((branch) => toTsType({ ...base, ...branch })))].join(' | ');
+    }
+
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const tsTypes = types.map((type) => {
+        switch (type) {
+            case 'string':
+                return 'string';
+            case 'integer':
+            case 'number':
+                return 'number';
+            case 'boolean':
+                return 'boolean';
+            case 'null':
+                return 'null';
+            case 'array':
+                return schema.items ? `Array<${toTsType(schema.items)}>` : 'unknown[]';
+            case 'object': {
+                if (!schema.properties) return 'Record<string, unknown>';
+                const required = schema.required ?? [];
+                const members = Object.entries(schema.properties).map(
+                    ([property, propertySchema]) =>
+                        `${toTsPropertyName(property)}${required.includes(property) ? '' : '?'}: ${toTsType(propertySchema)}`,
+                );
+                return `{ ${members.join('; ')} }`;
+            }
+            default:
+                return 'unknown';
+        }
+    });
+    return [...new Set(tsTypes)].join(' | ');
+}
+
+/**
+ * Derives the members of the params interface, with dynamic params typed by the literal prefix of their keyPattern
+ * @param {ParamModel[]} params
+ * @returns {string[]} interface member lines
+ */
+function getTsParamsMembers(params) {
+    return params.map((param) => {
+        const constraints = getUntypedConstraints(param.schema);
+        if (param.key) {
+            const doc = toDocComment([param.description, ...constraints], '    ');
+            return `${doc}    ${toTsPropertyName(param.key)}${param.required ? '' : '?'}: ${toTsType(param.schema)};`;
+        }
+
+        const doc = toDocComment([param.description, `Keys matching \`${param.keyPattern}\``, ...constraints], '    ');
+        const prefix = getKeyPatternPrefix(/** @type {string} */ (param.keyPattern));
+        // Index signatures must accept the types of the named params whose key they cover
+        const coveredParams = params.filter((other) => other === param || other.key?.startsWith(prefix));
+        const types = new Set([...coveredParams.map((other) => toTsType(other.schema)), 'undefined']);
+        const keyType = prefix ? `\`${prefix}\${string}\`` : 'string';
+        return `${doc}    [key: ${keyType}]: ${[...types].join(' | ')};`;
+    });
+}
+
+/**
+ * @param {ParamModel[]} params
+ * @returns {string} list of the keys (or patterns) of encoded params, with their encoding
+ */
+function getTsEncodedParams(params) {
+    const encodedParams = params
+        .filter((param) => param.encoding)
+        .map((param) => {
+            const key = param.key ? toTsString(param.key) : `new RegExp(${toTsString(/** @type {string} */ (param.keyPattern))})`;
+            return `[${key}, ${toTsString(/** @type {string} */ (param.encoding))}]`;
+        });
+    return `[${encodedParams.join(', ')}]`;
+}
+
+/**
+ * @param {PixelModel} pixel
+ * @returns {string} params interface and helper function of a single pixel
+ */
+function generateTsPixel(pixel) {
+    const paramsType = `${pixel.functionName[0].toUpperCase()}${pixel.functionName.slice(1)}Params`;
+    const hasParams = pixel.params.length > 0;
+    const hasRequiredParams = pixel.params.some((param) => param.required);
+    let code = '';
+
+    if (hasParams) {
+        code += `/** Parameters of {@link ${pixel.functionName}} */\n`;
+        code += `export interface ${paramsType} {\n${getTsParamsMembers(pixel.params).join('\n')}\n}\n\n`;
+    }
+
+    const getSignature = ({ args }, isOverload) => {
+        const signatureArgs = args.map((arg) => `${arg.name}: ${toTsType(arg.schema)}`);
+        if (hasRequiredParams) {
+            signatureArgs.push(`params: ${paramsType}`);
+        } else if (hasParams) {
+            signatureArgs.push(isOverload ? `params?: ${paramsType}` : `params: ${paramsType} = {}`);
+        }
+        return formatList(`export function ${pixel.functionName}(`, signatureArgs, '): PixelRequest');
+    };
+    const getDoc = ({ args }) =>
+        toDocComment([
+            ...getPixelDocLines(pixel),
+            ...args.map((arg) => `@param ${arg.name} ${arg.description ?? ''}`.trimEnd()),
+            hasParams ? '@param params pixel parameters' : '',
+        ]);
+
+    const encodedParams = getTsEncodedParams(pixel.params);
+    if (pixel.variants.length === 1) {
+        const [variant] = pixel.variants;
+        const argNames = variant.args.map((arg) => arg.name);
+        const tokens = [
+            toTsString(pixel.name),
+            ...variant.layout.map((token) => (token === null ? /** @type {string} */ (argNames.shift()) : toTsString(token))),
+        ];
+        code += getDoc(variant);
+        code += `${getSignature(variant, false)} {\n`;
+        const name = formatList('[', tokens, '].join(PIXEL_DELIMITER)');
+        code += `${formatList('return buildPixelRequest(', [name, hasParams ? 'params' : '{}', encodedParams], ');', '    ')}\n`;
+        code += '}\n';
+        return code;
+    }
+
+    // Alternative suffix sequences become overloads, told apart by the number of suffix values
+    pixel.variants.forEach((variant) => {
+        code += getDoc(variant);
+        code += `${getSignature(variant, true)};\n`;
+    });
+    const layouts = Object.fromEntries(pixel.variants.map(({ args, layout }) => [args.length, layout]));
+    const layoutsCode = Object.entries(layouts)
+        .map(([arity, layout]) => `${arity}: [${layout.map((token) => (token === null ? 'null' : toTsString(token))).join(', ')}]`)
+        .join(', ');
+    code += `export function ${pixel.functionName}(...args: unknown[]): PixelRequest {\n`;
+    const buildArgs = [toTsString(pixel.name), 'args', `{ ${layoutsCode} }`, encodedParams];
+    code += `${formatList('return buildPixelRequestFromArgs(', buildArgs, ');', '    ')}\n`;
+    code += '}\n';
+    return code;
+}
+
+const TS_RUNTIME = `export interface PixelRequest {
+    /** Full pixel name, including suffixes */
+    name: string;
+    /** Parameter values, encoded the way the pixel definitions expect them */
+    params: Record<string, string>;
+}
+
+const PIXEL_DELIMITER = ${toTsString(PIXEL_DELIMITER)};
+
+type ParamEncoding = ${CODEGEN_ENCODINGS.map(toTsString).join(' | ')};
+
+function toBase64(value: string): string {
+    return btoa(String.fromCharCode(...new TextEncoder().encode(value)));
+}
+
+function encodeParamValue(value: unknown, encoding: ParamEncoding | undefined): string {
+    const encoded = typeof value === 'object' || encoding === 'json' ? JSON.stringify(value) : String(value);
+    switch (encoding) {
+        case 'base64':
+            return toBase64(encoded);
+        case 'base64url':
+            return toBase64(encoded).replace(/\\+/g, '-').replace(/\\//g, '_').replace(/=+$/, '');
+        case 'double-url':
+            return encodeURIComponent(encoded);
+        default:
+            return encoded;
+    }
+}
+
+function buildPixelRequest(name: string, params: object, encodedParams: Array<[string | RegExp, ParamEncoding]>): PixelRequest {
+    const encodedValues: Record<string, string> = {};
+    for (const [key, value] of Object.entries(params)) {
+        if (value === undefined) continue;
+        const encoding = encodedParams.find(([param]) => (typeof param === 'string' ? param === key : param.test(key)))?.[1];
+        encodedValues[key] = encodeParamValue(value, encoding);
+    }
+    return { name, params: encodedValues };
+}
+
+function buildPixelRequestFromArgs(
+    prefix: string,
+    args: unknown[],
+    layouts: Record<number, Array<string | null>>,
+    encodedParams: Array<[string | RegExp, ParamEncoding]>,
+): PixelRequest {
+    const last = args[args.length - 1];
+    const hasParams = args.length > 0 && (last === undefined || typeof last === 'object');
+    const values = hasParams ? args.slice(0, -1) : [...args];
+    const tokens = layouts[values.length].map((token) => token ?? String(values.shift()));
+    return buildPixelRequest([prefix, ...tokens].join(PIXEL_DELIMITER), hasParams ? ((last as object | undefined) ?? {}) : {}, encodedParams);
+}
+`;
+
+/**
+ * Generates a TypeScript module with one helper per pixel. Each helper takes the suffix values in pixel name order,
+ * followed by an object with the parameters, and returns the pixel name and encoded parameters to send.
+ * @param {PixelModel[]} pixels
+ * @returns {string} TypeScript source
+ */
+function generateTypeScript(pixels) {
+    return [`${GENERATED_HEADER}\n\n${TS_RUNTIME}`, ...pixels.map(generateTsPixel)].join('\n');
+}
+
+/** KOTLIN AND SWIFT */
+
+/**
+ * @typedef {Object} NativeLanguage
+ * @property {Record<string, string>} types - native types of the JSON schema string, integer, number and boolean types
+ * @property {(itemType: string) => string} listType
+ * @property {(valueType: string) => string} mapType
+ * @property {Set<string>} keywords - identifiers that must be escaped
+ * @property {(pixelType: string, name: string) => string} enumTypeName - name of the enum type generated for an argument
+ * @property {(value: string) => string} enumCaseName - name of the enum case for a value, before deduplication
+ * @property {(value: string) => string} toStringLiteral
+ * @property {(encoding: string) => string} toEncodingLiteral - ParamEncoding case of a param encoding
+ */
+
+/**
+ * @typedef {Object} NativeArg
+ * @property {string} name - argument name, escaped if needed
+ * @property {string} type - native type
+ * @property {string} doc - description and constraints
+ */
+
+/**
+ * @typedef {Object} NativeParam
+ * @property {string} name - argument name, escaped if needed
+ * @property {string} type - native type, without optionality
+ * @property {string} doc - description and constraints
+ * @property {string} [key] - parameter key
+ * @property {string} [keyPattern] - regex matching the parameter keys, for dynamic params
+ * @property {string} [encoding] - encoding of the value once serialized
+ * @property {boolean} required - whether the argument has no default value
+ */
+
+/**
+ * @typedef {Object} NativeEnum
+ * @property {string} typeName
+ * @property {Array<{ name: string, value: string }>} cases
+ */
+
+/**
+ * @typedef {Object} NativePixel
+ * @property {string} typeName - PascalCase pixel name
+ * @property {NativeEnum[]} enums - enum types of the suffix and param values, in order of first use
+ * @property {Array<{ args: NativeArg[], layout: Array<?string> }>} variants
+ * @property {NativeParam[]} params
+ */
+
+const NATIVE_LANGUAGES = {
+    kotlin: {
+        types: { string: 'String', integer: 'Int', number: 'Double', boolean: 'Boolean' },
+        listType: (itemType) => `List<${itemType}>`,
+        mapType: (valueType) => `Map<String, ${valueType}>`,
+        keywords: new Set(
+            (
+                'as break class continue do else false for fun if in interface is null object package return super this throw true ' +
+                'try typealias typeof val var when while'
+            ).split(' '),
+        ),
+        enumTypeName: (pixelType, name) => toPascalCase(name),
+        enumCaseName: (value) =>
+            value
+                .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+                .replace(/[^A-Za-z0-9]+/g, '_')
+                .replace(/^_+|_+$/g, '')
+                .toUpperCase(),
+        toStringLiteral: (value) => `"${escapeNativeString(value).replace(/\$/g, '\\$')}"`,
+        toEncodingLiteral: (encoding) => `ParamEncoding.${NATIVE_LANGUAGES.kotlin.enumCaseName(encoding)}`,
+    },
+    swift: {
+        types: { string: 'String', integer: 'Int', number: 'Double', boolean: 'Bool' },
+        listType: (itemType) => `[${itemType}]`,
+        mapType: (valueType) => `[String: ${valueType}]`,
+        keywords: new Set(
+            (
+                'Any Self as associatedtype await break case catch class continue default defer deinit do else enum extension ' +
+                'fallthrough false fileprivate for func guard if import in init inout internal is let nil open operator private ' +
+                'precedencegroup protocol public repeat rethrows return self static struct subscript super switch throw throws ' +
+                'true try typealias var where while'
+            ).split(' '),
+        ),
+        enumTypeName: (pixelType, name) => `${pixelType}${toPascalCase(name)}`,
+        enumCaseName: (value) => {
+            const name = toCamelCase(value);
+            return name && `${name[0].toLowerCase()}${name.slice(1)}`;
+        },
+        toStringLiteral: (value) => `"${escapeNativeString(value)}"`,
+        toEncodingLiteral: (encoding) => `.${NATIVE_LANGUAGES.swift.enumCaseName(encoding)}`,
+    },
+};
+
+/**
+ * @param {NativeParam} param
+ * @param {NativeLanguage} language
+ * @returns {string[]} the ParamEncoding case to encode the param with, if any
+ */
+function getNativeEncoding(param, language) {
+    return param.encoding ? [language.toEncodingLiteral(param.encoding)] : [];
+}
+
+/**
+ * @param {string} value
+ * @returns {string} value escaped for a Kotlin or Swift string literal
+ */
+function escapeNativeString(value) {
+    return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * @param {string} name
+ * @returns {string} camelCase name with the first letter capitalized
+ */
+function toPascalCase(name) {
+    const camelCase = toCamelCase(name);
+    return camelCase && `${camelCase[0].toUpperCase()}${camelCase.slice(1)}`;
+}
+
+/**
+ * @param {string} name - identifier
+ * @param {NativeLanguage} language
+ * @returns {string} the identifier, escaped with backticks if it is a keyword
+ */
+function escapeNativeIdentifier(name, language) {
+    return language.keywords.has(name) ? `\`${name}\`` : name;
+}
+
+/**
+ * @param {string[]} sentences - sentences, some of them without a final period, or empty
+ * @returns {string}
+ */
+function joinSentences(sentences) {
+    return sentences
+        .filter(Boolean)
+        .map((sentence) => (/[.!?]$/.test(sentence) ? sentence : `${sentence}.`))
+        .join(' ');
+}
+
+/**
+ * @param {any} schema
+ * @returns {?string[]} values accepted by an enum or const schema, as sent in pixels
+ */
+function getEnumValues(schema) {
+    if (schema?.const !== undefined) return [String(schema.const)];
+    return Array.isArray(schema?.enum) ? schema.enum.map(String) : null;
+}
+
+/**
+ * Builds what the Kotlin and Swift generators need from a pixel model. Arguments and params with the same name
+ * share a single enum type, accepting the values of all of them.
+ * @param {PixelModel} pixel
+ * @param {NativeLanguage} language
+ * @returns {NativePixel}
+ */
+function getNativePixel(pixel, language) {
+    const typeName = toPascalCase(pixel.functionName);
+    /** @type {Map<string, Set<string>>} */
+    const enumValues = new Map();
+    const addEnumValues = (name, schema) => {
+        const values = getEnumValues(schema);
+        if (!values) return false;
+        enumValues.set(name, new Set([...(enumValues.get(name) ?? []), ...values]));
+        return true;
+    };
+
+    // Enum types are named after the argument, and the items of array params are typed like the array
+    const getType = (name, schema) => {
+        const enumType = language.enumTypeName(typeName, name);
+        if (addEnumValues(name, schema)) return enumType;
+        if (schema.type === 'array' && schema.items) {
+            return language.listType(addEnumValues(name, schema.items) ? enumType : getType(`${name}_item`, schema.items));
+        }
+        // Objects and unions of types are passed as strings, e.g. already serialized JSON
+        return language.types[schema.type] ?? language.types.string;
+    };
+
+    const variants = pixel.variants.map(({ args, layout }) => ({
+        layout,
+        args: args.map((arg) => ({
+            name: escapeNativeIdentifier(arg.name, language),
+            type: getType(arg.name, arg.schema),
+            doc: joinSentences([arg.description, ...getUntypedConstraints(arg.schema)]),
+        })),
+    }));
+
+    const usedNames = new Set(pixel.variants.flatMap(({ args }) => args.map((arg) => arg.name)));
+    const params = pixel.params.map((param) => {
+        const baseName = param.key ?? `${getKeyPatternPrefix(/** @type {string} */ (param.keyPattern)) || 'dynamic'}_params`;
+        let name = toCamelCase(baseName) || 'param';
+        if (usedNames.has(name)) name = `${name}Param`;
+        name = getUniqueIdentifier(name, usedNames);
+
+        const valueType = getType(name, param.schema);
+        const constraints = getUntypedConstraints(param.schema);
+        if (param.schema.type === 'object') constraints.push('JSON encoded object');
+        return {
+            name: escapeNativeIdentifier(name, language),
+            type: param.key ? valueType : language.mapType(valueType),
+            doc: joinSentences([param.description, param.keyPattern ? `Keys matching \`${param.keyPattern}\`` : '', ...constraints]),
+            key: param.key,
+            keyPattern: param.keyPattern,
+            // Objects are passed as already serialized JSON
+            encoding: param.encoding === 'json' && param.schema.type === 'object' ? undefined : param.encoding,
+            required: param.required,
+        };
+    });
+
+    const enums = [...enumValues].map(([name, values]) => {
+        const usedCaseNames = new Set();
+        const cases = [...values].map((value) => {
+            const caseName = language.enumCaseName(value) || 'empty';
+            const validName = /^[0-9]/.test(caseName) ? `_${caseName}` : caseName;
+            let uniqueName = validName;
+            for (let idx = 2; usedCaseNames.has(uniqueName); idx++) uniqueName = `${validName}${idx}`;
+            usedCaseNames.add(uniqueName);
+            return { name: escapeNativeIdentifier(uniqueName, language), value };
+        });
+        return { typeName: language.enumTypeName(typeName, name), cases };
+    });
+
+    return { typeName, enums, variants, params };
+}
+
+/**
+ * Drops alternative suffix sequences that would be declared with the same signature. These have the same
+ * static keys (see buildPixelModels), so the first one accepts whatever the others do, except when their arguments
+ * have different types, which are then widened to strings.
+ * @param {NativePixel['variants']} variants
+ * @param {(args: NativeArg[]) => string} getSignature
+ * @param {string} stringType - native string type
+ * @returns {NativePixel['variants']}
+ */
+function mergeNativeVariants(variants, getSignature, stringType) {
+    /** @type {Map<string, NativePixel['variants'][number]>} */
+    const bySignature = new Map();
+    variants.forEach((variant) => {
+        const signature = getSignature(variant.args);
+        const existing = bySignature.get(signature);
+        if (!existing) {
+            bySignature.set(signature, { ...variant, args: variant.args.map((arg) => ({ ...arg })) });
+            return;
+        }
+        existing.args.forEach((arg, idx) => {
+            if (arg.type !== variant.args[idx].type) arg.type = stringType;
+        });
+    });
+    return [...bySignature.values()];
+}
+
+/**
+ * @param {Array<?string>} layout - see SuffixVariant
+ * @param {NativeArg[]} args
+ * @param {string} pixelName
+ * @param {NativeLanguage} language
+ * @returns {string[]} expressions of the pixel name tokens
+ */
+function getNativeTokens(layout, args, pixelName, language) {
+    const argNames = args.map((arg) => arg.name);
+    const tokens = layout.map((token) => (token === null ? /** @type {string} */ (argNames.shift()) : language.toStringLiteral(token)));
+    return [language.toStringLiteral(pixelName), ...tokens];
+}
+
+/**
+ * @param {NativeParam} param
+ * @param {string} optionalDefault - optionality and default of named params
+ * @param {string} mapDefault - default of dynamic params
+ * @returns {string} code following the type of the param argument
+ */
+function getNativeParamDefault(param, optionalDefault, mapDefault) {
+    if (!param.key) return mapDefault;
+    return param.required ? '' : optionalDefault;
+}
+
+/**
+ * @typedef {Object} NativeExpression - call or collection literal
+ * @property {string} start - code before the items, including the opening bracket
+ * @property {Array<string|NativeExpression>} items
+ * @property {string} end - code after the items, including the closing bracket
+ * @property {boolean} [trailingComma] - whether to add a comma after the last item when wrapping (default: true)
+ */
+
+/**
+ * @param {string|NativeExpression} expression
+ * @returns {string} the expression on a single line
+ */
+function flattenExpression(expression) {
+    if (typeof expression === 'string') return expression;
+    return `${expression.start}${expression.items.map(flattenExpression).join(', ')}${expression.end}`;
+}
+
+/**
+ * Formats an expression, wrapping its items one per line (recursively) if it does not fit on a single line
+ * @param {string|NativeExpression} expression
+ * @param {string} indent - indentation of the line the expression starts on
+ * @param {number} column - column the expression starts at
+ * @returns {string}
+ */
+function formatExpression(expression, indent, column = indent.length) {
+    const singleLine = flattenExpression(expression);
+    if (typeof expression === 'string' || column + singleLine.length <= MAX_LINE_LENGTH || !expression.items.length) return singleLine;
+
+    const itemIndent = `${indent}    `;
+    const lines = expression.items.map((item, idx) => {
+        const comma = idx < expression.items.length - 1 || expression.trailingComma !== false ? ',' : '';
+        return `${itemIndent}${formatExpression(item, itemIndent)}${comma}`;
+    });
+    return `${expression.start}\n${lines.join('\n')}\n${indent}${expression.end}`;
+}
+
+/**
+ * @param {string} code
+ * @returns {number} length of the last line of the code
+ */
+function getLastLineLength(code) {
+    return code.length - code.lastIndexOf('\n') - 1;
+}
+
+const KOTLIN_PIXEL_CLASS = `/** Value of a generated enum, as sent in pixel names and params */
+interface PixelValue {
+    val value: String
+}
+
+/**
+ * A pixel to send
+ * @property name full pixel name, including suffixes
+ * @property params parameter values, encoded the way the pixel definitions expect them
+ */
+sealed class Pixel(request: Pair<String, Map<String, String>>) {
+    val name: String = request.first
+    val params: Map<String, String> = request.second
+`;
+
+const KOTLIN_RUNTIME = String.raw`private const val PIXEL_DELIMITER = "${PIXEL_DELIMITER}"
+
+private fun pixelRequest(tokens: List<Any>, vararg params: Map<String, String>): Pair<String, Map<String, String>> {
+    val name = tokens.joinToString(PIXEL_DELIMITER) { if (it is PixelValue) it.value else it.toString() }
+    return name to params.fold(emptyMap<String, String>()) { all, next -> all + next }
+}
+
+private fun jsonString(value: String): String = "\"" + value.replace("\\", "\\\\").replace("\"", "\\\"") + "\""
+
+private fun jsonValue(value: Any?): String = when (value) {
+    null -> "null"
+    is PixelValue -> jsonString(value.value)
+    is String -> jsonString(value)
+    is List<*> -> value.joinToString(",", "[", "]") { jsonValue(it) }
+    else -> value.toString()
+}
+
+private enum class ParamEncoding { BASE64, BASE64URL, JSON, DOUBLE_URL }
+
+private fun encodeParamValue(value: Any, encoding: ParamEncoding?): String {
+    val encoded = when {
+        encoding == ParamEncoding.JSON || value is List<*> -> jsonValue(value)
+        value is PixelValue -> value.value
+        else -> value.toString()
+    }
+    return when (encoding) {
+        ParamEncoding.BASE64 -> Base64.getEncoder().encodeToString(encoded.toByteArray(Charsets.UTF_8))
+        ParamEncoding.BASE64URL -> Base64.getUrlEncoder().withoutPadding().encodeToString(encoded.toByteArray(Charsets.UTF_8))
+        ParamEncoding.DOUBLE_URL -> URLEncoder.encode(encoded, "UTF-8").replace("+", "%20")
+        else -> encoded
+    }
+}
+
+private fun param(key: String, value: Any?, encoding: ParamEncoding? = null): Pair<String, String>? =
+    value?.let { key to encodeParamValue(it, encoding) }
+
+private fun pixelParams(vararg params: Pair<String, String>?): Map<String, String> = params.filterNotNull().toMap()
+
+private fun dynamicParams(params: Map<String, Any>, encoding: ParamEncoding? = null): Map<String, String> =
+    params.mapValues { (_, value) -> encodeParamValue(value, encoding) }
+`;
+
+/**
+ * @param {PixelModel} pixel
+ * @returns {string} nested class (or object, for pixels without arguments) of a single pixel
+ */
+function generateKotlinPixel(pixel) {
+    const language = NATIVE_LANGUAGES.kotlin;
+    const { typeName, enums, variants: allVariants, params } = getNativePixel(pixel, language);
+    // The JVM tells constructors apart by their argument types only
+    const variants = mergeNativeVariants(allVariants, (args) => args.map((arg) => arg.type).join(','), language.types.string);
+    const indent = '    ';
+    const bodyIndent = `${indent}    `;
+
+    const paramArgs = params.map((param) => `${param.name}: ${param.type}${getNativeParamDefault(param, '? = null', ' = emptyMap()')}`);
+    const namedParams = params
+        .filter((param) => param.key)
+        .map((param) => {
+            const key = language.toStringLiteral(/** @type {string} */ (param.key));
+            return `param(${[key, param.name, ...getNativeEncoding(param, language)].join(', ')})`;
+        });
+    const paramsExpressions = [
+        ...(namedParams.length ? [{ start: 'pixelParams(', items: namedParams, end: ')' }] : []),
+        ...params
+            .filter((param) => !param.key)
+            .map((param) => `dynamicParams(${[param.name, ...getNativeEncoding(param, language)].join(', ')})`),
+    ];
+    const getArgs = ({ args }) => [...args.map((arg) => `${arg.name}: ${arg.type}`), ...paramArgs];
+    // Formats the call of the superclass (or primary) constructor that follows the signature
+    const getDelegation = (signature, callee, { layout, args }, lineIndent) => {
+        const tokens = { start: 'listOf(', items: getNativeTokens(layout, args, pixel.name, language), end: ')' };
+        const request = { start: 'pixelRequest(', items: [tokens, ...paramsExpressions], end: ')' };
+        const call = { start: `${callee}(`, items: [request], end: ')' };
+        return `${signature}${formatExpression(call, lineIndent, getLastLineLength(signature))}`;
+    };
+    const getDoc = ({ args }, docIndent, includePixel) =>
+        toDocComment(
+            [
+                ...(includePixel ? getPixelDocLines(pixel) : []),
+                ...[...args, ...params].map((arg) => `@param ${arg.name.replace(/`/g, '')} ${arg.doc}`.trimEnd()),
+            ],
+            docIndent,
+        );
+
+    const body = enums.map(({ typeName: enumTypeName, cases }) => {
+        const casesCode = cases.map(({ name, value }) => `${bodyIndent}    ${name}(${language.toStringLiteral(value)}),`).join('\n');
+        return `${bodyIndent}enum class ${enumTypeName}(override val value: String) : PixelValue {\n${casesCode}\n${bodyIndent}}\n`;
+    });
+
+    let header;
+    if (variants.length === 1) {
+        const [variant] = variants;
+        if (!variant.args.length && !params.length) {
+            const doc = toDocComment(getPixelDocLines(pixel), indent);
+            return `${doc}${getDelegation(`${indent}object ${typeName} : `, 'Pixel', variant, indent)}\n`;
+        }
+        const signature = formatList(`class ${typeName}(`, getArgs(variant), ') : ', indent);
+        header = `${getDoc(variant, indent, true)}${getDelegation(signature, 'Pixel', variant, indent)}`;
+    } else {
+        // Alternative suffix sequences become secondary constructors
+        const doc = toDocComment(getPixelDocLines(pixel), indent);
+        header = `${doc}${indent}class ${typeName} private constructor(request: Pair<String, Map<String, String>>) : Pixel(request)`;
+        const constructors = variants.map((variant) => {
+            const signature = formatList('constructor(', getArgs(variant), ') : ', bodyIndent);
+            return `${getDoc(variant, bodyIndent, false)}${getDelegation(signature, 'this', variant, bodyIndent)}\n`;
+        });
+        body.unshift(...constructors);
+    }
+    return body.length ? `${header} {\n${body.join('\n')}${indent}}\n` : `${header}\n`;
+}
+
+/**
+ * Generates a Kotlin file with a sealed Pixel class, with one subclass (or object) per pixel. Each constructor takes
+ * the suffix values in pixel name order, followed by the optional parameters. Enum values become enum classes.
+ * @param {PixelModel[]} pixels
+ * @param {string} packageName
+ * @returns {string} Kotlin source
+ */
+function generateKotlin(pixels, packageName) {
+    const classes = pixels.map(generateKotlinPixel).join('\n');
+    const pixelClass = `${KOTLIN_PIXEL_CLASS}${classes ? `\n${classes}` : ''}}\n`;
+    return [
+        `${GENERATED_HEADER}\n\npackage ${packageName}\n\nimport java.net.URLEncoder\nimport java.util.Base64\n`,
+        pixelClass,
+        KOTLIN_RUNTIME,
+    ].join('\n');
+}
+
+/**
+ * @param {string[]} lines - doc comment lines
+ * @param {string} indent
+ * @returns {string} Swift documentation comment, or an empty string if there are no lines
+ */
+function toSwiftDocComment(lines, indent) {
+    return lines.map((line) => `${indent}///${line ? ` ${line}` : ''}\n`).join('');
+}
+
+const SWIFT_RUNTIME = String.raw`/// Value of a generated enum, as sent in pixel names and params
+public protocol PixelValue {
+    var rawValue: String { get }
+}
+
+private let pixelDelimiter = "${PIXEL_DELIMITER}"
+
+private func pixelRequest(_ tokens: [Any], _ parameters: [String: String]...) -> (name: String, parameters: [String: String]) {
+    let name = tokens.map { ($0 as? PixelValue)?.rawValue ?? "\($0)" }.joined(separator: pixelDelimiter)
+    return (name, parameters.reduce(into: [:]) { all, next in all.merge(next) { _, new in new } })
+}
+
+private func jsonString(_ value: String) -> String {
+    "\"" + value.replacingOccurrences(of: "\\", with: "\\\\").replacingOccurrences(of: "\"", with: "\\\"") + "\""
+}
+
+private func jsonValue(_ value: Any) -> String {
+    switch value {
+    case let value as PixelValue: return jsonString(value.rawValue)
+    case let value as String: return jsonString(value)
+    case let value as [Any]: return "[" + value.map(jsonValue).joined(separator: ",") + "]"
+    default: return "\(value)"
+    }
+}
+
+private enum ParamEncoding {
+    case base64, base64url, json, doubleUrl
+}
+
+// Characters encodeURIComponent leaves as they are
+private let uriComponentCharacters = CharacterSet(charactersIn: "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_.!~*'()")
+
+private func encodeParamValue(_ value: Any, encoding: ParamEncoding?) -> String {
+    let encoded = encoding == .json || value is [Any] ? jsonValue(value) : (value as? PixelValue)?.rawValue ?? "\(value)"
+    switch encoding {
+    case .base64:
+        return Data(encoded.utf8).base64EncodedString()
+    case .base64url:
+        return Data(encoded.utf8).base64EncodedString()
+            .replacingOccurrences(of: "+", with: "-")
+            .replacingOccurrences(of: "/", with: "_")
+            .replacingOccurrences(of: "=", with: "")
+    case .doubleUrl:
+        return encoded.addingPercentEncoding(withAllowedCharacters: uriComponentCharacters) ?? encoded
+    default:
+        return encoded
+    }
+}
+
+private func pixelParams(_ params: [(key: String, value: Any?, encoding: ParamEncoding?)]) -> [String: String] {
+    var encoded: [String: String] = [:]
+    for param in params {
+        if let value = param.value {
+            encoded[param.key] = encodeParamValue(value, encoding: param.encoding)
+        }
+    }
+    return encoded
+}
+
+private func dynamicParams(_ params: [String: Any], encoding: ParamEncoding? = nil) -> [String: String] {
+    params.mapValues { encodeParamValue($0, encoding: encoding) }
+}
+`;
+
+/**
+ * Generates a Swift file with a Pixel enum, with one case per pixel (and suffix alternative) whose associated values
+ * are the suffix values in pixel name order, followed by the optional parameters. Enum values become String enums.
+ * @param {PixelModel[]} pixels
+ * @returns {string} Swift source
+ */
+function generateSwift(pixels) {
+    const language = NATIVE_LANGUAGES.swift;
+    const cases = [];
+    const requestCases = [];
+    const enums = [];
+    const unescaped = (name) => name.replace(/`/g, '');
+
+    pixels.forEach((pixel) => {
+        const { enums: pixelEnums, variants: allVariants, params } = getNativePixel(pixel, language);
+        // Cases sharing a name are told apart by their labels
+        const variants = mergeNativeVariants(allVariants, (args) => args.map((arg) => arg.name).join(','), language.types.string);
+        const caseName = escapeNativeIdentifier(pixel.functionName, language);
+
+        const namedParams = params
+            .filter((param) => param.key)
+            .map((param) => {
+                const encoding = getNativeEncoding(param, language)[0] ?? 'nil';
+                return `(${language.toStringLiteral(/** @type {string} */ (param.key))}, ${param.name}, ${encoding})`;
+            });
+        const paramsExpressions = [
+            ...(namedParams.length
+                ? [{ start: 'pixelParams(', items: [{ start: '[', items: namedParams, end: ']' }], end: ')', trailingComma: false }]
+                : []),
+            ...params
+                .filter((param) => !param.key)
+                .map(
+                    (param) =>
+                        `dynamicParams(${[param.name, ...getNativeEncoding(param, language).map((encoding) => `encoding: ${encoding}`)].join(', ')})`,
+                ),
+        ];
+
+        variants.forEach((variant) => {
+            const docs = [
+                ...getPixelDocLines(pixel),
+                ...(variant.args.length || params.length ? ['', '- Parameters:'] : []),
+                ...[...variant.args, ...params].map((arg) => `  - ${unescaped(arg.name)}: ${arg.doc}`.trimEnd()),
+            ];
+            const associatedValues = [
+                ...variant.args.map((arg) => `${unescaped(arg.name)}: ${arg.type}`),
+                ...params.map((param) => `${unescaped(param.name)}: ${param.type}${getNativeParamDefault(param, '? = nil', ' = [:]')}`),
+            ];
+            const declaration = associatedValues.length
+                ? formatList(`case ${caseName}(`, associatedValues, ')', '    ', false)
+                : `    case ${caseName}`;
+            cases.push(`${toSwiftDocComment(docs, '    ')}${declaration}\n`);
+
+            const bindings = [...variant.args, ...params].map((arg) => `${unescaped(arg.name)}: let ${arg.name}`);
+            const pattern = bindings.length
+                ? formatList(`case .${caseName}(`, bindings, '):', '        ', false)
+                : `        case .${caseName}:`;
+            const tokens = { start: '[', items: getNativeTokens(variant.layout, variant.args, pixel.name, language), end: ']' };
+            const request = { start: 'pixelRequest(', items: [tokens, ...paramsExpressions], end: ')', trailingComma: false };
+            requestCases.push(`${pattern}\n            return ${formatExpression(request, '            ', 19)}\n`);
+        });
+
+        pixelEnums.forEach(({ typeName, cases: enumCases }) => {
+            const casesCode = enumCases.map(({ name, value }) => `        case ${name} = ${language.toStringLiteral(value)}`).join('\n');
+            enums.push(`    public enum ${typeName}: String, PixelValue {\n${casesCode}\n    }\n`);
+        });
+    });
+
+    const requestBody = requestCases.length
+        ? `        switch self {\n${requestCases.join('')}        }\n`
+        : '        fatalError("No pixels are defined")\n';
+    const pixelEnum = [
+        'public enum Pixel {',
+        cases.join('\n'),
+        '    /// Full pixel name, including suffixes',
+        '    public var name: String { request.name }',
+        '',
+        '    /// Parameter values, encoded the way the pixel definitions expect them',
+        '    public var parameters: [String: String] { request.parameters }',
+        '',
+        '    private var request: (name: String, parameters: [String: String]) {',
+        `${requestBody}    }`,
+        '}',
+    ].filter((line, idx) => idx !== 1 || line);
+    const parts = [`${GENERATED_HEADER}\n\nimport Foundation\n`, SWIFT_RUNTIME, `${pixelEnum.join('\n')}\n`];
+    if (enums.length) parts.push(`extension Pixel {\n${enums.join('\n')}}\n`);
+    return parts.join('\n');
+}
+
+/**
+ * Generates typed pixel helpers. The output only depends on the definitions, so it can be committed and
+ * compared against a fresh run in CI.
+ * @param {PixelModel[]} pixels - see buildPixelModels
+ * @param {string} language - see CODEGEN_LANGUAGES
+ * @param {Object} [options]
+ * @param {string} [options.packageName] - package of the generated Kotlin file
+ * @returns {string} source code
+ */
+export function generatePixelCode(pixels, language, { packageName = DEFAULT_KOTLIN_PACKAGE } = {}) {
+    switch (language) {
+        case 'typescript':
+            return generateTypeScript(pixels);
+        case 'kotlin':
+            return generateKotlin(pixels, packageName);
+        case 'swift':
+            return generateSwift(pixels);
+        default:
+            throw new Error(`Unknown language '${language}', expected one of: ${CODEGEN_LANGUAGES.join(', ')}`);
+    }
+}
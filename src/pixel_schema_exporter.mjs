@@ -0,0 +1,214 @@
+/**
+ * Helper functions for exporting pixel definitions as standalone JSON Schemas
+ */
+import traverse from 'json-schema-traverse';
+
+import { readPixelDefinitions } from './definitions_loader.mjs';
+import * as fileUtils from './file_utils.mjs';
+import { buildParamsValidator } from './live_validation_utils.mjs';
+import { getParamEncoding } from './param_encodings.mjs';
+import { getVariantParameters } from './pixel_utils.mjs';
+
+/**
+ * @typedef {import('./params_validator.mjs').ParamsValidator} ParamsValidator
+ * @typedef {import('./types.mjs').ConditionalParameters} ConditionalParameters
+ * @typedef {import('./types.mjs').PixelDefinition} PixelDefinition
+ * @typedef {import('./types.mjs').ProductDefinition} ProductDefinition
+ */
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+/**
+ * Rewrites a param or suffix schema so that it only uses standard JSON Schema keywords:
+ * keys, key patterns and token counts are already expressed by the enclosing schema, and encodings become content annotations
+ * @param {object} schema - expanded param or suffix schema, modified in place
+ * @returns {object} the same schema
+ */
+function toStandardSchema(schema) {
+    traverse(schema, (subSchema) => {
+        delete subSchema.key;
+        delete subSchema.keyPattern;
+        delete subSchema.tokens;
+        if (subSchema.encoding) {
+            Object.assign(subSchema, getParamEncoding(subSchema.encoding).annotations);
+            delete subSchema.encoding;
+        }
+    });
+    return schema;
+}
+
+/**
+ * Builds the schema of the pixel name tokens following the pixel prefix.
+ * As in live validation, pixels may omit trailing suffixes but cannot carry extra ones.
+ * @param {Array|Array[]|undefined} suffixes - suffixes as defined, possibly with shortcuts
+ * @param {ParamsValidator} paramsValidator
+ * @returns {object} JSON schema of the suffix tokens array
+ */
+function getSuffixesSchema(suffixes, paramsValidator) {
+    const description = 'Pixel name tokens following the pixel prefix, split on "_"';
+    const sequences = paramsValidator
+        .getSuffixTokenSequences(suffixes || [])
+        .map((tokens) => (tokens.length ? { prefixItems: tokens.map(toStandardSchema), items: false } : { maxItems: 0 }));
+
+    if (sequences.length === 1) {
+        return { description, type: 'array', ...sequences[0] };
+    }
+    return { description, type: 'array', anyOf: sequences };
+}
+
+/**
+ * Builds the schema of the params object, including ignore params and search experiment params
+ * @param {string} pixelName
+ * @param {Object[]|undefined} parameters - parameters as defined, possibly with shortcuts
+ * @param {ParamsValidator} paramsValidator
+ * @param {ProductDefinition} productDef
+ * @returns {object} JSON schema of the params object
+ */
+function getParamsSchema(pixelName, parameters, paramsValidator, productDef) {
+    // Match live validation, which lowercases the definitions of products forcing lower case
+    const serializedParams = JSON.stringify(parameters || []);
+    const normalizedParams = JSON.parse(productDef.forceLowerCase ? serializedParams.toLowerCase() : serializedParams);
+
+    // Cloned since ignore params are shared by every pixel
+    const {
+        properties = {},
+        patternProperties = {},
+        ...rest
+    } = JSON.parse(JSON.stringify(paramsValidator.getParamsSchema(normalizedParams, pixelName)));
+    const schema = {
+        description: 'Decoded URL query params, with object and array params parsed from JSON',
+        type: 'object',
+        ...rest,
+        properties: Object.fromEntries(Object.entries(properties).map(([key, param]) => [key, toStandardSchema(param)])),
+    };
+    if (Object.keys(patternProperties).length) {
+        schema.patternProperties = Object.fromEntries(
+            Object.entries(patternProperties).map(([pattern, param]) => [pattern, toStandardSchema(param)]),
+        );
+    }
+    return schema;
+}
+
+/**
+ * Lists the combinations of conditions that some suffix values satisfy, e.g. two conditions
+ * on different values of the same suffix never hold together
+ * @param {ConditionalParameters[]} conditionalParameters
+ * @returns {number[][]} indices of the conditions holding in each combination, starting with none
+ */
+function getConditionCombinations(conditionalParameters) {
+    const combinations = [];
+    for (let mask = 0; mask < 2 ** conditionalParameters.length; mask++) {
+        const holds = (idx) => (mask & (1 << idx)) !== 0;
+        // Conditions on the same suffix and value hold together, and ones on other values of that suffix exclude each other
+        const isSatisfiable = conditionalParameters.every((condition, idx) =>
+            conditionalParameters.every((other, otherIdx) => {
+                if (condition.suffix !== other.suffix) return true;
+                return condition.equals === other.equals ? holds(idx) === holds(otherIdx) : !(holds(idx) && holds(otherIdx));
+            }),
+        );
+        if (isSatisfiable) {
+            combinations.push(conditionalParameters.map((_, idx) => idx).filter(holds));
+        }
+    }
+    return combinations;
+}
+
+/**
+ * Builds the schema of the pixel params when some of them depend on suffix values:
+ * each combination of conditions gets its own params schema, applied when the suffix tokens match it
+ * @param {string} pixelName
+ * @param {Object[]|undefined} parameters - parameters as defined, possibly with shortcuts
+ * @param {ConditionalParameters[]} conditionalParameters - as defined, possibly with shortcuts
+ * @param {ParamsValidator} paramsValidator
+ * @param {ProductDefinition} productDef
+ * @returns {object[]} if/then schemas of the pixel instance, one per combination
+ */
+function getConditionalParamsSchemas(pixelName, parameters, conditionalParameters, paramsValidator, productDef) {
+    const normalizedConditions = productDef.forceLowerCase
+        ? conditionalParameters.map((condition) => ({ ...condition, equals: condition.equals.toLowerCase() }))
+        : conditionalParameters;
+    /**
+     * @param {number} idx - condition index
+     * @returns {object} schema of suffix tokens satisfying the condition
+     */
+    const getMatchSchema = (idx) => {
+        const { suffix, equals } = normalizedConditions[idx];
+        return { type: 'array', minItems: suffix, prefixItems: [...Array(suffix - 1).fill(true), { const: equals }] };
+    };
+
+    return getConditionCombinations(normalizedConditions).map((conditionIndices) => {
+        const suffixesMatch = normalizedConditions.map((_, idx) =>
+            conditionIndices.includes(idx) ? getMatchSchema(idx) : { not: getMatchSchema(idx) },
+        );
+        // Shortcut expansion mutates items, so each combination works on its own copy
+        const variantParameters = getVariantParameters(
+            parameters || [],
+            JSON.parse(JSON.stringify(conditionalParameters)),
+            conditionIndices,
+        );
+        return {
+            if: { properties: { suffixes: { allOf: suffixesMatch } }, ...(conditionIndices.length ? { required: ['suffixes'] } : {}) },
+            then: { properties: { params: getParamsSchema(pixelName, variantParameters, paramsValidator, productDef) } },
+        };
+    });
+}
+
+/**
+ * Builds a self-contained JSON Schema for a single pixel.
+ * Validated instances describe one pixel: its prefix, the name tokens that follow it and its params, e.g.
+ * { "pixel": "m_my_pixel", "suffixes": ["new", "phone"], "params": { "count": 2 } }
+ * @param {string} pixelName
+ * @param {PixelDefinition} pixelDef - pixel definition, possibly with shortcuts
+ * @param {ParamsValidator} paramsValidator - validator with the common params, suffixes and ignore params loaded
+ * @param {ProductDefinition} productDef
+ * @returns {object} JSON Schema (draft 2020-12)
+ */
+export function buildPixelSchema(pixelName, pixelDef, paramsValidator, productDef) {
+    // Shortcut expansion mutates items, so work on a copy
+    const { description, owners, expires, suffixes, parameters, conditionalParameters = [] } = JSON.parse(JSON.stringify(pixelDef));
+    const metadata = expires ? { owners, expires } : { owners };
+
+    return {
+        $schema: JSON_SCHEMA_DIALECT,
+        description,
+        $comment: JSON.stringify(metadata),
+        type: 'object',
+        required: ['pixel'],
+        additionalProperties: false,
+        properties: {
+            pixel: { const: pixelName },
+            suffixes: getSuffixesSchema(suffixes, paramsValidator),
+            params: conditionalParameters.length
+                ? { description: 'Decoded URL query params, depending on the suffix values', type: 'object' }
+                : getParamsSchema(pixelName, parameters, paramsValidator, productDef),
+        },
+        ...(conditionalParameters.length
+            ? { allOf: getConditionalParamsSchemas(pixelName, parameters, conditionalParameters, paramsValidator, productDef) }
+            : {}),
+    };
+}
+
+/**
+ * Builds standalone JSON Schemas for all pixels in a definitions tree.
+ * Definitions are expected to be valid (see validate-ddg-pixel-defs).
+ *
+ * @param {string} mainDir - path to the directory containing the pixels folder and product.json
+ * @returns {Record<string, object>} JSON Schemas keyed by pixel name
+ * @throws if any definition cannot be resolved
+ */
+export function buildPixelSchemas(mainDir) {
+    const { pixelsConfigDir } = fileUtils.resolvePixelsDirs(mainDir);
+    const productDef = fileUtils.readProductDef(mainDir);
+    const paramsValidator = buildParamsValidator(pixelsConfigDir, productDef);
+
+    /** @type {Record<string, object>} */
+    const schemas = {};
+    for (const [name, { def, file }] of Object.entries(readPixelDefinitions(mainDir))) {
+        try {
+            schemas[name] = buildPixelSchema(name, def, paramsValidator, productDef);
+        } catch (error) {
+            throw new Error(`${file}: ${name} --> ${error.message}`);
+        }
+    }
+    return schemas;
+}
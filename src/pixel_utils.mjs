@@ -1,6 +1,8 @@
-import { PIXEL_DELIMITER, ROOT_PREFIX } from './constants.mjs';
+import { MAX_SUFFIX_SEQUENCES, PIXEL_DELIMITER, ROOT_PREFIX } from './constants.mjs';
 import { getProperties } from 'properties-file';
 
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
 /**
  * @typedef {Object} SearchExperimentDefinition
  * @property {string} [description]
@@ -142,6 +144,69 @@ export function mergeParameters(parameters, extraParams) {
     return [...parameters, ...extraParams.filter((p) => !parameterKeys.has(typeof p === 'string' ? p : p.keyPattern || p.key))];
 }
 
+/**
+ * Lists the conditional parameters that apply to a pixel, based on the actual values of its suffixes
+ * @param {import('./types.mjs').ConditionalParameters[]} conditionalParameters
+ * @param {string[]} nameTokens - pixel name tokens following the prefix
+ * @returns {number[]} indices of the conditions that hold
+ */
+export function getMatchingConditions(conditionalParameters, nameTokens) {
+    return conditionalParameters.flatMap(({ suffix, equals }, idx) => (nameTokens[suffix - 1] === equals ? [idx] : []));
+}
+
+/**
+ * Combines the parameters a pixel always allows with the ones of the conditions that hold.
+ * If several conditions define the same key, the first one takes precedence.
+ * @param {Array<string|object>} parameters
+ * @param {import('./types.mjs').ConditionalParameters[]} conditionalParameters
+ * @param {number[]} conditionIndices - see getMatchingConditions
+ * @returns {Array<string|object>}
+ */
+export function getVariantParameters(parameters, conditionalParameters, conditionIndices) {
+    return conditionIndices.reduce((merged, idx) => mergeParameters(merged, conditionalParameters[idx].parameters), parameters);
+}
+
+/**
+ * Lists the numbers of pixel name tokens a suffix value can span: the suffix's `tokens`,
+ * or else the number of tokens in its allowed values
+ * @param {object} suffix - suffix schema, with shortcuts expanded
+ * @returns {number[]} in increasing order
+ */
+export function getSuffixValueSpans(suffix) {
+    if (suffix.tokens) return [suffix.tokens];
+
+    const values = [...(suffix.enum ?? []), ...(suffix.const === undefined ? [] : [suffix.const])];
+    const spans = new Set(values.map((value) => String(value).split(PIXEL_DELIMITER).length));
+    return spans.size ? Array.from(spans).sort((a, b) => a - b) : [1];
+}
+
+/**
+ * Checks that the combinations of optional suffixes can be listed, see MAX_SUFFIX_SEQUENCES
+ * @param {{ optional?: boolean }[][]} sequences - suffixes of each alternative sequence
+ * @throws if they expand to more sequences than supported
+ */
+export function checkSuffixSequenceCount(sequences) {
+    const count = sequences.reduce((total, suffixes) => total + 2 ** suffixes.filter(({ optional }) => optional).length, 0);
+    if (count > MAX_SUFFIX_SEQUENCES) {
+        throw new Error(
+            `optional suffixes expand to ${count} suffix sequences, more than the ${MAX_SUFFIX_SEQUENCES} supported. Use fewer optional suffixes or split the pixel`,
+        );
+    }
+}
+
+/**
+ * Separates whether pixels must send a param from the schema of its value.
+ * On params, `required` is a boolean, whereas in JSON schemas it lists the required properties of objects.
+ * @param {object} param - param definition, with shortcuts expanded
+ * @returns {{ required: boolean, schema: object }} requiredness (optional by default) and the schema without it
+ */
+export function splitRequiredParam(param) {
+    if (typeof param.required !== 'boolean') return { required: false, schema: param };
+
+    const { required, ...schema } = param;
+    return { required, schema };
+}
+
 /**
  * Extract a value from an object using a dot-notation key path
  * @param {object} obj - The object to extract from
@@ -211,6 +276,18 @@ export async function resolveTargetVersion(target) {
     throw new Error('target must have either "version", both "versionUrl" and "versionRef", or "queryWindowInDays"');
 }
 
+/**
+ * Computes the number of whole days left until a pixel's expiry date.
+ * A pixel is considered expired on its expiry date, i.e. when the result is 0 or less.
+ * @param {string} expires The expiry date in YYYY-MM-DD format.
+ * @param {Date} [currentDate] The date to compare against, defaults to now.
+ * @returns {number} Days until expiry (negative once the expiry date has passed).
+ */
+export function getDaysUntilExpiry(expires, currentDate = new Date()) {
+    const today = Date.UTC(currentDate.getUTCFullYear(), currentDate.getUTCMonth(), currentDate.getUTCDate());
+    return Math.round((Date.parse(expires) - today) / MS_PER_DAY);
+}
+
 /**
  * Validates that a pixel prefix only contains letters, numbers, hyphens, and dots.
  * Empty pixel prefix is valid.
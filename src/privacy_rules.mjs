@@ -0,0 +1,152 @@
+/**
+ * Privacy checks for pixel definitions, flagging parameters and suffixes that could carry identifying data
+ */
+import { RULE_IDS } from './constants.mjs';
+
+/**
+ * @typedef {import('./error_utils.mjs').Diagnostic} Diagnostic
+ * @typedef {import('./types.mjs').PixelDefinition} PixelDefinition
+ */
+
+/**
+ * @typedef {Object} ResolvedItem
+ * @property {string} name - parameter key, suffix key or shortcut name
+ * @property {object} schema - parameter or suffix schema, with shortcuts expanded
+ * @property {string} instancePath - JSON pointer to the item within the definitions file
+ */
+
+/** @type {string[]} */
+export const PRIVACY_RULE_IDS = [
+    RULE_IDS.PRIVACY_UNCONSTRAINED_PARAM,
+    RULE_IDS.PRIVACY_UNCONSTRAINED_SUFFIX,
+    RULE_IDS.PRIVACY_UNBOUNDED_NUMBER,
+    RULE_IDS.PRIVACY_UNBOUNDED_KEY_PATTERN,
+    RULE_IDS.PRIVACY_MISSING_REVIEW,
+];
+
+// Triggers where a pixel may end up carrying user-provided or unexpected data
+const RISKY_TRIGGERS = ['exception', 'user_submitted'];
+
+/**
+ * @param {object} schema
+ * @param {string} type
+ * @returns {boolean} true if the schema accepts values of the given type
+ */
+function allowsType(schema, type) {
+    return Array.isArray(schema.type) ? schema.type.includes(type) : schema.type === type;
+}
+
+/**
+ * @param {object} schema
+ * @returns {boolean} true if the schema only accepts a known set or shape of values
+ */
+function isRestricted(schema) {
+    if (schema.enum || schema.const !== undefined || schema.pattern || schema.format) return true;
+
+    const branches = schema.anyOf ?? schema.oneOf;
+    return Array.isArray(branches) && branches.length > 0 && branches.every(isRestricted);
+}
+
+/**
+ * Checks whether a schema accepts free-form strings, either directly or as array items
+ * @param {object} schema - parameter or suffix schema
+ * @returns {boolean}
+ */
+export function acceptsAnyString(schema) {
+    if (allowsType(schema, 'array') && schema.items) {
+        return acceptsAnyString(schema.items);
+    }
+    return allowsType(schema, 'string') && !isRestricted(schema);
+}
+
+/**
+ * @param {object} schema - parameter schema
+ * @returns {string[]} bounds missing from a numeric schema (empty if bounded or not numeric)
+ */
+function getMissingNumericBounds(schema) {
+    if (!(allowsType(schema, 'integer') || allowsType(schema, 'number')) || isRestricted(schema)) return [];
+
+    const missing = [];
+    if (schema.minimum === undefined && schema.exclusiveMinimum === undefined) missing.push('minimum');
+    if (schema.maximum === undefined && schema.exclusiveMaximum === undefined) missing.push('maximum');
+    return missing;
+}
+
+/**
+ * Checks whether a keyPattern can match arbitrarily many keys, i.e. it is not anchored at both ends
+ * or repeats part of the key without limit (*, + or {n,})
+ * @param {string} keyPattern
+ * @returns {boolean}
+ */
+export function allowsUnboundedKeys(keyPattern) {
+    // Escaped characters and character classes only ever match a single character
+    const pattern = keyPattern.replace(/\\./g, '_').replace(/\[(?:\\.|[^\]\\])*\]/g, '_');
+    return !pattern.startsWith('^') || !pattern.endsWith('$') || /[*+]|\{\d*,\}/.test(pattern);
+}
+
+/**
+ * Runs privacy rules against a single pixel definition. Rules listed in the pixel's privacyExceptions,
+ * along with a justification, are skipped.
+ *
+ * @param {string} pixelName
+ * @param {PixelDefinition} pixelDef
+ * @param {string} pixelPath - JSON pointer to the pixel within the definitions file
+ * @param {{ params: ResolvedItem[], suffixes: ResolvedItem[] }} resolved - pixel parameters and suffixes, with shortcuts expanded
+ * @returns {Diagnostic[]} privacy findings
+ */
+export function getPrivacyDiagnostics(pixelName, pixelDef, pixelPath, { params, suffixes }) {
+    /** @type {Diagnostic[]} */
+    const diagnostics = [];
+    const report = (ruleId, instancePath, details) => {
+        diagnostics.push({ message: `${pixelName} --> ${details}`, instancePath, ruleId });
+    };
+
+    params.forEach(({ name, schema, instancePath }) => {
+        if (acceptsAnyString(schema)) {
+            report(
+                RULE_IDS.PRIVACY_UNCONSTRAINED_PARAM,
+                instancePath,
+                `parameter '${name}' accepts any string. Restrict it with an enum, pattern or format`,
+            );
+        }
+
+        const missingBounds = getMissingNumericBounds(schema);
+        if (missingBounds.length) {
+            report(
+                RULE_IDS.PRIVACY_UNBOUNDED_NUMBER,
+                instancePath,
+                `parameter '${name}' has no ${missingBounds.join(' or ')}. Bound it or bucket its values with an enum`,
+            );
+        }
+
+        if (schema.keyPattern && allowsUnboundedKeys(schema.keyPattern)) {
+            report(
+                RULE_IDS.PRIVACY_UNBOUNDED_KEY_PATTERN,
+                instancePath,
+                `keyPattern '${schema.keyPattern}' allows an unbounded number of parameter keys. Anchor it with ^ and $ and avoid *, + and {n,}`,
+            );
+        }
+    });
+
+    suffixes.forEach(({ name, schema, instancePath }) => {
+        if (acceptsAnyString(schema)) {
+            report(
+                RULE_IDS.PRIVACY_UNCONSTRAINED_SUFFIX,
+                instancePath,
+                `suffix '${name}' accepts any string. Restrict it with an enum, pattern or format`,
+            );
+        }
+    });
+
+    const riskyTriggers = (pixelDef.triggers ?? []).filter((trigger) => RISKY_TRIGGERS.includes(trigger));
+    if (riskyTriggers.length && !pixelDef.privacyReview?.length) {
+        report(
+            RULE_IDS.PRIVACY_MISSING_REVIEW,
+            `${pixelPath}/triggers`,
+            `fires on ${riskyTriggers.join(', ')} but has no privacyReview link`,
+        );
+    }
+
+    const exceptions = pixelDef.privacyExceptions ?? {};
+    return diagnostics.filter((diagnostic) => !exceptions[diagnostic.ruleId]);
+}
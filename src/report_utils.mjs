@@ -0,0 +1,245 @@
+/**
+ * Helper functions for collecting validation findings and reporting them in machine-readable formats
+ */
+
+import { getSourceLocation, unescapePointerToken } from './source_map_utils.mjs';
+import { logErrors, logFileErrors, logFileWarnings, logWarnings } from './error_utils.mjs';
+import { BUILT_IN_RULES } from './rule_engine.mjs';
+
+/**
+ * @typedef {import('./source_map_utils.mjs').DefinitionSource} DefinitionSource
+ * @typedef {import('./error_utils.mjs').Diagnostic} Diagnostic
+ * @typedef {'error'|'warning'} Severity
+ */
+
+/**
+ * @typedef {Object} Finding
+ * @property {string} ruleId - identifier of the check that found the issue, see RULE_IDS
+ * @property {Severity} severity
+ * @property {string} file - path to the file the issue was found in
+ * @property {number} [line] - 1-based line number, if known
+ * @property {number} [column] - 1-based column number, if known
+ * @property {string} name - pixel, wide event or dictionary entry the issue refers to (empty if not specific to one)
+ * @property {string} message
+ */
+
+export const REPORT_FORMATS = ['text', 'json', 'sarif', 'junit'];
+
+const TOOL_NAME = 'validate-ddg-pixel-defs';
+const TOOL_URI = 'https://github.com/duckduckgo/pixel-schema';
+
+/**
+ * Collects findings while validating definitions. In text format findings are logged as they are added,
+ * otherwise they are printed in the requested format once validation is done.
+ */
+export class ValidationReport {
+    #format;
+    /** @type {Finding[]} */
+    #findings = [];
+
+    /**
+     * @param {string} [format] - one of REPORT_FORMATS
+     */
+    constructor(format = 'text') {
+        if (!REPORT_FORMATS.includes(format)) {
+            throw new Error(`Unknown report format '${format}', expected one of: ${REPORT_FORMATS.join(', ')}`);
+        }
+        this.#format = format;
+    }
+
+    /**
+     * @returns {boolean} true if findings are logged as free-form text
+     */
+    get isText() {
+        return this.#format === 'text';
+    }
+
+    /**
+     * @returns {Finding[]} findings collected so far
+     */
+    get findings() {
+        return [...this.#findings];
+    }
+
+    /**
+     * Adds diagnostics found in a definitions file
+     * @param {DefinitionSource} source - definitions file the diagnostics refer to
+     * @param {Diagnostic[]} diagnostics
+     * @param {Severity} severity
+     */
+    addFileDiagnostics(source, diagnostics, severity) {
+        if (this.isText) {
+            (severity === 'error' ? logFileErrors : logFileWarnings)(source, diagnostics);
+        }
+
+        diagnostics.forEach(({ message, instancePath, ruleId }) => {
+            const { line, column } = getSourceLocation(source.pointers, instancePath);
+            this.#addFinding({ ruleId, severity, file: source.filePath, line, column, name: getDefinitionName(instancePath), message });
+        });
+    }
+
+    /**
+     * Adds free-form messages about a file, e.g. errors in dictionaries
+     * @param {string} file - path to the file the messages refer to
+     * @param {string} ruleId - identifier of the check that found the issues
+     * @param {Severity} severity
+     * @param {string[]} messages
+     * @param {{ name?: string, label?: string }} [options] - pixel, wide event or dictionary entry the messages
+     * refer to, and a shorter name for the file to use in text output
+     */
+    addMessages(file, ruleId, severity, messages, { name = '', label = file } = {}) {
+        if (this.isText) {
+            const level = severity === 'error' ? 'ERROR' : 'WARNING';
+            (severity === 'error' ? logErrors : logWarnings)(`${level} in ${label}:`, messages);
+        }
+
+        messages.forEach((message) => this.#addFinding({ ruleId, severity, file, name, message }));
+    }
+
+    /**
+     * @param {Finding} finding
+     */
+    #addFinding(finding) {
+        this.#findings.push(finding);
+        if (finding.severity === 'error') process.exitCode = 1;
+    }
+
+    /**
+     * Prints collected findings to stdout, unless they were already logged as text
+     */
+    print() {
+        if (this.isText) return;
+
+        console.log(formatFindings(this.#findings, this.#format));
+    }
+}
+
+/**
+ * @param {string} instancePath - JSON pointer within a definitions file
+ * @returns {string} name of the pixel or wide event the pointer refers to
+ */
+function getDefinitionName(instancePath) {
+    const [, token = ''] = instancePath.split('/');
+    return unescapePointerToken(token);
+}
+
+/**
+ * Formats findings in one of the machine-readable formats
+ * @param {Finding[]} findings
+ * @param {string} format - json, sarif or junit
+ * @returns {string} formatted report
+ */
+export function formatFindings(findings, format) {
+    switch (format) {
+        case 'json':
+            return formatFindingsAsJson(findings);
+        case 'sarif':
+            return formatFindingsAsSarif(findings);
+        case 'junit':
+            return formatFindingsAsJunit(findings);
+        default:
+            throw new Error(`Unsupported report format '${format}'`);
+    }
+}
+
+/**
+ * @param {Finding[]} findings
+ * @returns {{ errors: number, warnings: number }} number of findings per severity
+ */
+function countFindings(findings) {
+    const errors = findings.filter((finding) => finding.severity === 'error').length;
+    return { errors, warnings: findings.length - errors };
+}
+
+/**
+ * @param {Finding[]} findings
+ * @returns {string} JSON report, with a summary of the number of findings per severity
+ */
+function formatFindingsAsJson(findings) {
+    return JSON.stringify({ summary: countFindings(findings), findings }, null, 4);
+}
+
+/**
+ * @param {Finding[]} findings
+ * @returns {string} SARIF 2.1.0 report, as supported by GitHub code scanning
+ */
+function formatFindingsAsSarif(findings) {
+    const ruleIds = [...new Set(findings.map((finding) => finding.ruleId))].sort();
+    const rules = ruleIds.map((id) => (BUILT_IN_RULES[id] ? { id, shortDescription: { text: BUILT_IN_RULES[id].description } } : { id }));
+    const results = findings.map((finding) => {
+        const physicalLocation = { artifactLocation: { uri: finding.file.replace(/\\/g, '/') } };
+        if (finding.line) {
+            physicalLocation.region = { startLine: finding.line, startColumn: finding.column };
+        }
+
+        const result = {
+            ruleId: finding.ruleId,
+            ruleIndex: ruleIds.indexOf(finding.ruleId),
+            level: finding.severity,
+            message: { text: finding.message },
+            locations: [{ physicalLocation }],
+        };
+        if (finding.name) {
+            result.locations[0].logicalLocations = [{ name: finding.name }];
+        }
+        return result;
+    });
+
+    const sarif = {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [
+            {
+                tool: { driver: { name: TOOL_NAME, informationUri: TOOL_URI, rules } },
+                results,
+            },
+        ],
+    };
+    return JSON.stringify(sarif, null, 4);
+}
+
+/**
+ * @param {string} text
+ * @returns {string} text escaped for use in XML attributes and content
+ */
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+/**
+ * Formats findings as JUnit XML, with a test suite per file and a test case per finding.
+ * Errors are reported as failures, warnings as passing test cases with the warning in their output.
+ * @param {Finding[]} findings
+ * @returns {string} JUnit XML report
+ */
+function formatFindingsAsJunit(findings) {
+    /** @type {Map<string, Finding[]>} */
+    const findingsByFile = new Map();
+    findings.forEach((finding) => {
+        findingsByFile.set(finding.file, [...(findingsByFile.get(finding.file) ?? []), finding]);
+    });
+
+    const { errors } = countFindings(findings);
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+    lines.push(`<testsuites name="${TOOL_NAME}" tests="${findings.length}" failures="${errors}">`);
+    for (const [file, fileFindings] of findingsByFile) {
+        const fileErrors = countFindings(fileFindings).errors;
+        lines.push(`    <testsuite name="${escapeXml(file)}" tests="${fileFindings.length}" failures="${fileErrors}">`);
+        fileFindings.forEach((finding) => {
+            const location = finding.line ? `${finding.file}:${finding.line}:${finding.column}` : finding.file;
+            const testName = finding.name ? `${finding.ruleId}: ${finding.name}` : finding.ruleId;
+            const details = escapeXml(`${location}: ${finding.message}`);
+
+            lines.push(`        <testcase classname="${escapeXml(file)}" name="${escapeXml(testName)}">`);
+            if (finding.severity === 'error') {
+                lines.push(`            <failure type="${finding.ruleId}" message="${escapeXml(finding.message)}">${details}</failure>`);
+            } else {
+                lines.push(`            <system-out>WARNING: ${details}</system-out>`);
+            }
+            lines.push('        </testcase>');
+        });
+        lines.push('    </testsuite>');
+    }
+    lines.push('</testsuites>');
+    return lines.join('\n');
+}
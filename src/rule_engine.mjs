@@ -0,0 +1,315 @@
+/**
+ * Rule engine for linting definitions: resolves the severity and options of every rule from a per-repo config,
+ * and runs the convention rules that repos can opt into
+ */
+import addFormats from 'ajv-formats';
+import Ajv2020 from 'ajv/dist/2020.js';
+import fs from 'fs';
+import JSON5 from 'json5';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { DEFAULT_EXPIRY_WARNING_DAYS, RULE_IDS } from './constants.mjs';
+import { formatAjvErrors } from './error_utils.mjs';
+import { escapePointerToken } from './source_map_utils.mjs';
+
+/**
+ * @typedef {import('./error_utils.mjs').Diagnostic} Diagnostic
+ * @typedef {import('./types.mjs').PixelDefinition} PixelDefinition
+ * @typedef {import('./types.mjs').PixelDefinitions} PixelDefinitions
+ * @typedef {'error'|'warn'|'off'} RuleSeverity
+ */
+
+/**
+ * @callback CheckPixel
+ * @param {string} pixelName
+ * @param {PixelDefinition} pixelDef
+ * @param {string} pixelPath - JSON pointer to the pixel
+ * @param {Record<string, any>} options - rule options, merged with defaults
+ * @returns {Array<{ message: string, instancePath: string }>} issues found in the pixel
+ */
+
+/**
+ * @typedef {Object} RuleDefinition
+ * @property {string} description
+ * @property {RuleSeverity} defaultSeverity
+ * @property {boolean} [required] - guards something live validation relies on, so it is always an error
+ * @property {object} [optionsSchema] - JSON schema of the rule options
+ * @property {Record<string, any>} [defaultOptions]
+ * @property {CheckPixel} [checkPixel] - for convention rules, which the engine runs itself
+ */
+
+const schemasPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'schemas');
+const lintConfigSchema = JSON5.parse(fs.readFileSync(path.join(schemasPath, 'lint_config_schema.json5')).toString());
+
+const privacyRule = (description) => ({ description, defaultSeverity: /** @type {RuleSeverity} */ ('off') });
+
+/** @type {Record<string, RuleDefinition>} */
+export const BUILT_IN_RULES = {
+    [RULE_IDS.SCHEMA]: {
+        description: 'Definitions and dictionaries must match their schema',
+        defaultSeverity: 'error',
+        required: true,
+    },
+    [RULE_IDS.DUPLICATE_DEFINITION]: {
+        description: 'Pixels and wide events must only be defined once',
+        defaultSeverity: 'error',
+        required: true,
+    },
+    [RULE_IDS.INVALID_SUFFIXES]: {
+        description: 'Suffixes and suffix shortcuts must resolve to valid schemas',
+        defaultSeverity: 'error',
+        required: true,
+    },
+    [RULE_IDS.INVALID_PARAMETERS]: {
+        description: 'Parameters and parameter shortcuts must resolve to valid schemas',
+        defaultSeverity: 'error',
+        required: true,
+    },
+    [RULE_IDS.DISALLOWED_SECTION]: {
+        description: 'Wide events must not redefine sections that come from base_event.json',
+        defaultSeverity: 'error',
+        required: true,
+    },
+    [RULE_IDS.MISSING_BASE_EVENT]: {
+        description: 'Wide events require base_event.json',
+        defaultSeverity: 'error',
+        required: true,
+    },
+    [RULE_IDS.UNKNOWN_OWNER]: {
+        description: 'Owners must be listed in the GitHub user map (only checked when --githubUserMap is used)',
+        defaultSeverity: 'error',
+    },
+    [RULE_IDS.EXPIRED_PIXEL]: {
+        description: 'Pixels must not be past their expiry date',
+        defaultSeverity: 'error',
+    },
+    [RULE_IDS.EXPIRING_PIXEL]: {
+        description: 'Pixels expiring within the given number of days',
+        defaultSeverity: 'warn',
+        optionsSchema: {
+            type: 'object',
+            additionalProperties: false,
+            properties: { days: { type: 'integer', minimum: 0 } },
+        },
+        defaultOptions: { days: DEFAULT_EXPIRY_WARNING_DAYS },
+    },
+    [RULE_IDS.AMBIGUOUS_PIXEL_NAME]: {
+        description: 'Pixel names that more than one definition can match',
+        defaultSeverity: 'warn',
+    },
+    [RULE_IDS.UNUSED_DICTIONARY_ENTRY]: {
+        description: 'Dictionary and ignore_params.json entries that no definition or experiment uses',
+        defaultSeverity: 'off',
+    },
+    [RULE_IDS.PRIVACY_UNCONSTRAINED_PARAM]: privacyRule('String parameters must have an enum, pattern or format'),
+    [RULE_IDS.PRIVACY_UNCONSTRAINED_SUFFIX]: privacyRule('String suffixes must have an enum, pattern or format'),
+    [RULE_IDS.PRIVACY_UNBOUNDED_NUMBER]: privacyRule('Numeric parameters must have a minimum and a maximum, or an enum'),
+    [RULE_IDS.PRIVACY_UNBOUNDED_KEY_PATTERN]: privacyRule('keyPattern parameters must only match a bounded number of keys'),
+    [RULE_IDS.PRIVACY_MISSING_REVIEW]: privacyRule('Pixels triggered by exceptions or user submissions must link a privacy review'),
+    [RULE_IDS.PIXEL_NAME_PATTERN]: {
+        description: 'Pixel names must match a regular expression',
+        defaultSeverity: 'off',
+        optionsSchema: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['pattern'],
+            properties: { pattern: { type: 'string', format: 'regex' } },
+        },
+        checkPixel: (pixelName, pixelDef, pixelPath, { pattern }) => {
+            if (new RegExp(pattern).test(pixelName)) return [];
+            return [{ message: `${pixelName} --> pixel name does not match ${pattern}`, instancePath: pixelPath }];
+        },
+    },
+    [RULE_IDS.OWNER_COUNT]: {
+        description: 'Pixels must have between min and max owners',
+        defaultSeverity: 'off',
+        optionsSchema: {
+            type: 'object',
+            additionalProperties: false,
+            properties: { min: { type: 'integer', minimum: 1 }, max: { type: 'integer', minimum: 1 } },
+        },
+        defaultOptions: { min: 2 },
+        checkPixel: (pixelName, pixelDef, pixelPath, { min, max }) => {
+            const count = pixelDef.owners.length;
+            if (count >= min && (max === undefined || count <= max)) return [];
+
+            const expected = count < min ? `at least ${min}` : `at most ${max}`;
+            return [{ message: `${pixelName} --> has ${count} owner(s), expected ${expected}`, instancePath: `${pixelPath}/owners` }];
+        },
+    },
+    [RULE_IDS.DESCRIPTION_LENGTH]: {
+        description: 'Pixel descriptions must be between min and max characters long',
+        defaultSeverity: 'off',
+        optionsSchema: {
+            type: 'object',
+            additionalProperties: false,
+            properties: { min: { type: 'integer', minimum: 0 }, max: { type: 'integer', minimum: 1 } },
+        },
+        defaultOptions: { min: 20 },
+        checkPixel: (pixelName, pixelDef, pixelPath, { min, max }) => {
+            const length = pixelDef.description.trim().length;
+            if (length >= min && (max === undefined || length <= max)) return [];
+
+            const expected = length < min ? `at least ${min}` : `at most ${max}`;
+            const message = `${pixelName} --> description is ${length} characters long, expected ${expected}`;
+            return [{ message, instancePath: `${pixelPath}/description` }];
+        },
+    },
+    [RULE_IDS.ALLOWED_TRIGGERS]: {
+        description: 'Pixels may only use the listed triggers',
+        defaultSeverity: 'off',
+        optionsSchema: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['triggers'],
+            properties: { triggers: { type: 'array', items: { type: 'string' }, minItems: 1 } },
+        },
+        checkPixel: (pixelName, pixelDef, pixelPath, { triggers }) => {
+            return (pixelDef.triggers ?? [])
+                .map((trigger, idx) => ({ trigger, idx }))
+                .filter(({ trigger }) => !triggers.includes(trigger))
+                .map(({ trigger, idx }) => ({
+                    message: `${pixelName} --> trigger '${trigger}' is not allowed, expected one of: ${triggers.join(', ')}`,
+                    instancePath: `${pixelPath}/triggers/${idx}`,
+                }));
+        },
+    },
+};
+
+/**
+ * Resolves rule severities and options from a lint config (see schemas/lint_config_schema.json5)
+ * and runs convention rules against pixel definitions. Rules that are not configured use their default severity.
+ */
+export class RuleEngine {
+    /** @type {Map<string, RuleSeverity>} */
+    #severities = new Map();
+    /** @type {Map<string, Record<string, any>>} */
+    #options = new Map();
+
+    /**
+     * @param {object} [config] - lint config, typically read from lint_config.json
+     * @throws if the config is invalid, listing every problem found
+     */
+    constructor(config = {}) {
+        const errors = validateLintConfig(config);
+        if (errors.length) {
+            throw new Error(`Invalid lint config:\n\t${errors.join('\n\t')}`);
+        }
+
+        for (const [ruleId, setting] of Object.entries(/** @type {{ rules?: object }} */ (config).rules ?? {})) {
+            const [severity, options = {}] = Array.isArray(setting) ? setting : [setting];
+            this.#severities.set(ruleId, severity);
+            this.#options.set(ruleId, options);
+        }
+    }
+
+    /**
+     * @param {string} ruleId
+     * @returns {RuleSeverity} configured severity of the rule, or its default
+     */
+    getSeverity(ruleId) {
+        return this.#severities.get(ruleId) ?? BUILT_IN_RULES[ruleId]?.defaultSeverity ?? 'error';
+    }
+
+    /**
+     * Overrides the severity of a rule, e.g. from a command line option
+     * @param {string} ruleId
+     * @param {RuleSeverity} severity
+     */
+    setSeverity(ruleId, severity) {
+        this.#severities.set(ruleId, severity);
+    }
+
+    /**
+     * @param {string} ruleId
+     * @returns {boolean} true unless the rule is turned off
+     */
+    isEnabled(ruleId) {
+        return this.getSeverity(ruleId) !== 'off';
+    }
+
+    /**
+     * @param {string} ruleId
+     * @returns {Record<string, any>} configured options of the rule, merged with its defaults
+     */
+    getOptions(ruleId) {
+        return { ...BUILT_IN_RULES[ruleId]?.defaultOptions, ...this.#options.get(ruleId) };
+    }
+
+    /**
+     * Runs enabled convention rules against pixel definitions that match the pixel schema
+     * @param {PixelDefinitions} pixelsDef
+     * @returns {Diagnostic[]} issues found, to be classified along with the validator's diagnostics
+     */
+    checkPixels(pixelsDef) {
+        /** @type {Diagnostic[]} */
+        const diagnostics = [];
+        for (const [ruleId, rule] of Object.entries(BUILT_IN_RULES)) {
+            if (!rule.checkPixel || !this.isEnabled(ruleId)) continue;
+
+            const options = this.getOptions(ruleId);
+            for (const [pixelName, pixelDef] of Object.entries(pixelsDef)) {
+                const issues = rule.checkPixel(pixelName, pixelDef, `/${escapePointerToken(pixelName)}`, options);
+                diagnostics.push(...issues.map((issue) => ({ ...issue, ruleId })));
+            }
+        }
+        return diagnostics;
+    }
+
+    /**
+     * Splits diagnostics into errors and warnings according to the severity of their rule,
+     * dropping the ones whose rule is turned off
+     * @param {Diagnostic[]} diagnostics
+     * @returns {{ errors: Diagnostic[], warnings: Diagnostic[] }}
+     */
+    classify(diagnostics) {
+        return {
+            errors: diagnostics.filter((diagnostic) => this.getSeverity(diagnostic.ruleId) === 'error'),
+            warnings: diagnostics.filter((diagnostic) => this.getSeverity(diagnostic.ruleId) === 'warn'),
+        };
+    }
+}
+
+/**
+ * Validates a lint config against its schema, the list of known rules and each rule's options schema
+ * @param {object} config
+ * @returns {string[]} validation errors, if any
+ */
+export function validateLintConfig(config) {
+    // eslint-disable-next-line new-cap
+    const ajv = new Ajv2020.default({ allErrors: true });
+    addFormats.default(ajv);
+
+    const validateConfig = ajv.compile(lintConfigSchema);
+    if (!validateConfig(config)) {
+        return formatAjvErrors(validateConfig.errors);
+    }
+
+    const errors = [];
+    for (const [ruleId, setting] of Object.entries(/** @type {{ rules?: object }} */ (config).rules ?? {})) {
+        const rule = BUILT_IN_RULES[ruleId];
+        if (!rule) {
+            errors.push(`Unknown rule '${ruleId}'`);
+            continue;
+        }
+
+        const [severity, options] = Array.isArray(setting) ? setting : [setting];
+        if (rule.required && severity !== 'error') {
+            errors.push(`Rule '${ruleId}' is required and can only be set to 'error'`);
+        }
+        if (options === undefined && severity === 'off') continue;
+
+        if (!rule.optionsSchema) {
+            if (options !== undefined) errors.push(`Rule '${ruleId}' does not take any options`);
+            continue;
+        }
+        // Also catches enabled rules that are missing required options
+        const validateOptions = ajv.compile(rule.optionsSchema);
+        if (!validateOptions({ ...rule.defaultOptions, ...options })) {
+            errors.push(...formatAjvErrors(validateOptions.errors).map((error) => `Rule '${ruleId}' options: ${error}`));
+        }
+    }
+
+    return errors;
+}
@@ -0,0 +1,528 @@
+/**
+ * Helper functions for generating example pixel URLs from pixel definitions, e.g. to use in client tests
+ */
+import { PIXEL_DELIMITER } from './constants.mjs';
+import { getParamEncoding } from './param_encodings.mjs';
+import { ParamsValidator } from './params_validator.mjs';
+import { getSuffixValueSpans, splitRequiredParam } from './pixel_utils.mjs';
+
+/**
+ * @typedef {import('./types.mjs').PixelDefinition} PixelDefinition
+ * @typedef {import('ajv').ValidateFunction} ValidateFunction
+ */
+
+/**
+ * @typedef {Object} SampleValue
+ * @property {any} value - decoded value, i.e. objects and arrays are not serialized yet
+ * @property {string} reason - why the value was picked, e.g. 'maximum' or 'not an allowed value'
+ */
+
+/**
+ * @typedef {Object} SamplePixel
+ * @property {string} url
+ * @property {boolean} valid - whether live validation should accept the pixel
+ * @property {string} description - what the sample covers
+ */
+
+/**
+ * @typedef {Object} SampleOptions
+ * @property {boolean} [invalid] - also generate pixels with exactly one invalid suffix or param
+ * @property {string} [baseUrl] - URL the pixel name is appended to
+ */
+
+export const DEFAULT_SAMPLE_BASE_URL = 'https://improving.duckduckgo.com/t/';
+
+// Live validation expects the cache buster to come first in the query string
+const CACHE_BUSTER = '1234567890';
+
+// Extra repetitions used for the longest sample of unbounded quantifiers (*, + and {n,})
+const UNBOUNDED_EXTRA_REPETITIONS = 3;
+
+const FORMAT_SAMPLES = Object.freeze({
+    date: '2025-01-31',
+    'date-time': '2025-01-31T12:00:00Z',
+    time: '12:00:00Z',
+    email: 'user@example.com',
+    uri: 'https://example.com/',
+    url: 'https://example.com/',
+    hostname: 'example.com',
+    ipv4: '127.0.0.1',
+    uuid: '123e4567-e89b-12d3-a456-426614174000',
+});
+
+/** PATTERNS */
+
+// Character ranges matched by \w
+const WORD_CHAR_RANGES = Object.freeze([
+    ['a', 'z'],
+    ['A', 'Z'],
+    ['0', '9'],
+    ['_', '_'],
+]);
+
+/**
+ * Parses the subset of regular expressions needed to generate matching strings:
+ * literals, character classes, groups, alternatives and quantifiers
+ * @param {string} pattern
+ * @returns {object} parsed alternation: { options: [{ atom, min, max }[]] }
+ * @throws if the pattern uses unsupported syntax, e.g. lookarounds or back references
+ */
+function parsePattern(pattern) {
+    let pos = 0;
+
+    const unsupported = () => new Error(`unsupported pattern syntax at position ${pos} of '${pattern}'`);
+
+    const parseClassEscape = (char) => {
+        if (char === 'd') return [['0', '9']];
+        if (char === 'w') return WORD_CHAR_RANGES;
+        if (char === 's') return [[' ', ' ']];
+        if ('DWSbB'.includes(char) || /[0-9]/.test(char)) throw unsupported();
+        return [[char, char]];
+    };
+
+    const parseClass = () => {
+        const negated = pattern[pos] === '^';
+        if (negated) pos++;
+
+        const ranges = [];
+        while (pos < pattern.length && pattern[pos] !== ']') {
+            let char = pattern[pos++];
+            if (char === '\\') {
+                const escaped = parseClassEscape(pattern[pos++]);
+                if (escaped.length > 1 || escaped[0][0] !== escaped[0][1]) {
+                    ranges.push(...escaped);
+                    continue;
+                }
+                char = escaped[0][0];
+            }
+            if (pattern[pos] === '-' && pattern[pos + 1] && pattern[pos + 1] !== ']') {
+                const end = pattern[pos + 1] === '\\' ? pattern[pos + 2] : pattern[pos + 1];
+                pos += pattern[pos + 1] === '\\' ? 3 : 2;
+                ranges.push([char, end]);
+            } else {
+                ranges.push([char, char]);
+            }
+        }
+        if (pattern[pos++] !== ']') throw unsupported();
+
+        if (!negated) {
+            return { chars: [ranges[0][0], ranges[ranges.length - 1][1]] };
+        }
+        const isExcluded = (char) => ranges.some(([from, to]) => char >= from && char <= to);
+        const allowed = ['a', 'z', 'A', 'Z', '0', '9', '-'].filter((char) => !isExcluded(char));
+        if (!allowed.length) throw unsupported();
+        return { chars: [allowed[0], allowed[allowed.length - 1]] };
+    };
+
+    const parseEscape = (char) => {
+        if (char === 'd') return { chars: ['0', '9'] };
+        if (char === 'D' || char === 'w' || char === 'S') return { chars: ['a', 'z'] };
+        if (char === 'W') return { chars: ['-', '.'] };
+        if (char === 's') return { chars: [' ', ' '] };
+        if (char === 'b' || char === 'B' || /[0-9]/.test(char)) throw unsupported();
+        return { chars: [char, char] };
+    };
+
+    const parseQuantifier = () => {
+        const char = pattern[pos];
+        let quantifier = { min: 1, max: 1 };
+        if (char === '?' || char === '*' || char === '+') {
+            pos++;
+            quantifier = { min: char === '+' ? 1 : 0, max: char === '?' ? 1 : Infinity };
+        } else if (char === '{') {
+            const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(pos));
+            if (!match) throw unsupported();
+            pos += match[0].length;
+            const min = Number(match[1]);
+            quantifier = { min, max: match[2] === undefined ? min : match[3] ? Number(match[3]) : Infinity };
+        }
+        // Lazy quantifiers match the same strings
+        if (char !== undefined && '?*+{'.includes(char) && pattern[pos] === '?') pos++;
+        return quantifier;
+    };
+
+    const parseAtom = () => {
+        const char = pattern[pos++];
+        if (char === '^' || char === '$') return null;
+        if (char === '(') {
+            if (pattern[pos] === '?') {
+                if (pattern[pos + 1] !== ':') throw unsupported();
+                pos += 2;
+            }
+            const group = parseAlternation();
+            if (pattern[pos++] !== ')') throw unsupported();
+            return group;
+        }
+        if (char === '[') return parseClass();
+        if (char === '\\') return parseEscape(pattern[pos++]);
+        if (char === '.') return { chars: ['a', 'z'] };
+        if ('*+?{'.includes(char)) throw unsupported();
+        return { chars: [char, char] };
+    };
+
+    const parseSequence = () => {
+        const items = [];
+        while (pos < pattern.length && pattern[pos] !== '|' && pattern[pos] !== ')') {
+            const atom = parseAtom();
+            if (atom) {
+                items.push({ atom, ...parseQuantifier() });
+            }
+        }
+        return items;
+    };
+
+    const parseAlternation = () => {
+        const options = [parseSequence()];
+        while (pattern[pos] === '|') {
+            pos++;
+            options.push(parseSequence());
+        }
+        return { options };
+    };
+
+    const parsed = parseAlternation();
+    if (pos < pattern.length) throw unsupported();
+    return parsed;
+}
+
+/**
+ * Generates the shortest or longest string matching a parsed pattern.
+ * Unbounded quantifiers are repeated a few extra times for the longest string.
+ * @param {object} node - parsed alternation or character set
+ * @param {boolean} longest
+ * @returns {string}
+ */
+function generateFromPattern(node, longest) {
+    if (node.chars) {
+        return longest ? node.chars[1] : node.chars[0];
+    }
+
+    const candidates = node.options.map((items) =>
+        items
+            .map(({ atom, min, max }) => {
+                const repetitions = longest ? (max === Infinity ? min + UNBOUNDED_EXTRA_REPETITIONS : max) : min;
+                return generateFromPattern(atom, longest).repeat(repetitions);
+            })
+            .join(''),
+    );
+    return candidates.reduce((best, candidate) =>
+        (longest ? candidate.length > best.length : candidate.length < best.length) ? candidate : best,
+    );
+}
+
+/**
+ * @param {string} pattern
+ * @returns {string[]} the shortest and longest strings matching the pattern, or none if the pattern is not supported
+ */
+export function getPatternBoundaryValues(pattern) {
+    try {
+        const parsed = parsePattern(pattern);
+        return [generateFromPattern(parsed, false), generateFromPattern(parsed, true)];
+    } catch {
+        return [];
+    }
+}
+
+/** VALUES */
+
+/**
+ * @param {object} schema - expanded param or suffix schema
+ * @returns {string[]} JSON types the schema allows
+ */
+function getTypes(schema) {
+    return [schema.type ?? []].flat();
+}
+
+/**
+ * Lists candidate values that should satisfy a schema: enum values, boundaries of numeric ranges and patterns, examples...
+ * @param {object} schema - expanded param or suffix schema
+ * @returns {SampleValue[]}
+ */
+function getValidCandidates(schema) {
+    if (schema.const !== undefined) return [{ value: schema.const, reason: 'const' }];
+    if (schema.enum) return schema.enum.map((value) => ({ value, reason: 'enum value' }));
+
+    const candidates = [];
+    (schema.anyOf ?? schema.oneOf ?? []).forEach((subSchema) => {
+        const branchSchema = { ...schema, ...subSchema };
+        delete branchSchema.anyOf;
+        delete branchSchema.oneOf;
+        candidates.push(...getValidCandidates(branchSchema));
+    });
+    (schema.examples ?? []).forEach((value) => candidates.push({ value, reason: 'example' }));
+
+    const types = getTypes(schema);
+    if (types.includes('integer') || types.includes('number')) {
+        const step = types.includes('integer') ? 1 : 0.5;
+        if (schema.minimum !== undefined) candidates.push({ value: schema.minimum, reason: 'minimum' });
+        if (schema.exclusiveMinimum !== undefined) candidates.push({ value: schema.exclusiveMinimum + step, reason: 'minimum' });
+        if (schema.maximum !== undefined) candidates.push({ value: schema.maximum, reason: 'maximum' });
+        if (schema.exclusiveMaximum !== undefined) candidates.push({ value: schema.exclusiveMaximum - step, reason: 'maximum' });
+        candidates.push({ value: 0, reason: 'default' });
+    }
+    if (types.includes('boolean')) {
+        candidates.push({ value: true, reason: 'true' }, { value: false, reason: 'false' });
+    }
+    if (types.includes('string')) {
+        if (schema.pattern) {
+            const [shortest, longest] = getPatternBoundaryValues(schema.pattern);
+            if (shortest !== undefined) {
+                candidates.push(
+                    { value: shortest, reason: 'shortest match of pattern' },
+                    { value: longest, reason: 'longest match of pattern' },
+                );
+            }
+        }
+        if (FORMAT_SAMPLES[schema.format]) candidates.push({ value: FORMAT_SAMPLES[schema.format], reason: `${schema.format} format` });
+        if (schema.minLength !== undefined) candidates.push({ value: 'a'.repeat(schema.minLength), reason: 'minLength' });
+        if (schema.maxLength !== undefined) candidates.push({ value: 'a'.repeat(schema.maxLength), reason: 'maxLength' });
+        if (!candidates.length) candidates.push({ value: 'test', reason: 'default' });
+    }
+    if (types.includes('object')) {
+        const value = {};
+        Object.entries(schema.properties ?? {}).forEach(([property, propertySchema]) => {
+            const [sample] = getValidCandidates(propertySchema);
+            if (sample) value[property] = sample.value;
+        });
+        candidates.push({ value, reason: 'object' });
+    }
+    if (types.includes('array')) {
+        const [item] = schema.items ? getValidCandidates(schema.items) : [{ value: 'test' }];
+        candidates.push({ value: item ? Array(Math.max(schema.minItems ?? 1, 1)).fill(item.value) : [], reason: 'array' });
+    }
+    return candidates;
+}
+
+/**
+ * Lists candidate values that should violate a schema
+ * @param {object} schema - expanded param or suffix schema
+ * @returns {SampleValue[]}
+ */
+function getInvalidCandidates(schema) {
+    const candidates = [];
+    if (schema.const !== undefined || schema.enum) {
+        candidates.push({ value: 'invalidvalue', reason: 'not an allowed value' });
+    }
+
+    const types = getTypes(schema);
+    if (types.includes('integer') || types.includes('number')) {
+        if (schema.minimum !== undefined) candidates.push({ value: schema.minimum - 1, reason: 'below minimum' });
+        if (schema.exclusiveMinimum !== undefined) candidates.push({ value: schema.exclusiveMinimum, reason: 'below minimum' });
+        if (schema.maximum !== undefined) candidates.push({ value: schema.maximum + 1, reason: 'above maximum' });
+        if (schema.exclusiveMaximum !== undefined) candidates.push({ value: schema.exclusiveMaximum, reason: 'above maximum' });
+        if (types.includes('integer')) candidates.push({ value: (schema.minimum ?? 0) + 0.5, reason: 'not an integer' });
+        candidates.push({ value: 'nan', reason: 'not a number' });
+    }
+    if (types.includes('boolean')) {
+        candidates.push({ value: 'notaboolean', reason: 'not a boolean' });
+    }
+    if (types.includes('string')) {
+        if (schema.pattern) candidates.push({ value: '!', reason: 'does not match pattern' });
+        if (schema.format) candidates.push({ value: 'invalidformat', reason: `not a valid ${schema.format}` });
+        if (schema.minLength) candidates.push({ value: 'a'.repeat(schema.minLength - 1), reason: 'shorter than minLength' });
+        if (schema.maxLength !== undefined) candidates.push({ value: 'a'.repeat(schema.maxLength + 1), reason: 'longer than maxLength' });
+    }
+    if (types.includes('object') || types.includes('array')) {
+        candidates.push({ value: 'notjson', reason: 'not valid JSON' });
+    }
+    return candidates;
+}
+
+/**
+ * Serializes a value as it is sent in pixels
+ * @param {object} schema - expanded param or suffix schema
+ * @param {any} value - decoded value
+ * @returns {string}
+ */
+function encodeValue(schema, value) {
+    const encoding = schema.encoding ? getParamEncoding(schema.encoding) : null;
+    const serialized = typeof value === 'string' && !encoding?.json ? value : JSON.stringify(value);
+    return encoding ? encoding.encode(serialized) : serialized;
+}
+
+/**
+ * Values in the pixel name cannot be URL encoded, and only contain the delimiter when they span several tokens
+ * @param {string} value
+ * @param {number[]} spans - numbers of name tokens the value can span
+ * @returns {boolean}
+ */
+function isValidNameValue(value, spans) {
+    const parts = value.split(PIXEL_DELIMITER);
+    return spans.includes(parts.length) && parts.every((part) => part.length > 0 && encodeURIComponent(part) === part);
+}
+
+/**
+ * Picks the candidate values whose validity matches what is expected
+ * @param {object} schema - expanded param or suffix schema
+ * @param {ValidateFunction} validate - compiled schema
+ * @param {SampleValue[]} candidates
+ * @param {boolean} expectValid
+ * @param {number[]|null} nameSpans - numbers of name tokens the value can span, if it is part of the pixel name
+ * @returns {SampleValue[]} distinct values, by their serialized form
+ */
+function filterCandidates(schema, validate, candidates, expectValid, nameSpans) {
+    const seen = new Set();
+    return candidates.filter(({ value }) => {
+        const encoded = encodeValue(schema, value);
+        if (seen.has(encoded) || (nameSpans && !isValidNameValue(encoded, nameSpans))) return false;
+        seen.add(encoded);
+        // Like live validation, scalars are validated in their string form (with type coercion)
+        return validate(typeof value === 'object' ? value : String(value)) === expectValid;
+    });
+}
+
+/** PIXELS */
+
+/**
+ * Builds a pixel URL
+ * @param {string} baseUrl
+ * @param {string[]} nameTokens - pixel prefix followed by its suffix values
+ * @param {[string, string][]} params - serialized params
+ * @returns {string}
+ */
+function buildUrl(baseUrl, nameTokens, params) {
+    const query = new URLSearchParams(params).toString();
+    return `${baseUrl}${nameTokens.join(PIXEL_DELIMITER)}?${CACHE_BUSTER}${query ? `&${query}` : ''}`;
+}
+
+/**
+ * Generates example URLs for a pixel.
+ * Valid samples cover every alternative suffix sequence and every candidate value of each suffix and param:
+ * enum values, minimum and maximum of numeric ranges, shortest and longest matches of patterns, examples...
+ * Invalid samples (optional) differ from the first valid sample by a single invalid value, an extra suffix or a missing required param.
+ *
+ * @param {string} pixelName - pixel prefix, as defined
+ * @param {PixelDefinition} pixelDef - pixel definition, possibly with shortcuts
+ * @param {Record<string, any>} commonParams - params_dictionary.json
+ * @param {Record<string, any>} commonSuffixes - suffixes_dictionary.json
+ * @param {SampleOptions} [options]
+ * @returns {SamplePixel[]} valid samples, followed by invalid ones
+ * @throws if the definition cannot be resolved, or no valid value can be generated for a suffix or required param
+ */
+export function generateSamplePixels(pixelName, pixelDef, commonParams, commonSuffixes, options = {}) {
+    const { invalid = false, baseUrl = DEFAULT_SAMPLE_BASE_URL } = options;
+    const paramsValidator = new ParamsValidator(commonParams, commonSuffixes, {});
+    // Shortcut expansion mutates items, so work on a copy
+    const { parameters = [], suffixes, conditionalParameters = [] } = JSON.parse(JSON.stringify(pixelDef));
+
+    const getField = (schema, nameSpans) => {
+        const validate = paramsValidator.compileSuffixTokenSchema(schema);
+        return {
+            schema,
+            valid: filterCandidates(schema, validate, getValidCandidates(schema), true, nameSpans),
+            invalid: invalid ? filterCandidates(schema, validate, getInvalidCandidates(schema), false, nameSpans) : [],
+        };
+    };
+
+    // Conditional params are only sent when the suffix they depend on has the expected value
+    const params = [
+        ...parameters.map((param) => ({ param, condition: null })),
+        ...conditionalParameters.flatMap(({ parameters: items, ...condition }) => items.map((param) => ({ param, condition }))),
+    ]
+        .map(({ param, condition }) => ({ condition, ...splitRequiredParam(paramsValidator.getUpdatedItem(param, commonParams)) }))
+        .map(({ condition, required, schema }) => {
+            const [key] = schema.keyPattern ? getPatternBoundaryValues(schema.keyPattern) : [schema.key];
+            const field = { key, required, condition, ...getField(schema, null) };
+            if (required && !field.valid.length) throw new Error(`cannot generate a value for required param '${key}'`);
+            return field;
+        })
+        // Optional params can be left out when no value can be generated for them
+        .filter(({ key, valid }) => key !== undefined && valid.length);
+
+    const sequences = (suffixes ? paramsValidator.getSuffixTokenSequences(suffixes) : [[]]).map((tokens, sequenceIdx) =>
+        tokens.map((schema, tokenIdx) => {
+            const field = getField(schema, getSuffixValueSpans(schema));
+            if (!field.valid.length) {
+                throw new Error(`cannot generate a value for suffix ${tokenIdx + 1} of suffix sequence ${sequenceIdx + 1}`);
+            }
+            return field;
+        }),
+    );
+
+    /**
+     * @param {{ suffix: number, equals: string }|null} condition
+     * @param {any[]} tokenValues
+     * @returns {boolean} whether a param with that condition is sent along with the suffix values
+     */
+    const holds = (condition, tokenValues) => !condition || tokenValues[condition.suffix - 1] === condition.equals;
+
+    /** @type {SamplePixel[]} */
+    const samples = [];
+    const addSample = (sample) => {
+        if (!samples.some(({ url }) => url === sample.url)) samples.push(sample);
+    };
+    const buildSampleUrl = (tokens, tokenValues, paramValues, extraTokens = []) =>
+        buildUrl(
+            baseUrl,
+            [pixelName, ...tokens.map(({ schema }, idx) => encodeValue(schema, tokenValues[idx])), ...extraTokens],
+            params.flatMap(({ key, schema, condition }, idx) => {
+                if (paramValues[idx] === undefined || !holds(condition, tokenValues)) return [];
+                return [[key, encodeValue(schema, paramValues[idx])]];
+            }),
+        );
+
+    // Valid: the n-th sample uses the n-th value of each field, so that every value is used at least once
+    sequences.forEach((tokens, sequenceIdx) => {
+        const count = Math.max(1, ...[...tokens, ...params].map(({ valid }) => valid.length));
+        for (let sampleIdx = 0; sampleIdx < count; sampleIdx++) {
+            const pick = ({ valid }) => valid[sampleIdx % valid.length].value;
+            addSample({
+                url: buildSampleUrl(tokens, tokens.map(pick), params.map(pick)),
+                valid: true,
+                description: sequences.length > 1 ? `Valid, suffix sequence ${sequenceIdx + 1}` : 'Valid',
+            });
+        }
+    });
+
+    if (!invalid) return samples;
+
+    // Invalid: a single invalid value on top of the first valid sample
+    const firstParamValues = params.map(({ valid }) => valid[0].value);
+    sequences.forEach((tokens) => {
+        const firstTokenValues = tokens.map(({ valid }) => valid[0].value);
+        tokens.forEach(({ invalid: invalidValues }, tokenIdx) => {
+            invalidValues.forEach(({ value, reason }) => {
+                const tokenValues = firstTokenValues.map((tokenValue, idx) => (idx === tokenIdx ? value : tokenValue));
+                addSample({
+                    url: buildSampleUrl(tokens, tokenValues, firstParamValues),
+                    valid: false,
+                    description: `Invalid suffix ${tokenIdx + 1}: ${reason}`,
+                });
+            });
+        });
+
+        addSample({
+            url: buildSampleUrl(tokens, firstTokenValues, firstParamValues, ['extratoken']),
+            valid: false,
+            description: 'Invalid: unexpected extra suffix',
+        });
+    });
+
+    const firstTokens = sequences[0];
+    const firstTokenValues = firstTokens.map(({ valid }) => valid[0].value);
+    params.forEach(({ key, condition, invalid: invalidValues }, paramIdx) => {
+        if (!holds(condition, firstTokenValues)) return;
+        invalidValues.forEach(({ value, reason }) => {
+            const paramValues = firstParamValues.map((paramValue, idx) => (idx === paramIdx ? value : paramValue));
+            addSample({
+                url: buildSampleUrl(firstTokens, firstTokenValues, paramValues),
+                valid: false,
+                description: `Invalid param '${key}': ${reason}`,
+            });
+        });
+    });
+    params.forEach(({ key, required, condition }, paramIdx) => {
+        if (!required || !holds(condition, firstTokenValues)) return;
+        addSample({
+            url: buildSampleUrl(
+                firstTokens,
+                firstTokenValues,
+                firstParamValues.map((paramValue, idx) => (idx === paramIdx ? undefined : paramValue)),
+            ),
+            valid: false,
+            description: `Invalid: missing required param '${key}'`,
+        });
+    });
+
+    return samples;
+}
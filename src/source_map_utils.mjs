@@ -0,0 +1,282 @@
+/**
+ * Helper functions for mapping JSON pointers back to line/column locations in JSON5 source files
+ */
+
+import JSON5 from 'json5';
+
+/**
+ * @typedef {Object} SourceLocation
+ * @property {number} line - 1-based line number
+ * @property {number} column - 1-based column number
+ * @property {number} pos - 0-based offset within the source text
+ */
+
+/**
+ * @typedef {Object} SourcePointer
+ * @property {SourceLocation} [key] - location of the object key (absent for array items and the root value)
+ * @property {SourceLocation} value - location where the value starts
+ * @property {SourceLocation} valueEnd - location right after the value ends
+ */
+
+/**
+ * @typedef {Object} DuplicateKey
+ * @property {string} pointer - JSON pointer of the duplicated member
+ * @property {string} name - the duplicated key
+ * @property {SourceLocation} first - location of the first occurrence of the key
+ * @property {SourceLocation} duplicate - location of the repeated key, which is the one the parser keeps
+ */
+
+/**
+ * @typedef {Object} DefinitionSource
+ * @property {string} filePath - path to the definitions file
+ * @property {Record<string, SourcePointer>} pointers - source locations keyed by JSON pointer
+ * @property {DuplicateKey[]} duplicateKeys - keys that appear more than once within the same object
+ */
+
+const WHITESPACE = /\s/;
+const LITERAL_END = /[\s,:\]}/]/;
+
+/**
+ * Escapes a single JSON pointer reference token (RFC 6901)
+ * @param {string|number} token
+ * @returns {string} escaped token
+ */
+export function escapePointerToken(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Unescapes a single JSON pointer reference token (RFC 6901)
+ * @param {string} token - escaped token
+ * @returns {string} unescaped token
+ */
+export function unescapePointerToken(token) {
+    return token.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+/**
+ * @param {any} data - parsed JSON
+ * @param {string} pointer - JSON pointer, e.g. AJV's instancePath
+ * @returns {any} value the pointer refers to, or undefined if there is none
+ */
+export function getValueAtPointer(data, pointer) {
+    return pointer
+        .split('/')
+        .slice(1)
+        .reduce((parent, token) => parent?.[unescapePointerToken(token)], data);
+}
+
+/**
+ * Scans JSON5 text and records the location of every value and object key, keyed by JSON pointer.
+ * Expects text that has already been successfully parsed, so it does not report syntax errors.
+ */
+class Json5Scanner {
+    #text;
+    #pos = 0;
+    #lineStarts = [0];
+
+    /** @type {Record<string, SourcePointer>} */
+    pointers = {};
+
+    /** @type {DuplicateKey[]} */
+    duplicateKeys = [];
+
+    /**
+     * @param {string} text - JSON5 source text
+     */
+    constructor(text) {
+        this.#text = text;
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') this.#lineStarts.push(i + 1);
+        }
+    }
+
+    /**
+     * @param {number} pos - offset within the source text
+     * @returns {SourceLocation}
+     */
+    #getLocation(pos) {
+        let low = 0;
+        let high = this.#lineStarts.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (this.#lineStarts[mid] <= pos) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return { line: low + 1, column: pos - this.#lineStarts[low] + 1, pos };
+    }
+
+    #skipWhitespaceAndComments() {
+        const text = this.#text;
+        while (this.#pos < text.length) {
+            const char = text[this.#pos];
+            if (WHITESPACE.test(char)) {
+                this.#pos++;
+            } else if (char === '/' && text[this.#pos + 1] === '/') {
+                const lineEnd = text.indexOf('\n', this.#pos);
+                this.#pos = lineEnd === -1 ? text.length : lineEnd + 1;
+            } else if (char === '/' && text[this.#pos + 1] === '*') {
+                const commentEnd = text.indexOf('*/', this.#pos + 2);
+                this.#pos = commentEnd === -1 ? text.length : commentEnd + 2;
+            } else {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Reads a quoted string starting at the current position
+     * @returns {string} raw string token, including quotes
+     */
+    #readString() {
+        const text = this.#text;
+        const start = this.#pos;
+        const quote = text[this.#pos++];
+        while (this.#pos < text.length && text[this.#pos] !== quote) {
+            this.#pos += text[this.#pos] === '\\' ? 2 : 1;
+        }
+        this.#pos++;
+        return text.slice(start, this.#pos);
+    }
+
+    /**
+     * Reads an object key (quoted or bare identifier) starting at the current position
+     * @returns {string} decoded key
+     */
+    #readKey() {
+        const char = this.#text[this.#pos];
+        if (char === '"' || char === "'") {
+            return JSON5.parse(this.#readString());
+        }
+
+        const start = this.#pos;
+        while (this.#pos < this.#text.length && !LITERAL_END.test(this.#text[this.#pos])) {
+            this.#pos++;
+        }
+        return this.#text.slice(start, this.#pos);
+    }
+
+    /**
+     * Scans a value, recording its location under the given pointer
+     * @param {string} pointer - JSON pointer of the value
+     * @param {SourceLocation} [keyLocation] - location of the key the value belongs to
+     */
+    scanValue(pointer, keyLocation) {
+        this.#skipWhitespaceAndComments();
+        const start = this.#getLocation(this.#pos);
+        const char = this.#text[this.#pos];
+
+        if (char === '{') {
+            this.#scanObject(pointer);
+        } else if (char === '[') {
+            this.#scanArray(pointer);
+        } else if (char === '"' || char === "'") {
+            this.#readString();
+        } else {
+            while (this.#pos < this.#text.length && !LITERAL_END.test(this.#text[this.#pos])) {
+                this.#pos++;
+            }
+        }
+
+        this.pointers[pointer] = { value: start, valueEnd: this.#getLocation(this.#pos) };
+        if (keyLocation) {
+            this.pointers[pointer].key = keyLocation;
+        }
+    }
+
+    /**
+     * @param {string} pointer - JSON pointer of the object
+     */
+    #scanObject(pointer) {
+        this.#pos++; // {
+        this.#skipWhitespaceAndComments();
+        const seenKeys = new Map();
+        while (this.#text[this.#pos] !== '}') {
+            const keyLocation = this.#getLocation(this.#pos);
+            const key = this.#readKey();
+            const memberPointer = `${pointer}/${escapePointerToken(key)}`;
+            if (seenKeys.has(key)) {
+                this.duplicateKeys.push({ pointer: memberPointer, name: key, first: seenKeys.get(key), duplicate: keyLocation });
+            } else {
+                seenKeys.set(key, keyLocation);
+            }
+
+            this.#skipWhitespaceAndComments();
+            this.#pos++; // :
+            this.scanValue(memberPointer, keyLocation);
+            this.#skipWhitespaceAndComments();
+            if (this.#text[this.#pos] === ',') {
+                this.#pos++;
+                this.#skipWhitespaceAndComments();
+            }
+        }
+        this.#pos++; // }
+    }
+
+    /**
+     * @param {string} pointer - JSON pointer of the array
+     */
+    #scanArray(pointer) {
+        this.#pos++; // [
+        this.#skipWhitespaceAndComments();
+        let idx = 0;
+        while (this.#text[this.#pos] !== ']') {
+            this.scanValue(`${pointer}/${idx}`);
+            idx++;
+            this.#skipWhitespaceAndComments();
+            if (this.#text[this.#pos] === ',') {
+                this.#pos++;
+                this.#skipWhitespaceAndComments();
+            }
+        }
+        this.#pos++; // ]
+    }
+}
+
+/**
+ * Parses JSON5 text and builds a source map of every value within it.
+ * Duplicated keys are reported separately, as the parser silently keeps only the last one.
+ *
+ * @param {string} text - JSON5 source text
+ * @returns {{ data: any, pointers: Record<string, SourcePointer>, duplicateKeys: DuplicateKey[] }} parsed data,
+ * source locations keyed by JSON pointer, and duplicated keys
+ * @throws if the text is not valid JSON5
+ */
+export function parseJson5WithSourceMap(text) {
+    const data = JSON5.parse(text);
+    const scanner = new Json5Scanner(text);
+    scanner.scanValue('');
+    return { data, pointers: scanner.pointers, duplicateKeys: scanner.duplicateKeys };
+}
+
+/**
+ * Formats a source location as `file:line:col`
+ *
+ * @param {string} filePath - path to the file
+ * @param {SourceLocation} location - location within the file
+ * @returns {string} formatted location
+ */
+export function formatSourceLocation(filePath, location) {
+    return `${filePath}:${location.line}:${location.column}`;
+}
+
+/**
+ * Finds the source location for a JSON pointer, falling back to the closest parent that exists in the source.
+ * Object members resolve to the location of their key, everything else to the start of the value.
+ *
+ * @param {Record<string, SourcePointer>} pointers - source map built by parseJson5WithSourceMap
+ * @param {string} instancePath - JSON pointer, e.g. AJV's instancePath
+ * @returns {SourceLocation} location of the closest matching value
+ */
+export function getSourceLocation(pointers, instancePath) {
+    let pointer = instancePath;
+    while (pointer && !pointers[pointer]) {
+        pointer = pointer.slice(0, pointer.lastIndexOf('/'));
+    }
+
+    const sourcePointer = pointers[pointer] ?? pointers[''];
+    return sourcePointer.key ?? sourcePointer.value;
+}
@@ -0,0 +1,159 @@
+/**
+ * Helper functions for flattening pixel, native experiment and wide event definitions into spreadsheet rows
+ */
+import { buildCatalog } from './catalog_generator.mjs';
+import { PIXEL_DELIMITER } from './constants.mjs';
+import { getUniqueSheetName } from './xlsx_writer.mjs';
+
+/**
+ * @typedef {import('./catalog_generator.mjs').CatalogEntry} CatalogEntry
+ * @typedef {import('./catalog_generator.mjs').CatalogField} CatalogField
+ * @typedef {import('./xlsx_writer.mjs').Sheet} Sheet
+ */
+
+/**
+ * @typedef {Object} ExportRow
+ * @property {CatalogEntry['kind']} kind
+ * @property {string} name - pixel, experiment or wide event name
+ * @property {string} element - suffix, param, cohort, metric or property, empty for definitions without any
+ * @property {number|string} sequence - alternative suffix sequence of suffix rows, starting at 1
+ * @property {string} key - param key (or key pattern), suffix position, metric or property path
+ * @property {string} type
+ * @property {string} allowedValues - constraints on the values, separated by semicolons
+ * @property {string} required - yes or no for wide event properties
+ * @property {string} description
+ * @property {string} owners - comma-separated
+ * @property {string} expires
+ * @property {string} file - definition file, relative to the definitions root
+ */
+
+export const SPREADSHEET_FORMATS = ['csv', 'xlsx'];
+
+/** @type {Array<[keyof ExportRow, string]>} */
+const COLUMNS = [
+    ['kind', 'Kind'],
+    ['name', 'Name'],
+    ['element', 'Element'],
+    ['sequence', 'Suffix sequence'],
+    ['key', 'Key'],
+    ['type', 'Type'],
+    ['allowedValues', 'Allowed values'],
+    ['required', 'Required'],
+    ['description', 'Description'],
+    ['owners', 'Owners'],
+    ['expires', 'Expires'],
+    ['file', 'File'],
+];
+
+// Sheets of the XLSX export that are not pixel prefixes
+const EXPERIMENTS_SHEET = 'native_experiments';
+const WIDE_EVENTS_SHEET = 'wide_events';
+
+// Fields listed under params in the catalog, named after what they are for each kind of definition
+const PARAM_ELEMENTS = Object.freeze({
+    pixel: 'param',
+    experiment: 'metric',
+    wide_event: 'property',
+});
+
+/**
+ * @param {CatalogEntry} entry
+ * @returns {ExportRow[]} one row per suffix, param, cohort, metric or property of the definition
+ */
+function getEntryRows(entry) {
+    const base = {
+        kind: entry.kind,
+        name: entry.name,
+        owners: entry.owners.join(', '),
+        expires: entry.expires ?? '',
+        file: entry.file ?? '',
+    };
+    /**
+     * @param {string} element
+     * @param {CatalogField} field
+     * @param {number|string} [sequence]
+     * @returns {ExportRow}
+     */
+    const getRow = (element, { name, type, description, constraints, required }, sequence = '') => ({
+        ...base,
+        element,
+        sequence,
+        key: name,
+        type,
+        allowedValues: constraints.join('; '),
+        required: required === undefined ? '' : required ? 'yes' : 'no',
+        description,
+    });
+
+    const rows = [];
+    if (entry.cohorts.length) {
+        const cohortField = { name: 'cohort', type: 'string', description: 'Cohort', constraints: [`One of: ${entry.cohorts.join(', ')}`] };
+        rows.push(getRow('cohort', cohortField));
+    }
+    entry.suffixSequences.forEach((fields, idx) => rows.push(...fields.map((field) => getRow('suffix', field, idx + 1))));
+    rows.push(...entry.params.map((field) => getRow(PARAM_ELEMENTS[entry.kind], field)));
+
+    if (!rows.length) {
+        rows.push(getRow('', { name: '', type: '', description: entry.description, constraints: [] }));
+    }
+    return rows;
+}
+
+/**
+ * Flattens a definitions tree into rows. Definitions are expected to be valid (see validate-ddg-pixel-defs).
+ * @param {string} mainDir - path to the directory containing the pixels (and optionally wide_events) folder
+ * @returns {ExportRow[]} rows of pixels, native experiments and wide events, each sorted by name
+ * @throws if any definition cannot be resolved
+ */
+export function buildExportRows(mainDir) {
+    return buildCatalog(mainDir).flatMap(getEntryRows);
+}
+
+/**
+ * @param {ExportRow[]} rows
+ * @returns {Array<Array<string|number>>} header and cell values of the rows
+ */
+function getTable(rows) {
+    return [COLUMNS.map(([, header]) => header), ...rows.map((row) => COLUMNS.map(([column]) => row[column]))];
+}
+
+// Text cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * @param {string|number} value
+ * @returns {string} the value, quoted if it contains a delimiter, quote or line break.
+ * Text that would be run as a formula is prefixed with a single quote.
+ */
+function formatCsvValue(value) {
+    const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {ExportRow[]} rows
+ * @returns {string} CSV with a header line (RFC 4180)
+ */
+export function formatCsv(rows) {
+    return `${getTable(rows)
+        .map((row) => row.map(formatCsvValue).join(','))
+        .join('\r\n')}\r\n`;
+}
+
+/**
+ * Groups rows into sheets: one per top-level pixel prefix (the first token of pixel names),
+ * followed by native experiments and wide events
+ * @param {ExportRow[]} rows
+ * @returns {Sheet[]}
+ */
+export function getSheets(rows) {
+    /** @type {Map<string, ExportRow[]>} */
+    const groups = new Map();
+    const add = (label, row) => groups.set(label, [...(groups.get(label) ?? []), row]);
+    rows.filter((row) => row.kind === 'pixel').forEach((row) => add(row.name.split(PIXEL_DELIMITER)[0], row));
+    rows.filter((row) => row.kind === 'experiment').forEach((row) => add(EXPERIMENTS_SHEET, row));
+    rows.filter((row) => row.kind === 'wide_event').forEach((row) => add(WIDE_EVENTS_SHEET, row));
+
+    const usedNames = new Set();
+    return Array.from(groups, ([label, groupRows]) => ({ name: getUniqueSheetName(label, usedNames), rows: getTable(groupRows) }));
+}
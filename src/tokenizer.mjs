@@ -28,10 +28,12 @@ export function tokenizePixelDefs(pixelDefs, existingTokenizedDefs) {
             throw new Error(`Duplicate pixel definition found for ${prefix}`);
         }
 
-        // We only care about saving owners, params, and suffixes
+        // We only care about saving owners, params, suffixes, and expiry
         pixelParent[lastPart][ROOT_PREFIX] = {};
         pixelParent[lastPart][ROOT_PREFIX].owners = pixelDefs[prefix].owners;
         pixelParent[lastPart][ROOT_PREFIX].parameters = pixelDefs[prefix].parameters;
+        pixelParent[lastPart][ROOT_PREFIX].conditionalParameters = pixelDefs[prefix].conditionalParameters;
         pixelParent[lastPart][ROOT_PREFIX].suffixes = pixelDefs[prefix].suffixes;
+        pixelParent[lastPart][ROOT_PREFIX].expires = pixelDefs[prefix].expires;
     }
 }
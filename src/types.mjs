@@ -12,13 +12,27 @@
  * @property {string[]} agents - The agents (e.g. Chrome) corresponding to the product
  * @property {ProductTarget} target - Product version to target
  * @property {boolean} [forceLowerCase] - Whether the definitions are case insensitive
+ * @property {boolean} [searchExperimentsEnabled] - Whether pixels carry search experiment params (SERP only)
  */
 
 /**
  * @typedef {Object} PixelDefinition
+ * @property {string} description
  * @property {string[]} owners
+ * @property {string[]} [triggers]
  * @property {string[]} [suffixes]
  * @property {string[]} [parameters]
+ * @property {ConditionalParameters[]} [conditionalParameters] - parameters only sent for some suffix values
+ * @property {string[]} [privacyReview] - Links to privacy reviews of the pixel
+ * @property {Record<string, string>} [privacyExceptions] - Privacy rules that do not apply to the pixel, with a justification for each
+ * @property {string} [expires] - Date (YYYY-MM-DD) on which the pixel is no longer valid
+ */
+
+/**
+ * @typedef {Object} ConditionalParameters
+ * @property {number} suffix - position of the pixel name token after the prefix, starting at 1
+ * @property {string} equals - value the token must have for the parameters to apply
+ * @property {Array<string|object>} parameters - parameters (or shortcuts) that are only allowed when the token has that value
  */
 
 /**
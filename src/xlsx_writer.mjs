@@ -0,0 +1,192 @@
+/**
+ * Helper functions for writing minimal XLSX workbooks (Office Open XML spreadsheets) with plain text and number cells
+ */
+import zlib from 'zlib';
+
+/**
+ * @typedef {Object} Sheet
+ * @property {string} name - sheet name, at most 31 characters and unique within the workbook
+ * @property {Array<Array<string|number>>} rows - cell values, the first row being the header
+ */
+
+// Excel limits sheet names to 31 characters, excluding []:*?/\
+const MAX_SHEET_NAME_LENGTH = 31;
+const INVALID_SHEET_NAME_CHARS = /[[\]:*?/\\]/g;
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+const SPREADSHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+/**
+ * @param {string} value
+ * @returns {string} the value with XML special characters escaped, and characters XML cannot hold removed
+ */
+function escapeXml(value) {
+    return value
+        .replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {number} idx - zero-based column index
+ * @returns {string} column letters, e.g. A, Z, AA
+ */
+function getColumnName(idx) {
+    let name = '';
+    for (let n = idx + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+/**
+ * Turns a label into a valid sheet name that no other sheet of the workbook uses
+ * @param {string} label
+ * @param {Set<string>} usedNames - lowercased names already in use, updated with the returned name
+ * @returns {string}
+ */
+export function getUniqueSheetName(label, usedNames) {
+    const base = label.replace(INVALID_SHEET_NAME_CHARS, '_').slice(0, MAX_SHEET_NAME_LENGTH) || 'Sheet';
+    let name = base;
+    for (let count = 2; usedNames.has(name.toLowerCase()); count++) {
+        const suffix = ` (${count})`;
+        name = `${base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length)}${suffix}`;
+    }
+    usedNames.add(name.toLowerCase());
+    return name;
+}
+
+/**
+ * @param {Sheet} sheet
+ * @returns {string} worksheet XML, with a bold header row
+ */
+function renderWorksheet({ rows }) {
+    const rowsXml = rows.map((row, rowIdx) => {
+        const cells = row.map((value, colIdx) => {
+            const ref = `${getColumnName(colIdx)}${rowIdx + 1}`;
+            const style = rowIdx === 0 ? ' s="1"' : '';
+            if (typeof value === 'number') return `<c r="${ref}"${style}><v>${value}</v></c>`;
+            return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        });
+        return `<row r="${rowIdx + 1}">${cells.join('')}</row>`;
+    });
+    return `${XML_HEADER}<worksheet xmlns="${SPREADSHEET_NS}"><sheetData>${rowsXml.join('')}</sheetData></worksheet>`;
+}
+
+/**
+ * @param {Sheet[]} sheets
+ * @returns {Record<string, string>} contents of the workbook package, keyed by path
+ */
+function renderWorkbookFiles(sheets) {
+    const sheetPaths = sheets.map((_, idx) => `worksheets/sheet${idx + 1}.xml`);
+    const files = {
+        '[Content_Types].xml': [
+            `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`,
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+            '<Default Extension="xml" ContentType="application/xml"/>',
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>',
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>',
+            ...sheetPaths.map(
+                (sheetPath) =>
+                    `<Override PartName="/xl/${sheetPath}" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`,
+            ),
+            '</Types>',
+        ].join(''),
+        '_rels/.rels': [
+            `${XML_HEADER}<Relationships xmlns="${PACKAGE_RELATIONSHIPS_NS}">`,
+            `<Relationship Id="rId1" Type="${RELATIONSHIPS_NS}/officeDocument" Target="xl/workbook.xml"/>`,
+            '</Relationships>',
+        ].join(''),
+        'xl/workbook.xml': [
+            `${XML_HEADER}<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIPS_NS}"><sheets>`,
+            ...sheets.map(({ name }, idx) => `<sheet name="${escapeXml(name)}" sheetId="${idx + 1}" r:id="rId${idx + 1}"/>`),
+            '</sheets></workbook>',
+        ].join(''),
+        'xl/_rels/workbook.xml.rels': [
+            `${XML_HEADER}<Relationships xmlns="${PACKAGE_RELATIONSHIPS_NS}">`,
+            ...sheetPaths.map(
+                (sheetPath, idx) => `<Relationship Id="rId${idx + 1}" Type="${RELATIONSHIPS_NS}/worksheet" Target="${sheetPath}"/>`,
+            ),
+            `<Relationship Id="rId${sheets.length + 1}" Type="${RELATIONSHIPS_NS}/styles" Target="styles.xml"/>`,
+            '</Relationships>',
+        ].join(''),
+        // Style 1 is used for header cells
+        'xl/styles.xml': [
+            `${XML_HEADER}<styleSheet xmlns="${SPREADSHEET_NS}">`,
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>',
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>',
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>',
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>',
+            '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>',
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>',
+            '</styleSheet>',
+        ].join(''),
+    };
+    sheets.forEach((sheet, idx) => {
+        files[`xl/${sheetPaths[idx]}`] = renderWorksheet(sheet);
+    });
+    return files;
+}
+
+/**
+ * Packs files into a zip archive, deflating their contents. Timestamps are left at the zip epoch so that
+ * the same files always produce the same archive.
+ * @param {Record<string, string>} files - file contents, keyed by path
+ * @returns {Buffer}
+ */
+function createZip(files) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    for (const [filePath, content] of Object.entries(files)) {
+        const name = Buffer.from(filePath, 'utf8');
+        const data = Buffer.from(content, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = zlib.crc32(data);
+
+        // Fields shared by the local and central headers, from "version needed to extract" to "extra field length"
+        const common = Buffer.alloc(26);
+        common.writeUInt16LE(20, 0); // version needed to extract
+        common.writeUInt16LE(0x0800, 2); // flags: UTF-8 file names
+        common.writeUInt16LE(8, 4); // compression: deflate
+        common.writeUInt16LE(0, 6); // modification time
+        common.writeUInt16LE(0x21, 8); // modification date: 1980-01-01
+        common.writeUInt32LE(crc, 10);
+        common.writeUInt32LE(compressed.length, 14);
+        common.writeUInt32LE(data.length, 18);
+        common.writeUInt16LE(name.length, 22);
+        common.writeUInt16LE(0, 24); // extra field length
+
+        const localHeader = Buffer.concat([Buffer.from([0x50, 0x4b, 0x03, 0x04]), common, name]);
+        localParts.push(localHeader, compressed);
+
+        const centralTail = Buffer.alloc(14);
+        // Comment length, disk number, internal and external attributes are all zero
+        centralTail.writeUInt32LE(offset, 10);
+        centralParts.push(Buffer.from([0x50, 0x4b, 0x01, 0x02, 20, 0]), common, centralTail, name);
+
+        offset += localHeader.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Builds an XLSX workbook. Sheet names are expected to be valid and unique, see getUniqueSheetName.
+ * @param {Sheet[]} sheets
+ * @returns {Buffer} contents of the .xlsx file
+ */
+export function createXlsx(sheets) {
+    return createZip(renderWorkbookFiles(sheets));
+}
@@ -0,0 +1,128 @@
+import { expect } from 'chai';
+
+import { findAmbiguousPixelNames } from '../src/ambiguity_detector.mjs';
+import { ParamsValidator } from '../src/params_validator.mjs';
+import { tokenizePixelDefs } from '../src/tokenizer.mjs';
+
+const commonSuffixes = {
+    platform: { description: 'Platform', enum: ['android', 'ios'] },
+    count: { description: 'Count', pattern: '^\\d+$' },
+};
+
+function findAmbiguities(pixelDefs) {
+    const tokenizedDefs = {};
+    tokenizePixelDefs(pixelDefs, tokenizedDefs);
+    return findAmbiguousPixelNames(tokenizedDefs, new ParamsValidator({}, commonSuffixes, {}));
+}
+
+describe('findAmbiguousPixelNames', () => {
+    it('finds nothing when pixel names cannot collide', () => {
+        const ambiguities = findAmbiguities({
+            m_foo: { suffixes: ['platform'] },
+            m_foo_bar: { suffixes: [['platform'], ['count']] },
+            m_other: {},
+        });
+        expect(ambiguities).to.be.empty;
+    });
+
+    it('finds suffix values that are also another pixel name', () => {
+        const ambiguities = findAmbiguities({
+            m_foo: { suffixes: [{ description: 'kind', enum: ['bar', 'baz'] }] },
+            m_foo_bar: {},
+        });
+        expect(ambiguities).to.deep.equal([
+            { prefix: 'm_foo', otherPrefix: 'm_foo_bar', example: 'm_foo_bar', matchedPrefix: 'm_foo_bar' },
+        ]);
+    });
+
+    it('finds static suffix keys that lead to another pixel', () => {
+        const ambiguities = findAmbiguities({
+            m_foo: { suffixes: [{ key: 'bar', description: 'with a static key' }] },
+            m_foo_bar_baz: {},
+        });
+        expect(ambiguities).to.deep.equal([{ prefix: 'm_foo', otherPrefix: 'm_foo_bar_baz', example: 'm_foo_bar', matchedPrefix: null }]);
+    });
+
+    it('finds suffix values spanning several tokens that are also other pixel names', () => {
+        const ambiguities = findAmbiguities({
+            m_locale: { suffixes: [{ description: 'Locale', enum: ['en_us', 'fr'] }] },
+            m_locale_en_us: {},
+            m_locale_fr: {},
+            m_locale_en: {},
+        });
+        expect(ambiguities).to.deep.equal([
+            { prefix: 'm_locale', otherPrefix: 'm_locale_fr', example: 'm_locale_fr', matchedPrefix: 'm_locale_fr' },
+            { prefix: 'm_locale', otherPrefix: 'm_locale_en_us', example: 'm_locale_en_us', matchedPrefix: 'm_locale_en_us' },
+        ]);
+    });
+
+    it('finds free-form suffixes that shadow other pixels', () => {
+        const ambiguities = findAmbiguities({
+            m_foo: { suffixes: [{ description: 'anything' }] },
+            m_foo_bar: {},
+        });
+        expect(ambiguities.map((a) => a.example)).to.deep.equal(['m_foo_bar']);
+    });
+
+    it('finds overlapping suffix alternatives', () => {
+        const ambiguities = findAmbiguities({
+            m_foo: { suffixes: [['platform'], ['count'], [{ description: 'variant', enum: ['ios', 'web'] }]] },
+        });
+        expect(ambiguities).to.deep.equal([
+            { prefix: 'm_foo', otherPrefix: 'm_foo', example: 'm_foo_ios', matchedPrefix: 'm_foo', alternatives: [0, 2] },
+        ]);
+    });
+
+    it('finds overlapping alternatives defined by patterns only', () => {
+        const ambiguities = findAmbiguities({
+            m_foo: { suffixes: [[{ description: 'version', pattern: '^v\\d+$' }], [{ description: 'variant', pattern: '^v[0-9]+$' }]] },
+        });
+        expect(ambiguities).to.deep.equal([
+            { prefix: 'm_foo', otherPrefix: 'm_foo', example: 'm_foo_v0', matchedPrefix: 'm_foo', alternatives: [0, 1] },
+        ]);
+    });
+
+    it('finds overlapping alternatives with values spanning several tokens', () => {
+        const ambiguities = findAmbiguities({
+            m_foo: {
+                suffixes: [
+                    [{ description: 'Locale', enum: ['en_us', 'fr'] }],
+                    [{ description: 'Region', enum: ['en_us', 'en_gb'] }],
+                    ['count'],
+                ],
+            },
+        });
+        expect(ambiguities).to.deep.equal([
+            { prefix: 'm_foo', otherPrefix: 'm_foo', example: 'm_foo_en_us', matchedPrefix: 'm_foo', alternatives: [0, 1] },
+        ]);
+    });
+
+    it('does not treat the combinations of optional suffixes as overlapping alternatives', () => {
+        const ambiguities = findAmbiguities({
+            m_foo: {
+                suffixes: [
+                    { description: 'result', enum: ['success', 'failure'] },
+                    { key: 'retry', enum: ['1', '2'], optional: true },
+                ],
+            },
+        });
+        expect(ambiguities).to.be.empty;
+    });
+
+    it('handles many optional suffixes without expanding their combinations', () => {
+        const suffixes = Array.from({ length: 14 }, (_, i) => ({ key: `opt${i}`, enum: ['a', 'b'], optional: true }));
+        const ambiguities = findAmbiguities({ m_foo: { suffixes } });
+        expect(ambiguities).to.be.empty;
+    });
+
+    it('finds alternatives that overlap after a leading optional suffix', () => {
+        const ambiguities = findAmbiguities({
+            m_foo: {
+                suffixes: [[{ key: 'retry', enum: ['1'], optional: true }, 'platform'], [{ description: 'variant', enum: ['ios', 'web'] }]],
+            },
+        });
+        expect(ambiguities).to.deep.equal([
+            { prefix: 'm_foo', otherPrefix: 'm_foo', example: 'm_foo_ios', matchedPrefix: 'm_foo', alternatives: [0, 1] },
+        ]);
+    });
+});
@@ -0,0 +1,101 @@
+import { expect } from 'chai';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { buildCatalog, renderCatalog } from '../src/catalog_generator.mjs';
+
+const validDefsPath = path.join('tests', 'test_data', 'valid');
+
+describe('Pixel catalog', () => {
+    const entries = buildCatalog(validDefsPath);
+    const getEntry = (name) => entries.find((entry) => entry.name === name);
+
+    it('lists pixels, native experiments and wide events', () => {
+        expect(entries.map((entry) => `${entry.kind}:${entry.name}`)).to.deep.equal([
+            'pixel:m_my_first_pixel',
+            'pixel:m_my_first_pixel_test',
+            'pixel:test_nested_suffixes',
+            'pixel:test_pattern_suffix',
+            'pixel:test_suffixes',
+            'pixel:test_tokenizer',
+            'pixel:test_tokenizer_3_level_deep',
+            'experiment:defaultBrowser',
+            'wide_event:w_wide_import_bookmarks',
+            'wide_event:w_wide_import_cancelled',
+            'wide_event:w_wide_import_credentials',
+            'wide_event:w_wide_import_summary',
+            'wide_event:w_wide_import_timeout',
+        ]);
+    });
+
+    it('expands suffix sequences, params and example names of pixels', () => {
+        const pixel = getEntry('m_my_first_pixel');
+        expect(pixel).to.include({ page: 'pixels/m_my_first_pixel.html', expires: '2099-12-31' });
+        expect(pixel.triggers).to.deep.equal(['exception', 'scheduled']);
+        expect(pixel.file).to.equal(path.join('pixels', 'definitions', 'pixel_guide.json5'));
+        expect(pixel.params.find((param) => param.name === 'count')).to.deep.equal({
+            name: 'count',
+            type: 'integer',
+            description: 'Number of times an event occured.',
+            constraints: ['Minimum: 0', 'Maximum: 100'],
+        });
+        expect(pixel.params.map((param) => param.name)).to.include('customMetadata.serviceMetadata.latency');
+        expect(pixel.examples[0]).to.equal('m_my_first_pixel_new_exceptiontype_filenotfoundexception_android_phone');
+
+        const nested = getEntry('test_nested_suffixes');
+        expect(nested.suffixSequences.map((fields) => fields.map((field) => field.constraints[0]))).to.deep.equal([
+            ['One of: first, daily, count'],
+            ['Value: android', 'One of: phone, tablet', 'One of: first, daily, count'],
+        ]);
+        expect(nested.examples).to.include.members(['test_nested_suffixes_first', 'test_nested_suffixes_android_tablet_daily']);
+        // Pixels without triggers get the schema default
+        expect(getEntry('test_tokenizer').triggers).to.deep.equal(['other']);
+    });
+
+    it('describes experiment metrics and wide event properties', () => {
+        const experiment = getEntry('defaultBrowser');
+        expect(experiment.cohorts).to.deep.equal(['control', 'variant_1', 'variant_2', 'variant_3']);
+        expect(experiment.params.map((metric) => metric.name)).to.deep.equal(['stageImpression', 'defaultSetViaCta', 'app_use', 'search']);
+        expect(experiment.examples[0]).to.equal('experiment_enroll_defaultBrowser_control_android_phone');
+
+        const wideEvent = getEntry('w_wide_import_summary');
+        expect(wideEvent).to.include({ version: '1.0.0' });
+        expect(wideEvent.owners).to.deep.equal(['tester']);
+        expect(wideEvent.params.find((property) => property.name === 'feature.status')).to.include({ required: true });
+    });
+
+    it('renders an index with filters and escaped pages', () => {
+        const pixel = getEntry('test_suffixes');
+        const pages = renderCatalog([
+            { ...pixel, description: 'Fires on <script>', privacyReview: ['https://example.com/review?a=1&b=2', 'javascript:alert(1)'] },
+        ]);
+
+        expect(Object.keys(pages)).to.deep.equal(['index.html', 'pixels/test_suffixes.html']);
+        expect(pages['index.html']).to.include(
+            '<select id="owner"><option value="">All owners</option><option value="tester">tester</option></select>',
+        );
+        expect(pages['index.html']).to.include('data-triggers="[&quot;other&quot;]"');
+        expect(pages['pixels/test_suffixes.html']).to.include('<p>Fires on &lt;script&gt;</p>');
+        expect(pages['pixels/test_suffixes.html']).to.include(
+            '<a href="https://example.com/review?a=1&amp;b=2">https://example.com/review?a=1&amp;b=2</a><br>javascript:alert(1)',
+        );
+    });
+
+    it('writes the catalog from the CLI', function () {
+        this.timeout(10000);
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pixel-schema-catalog-'));
+        try {
+            const result = spawnSync('node', ['./bin/generate_catalog.mjs', validDefsPath, '--output', tempDir], { encoding: 'utf8' });
+
+            expect(result.status).to.equal(0);
+            expect(result.stdout).to.include('Generated a catalog of 13 definition(s)');
+            expect(fs.readFileSync(path.join(tempDir, 'index.html'), 'utf8')).to.include('href="pixels/test_nested_suffixes.html"');
+            expect(fs.existsSync(path.join(tempDir, 'experiments', 'defaultBrowser.html'))).to.equal(true);
+            expect(fs.existsSync(path.join(tempDir, 'wide_events', 'w_wide_import_summary.html'))).to.equal(true);
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    });
+});
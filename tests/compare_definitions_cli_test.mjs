@@ -0,0 +1,59 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+
+import { createTempDir, removeTempDir } from './helpers/temp_dir.mjs';
+
+const validDefsPath = path.join('tests', 'test_data', 'valid');
+const pixelGuidePath = path.join('pixels', 'definitions', 'pixel_guide.json5');
+
+function runCompareDefinitions(args, cwd = process.cwd()) {
+    return spawnSync('node', [path.resolve('bin', 'compare_definitions.mjs'), ...args], { cwd, encoding: 'utf8' });
+}
+
+function removeCountParam(defsDir) {
+    const filePath = path.join(defsDir, pixelGuidePath);
+    const updated = fs.readFileSync(filePath, 'utf8').replace('"key": "count"', '"key": "renamed_count"');
+    fs.writeFileSync(filePath, updated);
+}
+
+describe('compare_definitions.mjs CLI', () => {
+    let tempDir;
+
+    beforeEach(() => {
+        tempDir = createTempDir('compare');
+        fs.cpSync(validDefsPath, tempDir, { recursive: true });
+    });
+
+    afterEach(() => {
+        removeTempDir(tempDir);
+    });
+
+    it('reports breaking changes between two directories', function () {
+        this.timeout(10000);
+        removeCountParam(tempDir);
+        const result = runCompareDefinitions([validDefsPath, tempDir, '--format', 'json', '--failOnBreaking']);
+
+        expect(result.status).to.equal(1);
+        const report = JSON.parse(result.stdout);
+        expect(report.summary).to.deep.equal({ additive: 1, compatible: 0, breaking: 1 });
+        expect(report.changes[0]).to.include({ kind: 'breaking', name: 'm_my_first_pixel', path: 'parameters.count' });
+    });
+
+    it('compares against a git revision', function () {
+        this.timeout(10000);
+        const git = (...args) => spawnSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: tempDir });
+        git('init', '-q');
+        git('add', '-A');
+        git('commit', '-q', '-m', 'base');
+        removeCountParam(tempDir);
+
+        const result = runCompareDefinitions(['.', '--baseRef', 'HEAD'], tempDir);
+
+        expect(result.status).to.equal(0);
+        expect(result.stdout).to.include('Comparing . at HEAD with .');
+        expect(result.stdout).to.include('pixel m_my_first_pixel parameters.count: parameter removed');
+        expect(result.stdout).to.include('1 additive, 0 compatible, 1 breaking');
+    });
+});
@@ -0,0 +1,143 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import JSON5 from 'json5';
+import os from 'os';
+import path from 'path';
+
+import { fixPixelDefinitionsFile, fixPixelDefinitionsText } from '../src/definition_fixer.mjs';
+
+const commonParams = {
+    count: { key: 'count', type: 'integer', description: 'Number of times it happened' },
+};
+const commonSuffixes = {
+    platform: { description: 'Platform', enum: ['ios', 'android'] },
+};
+const options = { commonParams, commonSuffixes };
+
+describe('Definition fixer', () => {
+    it('replaces inline params and suffixes that match a dictionary entry with shortcuts', () => {
+        const text = JSON.stringify({
+            m_pixel: {
+                description: 'A pixel',
+                owners: ['owner'],
+                suffixes: [{ enum: ['ios', 'android'], description: 'Platform' }, [{ description: 'Platform', enum: ['ios', 'android'] }]],
+                parameters: [
+                    { description: 'Number of times it happened', key: 'count', type: 'integer' },
+                    { key: 'count', type: 'integer', description: 'Another description' },
+                ],
+            },
+        });
+
+        const result = fixPixelDefinitionsText(text, options);
+
+        expect(JSON5.parse(result.text).m_pixel).to.deep.equal({
+            description: 'A pixel',
+            owners: ['owner'],
+            suffixes: ['platform', ['platform']],
+            parameters: ['count', { key: 'count', type: 'integer', description: 'Another description' }],
+        });
+        expect(result.fixes).to.deep.equal([
+            "m_pixel --> replaced inline parameter with shortcut 'count'",
+            "m_pixel --> replaced inline suffix with shortcut 'platform'",
+            "m_pixel --> replaced inline suffix with shortcut 'platform'",
+        ]);
+    });
+
+    it('keeps inline items that contain comments', () => {
+        const text = `{
+            "m_pixel": {
+                "description": "A pixel",
+                "owners": ["owner"],
+                "parameters": [{ "key": "count", "type": "integer", "description": "Number of times it happened" /* why */ }],
+            },
+        }`;
+
+        expect(fixPixelDefinitionsText(text, options)).to.deep.equal({ text, fixes: [] });
+    });
+
+    it('removes default triggers along with their comments', () => {
+        const text = `{
+            "m_pixel": {
+                "description": "A pixel",
+                "owners": ["owner"], // the team
+                // fires anywhere
+                "triggers": ["other"],
+            },
+            "m_other": { "description": "Another pixel", "owners": ["owner"], "triggers": ["other", "startup"] },
+        }`;
+
+        const result = fixPixelDefinitionsText(text, options);
+
+        expect(result.fixes).to.deep.equal(['m_pixel --> removed default triggers']);
+        expect(result.text).to.include('"owners": ["owner"], // the team\n');
+        expect(result.text).to.not.include('fires anywhere');
+        expect(JSON5.parse(result.text).m_pixel).to.deep.equal({ description: 'A pixel', owners: ['owner'] });
+        expect(JSON5.parse(result.text).m_other.triggers).to.deep.equal(['other', 'startup']);
+    });
+
+    it('lowercases suffix values only for case insensitive products', () => {
+        const text = JSON.stringify({
+            m_pixel: {
+                description: 'A pixel',
+                owners: ['owner'],
+                suffixes: [{ key: 'Mode', enum: ['Light', 'dark'] }, 'platform'],
+            },
+        });
+
+        expect(fixPixelDefinitionsText(text, options).fixes).to.be.empty;
+
+        const result = fixPixelDefinitionsText(text, { ...options, forceLowerCase: true });
+        expect(result.fixes).to.deep.equal(['m_pixel --> lowercased suffix values']);
+        expect(JSON5.parse(result.text).m_pixel.suffixes).to.deep.equal([{ key: 'mode', enum: ['light', 'dark'] }, 'platform']);
+    });
+
+    it('puts properties in schema order, keeping comments with their property', () => {
+        const text = `{
+            "m_pixel": {
+                "parameters": ["count"], // params
+                /* the owners */
+                "owners": ["owner"],
+                "expires": "2030-01-01",
+                // what it does
+                "description": "A pixel",
+                // nothing after this
+            },
+        }`;
+
+        const result = fixPixelDefinitionsText(text, options);
+
+        expect(result.fixes).to.deep.equal(['m_pixel --> reordered properties']);
+        expect(Object.keys(JSON5.parse(result.text).m_pixel)).to.deep.equal(['description', 'owners', 'parameters', 'expires']);
+        const commentOrder = ['what it does', 'A pixel', 'the owners', '"owner"', 'count', '// params', 'expires', 'nothing after this'];
+        const positions = commentOrder.map((snippet) => result.text.indexOf(snippet));
+        expect(positions).to.not.include(-1);
+        expect(positions).to.deep.equal([...positions].sort((first, second) => first - second));
+    });
+
+    it('leaves files with duplicate keys untouched', () => {
+        const text = '{ "m_pixel": { "owners": ["owner"], "description": "A pixel", "triggers": ["other"] }, "m_pixel": {} }';
+
+        expect(fixPixelDefinitionsText(text, options)).to.deep.equal({ text, fixes: [] });
+    });
+
+    it('rewrites files in place with the repo formatting', async () => {
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pixel-schema-fixer-'));
+        try {
+            const filePath = path.join(tempDir, 'pixels.json5');
+            fs.writeFileSync(
+                filePath,
+                '{\n  // my pixel\n  m_pixel: {owners: ["owner"], description: "A pixel", triggers: ["other"],},\n}\n',
+            );
+
+            const fixes = await fixPixelDefinitionsFile(filePath, options);
+
+            expect(fixes).to.have.lengthOf(2);
+            expect(fs.readFileSync(filePath, 'utf8')).to.equal(
+                '{\n    // my pixel\n    "m_pixel": { "description": "A pixel", "owners": ["owner"] }\n}\n',
+            );
+            expect(await fixPixelDefinitionsFile(filePath, options)).to.be.empty;
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,145 @@
+import { expect } from 'chai';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import JSON5 from 'json5';
+import os from 'os';
+import path from 'path';
+
+import { formatDraftDefinitions, groupByPrefix, inferPixelDefinitions, inferValueSchema } from '../src/definition_inference.mjs';
+
+const validDefsPath = path.join('tests', 'test_data', 'valid');
+
+const commonParams = {
+    appVersion: { key: 'appVersion', description: 'App version', pattern: '^[0-9]+\\.[0-9]+\\.[0-9]+$' },
+    channel: { key: 'channel', description: 'Channel', enum: ['stable', 'beta'] },
+};
+const commonSuffixes = {
+    device_type: { key: 'android', description: 'Device type', enum: ['phone', 'tablet'] },
+    first_daily_count: { description: 'Frequency', enum: ['first', 'daily', 'count'] },
+};
+
+describe('Definition inference', () => {
+    it('groups pixel names by likely prefix', () => {
+        const groups = groupByPrefix([
+            'm_sync_error_401_first',
+            'm_sync_error_500_daily',
+            'm_autofill_dismissed',
+            'm_autofill_dismissed_daily',
+            'standalone',
+        ]);
+        expect(Object.fromEntries(groups)).to.deep.equal({
+            m_sync_error: [
+                ['401', 'first'],
+                ['500', 'daily'],
+            ],
+            m_autofill_dismissed: [[], ['daily']],
+            standalone: [[]],
+        });
+    });
+
+    it('infers value schemas', () => {
+        expect(inferValueSchema(['10', '3', '250', '1'])).to.deep.equal({ type: 'integer', examples: [1, 3, 10] });
+        expect(inferValueSchema(['1.5', '2'])).to.deep.equal({ type: 'number', examples: [1.5, 2] });
+        expect(inferValueSchema(['true', 'false'])).to.deep.equal({ type: 'boolean' });
+        expect(inferValueSchema(['2026-01-31'])).to.deep.equal({ type: 'string', format: 'date' });
+        expect(inferValueSchema(['[1,2]', '[3]'])).to.deep.equal({ type: 'array', items: { type: 'integer', examples: [1, 2, 3] } });
+        expect(inferValueSchema(['timeout', 'user'])).to.deep.equal({ type: 'string', enum: ['timeout', 'user'] });
+        expect(inferValueSchema(['1.2.3', '10.0.1'])).to.deep.equal({
+            type: 'string',
+            pattern: '^[0-9]+(\\.[0-9]+)+$',
+            examples: ['1.2.3', '10.0.1'],
+        });
+        expect(inferValueSchema(['0ab12', 'ff00'])).to.deep.equal({ type: 'string', pattern: '^[0-9a-f]+$', examples: ['0ab12', 'ff00'] });
+    });
+
+    it('drafts definitions reusing common params and suffixes', () => {
+        const livePixels = [
+            { pixel: 'm_autofill_shown_android_phone', params: ['appVersion=1.2.3', 'count=3', 'test=1'] },
+            { pixel: 'm_autofill_shown_android_tablet', params: ['appVersion=1.2.4', 'count=10'] },
+            { pixel: 'm_sync_error_code_401_first', params: ['id=0abc12', 'channel=beta'] },
+            { pixel: 'm_sync_error_code_500_daily', params: ['id=ff00', 'channel=unknown'] },
+            { pixel: 'm_vpn_latency', params: ['bucket=%5B1%2C2%5D'] },
+            { pixel: 'experiment_enroll_x_y', params: [] },
+        ];
+        const drafts = inferPixelDefinitions(livePixels, commonParams, commonSuffixes, {
+            test: { key: 'test', description: 'Test', enum: ['1'] },
+        });
+
+        expect(drafts.map(({ name, def, examples }) => [name, def.suffixes, def.parameters, examples])).to.deep.equal([
+            [
+                'm_autofill_shown',
+                ['device_type'],
+                ['appVersion', { key: 'count', description: 'TODO: describe', type: 'integer', examples: [3, 10] }],
+                ['m_autofill_shown_android_phone', 'm_autofill_shown_android_tablet'],
+            ],
+            [
+                'm_sync_error_code',
+                [{ description: 'TODO: describe', type: 'integer', examples: [401, 500] }, 'first_daily_count'],
+                [
+                    { key: 'channel', description: 'TODO: describe', type: 'string', enum: ['beta', 'unknown'] },
+                    { key: 'id', description: 'TODO: describe', type: 'string', pattern: '^[0-9a-f]+$', examples: ['0abc12', 'ff00'] },
+                ],
+                ['m_sync_error_code_401_first', 'm_sync_error_code_500_daily'],
+            ],
+            [
+                'm_vpn_latency',
+                undefined,
+                [{ key: 'bucket', description: 'TODO: describe', type: 'array', items: { type: 'integer', examples: [1, 2] } }],
+                ['m_vpn_latency'],
+            ],
+        ]);
+        expect(drafts[0].def).to.include({ description: 'TODO: describe' });
+        expect(drafts[0].def.owners).to.deep.equal(['TODO']);
+    });
+
+    it('formats drafts as a commented definitions file', async () => {
+        const examples = ['m_a_1', 'm_a_2', 'm_a_3', 'm_a_4'];
+        const output = await formatDraftDefinitions([{ name: 'm_a', def: { description: 'TODO: describe', owners: ['TODO'] }, examples }]);
+
+        expect(output).to.include('// Inferred from m_a_1, m_a_2, m_a_3 and 1 more');
+        expect(JSON5.parse(output)).to.deep.equal({ m_a: { description: 'TODO: describe', owners: ['TODO'] } });
+    });
+
+    it('drafts definitions for undocumented pixels from the CLI', function () {
+        this.timeout(10000);
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pixel-schema-inference-'));
+        try {
+            fs.cpSync(validDefsPath, tempDir, { recursive: true });
+            const resultsDir = path.join(tempDir, 'pixels', 'pixel_processing_results');
+            fs.mkdirSync(resultsDir, { recursive: true });
+            fs.writeFileSync(
+                path.join(resultsDir, 'undocumented_pixels.json'),
+                JSON.stringify(['m_new_pixel_phone', 'm_new_pixel_tablet']),
+            );
+            const csvPath = path.join(tempDir, 'live_pixels.csv');
+            fs.writeFileSync(
+                csvPath,
+                [
+                    'pixel,params,version',
+                    `m.new.pixel.phone,"['count=2', '1234567890=1234567890']",appVersion=1.0.0`,
+                    `m.new.pixel.tablet,"['count=5']",appVersion=1.0.1`,
+                    `m.documented.pixel,"['count=5']",appVersion=1.0.1`,
+                ].join('\n'),
+            );
+            const outputPath = path.join(tempDir, 'drafts.json5');
+
+            const result = spawnSync('node', ['./live_validation_scripts/infer_definitions.mjs', tempDir, csvPath, '-o', outputPath], {
+                encoding: 'utf8',
+            });
+
+            expect(result.status).to.equal(0);
+            expect(result.stdout).to.include(`Drafted 1 definition(s) for 2 undocumented pixel(s) in ${outputPath}`);
+            expect(JSON5.parse(fs.readFileSync(outputPath, 'utf8'))).to.deep.equal({
+                m_new_pixel: {
+                    description: 'TODO: describe',
+                    owners: ['TODO'],
+                    triggers: ['other'],
+                    suffixes: [{ description: 'TODO: describe', type: 'string', enum: ['phone', 'tablet'] }],
+                    parameters: ['appVersion', { key: 'count', description: 'TODO: describe', type: 'integer', examples: [2, 5] }],
+                },
+            });
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    });
+});
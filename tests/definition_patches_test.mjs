@@ -0,0 +1,159 @@
+import { expect } from 'chai';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import JSON5 from 'json5';
+import path from 'path';
+
+import { buildLivePixelValidator, buildTokenizedPixels } from '../main.mjs';
+import { createUnifiedDiff, DefinitionPatchSuggester } from '../src/definition_patches.mjs';
+import { createTempDir, removeTempDir, writeDefinitionsRepo } from './helpers/temp_dir.mjs';
+
+const validDefsPath = path.join('tests', 'test_data', 'valid');
+
+const productDef = { agents: [], target: { key: 'appVersion' } };
+const commonParams = {
+    channel: { key: 'channel', description: 'Channel', enum: ['stable', 'beta'] },
+};
+const commonSuffixes = {
+    device_type: { key: 'os', description: 'Device type', enum: ['phone', 'tablet'] },
+};
+const pixelDefs = {
+    m_flat: {
+        description: 'Flat suffixes',
+        owners: ['tester'],
+        suffixes: [{ description: 'Level', enum: [1, 2] }, 'device_type'],
+        parameters: ['channel', { key: 'colors', description: 'Colors', type: 'array', items: { enum: ['red'] } }],
+    },
+    m_nested: {
+        description: 'Nested suffixes',
+        owners: ['tester'],
+        suffixes: [[{ description: 'Type', enum: ['a'] }], [{ key: 'error', description: 'Error', enum: ['timeout'] }]],
+    },
+    m_bare: {
+        description: 'Without suffixes',
+        owners: ['tester'],
+        expires: '2099-12-31',
+    },
+};
+
+describe('Definition patches', () => {
+    let tempDir;
+
+    beforeEach(() => {
+        tempDir = createTempDir('patches');
+        writeDefinitionsRepo(tempDir, {
+            commonParams,
+            commonSuffixes,
+            definitions: { 'pixels.json5': `// Test pixels\n${JSON.stringify(pixelDefs, null, 4)}\n` },
+        });
+    });
+
+    afterEach(() => {
+        removeTempDir(tempDir);
+    });
+
+    it('builds unified diffs', () => {
+        const oldText = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'].join('\n');
+        const newText = ['a', 'B', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k', ''].join('\n');
+
+        expect(createUnifiedDiff('file.json', oldText, oldText)).to.equal('');
+        expect(createUnifiedDiff('file.json', oldText, newText)).to.equal(
+            [
+                '--- a/file.json',
+                '+++ b/file.json',
+                '@@ -1,5 +1,5 @@',
+                ' a',
+                '-b',
+                '+B',
+                ' c',
+                ' d',
+                ' e',
+                '@@ -7,4 +7,5 @@',
+                ' g',
+                ' h',
+                ' i',
+                '-j',
+                '\\ No newline at end of file',
+                '+j',
+                '+k',
+                '',
+            ].join('\n'),
+        );
+    });
+
+    it('suggests enum values, params and suffixes backed by live pixels', async () => {
+        const validator = buildLivePixelValidator(commonParams, commonSuffixes, productDef, {}, buildTokenizedPixels([pixelDefs]));
+        const suggester = new DefinitionPatchSuggester(tempDir, productDef);
+        [
+            ['m_flat_3_os_phone', 'channel=alpha'],
+            ['m_flat_3_os_watch', 'colors=%5B%22blue%22%2C%22blue%22%5D'],
+            ['m_flat_1_os_phone_extra', 'count=12'],
+            ['m_flat_1_os_phone', 'count=4'],
+            ['m_nested_b', ''],
+            ['m_nested_error_crash', ''],
+            ['m_bare_x', ''],
+        ].forEach(([pixel, params]) => suggester.addResult(validator.validatePixel(pixel, params)));
+
+        expect(suggester.getSuggestions().map(({ description, occurrences }) => [description, occurrences])).to.deep.equal([
+            ["m_flat suffix 1: allow '3'", 2],
+            ["m_flat: add param 'count'", 2],
+            ["common param 'channel': allow 'alpha'", 1],
+            ["common suffix 'device_type': allow 'watch'", 1],
+            ['m_bare: add suffix 1', 1],
+            ["m_flat param 'colors': allow 'blue'", 1],
+            ['m_flat: add suffix 4', 1],
+            ["m_nested suffix 1: allow 'b'", 1],
+            ["m_nested suffix 2: allow 'crash'", 1],
+        ]);
+
+        const patch = await suggester.buildPatch();
+        expect(patch).to.include("# m_flat suffix 1: allow '3' (2 live pixels)\n");
+        expect(patch).to.include('--- a/pixels/definitions/pixels.json5\n+++ b/pixels/definitions/pixels.json5\n');
+
+        const result = spawnSync('git', ['apply', '-'], { cwd: tempDir, input: patch, encoding: 'utf8' });
+        expect(result.status, result.stderr).to.equal(0);
+
+        const patched = JSON5.parse(fs.readFileSync(path.join(tempDir, 'pixels', 'definitions', 'pixels.json5'), 'utf8'));
+        expect(patched.m_flat.suffixes).to.deep.equal([
+            { description: 'Level', enum: [1, 2, 3] },
+            'device_type',
+            { description: 'TODO: describe', type: 'string', enum: ['extra'] },
+        ]);
+        expect(patched.m_flat.parameters[1].items.enum).to.deep.equal(['red', 'blue']);
+        expect(patched.m_flat.parameters[2]).to.deep.equal({
+            key: 'count',
+            description: 'TODO: describe',
+            type: 'integer',
+            examples: [4, 12],
+        });
+        expect(patched.m_nested.suffixes).to.deep.equal([
+            [{ description: 'Type', enum: ['a', 'b'] }],
+            [{ key: 'error', description: 'Error', enum: ['timeout', 'crash'] }],
+        ]);
+        expect(Object.keys(patched.m_bare)).to.deep.equal(['description', 'owners', 'suffixes', 'expires']);
+
+        const patchedSuffixes = JSON.parse(fs.readFileSync(path.join(tempDir, 'pixels', 'suffixes_dictionary.json'), 'utf8'));
+        expect(patchedSuffixes.device_type.enum).to.deep.equal(['phone', 'tablet', 'watch']);
+        expect(fs.readFileSync(path.join(tempDir, 'pixels', 'definitions', 'pixels.json5'), 'utf8')).to.match(/^\/\/ Test pixels\n/);
+    });
+
+    it('writes suggested patches from live validation', function () {
+        this.timeout(20000);
+        fs.cpSync(validDefsPath, tempDir, { recursive: true });
+        fs.rmSync(path.join(tempDir, 'pixels', 'pixel_processing_results'), { recursive: true, force: true });
+        const csvPath = path.join(tempDir, 'pixels', 'test_live_pixels.csv');
+
+        expect(spawnSync('node', ['./live_validation_scripts/preprocess_defs.mjs', tempDir]).status).to.equal(0);
+        const result = spawnSync('node', ['./live_validation_scripts/validate_live_pixel.mjs', tempDir, csvPath, '--suggestPatches'], {
+            encoding: 'utf8',
+        });
+
+        const patchPath = path.join(tempDir, 'pixels', 'pixel_processing_results', 'suggested_definition_patches.patch');
+        expect(result.status).to.equal(0);
+        expect(result.stdout).to.include(`Suggested 6 definition change(s) in ${patchPath}`);
+        const patch = fs.readFileSync(patchPath, 'utf8');
+        expect(patch).to.include("# m_my_first_pixel param 'colors': allow 'unexpected_array_value' (1 live pixel)\n");
+        expect(patch).to.include('+                    "enum": ["red", "green", "blue", "unexpected_array_value"]\n');
+        expect(patch).to.include("# common suffix 'device_type': allow 'unexpected-4' (1 live pixel)\n");
+    });
+});
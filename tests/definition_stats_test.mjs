@@ -0,0 +1,134 @@
+import { expect } from 'chai';
+import { spawnSync } from 'child_process';
+import path from 'path';
+
+import { buildDefinitionStats, formatDefinitionStats } from '../src/definition_stats.mjs';
+import { createTempDir, removeTempDir, writeDefinitionsRepo } from './helpers/temp_dir.mjs';
+
+const validDefsPath = path.join('tests', 'test_data', 'valid');
+
+const commonParams = {
+    channel: { key: 'channel', description: 'Channel', enum: ['stable', 'beta'] },
+    unused: { key: 'unused', description: 'Unused', type: 'boolean' },
+};
+const commonSuffixes = {
+    device_type: { key: 'os', description: 'Device type', enum: ['phone', 'tablet'] },
+};
+const nativeExperiments = {
+    activeExperiments: {
+        onboarding: { cohorts: ['control', 'treatment'], metrics: { step: { description: 'Step', enum: ['1', '2'] } } },
+    },
+};
+const pixelDefs = {
+    m_sync_error: {
+        description: 'Sync failed',
+        owners: ['alice', 'bob'],
+        triggers: ['exception'],
+        suffixes: [[{ description: 'Code', enum: ['401', '500'] }, 'device_type'], ['device_type']],
+        parameters: ['channel', { key: 'reason', description: 'Reason', type: 'string' }],
+        expires: '2026-01-20',
+    },
+    m_sync_enabled: {
+        description: 'Sync enabled',
+        owners: ['alice'],
+        privacyReview: ['https://example.com/review'],
+        suffixes: [{ description: 'Source', type: 'string' }],
+        expires: '2026-03-01',
+    },
+    e_ping: {
+        description: 'Ping',
+        owners: ['carol'],
+        triggers: ['scheduled', 'other'],
+        parameters: [{ key: 'count', description: 'Count', type: 'integer' }],
+        expires: '2026-01-01',
+    },
+};
+
+describe('Definition stats', () => {
+    let tempDir;
+
+    beforeEach(() => {
+        tempDir = createTempDir('stats');
+        writeDefinitionsRepo(tempDir, { commonParams, commonSuffixes, nativeExperiments, definitions: { 'pixels.json': pixelDefs } });
+    });
+
+    afterEach(() => {
+        removeTempDir(tempDir);
+    });
+
+    it('summarises owners, triggers, health issues, fan-out, dictionary usage and experiments', () => {
+        const stats = buildDefinitionStats(tempDir, { expiryWarningDays: 30, currentDate: new Date('2026-01-10') });
+
+        expect(stats.summary).to.deep.equal({ pixels: 3, definitionFiles: 1, experiments: 1 });
+        expect(stats.owners).to.deep.equal([
+            { name: 'alice', count: 2 },
+            { name: 'bob', count: 1 },
+            { name: 'carol', count: 1 },
+        ]);
+        expect(stats.triggers).to.deep.equal([
+            { name: 'other', count: 2 },
+            { name: 'exception', count: 1 },
+            { name: 'scheduled', count: 1 },
+        ]);
+        expect(stats.prefixes).to.deep.equal([
+            { name: 'm', count: 2 },
+            { name: 'e', count: 1 },
+        ]);
+        expect(stats.missingPrivacyReview).to.deep.equal(['e_ping', 'm_sync_error']);
+        expect(stats.expiringPixels).to.deep.equal([
+            { name: 'e_ping', expires: '2026-01-01', daysUntilExpiry: -9 },
+            { name: 'm_sync_error', expires: '2026-01-20', daysUntilExpiry: 10 },
+        ]);
+        expect(stats.freeFormParams).to.deep.equal([{ name: 'm_sync_error', params: ['reason'] }]);
+        expect(stats.suffixFanOut).to.deep.equal([
+            { name: 'm_sync_enabled', names: null },
+            { name: 'm_sync_error', names: 6 },
+            { name: 'e_ping', names: 1 },
+        ]);
+        expect(stats.dictionaryUsage).to.deep.equal({
+            params: [
+                { name: 'channel', count: 1 },
+                { name: 'unused', count: 0 },
+            ],
+            suffixes: [{ name: 'device_type', count: 1 }],
+        });
+        expect(stats.experiments).to.deep.equal([{ name: 'onboarding', cohorts: 2, metrics: 1 }]);
+
+        const prefixStats = buildDefinitionStats(tempDir, { expiryWarningDays: 30, prefixDepth: 2 });
+        expect(prefixStats.prefixes).to.deep.equal([
+            { name: 'm_sync', count: 2 },
+            { name: 'e_ping', count: 1 },
+        ]);
+    });
+
+    it('formats stats as text', () => {
+        const stats = buildDefinitionStats(tempDir, { expiryWarningDays: 30, currentDate: new Date('2026-01-10') });
+        const lines = formatDefinitionStats(stats, 'text').split('\n');
+
+        expect(lines[0]).to.equal('3 pixel(s) in 1 definition file(s), 1 native experiment(s)');
+        expect(lines).to.include.members([
+            'Missing privacyReview (2):',
+            '    e_ping: expired on 2026-01-01',
+            '    m_sync_error: expires in 10 day(s) on 2026-01-20',
+            'Free-form params (1):',
+            '    m_sync_error: reason',
+            '    m_sync_enabled: unbounded',
+            '    unused: 0',
+            '    onboarding: 2 cohort(s), 1 metric(s)',
+        ]);
+
+        const noExpiry = buildDefinitionStats(tempDir, { expiryWarningDays: 0, currentDate: new Date('2025-01-01') });
+        expect(formatDefinitionStats(noExpiry, 'text')).to.include('\nExpired or expiring soon: none\n');
+    });
+
+    it('reports stats as JSON from the CLI', function () {
+        this.timeout(10000);
+        const result = spawnSync('node', ['./bin/report_stats.mjs', validDefsPath, '--format', 'json'], { encoding: 'utf8' });
+
+        expect(result.status, result.stderr).to.equal(0);
+        const stats = JSON.parse(result.stdout);
+        expect(stats.summary).to.deep.equal({ pixels: 7, definitionFiles: 2, experiments: 1 });
+        expect(stats.freeFormParams).to.deep.equal([{ name: 'm_my_first_pixel', params: ['blocked_trackers'] }]);
+        expect(stats.experiments).to.deep.equal([{ name: 'defaultBrowser', cohorts: 4, metrics: 2 }]);
+    });
+});
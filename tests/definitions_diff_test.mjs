@@ -0,0 +1,285 @@
+import { expect } from 'chai';
+import path from 'path';
+
+import { CHANGE_KINDS } from '../src/constants.mjs';
+import { compareDefinitions, compareSchemas, formatChanges } from '../src/definitions_diff.mjs';
+import { loadResolvedDefinitions } from '../src/definitions_loader.mjs';
+
+const validDefsPath = path.join('tests', 'test_data', 'valid');
+
+function getSchemaChanges(oldSchema, newSchema) {
+    const changes = [];
+    compareSchemas(oldSchema, newSchema, 'value', (kind, at, message) => changes.push({ kind, path: at, message }));
+    return changes;
+}
+
+function pixel(overrides = {}) {
+    return { description: 'A pixel', owners: ['owner'], parameters: [], suffixes: [], suffixUnits: [], file: 'pixels.json', ...overrides };
+}
+
+function suffix(schema, optional = false) {
+    return { tokens: [schema], optional, spans: [1] };
+}
+
+function getSuffixChanges(oldUnits, newUnits) {
+    const changes = compareDefinitions(
+        { pixels: { m_p: pixel({ suffixUnits: oldUnits }) }, wideEvents: {} },
+        { pixels: { m_p: pixel({ suffixUnits: newUnits }) }, wideEvents: {} },
+    );
+    return changes.map(({ kind, path, message }) => ({ kind, path, message }));
+}
+
+describe('compareSchemas', () => {
+    it('reports nothing for identical schemas or documentation changes', () => {
+        const schema = { type: 'string', enum: ['a', 'b'], description: 'old' };
+        expect(getSchemaChanges(schema, { ...schema, description: 'new', examples: ['a'] })).to.be.empty;
+    });
+
+    it('classifies type changes', () => {
+        expect(getSchemaChanges({ type: 'string' }, { type: 'integer' })[0].kind).to.equal(CHANGE_KINDS.BREAKING);
+        expect(getSchemaChanges({ type: 'integer' }, { type: ['integer', 'string'] })[0].kind).to.equal(CHANGE_KINDS.COMPATIBLE);
+    });
+
+    it('classifies enum changes', () => {
+        expect(getSchemaChanges({ enum: ['a', 'b'] }, { enum: ['a', 'b', 'c'] })).to.deep.equal([
+            { kind: CHANGE_KINDS.COMPATIBLE, path: 'value', message: 'values added: "c"' },
+        ]);
+        expect(getSchemaChanges({ enum: ['a', 'b'] }, { enum: ['a'] })).to.deep.equal([
+            { kind: CHANGE_KINDS.BREAKING, path: 'value', message: 'values removed: "b"' },
+        ]);
+        expect(getSchemaChanges({}, { enum: ['a'] })[0].kind).to.equal(CHANGE_KINDS.BREAKING);
+        expect(getSchemaChanges({ enum: ['a'] }, {})[0].kind).to.equal(CHANGE_KINDS.COMPATIBLE);
+    });
+
+    it('classifies constraint changes', () => {
+        const old = { type: 'integer', minimum: 0, maximum: 100 };
+        expect(getSchemaChanges(old, { ...old, maximum: 50 })[0].kind).to.equal(CHANGE_KINDS.BREAKING);
+        expect(getSchemaChanges(old, { ...old, maximum: 200 })[0].kind).to.equal(CHANGE_KINDS.COMPATIBLE);
+        expect(getSchemaChanges(old, { ...old, minimum: 1 })[0].kind).to.equal(CHANGE_KINDS.BREAKING);
+        expect(getSchemaChanges(old, { type: 'integer', minimum: 0 })[0].kind).to.equal(CHANGE_KINDS.COMPATIBLE);
+        expect(getSchemaChanges({}, { pattern: '^[a-z]+$' })[0].kind).to.equal(CHANGE_KINDS.BREAKING);
+        expect(getSchemaChanges({ format: 'date' }, {})[0].kind).to.equal(CHANGE_KINDS.COMPATIBLE);
+    });
+
+    it('classifies property changes and recurses into nested schemas', () => {
+        const old = {
+            type: 'object',
+            required: ['a'],
+            properties: { a: { type: 'string' }, b: { type: 'array', items: { enum: ['x', 'y'] } } },
+        };
+        const updated = {
+            type: 'object',
+            required: ['b', 'd'],
+            properties: { b: { type: 'array', items: { enum: ['x'] } }, c: { type: 'string' }, d: { type: 'string' } },
+        };
+        expect(getSchemaChanges(old, updated)).to.deep.equal([
+            { kind: CHANGE_KINDS.BREAKING, path: 'value.a', message: 'property removed' },
+            { kind: CHANGE_KINDS.BREAKING, path: 'value.b[]', message: 'values removed: "y"' },
+            { kind: CHANGE_KINDS.ADDITIVE, path: 'value.c', message: 'property added' },
+            { kind: CHANGE_KINDS.BREAKING, path: 'value.d', message: 'required property added' },
+            { kind: CHANGE_KINDS.BREAKING, path: 'value.b', message: 'property is now required' },
+        ]);
+    });
+});
+
+describe('compareDefinitions', () => {
+    it('classifies added and removed pixels and wide events', () => {
+        const changes = compareDefinitions(
+            { pixels: { m_old: pixel() }, wideEvents: { w_old: {} } },
+            { pixels: { m_new: pixel() }, wideEvents: { w_new: {} } },
+        );
+        expect(changes.map(({ kind, type, name }) => `${kind} ${type} ${name}`)).to.deep.equal([
+            'breaking pixel m_old',
+            'additive pixel m_new',
+            'breaking wide_event w_old',
+            'additive wide_event w_new',
+        ]);
+    });
+
+    it('compares parameters by key', () => {
+        const oldPixel = pixel({
+            parameters: [
+                { key: 'count', type: 'integer', maximum: 10 },
+                { key: 'removed', type: 'string' },
+                { keyPattern: '^param[0-9]$', type: 'string' },
+            ],
+        });
+        const newPixel = pixel({
+            parameters: [
+                { keyPattern: '^param[0-9]$', type: 'string' },
+                { key: 'count', type: 'integer', maximum: 20 },
+                { key: 'added', type: 'boolean' },
+            ],
+        });
+        const changes = compareDefinitions({ pixels: { m_p: oldPixel }, wideEvents: {} }, { pixels: { m_p: newPixel }, wideEvents: {} });
+        expect(changes.map(({ kind, path, message }) => ({ kind, path, message }))).to.deep.equal([
+            { kind: CHANGE_KINDS.COMPATIBLE, path: 'parameters.count', message: 'maximum changed from 10 to 20' },
+            { kind: CHANGE_KINDS.BREAKING, path: 'parameters.removed', message: 'parameter removed' },
+            { kind: CHANGE_KINDS.ADDITIVE, path: 'parameters.added', message: 'parameter added' },
+        ]);
+    });
+
+    it('reports params becoming required as breaking', () => {
+        const oldPixel = pixel({
+            parameters: [
+                { key: 'count', type: 'integer' },
+                { key: 'appVersion', type: 'string', required: true },
+            ],
+        });
+        const newPixel = pixel({
+            parameters: [
+                { key: 'count', type: 'integer', required: true },
+                { key: 'appVersion', type: 'string' },
+                { key: 'added', type: 'boolean', required: true },
+            ],
+        });
+        const changes = compareDefinitions({ pixels: { m_p: oldPixel }, wideEvents: {} }, { pixels: { m_p: newPixel }, wideEvents: {} });
+        expect(changes.map(({ kind, path, message }) => ({ kind, path, message }))).to.deep.equal([
+            { kind: CHANGE_KINDS.BREAKING, path: 'parameters.count', message: 'parameter is now required' },
+            { kind: CHANGE_KINDS.COMPATIBLE, path: 'parameters.appVersion', message: 'parameter is no longer required' },
+            { kind: CHANGE_KINDS.BREAKING, path: 'parameters.added', message: 'required parameter added' },
+        ]);
+    });
+
+    it('compares conditional parameters by suffix value', () => {
+        const errorParams = (parameters) => ({ suffix: 1, equals: 'error', parameters });
+        const oldPixel = pixel({
+            conditionalParameters: [errorParams([{ key: 'code', type: 'integer' }]), { suffix: 1, equals: 'timeout', parameters: [] }],
+        });
+        const newPixel = pixel({
+            conditionalParameters: [
+                errorParams([{ key: 'code', type: 'string' }]),
+                { suffix: 2, equals: 'retry', parameters: [{ key: 'attempt', type: 'integer' }] },
+                { suffix: 1, equals: 'crash', parameters: [{ key: 'stack', type: 'string', required: true }] },
+            ],
+        });
+        const changes = compareDefinitions({ pixels: { m_p: oldPixel }, wideEvents: {} }, { pixels: { m_p: newPixel }, wideEvents: {} });
+        expect(changes.map(({ kind, path, message }) => ({ kind, path, message }))).to.deep.equal([
+            {
+                kind: CHANGE_KINDS.BREAKING,
+                path: 'conditionalParameters[suffix 1 = error].code',
+                message: 'type changed from "integer" to "string"',
+            },
+            { kind: CHANGE_KINDS.BREAKING, path: 'conditionalParameters[suffix 1 = timeout]', message: 'conditional parameters removed' },
+            { kind: CHANGE_KINDS.ADDITIVE, path: 'conditionalParameters[suffix 2 = retry]', message: 'conditional parameters added' },
+            {
+                kind: CHANGE_KINDS.BREAKING,
+                path: 'conditionalParameters[suffix 1 = crash]',
+                message: 'conditional parameters with required parameters added',
+            },
+        ]);
+    });
+
+    it('compares suffix alternatives suffix by suffix', () => {
+        const kept = [suffix({ enum: ['phone', 'tablet'] })];
+        const changes = getSuffixChanges(
+            [kept, [suffix({ enum: ['a', 'b'] }), suffix({ type: 'string' })]],
+            [[suffix({ enum: ['a', 'b', 'c'] })], kept, [suffix({ enum: ['new'] })]],
+        );
+        expect(changes).to.deep.equal([
+            { kind: CHANGE_KINDS.COMPATIBLE, path: 'suffixes[1][0]', message: 'values added: "c"' },
+            { kind: CHANGE_KINDS.BREAKING, path: 'suffixes[1][1]', message: 'suffix removed' },
+            { kind: CHANGE_KINDS.ADDITIVE, path: 'suffixes[2]', message: 'suffix alternative added' },
+        ]);
+    });
+
+    it('compares edited suffix alternatives with the ones most alike', () => {
+        const result = { enum: ['success', 'failure'] };
+        const count = suffix({ type: 'integer' });
+        const changes = getSuffixChanges(
+            [[suffix({ enum: ['phone', 'tablet'] })], [suffix(result), count]],
+            [[suffix({ enum: [...result.enum, 'timeout'] }), count]],
+        );
+        expect(changes).to.deep.equal([
+            { kind: CHANGE_KINDS.BREAKING, path: 'suffixes[0]', message: 'suffix alternative removed' },
+            { kind: CHANGE_KINDS.COMPATIBLE, path: 'suffixes[1][0]', message: 'values added: "timeout"' },
+        ]);
+    });
+
+    it('treats suffixes added at the end of a sequence as additive', () => {
+        const device = suffix({ enum: ['phone', 'tablet'] });
+        const os = suffix({ enum: ['android', 'ios'] });
+        expect(getSuffixChanges([[device]], [[device, os]])).to.deep.equal([
+            { kind: CHANGE_KINDS.ADDITIVE, path: 'suffixes[0][1]', message: 'suffix added' },
+        ]);
+    });
+
+    it('treats required suffixes added before existing ones as breaking', () => {
+        const device = suffix({ enum: ['phone', 'tablet'] });
+        const os = { enum: ['android', 'ios'] };
+        expect(getSuffixChanges([[device]], [[suffix(os), device]])).to.deep.equal([
+            { kind: CHANGE_KINDS.BREAKING, path: 'suffixes[0][0]', message: 'required suffix added' },
+        ]);
+        expect(getSuffixChanges([[device]], [[suffix(os, true), device]])).to.deep.equal([
+            { kind: CHANGE_KINDS.ADDITIVE, path: 'suffixes[0][0]', message: 'optional suffix added' },
+        ]);
+    });
+
+    it('classifies optional suffixes made required and the other way around', () => {
+        const device = suffix({ enum: ['phone', 'tablet'] });
+        const os = { enum: ['android', 'ios'] };
+        expect(getSuffixChanges([[suffix(os, true), device]], [[suffix(os), device]])).to.deep.equal([
+            { kind: CHANGE_KINDS.BREAKING, path: 'suffixes[0][0]', message: 'suffix is now required' },
+        ]);
+        expect(getSuffixChanges([[suffix(os), device]], [[suffix(os, true), device]])).to.deep.equal([
+            { kind: CHANGE_KINDS.COMPATIBLE, path: 'suffixes[0][0]', message: 'suffix is now optional' },
+        ]);
+    });
+
+    it('treats wide event version bumps as compatible', () => {
+        const schema = (version) => ({ type: 'object', properties: { meta: { properties: { version: { const: version } } } } });
+        const changes = compareDefinitions(
+            { pixels: {}, wideEvents: { w_e: schema('1.0.0') } },
+            { pixels: {}, wideEvents: { w_e: schema('1.1.0') } },
+        );
+        expect(changes).to.deep.equal([
+            {
+                kind: CHANGE_KINDS.COMPATIBLE,
+                type: 'wide_event',
+                name: 'w_e',
+                path: 'meta.version',
+                message: 'version changed from "1.0.0" to "1.1.0"',
+            },
+        ]);
+    });
+});
+
+describe('loadResolvedDefinitions', () => {
+    it('expands shortcuts in pixels and generates wide event schemas', () => {
+        const { pixels, wideEvents } = loadResolvedDefinitions(validDefsPath);
+
+        const firstPixel = pixels.m_my_first_pixel;
+        expect(firstPixel.file).to.equal(path.join(validDefsPath, 'pixels', 'definitions', 'pixel_guide.json5'));
+        expect(firstPixel.parameters.find((param) => param.key === 'appVersion')).to.include({ type: 'string' });
+        expect(firstPixel.suffixes).to.have.lengthOf(1);
+        expect(firstPixel.suffixes[0]).to.have.lengthOf(5);
+        expect(firstPixel.suffixUnits[0].map(({ tokens }) => tokens.length)).to.deep.equal([1, 2, 2]);
+        expect(wideEvents).to.have.property('w_wide_import_bookmarks');
+        expect(compareDefinitions({ pixels, wideEvents }, loadResolvedDefinitions(validDefsPath))).to.be.empty;
+    });
+});
+
+describe('formatChanges', () => {
+    const changes = [
+        { kind: CHANGE_KINDS.ADDITIVE, type: 'pixel', name: 'm_new', path: '', message: 'pixel added' },
+        { kind: CHANGE_KINDS.BREAKING, type: 'pixel', name: 'm_p', path: 'parameters.count', message: 'parameter removed' },
+    ];
+
+    it('groups changes by kind in text format', () => {
+        expect(formatChanges(changes, 'text')).to.equal(
+            [
+                'Breaking changes (1):',
+                '    pixel m_p parameters.count: parameter removed',
+                'Additive changes (1):',
+                '    pixel m_new: pixel added',
+                '1 additive, 0 compatible, 1 breaking',
+            ].join('\n'),
+        );
+    });
+
+    it('includes a summary in json format', () => {
+        const report = JSON.parse(formatChanges(changes, 'json'));
+        expect(report.summary).to.deep.equal({ additive: 1, compatible: 0, breaking: 1 });
+        expect(report.changes).to.deep.equal(changes);
+    });
+});
@@ -0,0 +1,52 @@
+/**
+ * Helpers for tests that write files (definitions, generated output...) to a temporary directory
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * @typedef {Object} DefinitionsRepo
+ * @property {Record<string, any>} [commonParams] - contents of params_dictionary.json
+ * @property {Record<string, any>} [commonSuffixes] - contents of suffixes_dictionary.json
+ * @property {object} [nativeExperiments] - contents of native_experiments.json, left out if not set
+ * @property {Record<string, object|string>} [definitions] - definition files in pixels/definitions, keyed by file name.
+ * Objects are written as JSON, strings as they are.
+ */
+
+/**
+ * @param {string} label - identifies the tests using the directory
+ * @returns {string} path to a new empty directory
+ */
+export function createTempDir(label) {
+    return fs.mkdtempSync(path.join(os.tmpdir(), `pixel-schema-${label}-`));
+}
+
+/**
+ * @param {string} tempDir - directory created by createTempDir
+ */
+export function removeTempDir(tempDir) {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+}
+
+/**
+ * Writes a definitions repo in the pixels/definitions layout
+ * @param {string} mainDir - directory to write the pixels folder to
+ * @param {DefinitionsRepo} repo
+ */
+export function writeDefinitionsRepo(mainDir, { commonParams = {}, commonSuffixes = {}, nativeExperiments, definitions = {} }) {
+    const pixelsDir = path.join(mainDir, 'pixels');
+    /**
+     * @param {string} filePath
+     * @param {object|string} contents
+     */
+    const write = (filePath, contents) => {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, typeof contents === 'string' ? contents : JSON.stringify(contents, null, 4));
+    };
+
+    write(path.join(pixelsDir, 'params_dictionary.json'), commonParams);
+    write(path.join(pixelsDir, 'suffixes_dictionary.json'), commonSuffixes);
+    if (nativeExperiments) write(path.join(pixelsDir, 'native_experiments.json'), nativeExperiments);
+    Object.entries(definitions).forEach(([fileName, contents]) => write(path.join(pixelsDir, 'definitions', fileName), contents));
+}
@@ -24,17 +24,17 @@ describe('Invalid defs without user map', () => {
                 "ERROR in native_experiments.json: /activeExperiments/invalidExperiment must have required property 'metrics'",
                 "ERROR in search_experiments.json: /expInvalidA must have required property 'variants'",
                 "ERROR in search_experiments.json: /expInvalidB must have required property 'description'",
-                `ERROR in ${pixelPath}: Invalid property name 'experiment.invalid'. If this is a pixel:`,
+                `ERROR in ${pixelPath}:3:5: Invalid property name 'experiment.invalid'. If this is a pixel:`,
                 "\t* pixel names must not contain '.' --> use '_' instead",
                 "\t* experiments must be defined in the 'native_experiments.json' file",
-                `ERROR in ${pixelPath}: /invalid_pixel must have required property 'description'`,
-                `ERROR in ${pixelPath}: /invalid_pixel must have required property 'owners'`,
-                `ERROR in ${wideEventsPath}: w_wide_import_summary: Generated schema does not match metaschema - /properties/global/properties must have required property 'platform'; /properties/global/properties must have required property 'type'; /properties/global/properties must NOT have additional properties. Found extra property 'platform2'; /properties/global/properties/sample_rate must have required property 'maximum'; /properties/global/properties/sample_rate/minimum must be equal to constant; /properties/feature/properties/status must have required property 'enum'; /properties/feature/properties/data/properties must NOT have additional properties. Found extra property 'latency_ms_bucketed'; /properties/feature/properties/data/properties must NOT have additional properties. Found extra property 'failure_detail'`,
-                `ERROR in ${wideEventsPath}: w_wide_import_bookmarks: Generated schema does not match metaschema - /properties/global/properties must have required property 'platform'; /properties/global/properties must have required property 'type'; /properties/global/properties must NOT have additional properties. Found extra property 'platform2'; /properties/global/properties/sample_rate must have required property 'maximum'; /properties/global/properties/sample_rate/minimum must be equal to constant; /properties/feature/properties/data/properties must NOT have additional properties. Found extra property 'latency_ms_bucketed'; /properties/feature/properties/data/properties must NOT have additional properties. Found extra property 'failure_detail'`,
-                `ERROR in ${wideEventsPath}: w_wide_import_credentials: Generated schema does not match metaschema - /properties/global/properties must have required property 'platform'; /properties/global/properties must have required property 'type'; /properties/global/properties must NOT have additional properties. Found extra property 'platform2'; /properties/global/properties/sample_rate must have required property 'maximum'; /properties/global/properties/sample_rate/minimum must be equal to constant; /properties/feature/properties/name/enum/0 must be string; /properties/feature/properties/status must have required property 'enum'; /properties/feature/properties/data/properties must NOT have additional properties. Found extra property 'latency_ms_bucketed'; /properties/feature/properties/data/properties must NOT have additional properties. Found extra property 'failure_detail'`,
-                `ERROR in ${wideEventsPath}: w_wide_import_credentials: Generated schema is not valid JSON Schema - Cannot read properties of undefined (reading 'replace')`,
-                `ERROR in ${wideEventsPath}: w_wide_import_timeout: Generated schema does not match metaschema - /properties/global/properties must have required property 'platform'; /properties/global/properties must have required property 'type'; /properties/global/properties must NOT have additional properties. Found extra property 'platform2'; /properties/global/properties/sample_rate must have required property 'maximum'; /properties/global/properties/sample_rate/minimum must be equal to constant; /properties/feature/properties/data/properties must NOT have additional properties. Found extra property 'failure_detail'`,
-                `ERROR in ${wideEventsPath}: w_wide_import_cancelled: Generated schema does not match metaschema - /properties/global/properties must have required property 'platform'; /properties/global/properties must have required property 'type'; /properties/global/properties must NOT have additional properties. Found extra property 'platform2'; /properties/global/properties/sample_rate must have required property 'maximum'; /properties/global/properties/sample_rate/minimum must be equal to constant`,
+                `ERROR in ${pixelPath}:2:5: /invalid_pixel must have required property 'description'`,
+                `ERROR in ${pixelPath}:2:5: /invalid_pixel must have required property 'owners'`,
+                `ERROR in ${wideEventsPath}:2:5: w_wide_import_summary: Generated schema does not match metaschema - /properties/global/properties must have required property 'platform'; /properties/global/properties must have required property 'type'; /properties/global/properties must NOT have additional properties. Found extra property 'platform2'; /properties/global/properties/sample_rate must have required property 'maximum'; /properties/global/properties/sample_rate/minimum must be equal to constant; /properties/feature/properties/status must have required property 'enum'; /properties/feature/properties/data/properties must NOT have additional properties. Found extra property 'latency_ms_bucketed'; /properties/feature/properties/data/properties must NOT have additional properties. Found extra property 'failure_detail'`,
+                `ERROR in ${wideEventsPath}:71:5: w_wide_import_bookmarks: Generated schema does not match metaschema - /properties/global/properties must have required property 'platform'; /properties/global/properties must have required property 'type'; /properties/global/properties must NOT have additional properties. Found extra property 'platform2'; /properties/global/properties/sample_rate must have required property 'maximum'; /properties/global/properties/sample_rate/minimum must be equal to constant; /properties/feature/properties/data/properties must NOT have additional properties. Found extra property 'latency_ms_bucketed'; /properties/feature/properties/data/properties must NOT have additional properties. Found extra property 'failure_detail'`,
+                `ERROR in ${wideEventsPath}:120:5: w_wide_import_credentials: Generated schema does not match metaschema - /properties/global/properties must have required property 'platform'; /properties/global/properties must have required property 'type'; /properties/global/properties must NOT have additional properties. Found extra property 'platform2'; /properties/global/properties/sample_rate must have required property 'maximum'; /properties/global/properties/sample_rate/minimum must be equal to constant; /properties/feature/properties/name/enum/0 must be string; /properties/feature/properties/status must have required property 'enum'; /properties/feature/properties/data/properties must NOT have additional properties. Found extra property 'latency_ms_bucketed'; /properties/feature/properties/data/properties must NOT have additional properties. Found extra property 'failure_detail'`,
+                `ERROR in ${wideEventsPath}:120:5: w_wide_import_credentials: Generated schema is not valid JSON Schema - Cannot read properties of undefined (reading 'replace')`,
+                `ERROR in ${wideEventsPath}:171:5: w_wide_import_timeout: Generated schema does not match metaschema - /properties/global/properties must have required property 'platform'; /properties/global/properties must have required property 'type'; /properties/global/properties must NOT have additional properties. Found extra property 'platform2'; /properties/global/properties/sample_rate must have required property 'maximum'; /properties/global/properties/sample_rate/minimum must be equal to constant; /properties/feature/properties/data/properties must NOT have additional properties. Found extra property 'failure_detail'`,
+                `ERROR in ${wideEventsPath}:216:5: w_wide_import_cancelled: Generated schema does not match metaschema - /properties/global/properties must have required property 'platform'; /properties/global/properties must have required property 'type'; /properties/global/properties must NOT have additional properties. Found extra property 'platform2'; /properties/global/properties/sample_rate must have required property 'maximum'; /properties/global/properties/sample_rate/minimum must be equal to constant`,
             ];
 
             const errors = stderr.trim().split('\n');
@@ -54,7 +54,7 @@ describe('Invalid owner with user map', () => {
 
             // All of these should be present in the output
             const expectedErrors = [
-                `ERROR in ${pixelPath}: Owner username_not_in_user_map for pixel pixel_with_invalid_owner not in list of acceptable github user names`,
+                `ERROR in ${pixelPath}:4:20: Owner username_not_in_user_map for pixel pixel_with_invalid_owner not in list of acceptable github user names`,
             ];
 
             const errors = stderr.trim().split('\n');
@@ -0,0 +1,125 @@
+import { expect } from 'chai';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+import * as fileUtils from '../src/file_utils.mjs';
+import { applyLayoutMoves, diffValidationFindings, planLayoutMigration, revertLayoutMoves } from '../src/layout_migration.mjs';
+import { createTempDir, removeTempDir } from './helpers/temp_dir.mjs';
+
+const validDefsPath = path.join('tests', 'test_data', 'valid');
+
+/**
+ * Copies the valid test data, moving config files next to the pixels folder and definitions into it
+ * @param {string} tempDir
+ */
+function createLegacyDefsCopy(tempDir) {
+    fs.cpSync(validDefsPath, tempDir, { recursive: true });
+    const configDir = path.join(tempDir, 'pixels');
+    const legacyConfigDir = path.join(tempDir, 'legacy_config');
+    fs.renameSync(configDir, legacyConfigDir);
+    fs.renameSync(path.join(legacyConfigDir, 'definitions'), configDir);
+    fs.readdirSync(legacyConfigDir).forEach((entry) => fs.renameSync(path.join(legacyConfigDir, entry), path.join(tempDir, entry)));
+    fs.rmdirSync(legacyConfigDir);
+}
+
+describe('Layout migration', () => {
+    let tempDir;
+
+    beforeEach(() => {
+        tempDir = createTempDir('layout');
+        createLegacyDefsCopy(tempDir);
+    });
+
+    afterEach(() => {
+        removeTempDir(tempDir);
+    });
+
+    it('plans moves for definitions, config files and generated output', () => {
+        const moves = planLayoutMigration(tempDir).map(({ from, to }) => [path.relative(tempDir, from), path.relative(tempDir, to)]);
+
+        expect(moves).to.deep.equal([
+            ['pixels/pixel_guide.json5', 'pixels/definitions/pixel_guide.json5'],
+            ['pixels/pixel_subfolder', 'pixels/definitions/pixel_subfolder'],
+            ['params_dictionary.json', 'pixels/params_dictionary.json'],
+            ['suffixes_dictionary.json', 'pixels/suffixes_dictionary.json'],
+            ['ignore_params.json', 'pixels/ignore_params.json'],
+            ['native_experiments.json', 'pixels/native_experiments.json'],
+            ['search_experiments.json', 'pixels/search_experiments.json'],
+            ['search_pixels.json', 'pixels/search_pixels.json'],
+            ['pixel_processing_results', 'pixels/pixel_processing_results'],
+        ]);
+
+        fs.rmSync(path.join(tempDir, 'pixels'), { recursive: true });
+        expect(() => planLayoutMigration(tempDir)).to.throw(`${path.join(tempDir, 'pixels')} does not exist`);
+    });
+
+    it('applies and reverts moves', () => {
+        const moves = planLayoutMigration(tempDir);
+
+        applyLayoutMoves(moves);
+        expect(fileUtils.resolvePixelsDirs(tempDir)).to.deep.equal({
+            pixelsConfigDir: path.join(tempDir, 'pixels'),
+            pixelDefsDir: path.join(tempDir, 'pixels', 'definitions'),
+        });
+        expect(fs.existsSync(path.join(tempDir, 'pixels', 'definitions', 'pixel_subfolder', 'test_pixels.json'))).to.equal(true);
+        expect(fs.existsSync(path.join(tempDir, 'pixels', 'params_dictionary.json'))).to.equal(true);
+        expect(fs.existsSync(path.join(tempDir, 'product.json'))).to.equal(true);
+        expect(() => planLayoutMigration(tempDir)).to.throw('already uses the pixels/definitions layout');
+
+        revertLayoutMoves(moves);
+        expect(fileUtils.resolvePixelsDirs(tempDir).pixelDefsDir).to.equal(path.join(tempDir, 'pixels'));
+        expect(planLayoutMigration(tempDir)).to.deep.equal(moves);
+    });
+
+    it('compares validation findings across moved files', () => {
+        const moves = planLayoutMigration(tempDir);
+        const legacyDefsDir = path.join(tempDir, 'pixels');
+        const finding = { ruleId: 'schema', severity: 'error', name: 'm_a', message: 'invalid' };
+        const before = [
+            { ...finding, file: path.join(tempDir, 'pixels', 'pixel_subfolder', 'test_pixels.json') },
+            { ...finding, file: path.join(tempDir, 'params_dictionary.json'), name: '' },
+            { ...finding, file: legacyDefsDir, ruleId: 'ambiguous-pixel-name' },
+        ];
+        const after = [
+            { ...finding, file: path.join(tempDir, 'pixels', 'definitions', 'pixel_subfolder', 'test_pixels.json') },
+            { ...finding, file: path.join(tempDir, 'pixels', 'params_dictionary.json'), name: '' },
+            { ...finding, file: path.join(tempDir, 'pixels', 'definitions'), ruleId: 'ambiguous-pixel-name' },
+        ];
+
+        expect(diffValidationFindings(before, after, moves, legacyDefsDir)).to.deep.equal([]);
+        expect(diffValidationFindings(before, [after[0], after[0], after[2]], moves, legacyDefsDir)).to.deep.equal([
+            `+ error [schema] ${after[0].file} m_a: invalid`,
+            `- error [schema] ${before[1].file}: invalid`,
+        ]);
+    });
+
+    it('compares validation findings about config files that do not exist', () => {
+        fs.rmSync(path.join(tempDir, 'search_experiments.json'));
+        const moves = planLayoutMigration(tempDir);
+        const finding = { ruleId: 'schema', severity: 'error', name: '', message: 'must be object' };
+
+        const before = [{ ...finding, file: path.join(tempDir, 'search_experiments.json') }];
+        const after = [{ ...finding, file: path.join(tempDir, 'pixels', 'search_experiments.json') }];
+        expect(diffValidationFindings(before, after, moves, path.join(tempDir, 'pixels'))).to.deep.equal([]);
+    });
+
+    it('migrates a legacy repo from the CLI', function () {
+        this.timeout(20000);
+        const result = spawnSync('node', ['./bin/migrate_layout.mjs', tempDir], { encoding: 'utf8' });
+
+        expect(result.status, result.stderr).to.equal(0);
+        expect(result.stdout).to.include('Moved 9 file(s) and folder(s); validation results are unchanged');
+        expect(fs.existsSync(path.join(tempDir, 'pixels', 'definitions', 'pixel_guide.json5'))).to.equal(true);
+
+        const validation = spawnSync('node', ['./bin/validate_schema.mjs', tempDir], { encoding: 'utf8' });
+        expect(validation.status).to.equal(0);
+        expect(validation.stdout).to.include(
+            `Validating pixels definition: ${path.join(tempDir, 'pixels', 'definitions', 'pixel_guide.json5')}`,
+        );
+
+        const rerun = spawnSync('node', ['./bin/migrate_layout.mjs', tempDir], { encoding: 'utf8' });
+        expect(rerun.status).to.equal(1);
+        expect(rerun.stderr).to.include('already uses the pixels/definitions layout');
+    });
+});
@@ -1,7 +1,12 @@
 import { expect } from 'chai';
+import fs from 'fs';
+import JSON5 from 'json5';
+import path from 'path';
+import zlib from 'zlib';
 
 import { tokenizePixelDefs } from '../src/tokenizer.mjs';
 import { LivePixelsValidator } from '../src/live_pixel_validator.mjs';
+import { PARAM_ENCODINGS } from '../src/param_encodings.mjs';
 import { ParamsValidator } from '../src/params_validator.mjs';
 import { PIXEL_DELIMITER, PIXEL_VALIDATION_RESULT } from '../src/constants.mjs';
 
@@ -307,6 +312,171 @@ describe('Base64 simple param', () => {
     });
 });
 
+describe('Param encodings', () => {
+    const paramsValidator = new ParamsValidator({}, {}, {});
+    const prefix = 'encodedPixel';
+    const stateSchema = { type: 'object', properties: { enabled: { type: 'boolean' } }, additionalProperties: false };
+    const pixelDefs = {
+        encodedPixel: {
+            parameters: [
+                { key: 'urlsafe', type: 'string', pattern: '^[?>]+$', encoding: 'base64url' },
+                { key: 'state', ...stateSchema, encoding: 'gzip+base64' },
+                { key: 'count', type: 'integer', encoding: 'json' },
+                { key: 'query', type: 'string', const: 'a b&c', encoding: 'double-url' },
+                { key: 'flag', type: 'boolean', encoding: 'base64' },
+            ],
+        },
+    };
+
+    const tokenizedDefs = {};
+    tokenizePixelDefs(pixelDefs, tokenizedDefs);
+    const liveValidator = new LivePixelsValidator(tokenizedDefs, productDef, {}, paramsValidator);
+
+    it('decodes values with the encoding of their param', () => {
+        const params = new URLSearchParams({
+            urlsafe: Buffer.from('??>>').toString('base64url'),
+            state: zlib.gzipSync(JSON.stringify({ enabled: true })).toString('base64'),
+            count: '3',
+            query: encodeURIComponent('a b&c'),
+        });
+        const pixelStatus = liveValidator.validatePixel(prefix, params.toString());
+        expect(pixelStatus.errors).to.be.empty;
+        expect(pixelStatus.status).to.equal(PIXEL_VALIDATION_RESULT.VALIDATION_PASSED);
+    });
+
+    it('restores plus signs of base64 values that were not URL encoded', () => {
+        const encoded = Buffer.from('true>>').toString('base64');
+        expect(encoded).to.include('+');
+        const pixelStatus = liveValidator.validatePixel(prefix, `flag=${encoded}`);
+        expect(pixelStatus.errors.map((e) => e.error)).to.deep.equal(['/flag must be boolean']);
+    });
+
+    it('accepts URL-safe characters in base64 values', () => {
+        const encoded = Buffer.from('true>>').toString('base64url');
+        expect(encoded).to.include('-');
+        const pixelStatus = liveValidator.validatePixel(prefix, `flag=${encoded}`);
+        expect(pixelStatus.errors.map((e) => e.error)).to.deep.equal(['/flag must be boolean']);
+    });
+
+    it('reports values that cannot be decoded as validation errors', () => {
+        const params = [
+            'urlsafe=a+b',
+            `state=${Buffer.from('not gzipped').toString('base64')}`,
+            'count=three',
+            'query=%25E0%25A4%25A',
+            `flag=${Buffer.from([0xff, 0xfe]).toString('base64')}`,
+        ].join('&');
+        const pixelStatus = liveValidator.validatePixel(prefix, params);
+        expect(pixelStatus.status).to.equal(PIXEL_VALIDATION_RESULT.VALIDATION_FAILED);
+        expect(pixelStatus.errors).to.deep.equal(
+            [
+                "Failed to decode param 'urlsafe' as base64url: not valid base64url",
+                "Failed to decode param 'state' as gzip+base64: not valid gzip data",
+                "Failed to decode param 'count' as json: not valid JSON",
+                "Failed to decode param 'query' as double-url: malformed URL escape sequence",
+                "Failed to decode param 'flag' as base64: decoded bytes are not valid UTF-8",
+            ].map((error) => ({ error, example: params })),
+        );
+    });
+
+    it('registers every encoding allowed by the param schema', () => {
+        const paramSchema = JSON5.parse(fs.readFileSync(path.join('schemas', 'param_schema.json5'), 'utf8'));
+        const { encoding } = paramSchema.$defs.param.anyOf[0].properties;
+        expect(encoding.enum).to.have.members(Object.keys(PARAM_ENCODINGS));
+    });
+});
+
+describe('Required params', () => {
+    const commonParams = {
+        channel: { key: 'channel', description: 'Channel', enum: ['stable', 'beta'], required: true },
+    };
+    const paramsValidator = new ParamsValidator(commonParams, {}, {});
+    const prefix = 'requiredPixel';
+    const pixelDefs = {
+        requiredPixel: {
+            parameters: [
+                'channel',
+                { key: 'count', type: 'integer', required: true },
+                { key: 'state', type: 'object', encoding: 'base64', required: true },
+                { key: 'reason', type: 'string', required: false },
+            ],
+        },
+    };
+
+    const tokenizedDefs = {};
+    tokenizePixelDefs(pixelDefs, tokenizedDefs);
+    const liveValidator = new LivePixelsValidator(tokenizedDefs, productDef, {}, paramsValidator);
+    const state = Buffer.from('{}').toString('base64');
+
+    it('accepts pixels sending every required param', () => {
+        const pixelStatus = liveValidator.validatePixel(prefix, `channel=beta&count=3&state=${state}`);
+        expect(pixelStatus.errors).to.be.empty;
+    });
+
+    it('reports missing required params by key', () => {
+        const params = 'reason=timeout';
+        const pixelStatus = liveValidator.validatePixel(prefix, params);
+        expect(pixelStatus.status).to.equal(PIXEL_VALIDATION_RESULT.VALIDATION_FAILED);
+        expect(pixelStatus.errors.map((e) => e.error)).to.have.members([
+            "must have required property 'channel'",
+            "must have required property 'count'",
+            "must have required property 'state'",
+        ]);
+    });
+
+    it('does not report params that failed to decode as missing', () => {
+        const params = 'channel=beta&count=3&state=a';
+        const pixelStatus = liveValidator.validatePixel(prefix, params);
+        expect(pixelStatus.errors.map((e) => e.error)).to.deep.equal(["Failed to decode param 'state' as base64: not valid base64"]);
+    });
+
+    it('only allows params with a key to be required', () => {
+        expect(() => paramsValidator.compileParamsSchema([{ keyPattern: '^exp_[a-z]+$', required: true }])).to.throw(
+            "keyPattern '^exp_[a-z]+$' cannot be required, only params with a key can",
+        );
+    });
+});
+
+describe('Conditional params', () => {
+    const paramsValidator = new ParamsValidator({}, {}, {});
+    const pixelDefs = {
+        m_sync: {
+            suffixes: [{ enum: ['success', 'error'] }],
+            parameters: [{ key: 'count', type: 'integer' }],
+            conditionalParameters: [
+                {
+                    suffix: 1,
+                    equals: 'error',
+                    parameters: [
+                        { key: 'code', type: 'integer', required: true },
+                        { key: 'retry', type: 'boolean' },
+                    ],
+                },
+            ],
+        },
+    };
+
+    const tokenizedDefs = {};
+    tokenizePixelDefs(pixelDefs, tokenizedDefs);
+    const liveValidator = new LivePixelsValidator(tokenizedDefs, productDef, {}, paramsValidator);
+
+    it('allows and requires the params of the actual suffix value', () => {
+        expect(liveValidator.validatePixel('m_sync_error', 'count=1&code=3&retry=true').errors).to.be.empty;
+        expect(liveValidator.validatePixel('m_sync_error', 'count=1').errors.map((e) => e.error)).to.deep.equal([
+            "must have required property 'code'",
+        ]);
+    });
+
+    it('rejects conditional params for other suffix values', () => {
+        expect(liveValidator.validatePixel('m_sync_success', 'count=1').errors).to.be.empty;
+        const pixelStatus = liveValidator.validatePixel('m_sync_success', 'count=1&code=3');
+        expect(pixelStatus.status).to.equal(PIXEL_VALIDATION_RESULT.VALIDATION_FAILED);
+        expect(pixelStatus.errors.map((e) => e.error)).to.deep.equal(["must NOT have additional properties. Found extra property 'code'"]);
+        // Without suffixes, no condition holds
+        expect(liveValidator.validatePixel('m_sync', 'code=3').errors).to.have.length(1);
+    });
+});
+
 describe('Array params', () => {
     const paramsValidator = new ParamsValidator({}, {}, {});
     const prefix = 'arrayPixel';
@@ -490,6 +660,85 @@ describe('Alternative suffix sequences (anyOf)', () => {
     });
 });
 
+describe('Optional suffixes', () => {
+    const commonSuffixes = {
+        device_type: { description: 'Device', enum: ['phone', 'tablet'] },
+    };
+    const paramsValidator = new ParamsValidator({}, commonSuffixes, {});
+    const pixelDefs = {
+        m_sync: {
+            suffixes: [
+                { key: 'os', enum: ['android', 'ios'], optional: true },
+                { enum: ['first', 'daily'], optional: true },
+                'device_type',
+            ],
+        },
+        m_alt: {
+            suffixes: [[{ enum: ['manual'] }, { enum: ['first'], optional: true }, 'device_type'], [{ enum: ['auto'] }]],
+        },
+    };
+
+    const tokenizedDefs = {};
+    tokenizePixelDefs(pixelDefs, tokenizedDefs);
+    const liveValidator = new LivePixelsValidator(tokenizedDefs, productDef, {}, paramsValidator);
+    const getErrors = (pixel) => liveValidator.validatePixel(pixel, '').errors.map((e) => e.error);
+
+    it('accepts any combination of optional suffixes', () => {
+        ['m_sync_phone', 'm_sync_os_ios_tablet', 'm_sync_daily_phone', 'm_sync_os_android_first_phone', 'm_sync_os_ios'].forEach(
+            (pixel) => expect(getErrors(pixel), pixel).to.be.empty,
+        );
+        ['m_alt_manual_phone', 'm_alt_manual_first_tablet', 'm_alt_auto'].forEach((pixel) => expect(getErrors(pixel), pixel).to.be.empty);
+    });
+
+    it('reports errors on the suffix that failed', () => {
+        // The static key matched, so the value is reported rather than the required suffix
+        expect(getErrors('m_sync_os_mac_phone')).to.deep.equal(["Suffix 'mac' must be equal to one of the allowed values"]);
+        // Optional suffixes can be left out, so a token no suffix accepts is reported on the required one
+        expect(getErrors('m_sync_weekly_phone')).to.deep.equal(["Suffix 'weekly' must be equal to one of the allowed values"]);
+        expect(getErrors('m_sync_daily_phone_extra')).to.deep.equal(["must NOT have additional properties. Found extra suffix 'extra'"]);
+        // Errors come from the alternative sequence matching the most suffixes
+        expect(getErrors('m_alt_manual_first_laptop')).to.deep.equal(["Suffix 'laptop' must be equal to one of the allowed values"]);
+    });
+});
+
+describe('Multi-token suffix values', () => {
+    const paramsValidator = new ParamsValidator({}, {}, {});
+    const pixelDefs = {
+        m_locale: {
+            suffixes: [{ enum: ['en_us', 'fr'] }, { enum: ['phone', 'tablet'] }],
+            parameters: [{ key: 'count', type: 'integer' }],
+            conditionalParameters: [{ suffix: 1, equals: 'en_us', parameters: [{ key: 'state', type: 'string', required: true }] }],
+        },
+        m_span: {
+            suffixes: [{ key: 'from', pattern: '^[a-z]+_[a-z]+$', tokens: 2 }, { enum: ['first', 'daily'] }],
+        },
+    };
+
+    const tokenizedDefs = {};
+    tokenizePixelDefs(pixelDefs, tokenizedDefs);
+    const liveValidator = new LivePixelsValidator(tokenizedDefs, productDef, {}, paramsValidator);
+    const getErrors = (pixel, params = '') => liveValidator.validatePixel(pixel, params).errors.map((e) => e.error);
+
+    it('matches values spanning several name tokens', () => {
+        expect(getErrors('m_locale_en_us_phone', 'state=ny')).to.be.empty;
+        expect(getErrors('m_locale_fr_tablet')).to.be.empty;
+        expect(getErrors('m_span_from_new_tab_daily')).to.be.empty;
+    });
+
+    it('reports errors on the whole value', () => {
+        expect(getErrors('m_span_from_new_tab1_daily')).to.deep.equal(['/1 must match pattern "^[a-z]+_[a-z]+$"']);
+        expect(getErrors('m_locale_en_gb_phone')).to.deep.equal(["Suffix 'en' must be equal to one of the allowed values"]);
+        expect(getErrors('m_locale_fr_phone_extra')).to.deep.equal(["must NOT have additional properties. Found extra suffix 'extra'"]);
+    });
+
+    it('applies conditional params to multi-token values', () => {
+        expect(getErrors('m_locale_en_us_phone')).to.deep.equal(["must have required property 'state'"]);
+        expect(getErrors('m_locale_fr_phone', 'state=ny')).to.deep.equal([
+            "must NOT have additional properties. Found extra property 'state'",
+        ]);
+    });
+});
+
 describe('Case-insensitive suffix shortcut resolution', () => {
     it('keeps camelCase shortcut lookup while lowercasing resolved suffix values', () => {
         const caseInsensitiveProductDef = {
@@ -659,3 +908,50 @@ describe('Key pattern parameters with explicit types', () => {
         expect(pixelStatus.errors.map((e) => e.example)).to.have.members([params]);
     });
 });
+
+describe('Expired pixels', () => {
+    const paramsValidator = new ParamsValidator({}, {}, {});
+    const pixelDefs = {
+        expiredPixel: {
+            owners: ['owner'],
+            parameters: [
+                {
+                    key: 'param1',
+                    type: 'boolean',
+                },
+            ],
+            expires: '2020-01-01',
+        },
+        activePixel: {
+            owners: ['owner'],
+            expires: '2099-12-31',
+        },
+    };
+    const tokenizedDefs = {};
+    tokenizePixelDefs(pixelDefs, tokenizedDefs);
+    const liveValidator = new LivePixelsValidator(tokenizedDefs, productDef, {}, paramsValidator);
+
+    it('valid pixel past its expiry date should return EXPIRED status', () => {
+        const pixelStatus = liveValidator.validatePixel('expiredPixel', 'param1=true');
+
+        expect(pixelStatus.status).to.equal(PIXEL_VALIDATION_RESULT.EXPIRED);
+        expect(pixelStatus.expires).to.equal('2020-01-01');
+        expect(pixelStatus.prefixForErrors).to.equal('expiredPixel');
+        expect(pixelStatus.owners).to.have.members(['owner']);
+        expect(pixelStatus.errors).to.be.empty;
+    });
+
+    it('validation errors take precedence over expiry', () => {
+        const pixelStatus = liveValidator.validatePixel('expiredPixel', 'param1=not_a_bool');
+
+        expect(pixelStatus.status).to.equal(PIXEL_VALIDATION_RESULT.VALIDATION_FAILED);
+        expect(pixelStatus.errors.map((e) => e.error)).to.have.members(['/param1 must be boolean']);
+    });
+
+    it('pixel before its expiry date should pass', () => {
+        const pixelStatus = liveValidator.validatePixel('activePixel', '');
+
+        expect(pixelStatus.status).to.equal(PIXEL_VALIDATION_RESULT.VALIDATION_PASSED);
+        expect(pixelStatus.expires).to.equal(null);
+    });
+});
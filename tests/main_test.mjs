@@ -34,6 +34,11 @@ describe('main.mjs - proper pixels', () => {
         const url = 'https://example.com/t/m_my_first_pixel_suffix1?1234&count=10';
         expect(() => validateSinglePixel(validator, url)).to.not.throw();
     });
+
+    it('valid pixel without params', () => {
+        const url = 'https://example.com/t/m_my_first_pixel_suffix2?1234';
+        expect(() => validateSinglePixel(validator, url)).to.not.throw();
+    });
 });
 
 describe('main.mjs - invalid pixels', () => {
@@ -0,0 +1,465 @@
+import { expect } from 'chai';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ts from 'typescript';
+
+import { PIXEL_VALIDATION_RESULT } from '../src/constants.mjs';
+import { readPixelDefinitions } from '../src/definitions_loader.mjs';
+import * as fileUtils from '../src/file_utils.mjs';
+import { LivePixelsValidator } from '../src/live_pixel_validator.mjs';
+import { ParamsValidator } from '../src/params_validator.mjs';
+import { buildPixelModels, generatePixelCode, toCamelCase, toTsType } from '../src/pixel_codegen.mjs';
+import { tokenizePixelDefs } from '../src/tokenizer.mjs';
+
+const validDefsPath = path.join('tests', 'test_data', 'valid');
+const pixelsConfigDir = path.join(validDefsPath, 'pixels');
+const commonParams = fileUtils.readCommonParams(pixelsConfigDir);
+const commonSuffixes = fileUtils.readCommonSuffixes(pixelsConfigDir);
+const pixelsDef = Object.fromEntries(Object.entries(readPixelDefinitions(validDefsPath)).map(([name, { def }]) => [name, def]));
+const encodedPixelsDef = {
+    m_encoded: {
+        description: 'Encoded params',
+        owners: ['owner'],
+        parameters: [
+            { key: 'label', description: 'Label', encoding: 'json' },
+            { key: 'state', description: 'State', type: 'object', properties: { open: { type: 'boolean' } }, encoding: 'json' },
+            { key: 'query', description: 'Query', encoding: 'double-url' },
+            { key: 'payload', description: 'Payload', type: 'object', properties: { text: { type: 'string' } }, encoding: 'base64url' },
+            { keyPattern: '^exp_[a-z]+$', description: 'Experiments', type: 'integer', encoding: 'json' },
+        ],
+    },
+};
+
+/**
+ * Type-checks TypeScript sources in strict mode
+ * @param {Record<string, string>} files - sources keyed by file name
+ * @returns {string[]} diagnostic messages
+ */
+function typeCheck(files) {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pixel-schema-codegen-'));
+    try {
+        const fileNames = Object.entries(files).map(([fileName, source]) => {
+            const filePath = path.join(tempDir, fileName);
+            fs.writeFileSync(filePath, source);
+            return filePath;
+        });
+        const program = ts.createProgram(fileNames, {
+            strict: true,
+            noEmit: true,
+            target: ts.ScriptTarget.ES2020,
+            lib: ['lib.es2020.d.ts', 'lib.dom.d.ts'],
+        });
+        return ts.getPreEmitDiagnostics(program).map((diagnostic) => ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'));
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+describe('Pixel code generation', () => {
+    it('derives helper and argument names from pixel, suffix and shortcut names', () => {
+        expect(toCamelCase('m_my_first_pixel')).to.equal('mMyFirstPixel');
+        expect(toCamelCase('m_netp-ev_2fa')).to.equal('mNetpEv2fa');
+        expect(toCamelCase('3rd_party')).to.equal('_3rdParty');
+
+        const { pixels } = buildPixelModels(
+            {
+                m_delete: {
+                    description: 'Delete',
+                    owners: ['owner'],
+                    suffixes: [{ description: 'A' }, { key: 'new', description: 'B' }, 'device_type'],
+                },
+            },
+            commonParams,
+            commonSuffixes,
+        );
+        expect(pixels[0].functionName).to.equal('mDelete');
+        expect(pixels[0].variants[0].args.map((arg) => arg.name)).to.deep.equal(['suffix1', 'newValue', 'deviceType']);
+        expect(pixels[0].variants[0].layout).to.deep.equal([null, 'new', null, 'android', null]);
+    });
+
+    it('derives TypeScript types from resolved schemas', () => {
+        expect(toTsType({ type: 'string', enum: ['a', "it's"] })).to.equal("'a' | 'it\\'s'");
+        expect(toTsType({ type: 'integer', enum: [1, 2] })).to.equal('1 | 2');
+        expect(toTsType({ type: ['integer', 'boolean'] })).to.equal('number | boolean');
+        expect(toTsType({ type: 'string', anyOf: [{ format: 'date' }, { const: 'never' }] })).to.equal("string | 'never'");
+        expect(toTsType({ type: 'array', items: { enum: ['x'] } })).to.equal("Array<'x'>");
+        expect(toTsType({ type: 'object', required: ['a'], properties: { a: { type: 'boolean' }, 'b-c': { type: 'number' } } })).to.equal(
+            "{ a: boolean; 'b-c'?: number }",
+        );
+    });
+
+    it('skips pixels with indistinguishable alternative suffixes, unsupported encodings or conditional params', () => {
+        const { pixels, skipped } = buildPixelModels(
+            {
+                m_ambiguous: {
+                    description: 'Ambiguous',
+                    owners: ['owner'],
+                    suffixes: [[{ key: 'a', description: 'A' }], [{ key: 'b', description: 'B' }]],
+                },
+                m_fine: {
+                    description: 'Fine',
+                    owners: ['owner'],
+                    suffixes: [['first_daily_count'], [{ description: 'Any', enum: ['x'] }]],
+                },
+                m_conditional: {
+                    description: 'Conditional',
+                    owners: ['owner'],
+                    suffixes: [{ description: 'Result', enum: ['success', 'error'] }],
+                    conditionalParameters: [{ suffix: 1, equals: 'error', parameters: [{ key: 'code', description: 'Code' }] }],
+                },
+                m_gzipped: {
+                    description: 'Gzipped',
+                    owners: ['owner'],
+                    parameters: [{ key: 'state', description: 'State', type: 'object', encoding: 'gzip+base64' }],
+                },
+            },
+            commonParams,
+            commonSuffixes,
+        );
+
+        expect(pixels.map((pixel) => pixel.name)).to.deep.equal(['m_fine']);
+        expect(skipped).to.deep.equal([
+            { name: 'm_ambiguous', reason: 'alternative suffixes with 1 value(s) have static keys in different places' },
+            { name: 'm_conditional', reason: 'conditional parameters are not supported' },
+            { name: 'm_gzipped', reason: "param 'state' uses the unsupported 'gzip+base64' encoding" },
+        ]);
+    });
+
+    it('makes required params mandatory arguments', () => {
+        const { pixels } = buildPixelModels(
+            {
+                m_sync: {
+                    description: 'Sync',
+                    owners: ['owner'],
+                    parameters: [
+                        { key: 'count', description: 'Count', type: 'integer', required: true },
+                        { key: 'reason', description: 'Reason' },
+                    ],
+                },
+            },
+            commonParams,
+            commonSuffixes,
+        );
+
+        const ts = generatePixelCode(pixels, 'typescript');
+        expect(ts).to.include('    count: number;\n');
+        expect(ts).to.include('    reason?: string;\n');
+        expect(ts).to.include('export function mSync(params: MSyncParams): PixelRequest {');
+        const kotlin = generatePixelCode(pixels, 'kotlin', { packageName: 'com.example.pixels' });
+        expect(kotlin).to.include('    class MSync(count: Int, reason: String? = null)');
+        const swift = generatePixelCode(pixels, 'swift');
+        expect(swift).to.include('    case mSync(count: Int, reason: String? = nil)');
+    });
+
+    it('generates one overload per combination of optional suffixes', () => {
+        const { pixels, skipped } = buildPixelModels(
+            {
+                m_sync: {
+                    description: 'Sync',
+                    owners: ['owner'],
+                    suffixes: [
+                        { key: 'os', description: 'OS', enum: ['android', 'ios'], optional: true },
+                        { description: 'Kind', enum: ['first', 'daily'] },
+                    ],
+                },
+            },
+            commonParams,
+            commonSuffixes,
+        );
+
+        expect(skipped).to.be.empty;
+        expect(pixels[0].variants.map(({ layout, args }) => [layout, args.map(({ name }) => name)])).to.deep.equal([
+            [
+                ['os', null, null],
+                ['os', 'suffix2'],
+            ],
+            [[null], ['suffix2']],
+        ]);
+        expect(JSON.stringify(pixels[0].variants)).not.to.include('optional');
+    });
+
+    it('rejects optional suffixes expanding to too many overloads', () => {
+        const suffixes = Array.from({ length: 7 }, (_, i) => ({ key: `opt${i}`, description: 'Optional', optional: true }));
+        expect(() =>
+            buildPixelModels({ m_foo: { description: 'A pixel', owners: ['owner'], suffixes } }, commonParams, commonSuffixes),
+        ).to.throw('m_foo --> optional suffixes expand to 128 suffix sequences');
+    });
+
+    it('rejects pixels that map to the same helper name', () => {
+        const def = { description: 'A pixel', owners: ['owner'] };
+        expect(() => buildPixelModels({ 'm_foo-bar': def, m_foo_bar: def }, commonParams, commonSuffixes)).to.throw(
+            "m_foo_bar --> helper name 'mFooBar' is already used by m_foo-bar",
+        );
+    });
+
+    describe('TypeScript', function () {
+        // Compiling TypeScript takes a while
+        this.timeout(30000);
+        const { pixels } = buildPixelModels(pixelsDef, commonParams, commonSuffixes);
+        const code = generatePixelCode(pixels, 'typescript');
+
+        it('generates a module that only accepts defined suffix and param values', () => {
+            const usage = [
+                "import { mMyFirstPixel, testNestedSuffixes, testTokenizer } from './pixels';",
+                "mMyFirstPixel('new', 'npe', 'phone', { count: 3, colors: ['red'], customMetadata: { serviceState: 'Running' } });",
+                "testNestedSuffixes('daily');",
+                "testNestedSuffixes('tablet', 'count');",
+                'testTokenizer();',
+                '// @ts-expect-error',
+                "mMyFirstPixel('nwe', 'npe', 'phone');",
+                '// @ts-expect-error',
+                "mMyFirstPixel('new', 'npe', 'phone', { cnt: 3 });",
+                '// @ts-expect-error',
+                "mMyFirstPixel('new', 'npe', 'phone', { colors: ['pink'] });",
+                '// @ts-expect-error',
+                "testNestedSuffixes('phone');",
+            ].join('\n');
+
+            expect(typeCheck({ 'pixels.ts': code, 'usage.ts': usage })).to.deep.equal([]);
+        });
+
+        it('builds pixels that pass live validation', async () => {
+            const { outputText } = ts.transpileModule(code, {
+                compilerOptions: { module: ts.ModuleKind.ESNext, target: ts.ScriptTarget.ES2020 },
+            });
+            const helpers = await import(`data:text/javascript;base64,${Buffer.from(outputText).toString('base64')}`);
+
+            const paramsValidator = new ParamsValidator(commonParams, commonSuffixes, {});
+            const tokenizedDefs = {};
+            tokenizePixelDefs(pixelsDef, tokenizedDefs);
+            const productDef = { target: { key: 'appVersion', version: '1.0.0' }, agents: [] };
+            const liveValidator = new LivePixelsValidator(tokenizedDefs, productDef, {}, paramsValidator);
+
+            const requests = [
+                helpers.mMyFirstPixel('returning', 'filenotfoundexception', 'tablet', {
+                    appVersion: '1.2.3',
+                    count: 100,
+                    is_default: false,
+                    colors: ['red', 'blue'],
+                    customMetadata: { serviceState: 'Stopped', serviceMetadata: { latency: 'bad', domainProxyRunning: true } },
+                }),
+                helpers.testNestedSuffixes('first'),
+                helpers.testNestedSuffixes('phone', 'count'),
+                helpers.testSuffixes('phone', 'daily'),
+                helpers.testTokenizer3LevelDeep(),
+            ];
+
+            expect(requests.map((request) => request.name)).to.deep.equal([
+                'm_my_first_pixel_returning_exceptiontype_filenotfoundexception_android_tablet',
+                'test_nested_suffixes_first',
+                'test_nested_suffixes_android_phone_count',
+                'test_suffixes_android_phone_daily',
+                'test_tokenizer_3_level_deep',
+            ]);
+            requests.forEach((request) => {
+                const result = liveValidator.validatePixel(request.name, new URLSearchParams(request.params).toString());
+                expect(result.errors, request.name).to.be.empty;
+                expect(result.status, request.name).to.equal(PIXEL_VALIDATION_RESULT.VALIDATION_PASSED);
+            });
+        });
+
+        it('encodes params with the json, double-url and base64url encodings', async () => {
+            const { pixels: encodedPixels } = buildPixelModels(encodedPixelsDef, {}, {});
+            const { outputText } = ts.transpileModule(generatePixelCode(encodedPixels, 'typescript'), {
+                compilerOptions: { module: ts.ModuleKind.ESNext, target: ts.ScriptTarget.ES2020 },
+            });
+            const helpers = await import(`data:text/javascript;base64,${Buffer.from(outputText).toString('base64')}`);
+
+            const request = helpers.mEncoded({
+                label: 'déjà vu',
+                state: { open: true },
+                query: 'a b&c=d',
+                payload: { text: '~~~?' },
+                exp_foo: 2,
+            });
+            expect(request.params).to.deep.equal({
+                label: '"déjà vu"',
+                state: '{"open":true}',
+                query: 'a%20b%26c%3Dd',
+                payload: 'eyJ0ZXh0Ijoifn5-PyJ9',
+                exp_foo: '2',
+            });
+
+            const paramsValidator = new ParamsValidator({}, {}, {});
+            const tokenizedDefs = {};
+            tokenizePixelDefs(encodedPixelsDef, tokenizedDefs);
+            const productDef = { target: { key: 'appVersion', version: '1.0.0' }, agents: [] };
+            const liveValidator = new LivePixelsValidator(tokenizedDefs, productDef, {}, paramsValidator);
+            const result = liveValidator.validatePixel(request.name, new URLSearchParams(request.params).toString());
+            expect(result.errors).to.be.empty;
+            expect(result.status).to.equal(PIXEL_VALIDATION_RESULT.VALIDATION_PASSED);
+        });
+    });
+
+    describe('Kotlin and Swift', () => {
+        const { pixels } = buildPixelModels(pixelsDef, commonParams, commonSuffixes);
+
+        it('generates a Kotlin class per pixel with enums for suffix and param values', () => {
+            const code = generatePixelCode(pixels, 'kotlin', { packageName: 'com.example.pixels' });
+
+            expect(code).to.include('package com.example.pixels\n');
+            expect(code).to.include('sealed class Pixel(request: Pair<String, Map<String, String>>) {');
+            expect(code).to.include('    object MMyFirstPixelTest : Pixel(pixelRequest(listOf("m_my_first_pixel_test")))\n');
+            expect(code).to.include(
+                [
+                    '    class MMyFirstPixel(',
+                    '        suffix1: Suffix1,',
+                    '        exceptiontype: String,',
+                    '        deviceType: DeviceType,',
+                    '        appVersion: String? = null,',
+                    '        count: Int? = null,',
+                ].join('\n'),
+            );
+            expect(code).to.include('        colors: List<Colors>? = null,');
+            expect(code).to.include(
+                '            listOf("m_my_first_pixel", suffix1, "exceptiontype", exceptiontype, "android", deviceType),',
+            );
+            expect(code).to.include('                param("customMetadata", customMetadata, ParamEncoding.BASE64),');
+            expect(code).to.include(
+                '        enum class DeviceType(override val value: String) : PixelValue {\n            PHONE("phone"),\n            TABLET("tablet"),\n',
+            );
+            // Alternative suffixes become secondary constructors
+            expect(code).to.include(
+                'class TestNestedSuffixes private constructor(request: Pair<String, Map<String, String>>) : Pixel(request) {',
+            );
+            expect(code).to.include(
+                '        constructor(firstDailyCount: FirstDailyCount) : this(pixelRequest(listOf("test_nested_suffixes", firstDailyCount)))',
+            );
+        });
+
+        it('generates a Swift enum case per pixel and suffix alternative', () => {
+            const code = generatePixelCode(pixels, 'swift');
+
+            expect(code).to.include('public enum Pixel {');
+            expect(code).to.include('    case mMyFirstPixelTest\n');
+            expect(code).to.include('        colors: [MMyFirstPixelColors]? = nil,\n        customMetadata: String? = nil\n    )');
+            expect(code).to.include('    case testNestedSuffixes(firstDailyCount: TestNestedSuffixesFirstDailyCount)\n');
+            expect(code).to.include(
+                '    case testNestedSuffixes(deviceType: TestNestedSuffixesDeviceType, firstDailyCount: TestNestedSuffixesFirstDailyCount)\n',
+            );
+            expect(code).to.include(
+                [
+                    '        case .testSuffixes(deviceType: let deviceType, firstDailyCount: let firstDailyCount):',
+                    '            return pixelRequest(["test_suffixes", "android", deviceType, firstDailyCount])',
+                ].join('\n'),
+            );
+            expect(code).to.include('                        ("customMetadata", customMetadata, .base64),');
+            expect(code).to.include('    public enum MMyFirstPixelDeviceType: String, PixelValue {\n        case phone = "phone"\n');
+        });
+
+        it('escapes keywords and merges alternatives with the same signature', () => {
+            const { pixels: edgePixels } = buildPixelModels(
+                {
+                    m_edge: {
+                        description: 'Edge cases',
+                        owners: ['owner'],
+                        suffixes: [
+                            [{ key: 'when', description: 'When', enum: ['a-b', '1st', 'a_b'] }],
+                            [
+                                { description: 'First', enum: ['in', 'default'] },
+                                { description: 'Count', type: 'integer' },
+                            ],
+                            [
+                                { description: 'First', enum: ['z'] },
+                                { description: 'Label', pattern: '^[a-z]+$' },
+                            ],
+                        ],
+                        parameters: [
+                            { keyPattern: '^exp_[a-z]+$', description: 'Experiments', type: 'integer', encoding: 'base64' },
+                            { key: 'class', description: 'Class', enum: ['x'] },
+                        ],
+                    },
+                },
+                {},
+                {},
+            );
+
+            const kotlin = generatePixelCode(edgePixels, 'kotlin');
+            expect(kotlin).to.include(
+                'constructor(`when`: When, expParams: Map<String, Int> = emptyMap(), classValue: ClassValue? = null)',
+            );
+            expect(kotlin).to.include('dynamicParams(expParams, ParamEncoding.BASE64)');
+            expect(kotlin).to.include('A_B("a-b"),\n            _1ST("1st"),\n            A_B2("a_b"),');
+            expect(kotlin.match(/constructor\(suffix1: Suffix1, suffix2: /g)).to.have.length(2);
+
+            const swift = generatePixelCode(edgePixels, 'swift');
+            expect(swift).to.include('case `in` = "in"\n        case `default` = "default"');
+            // Cases with the same labels cannot be overloaded, so differing types fall back to strings
+            expect(swift.match(/ {4}case mEdge\(suffix1: /g)).to.have.length(1);
+            expect(swift).to.include(
+                'case mEdge(suffix1: MEdgeSuffix1, suffix2: String, expParams: [String: Int] = [:], classValue: MEdgeClassValue? = nil)',
+            );
+        });
+
+        it('passes the encoding of each param to the runtime', () => {
+            const { pixels: encodedPixels, skipped } = buildPixelModels(encodedPixelsDef, {}, {});
+            expect(skipped).to.be.empty;
+
+            // Objects are already serialized JSON, so the json encoding leaves them as they are
+            const kotlin = generatePixelCode(encodedPixels, 'kotlin');
+            expect(kotlin).to.include('import java.net.URLEncoder\n');
+            expect(kotlin).to.include(
+                [
+                    '                param("label", label, ParamEncoding.JSON),',
+                    '                param("state", state),',
+                    '                param("query", query, ParamEncoding.DOUBLE_URL),',
+                    '                param("payload", payload, ParamEncoding.BASE64URL),',
+                ].join('\n'),
+            );
+            expect(kotlin).to.include('dynamicParams(expParams, ParamEncoding.JSON)');
+
+            const swift = generatePixelCode(encodedPixels, 'swift');
+            expect(swift).to.include(
+                '[("label", label, .json), ("state", state, nil), ("query", query, .doubleUrl), ("payload", payload, .base64url)]',
+            );
+            expect(swift).to.include('dynamicParams(expParams, encoding: .json)');
+        });
+    });
+
+    it('writes generated code to a file or stdout from the CLI', function () {
+        this.timeout(10000);
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pixel-schema-codegen-cli-'));
+        try {
+            const outputPath = path.join(tempDir, 'generated', 'pixels.ts');
+            const result = spawnSync('node', ['./bin/generate_pixel_code.mjs', validDefsPath, '--output', outputPath], {
+                encoding: 'utf8',
+            });
+
+            expect(result.status).to.equal(0);
+            expect(result.stderr).to.include(`Generated 7 pixel helper(s) in ${outputPath}`);
+            expect(fs.readFileSync(outputPath, 'utf8')).to.include('export function testSuffixes(');
+
+            const stdoutResult = spawnSync('node', ['./bin/generate_pixel_code.mjs', validDefsPath], { encoding: 'utf8' });
+            expect(stdoutResult.status, stdoutResult.stderr).to.equal(0);
+            expect(stdoutResult.stdout).to.equal(fs.readFileSync(outputPath, 'utf8'));
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    });
+
+    it('checks whether committed code is up to date from the CLI', function () {
+        this.timeout(10000);
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pixel-schema-codegen-cli-'));
+        try {
+            const outputPath = path.join(tempDir, 'Pixels.swift');
+            const args = ['./bin/generate_pixel_code.mjs', validDefsPath, '--language', 'swift', '--output', outputPath];
+            expect(spawnSync('node', args, { encoding: 'utf8' }).status).to.equal(0);
+            const generated = fs.readFileSync(outputPath, 'utf8');
+
+            const upToDate = spawnSync('node', [...args, '--check'], { encoding: 'utf8' });
+            expect(upToDate.status).to.equal(0);
+            expect(upToDate.stderr).to.include(`${outputPath} is up to date`);
+
+            fs.writeFileSync(outputPath, generated.replace('case phone', 'case mobile'));
+            const outdated = spawnSync('node', [...args, '--check'], { encoding: 'utf8' });
+            expect(outdated.status).to.equal(1);
+            expect(outdated.stderr).to.include(`${outputPath} is out of date`);
+            // Checking does not overwrite the file
+            expect(fs.readFileSync(outputPath, 'utf8')).to.include('case mobile');
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    });
+});
@@ -2,6 +2,7 @@ import { expect } from 'chai';
 
 import { PixelDefinitionsValidator, WideEventDefinitionsValidator } from '../src/definitions_validator.mjs';
 import { ParamsValidator } from '../src/params_validator.mjs';
+import { parseJson5WithSourceMap } from '../src/source_map_utils.mjs';
 
 describe('Validating commons', () => {
     const commons = {
@@ -333,6 +334,23 @@ describe('Suffix alternatives schema (ParamsValidator)', () => {
         expect(() => paramsValidator.compileSuffixesSchema(suffixes)).to.not.throw();
     });
 
+    it('optional suffixes are expanded into one sequence per combination', () => {
+        const suffixes = [{ enum: ['a'] }, { enum: ['b'], optional: true }, { enum: ['x'] }, { enum: ['c'], optional: true }];
+        const sequences = paramsValidator.getSuffixTokenSequences(suffixes).map((tokens) => tokens.map((token) => token.enum[0]));
+        expect(sequences).to.deep.equal([
+            ['a', 'b', 'x', 'c'],
+            ['a', 'b', 'x'],
+            ['a', 'x', 'c'],
+            ['a', 'x'],
+        ]);
+    });
+
+    it('optional suffixes expanding to too many sequences should throw', () => {
+        const suffixes = Array.from({ length: 7 }, () => ({ enum: ['a'], optional: true }));
+        expect(() => paramsValidator.getSuffixTokenSequences(suffixes)).to.throw('optional suffixes expand to 128 suffix sequences');
+        expect(() => paramsValidator.compileSuffixesSchema(suffixes)).to.not.throw();
+    });
+
     it('mixed array types should throw', () => {
         const suffixes = ['exception', ['platform', 'form_factor']];
         expect(() => paramsValidator.compileSuffixesSchema(suffixes)).to.throw(
@@ -477,6 +495,50 @@ describe('ParamsValidator.compileParamsSchema', () => {
 });
 
 // Cover params + ignoreParams merge via PixelDefinitionsValidator
+describe('Pixel with conditional params', () => {
+    function validateConditions(conditionalParameters) {
+        const pixel = {
+            description: 'A pixel with conditional params',
+            owners: ['owner'],
+            triggers: ['other'],
+            suffixes: [{ description: 'Result', enum: ['success', 'error'] }],
+            parameters: [{ key: 'count', description: 'Count', type: 'integer' }],
+            conditionalParameters,
+        };
+        const validator = new PixelDefinitionsValidator({}, {}, {});
+        return validator.validatePixelsDefinition({ pixel });
+    }
+
+    it('valid conditional params', () => {
+        const errors = validateConditions([
+            { suffix: 1, equals: 'error', parameters: [{ key: 'code', description: 'Error code', type: 'integer', required: true }] },
+        ]);
+        expect(errors).to.be.empty;
+    });
+
+    it('conditions must be complete', () => {
+        const errors = validateConditions([{ suffix: 0, parameters: [] }]);
+        expect(errors).to.include.members([
+            "/pixel/conditionalParameters/0 must have required property 'equals'",
+            '/pixel/conditionalParameters/0/suffix must be >= 1',
+            '/pixel/conditionalParameters/0/parameters must NOT have fewer than 1 items',
+        ]);
+    });
+
+    it('conditions must be able to hold and add new params', () => {
+        const errors = validateConditions([
+            { suffix: 1, equals: 'timeout', parameters: [{ key: 'code', description: 'Error code' }] },
+            { suffix: 2, equals: 'error', parameters: [{ key: 'retry', description: 'Retried', type: 'boolean' }] },
+            { suffix: 1, equals: 'error', parameters: [{ key: 'count', description: 'Count', type: 'integer' }] },
+        ]);
+        expect(errors).to.have.members([
+            "pixel --> suffix 1 can never be 'timeout', so its conditional parameters never apply",
+            "pixel --> suffix 2 can never be 'error', so its conditional parameters never apply",
+            "pixel --> parameter 'count' is already defined for all suffix values",
+        ]);
+    });
+});
+
 describe('Params merging with ignoreParams (PixelDefinitionsValidator)', () => {
     it('parameters take precedence over ignoreParams (no duplicate key error)', () => {
         const ignoreParams = {
@@ -514,6 +576,236 @@ describe('Params merging with ignoreParams (PixelDefinitionsValidator)', () => {
     });
 });
 
+describe('Pixel expiry', () => {
+    function daysFromToday(days) {
+        const date = new Date();
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().split('T')[0];
+    }
+
+    function validateExpiry(expires, expiryWarningDays = undefined) {
+        const pixel = {
+            description: 'A temporary pixel',
+            owners: ['owner'],
+            triggers: ['other'],
+            expires,
+        };
+
+        const validator = new PixelDefinitionsValidator({}, {}, {}, expiryWarningDays);
+        const warnings = [];
+        const errors = validator.validatePixelsDefinition({ pixel }, null, warnings);
+        return { errors, warnings };
+    }
+
+    it('expired pixel fails validation', () => {
+        const expires = daysFromToday(-1);
+        const { errors, warnings } = validateExpiry(expires);
+        expect(errors).to.have.members([`pixel --> expired on ${expires}. Remove the pixel or extend its expiry date`]);
+        expect(warnings).to.be.empty;
+    });
+
+    it('pixel expiring today fails validation', () => {
+        const expires = daysFromToday(0);
+        const { errors } = validateExpiry(expires);
+        expect(errors).to.have.members([`pixel --> expired on ${expires}. Remove the pixel or extend its expiry date`]);
+    });
+
+    it('pixel expiring within the default window produces a warning', () => {
+        const expires = daysFromToday(10);
+        const { errors, warnings } = validateExpiry(expires);
+        expect(errors).to.be.empty;
+        expect(warnings).to.have.members([`pixel --> expires in 10 day(s) on ${expires}`]);
+    });
+
+    it('pixel expiring outside the window is valid', () => {
+        const { errors, warnings } = validateExpiry(daysFromToday(60));
+        expect(errors).to.be.empty;
+        expect(warnings).to.be.empty;
+    });
+
+    it('warning window is configurable', () => {
+        const expires = daysFromToday(60);
+        const { errors, warnings } = validateExpiry(expires, 90);
+        expect(errors).to.be.empty;
+        expect(warnings).to.have.members([`pixel --> expires in 60 day(s) on ${expires}`]);
+    });
+});
+
+describe('Pixel definition diagnostics', () => {
+    const commonParams = {
+        common_param: {
+            key: 'common_param',
+            description: 'A common parameter',
+        },
+    };
+
+    function getDiagnostics(pixel, userMap = null) {
+        const validator = new PixelDefinitionsValidator(commonParams, {}, {});
+        return validator.getPixelsDefinitionDiagnostics({ pixel }, userMap);
+    }
+
+    it('schema errors point at the offending property', () => {
+        const { errors } = getDiagnostics({ description: 'A pixel', owners: ['owner'], unexpected: 'property' });
+        expect(errors).to.deep.equal([
+            {
+                message: "/pixel must NOT have additional properties. Found extra property 'unexpected'",
+                instancePath: '/pixel/unexpected',
+                ruleId: 'schema',
+            },
+        ]);
+    });
+
+    it('invalid shortcuts point at the shortcut', () => {
+        const { errors } = getDiagnostics({
+            description: 'A pixel',
+            owners: ['owner'],
+            parameters: ['common_param', 'invalid_shortcut'],
+        });
+        expect(errors).to.deep.equal([
+            {
+                message: "pixel --> invalid shortcut 'invalid_shortcut' - please update common params/suffixes",
+                instancePath: '/pixel/parameters/1',
+                ruleId: 'invalid-parameters',
+            },
+        ]);
+    });
+
+    it('invalid nested suffix shortcuts point at the shortcut', () => {
+        const { errors } = getDiagnostics({
+            description: 'A pixel',
+            owners: ['owner'],
+            suffixes: [[{ description: 'a suffix' }], [{ description: 'a suffix' }, 'invalid_shortcut']],
+        });
+        expect(errors.map((e) => e.instancePath)).to.deep.equal(['/pixel/suffixes/1/1']);
+    });
+
+    it('optional suffixes expanding to too many sequences point at the suffixes', () => {
+        const suffixes = Array.from({ length: 7 }, (_, i) => ({ key: `opt${i}`, description: 'an optional suffix', optional: true }));
+        const { errors } = getDiagnostics({ description: 'A pixel', owners: ['owner'], suffixes });
+        expect(errors).to.deep.equal([
+            {
+                message:
+                    'pixel --> optional suffixes expand to 128 suffix sequences, more than the 64 supported. Use fewer optional suffixes or split the pixel',
+                instancePath: '/pixel/suffixes',
+                ruleId: 'invalid-suffixes',
+            },
+        ]);
+    });
+
+    it('errors that are not tied to a single item point at the list', () => {
+        const { errors } = getDiagnostics({
+            description: 'A pixel',
+            owners: ['owner'],
+            parameters: [
+                { key: 'custom_param', description: 'A custom parameter' },
+                { key: 'custom_param', description: 'duplicated custom parameter' },
+            ],
+        });
+        expect(errors.map((e) => e.instancePath)).to.deep.equal(['/pixel/parameters']);
+    });
+
+    it('unknown owners point at the owner', () => {
+        const { errors } = getDiagnostics({ description: 'A pixel', owners: ['known', 'unknown'] }, { known: '1' });
+        expect(errors.map((e) => e.instancePath)).to.deep.equal(['/pixel/owners/1']);
+    });
+});
+
+describe('Duplicate pixel definitions', () => {
+    function readSource(filePath, text) {
+        const { data, pointers, duplicateKeys } = parseJson5WithSourceMap(text);
+        return { data, source: { filePath, pointers, duplicateKeys } };
+    }
+
+    it('report where the pixel was first defined in another file', () => {
+        const validator = new PixelDefinitionsValidator({}, {}, {});
+        const first = readSource('first.json5', "{\n    pixel: { description: 'A pixel', owners: ['owner'] },\n}");
+        const second = readSource(
+            'second.json5',
+            "{\n    other: { description: 'Other', owners: ['owner'] },\n    pixel: { description: 'Again', owners: ['owner'] },\n}",
+        );
+
+        expect(validator.getPixelsDefinitionDiagnostics(first.data, null, first.source).errors).to.be.empty;
+        expect(validator.getPixelsDefinitionDiagnostics(second.data, null, second.source).errors).to.deep.equal([
+            {
+                message: 'pixel --> Conflicting/duplicated definitions found! First defined at first.json5:2:5',
+                instancePath: '/pixel',
+                ruleId: 'duplicate-definition',
+            },
+        ]);
+    });
+
+    it('report pixels defined more than once in the same file', () => {
+        const validator = new PixelDefinitionsValidator({}, {}, {});
+        const file = readSource(
+            'pixels.json5',
+            "{\n    pixel: { description: 'A pixel', owners: ['owner'] },\n    pixel: { description: 'Again', owners: ['owner'] },\n}",
+        );
+
+        expect(validator.getPixelsDefinitionDiagnostics(file.data, null, file.source).errors).to.deep.equal([
+            {
+                message: 'pixel --> Conflicting/duplicated definitions found! First defined at pixels.json5:2:5',
+                instancePath: '/pixel',
+                ruleId: 'duplicate-definition',
+            },
+        ]);
+    });
+
+    it('keep the original message when the source is unknown', () => {
+        const validator = new PixelDefinitionsValidator({}, {}, {});
+        const pixelsDef = { pixel: { description: 'A pixel', owners: ['owner'] } };
+
+        expect(validator.validatePixelsDefinition(pixelsDef)).to.be.empty;
+        expect(validator.validatePixelsDefinition(pixelsDef)).to.deep.equal(['pixel --> Conflicting/duplicated definitions found!']);
+    });
+});
+
+describe('Unused dictionary entries', () => {
+    const commonParams = {
+        usedParam: { key: 'used', description: 'Used param' },
+        unusedParam: { key: 'unused', description: 'Unused param' },
+    };
+    const commonSuffixes = {
+        usedSuffix: { description: 'Used suffix', enum: ['a'] },
+        experimentSuffix: { description: 'Suffix used by experiments', enum: ['b'] },
+        unusedSuffix: { description: 'Unused suffix', enum: ['c'] },
+    };
+    const ignoreParams = {
+        overridden: { key: 'overridden', description: 'Defined by every pixel' },
+        applied: { key: 'applied', description: 'Applied to at least one pixel' },
+    };
+
+    it('lists entries that no pixel or experiment refers to', () => {
+        const validator = new PixelDefinitionsValidator(commonParams, commonSuffixes, ignoreParams);
+        const errors = validator.validatePixelsDefinition({
+            m_first: { description: 'A pixel', owners: ['owner'], parameters: ['usedParam', { key: 'overridden', description: 'Own' }] },
+            m_second: { description: 'A pixel', owners: ['owner'], parameters: ['usedParam'], suffixes: ['usedSuffix'] },
+        });
+        expect(errors).to.be.empty;
+        expect(validator.validateNativeExperimentsDefinition({ defaultSuffixes: ['experimentSuffix'], activeExperiments: {} })).to.be.empty;
+
+        expect(validator.getUnusedDictionaryEntries()).to.deep.equal({
+            params: ['unusedParam'],
+            suffixes: ['unusedSuffix'],
+            ignoreParams: [],
+        });
+    });
+
+    it('lists ignore params that every pixel overrides', () => {
+        const validator = new PixelDefinitionsValidator(commonParams, commonSuffixes, ignoreParams);
+        validator.validatePixelsDefinition({
+            m_pixel: { description: 'A pixel', owners: ['owner'], parameters: [{ key: 'overridden', description: 'Own' }] },
+        });
+        expect(validator.getUnusedDictionaryEntries().ignoreParams).to.deep.equal(['overridden']);
+    });
+
+    it('reports invalid default suffixes in experiments', () => {
+        const validator = new PixelDefinitionsValidator(commonParams, commonSuffixes, ignoreParams);
+        expect(validator.validateNativeExperimentsDefinition({ defaultSuffixes: ['invalidSuffix'], activeExperiments: {} })).to.deep.equal([
+            "defaultSuffixes --> invalid shortcut 'invalidSuffix' - please update common params/suffixes",
+        ]);
+    });
+});
+
 describe('Search experiments validation', () => {
     const validator = new PixelDefinitionsValidator({}, {}, {});
     const searchExperiments = {
@@ -706,6 +998,38 @@ describe('Wide Event Validation', () => {
         expect(secondResult.errors).to.include('w_test_event_dup --> Conflicting/duplicated definitions found!');
     });
 
+    it('duplicate meta.type reports where the event was first defined', () => {
+        const first = JSON.parse(JSON.stringify(validWideEvent));
+        first.w_test_event.meta.type = 'w_test_event_dup_source';
+        const text = JSON.stringify({ w_test_event_dup_source: first.w_test_event }, null, 4);
+        const { data, pointers, duplicateKeys } = parseJson5WithSourceMap(text);
+        const firstSource = { filePath: 'first.json5', pointers, duplicateKeys };
+        const secondSource = { filePath: 'second.json5', pointers, duplicateKeys };
+
+        const firstResult = validator.getWideEventDefinitionDiagnostics(data, baseEvent, null, firstSource);
+        expect(firstResult.errors).to.be.empty;
+
+        const typeLocation = pointers['/w_test_event_dup_source/meta/type'].key;
+        const secondResult = validator.getWideEventDefinitionDiagnostics(data, baseEvent, null, secondSource);
+        expect(secondResult.errors).to.deep.equal([
+            {
+                message: `w_test_event_dup_source --> Conflicting/duplicated definitions found! First defined at first.json5:${typeLocation.line}:${typeLocation.column}`,
+                instancePath: '/w_test_event_dup_source/meta/type',
+                ruleId: 'duplicate-definition',
+            },
+        ]);
+    });
+
+    it('lists props dictionary entries that no wide event uses', () => {
+        const propsValidator = new WideEventDefinitionsValidator({ ...commonProps, unusedProp: { type: 'string', description: 'Unused' } });
+        const withShortcut = JSON.parse(JSON.stringify(validWideEvent));
+        withShortcut.w_test_event.feature.data.ext.app_name = 'appName';
+
+        const { errors } = propsValidator.validateWideEventDefinition(withShortcut, baseEvent);
+        expect(errors).to.be.empty;
+        expect(propsValidator.getUnusedDictionaryEntries()).to.deep.equal({ props: ['unusedProp'] });
+    });
+
     it('invalid owner with userMap', () => {
         const userMap = { validUser: '123' };
         const invalidOwner = JSON.parse(JSON.stringify(validWideEvent));
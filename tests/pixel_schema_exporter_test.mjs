@@ -0,0 +1,125 @@
+import { expect } from 'chai';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+
+import { ParamsValidator } from '../src/params_validator.mjs';
+import { buildPixelSchema, buildPixelSchemas } from '../src/pixel_schema_exporter.mjs';
+
+const validDefsPath = path.join('tests', 'test_data', 'valid');
+
+/**
+ * Compiles a schema with a strict validator that knows nothing about pixel definitions
+ * @param {object} schema
+ * @returns {import('ajv').ValidateFunction}
+ */
+function compileStandalone(schema) {
+    // Trailing suffixes are optional, so suffix tuples don't set minItems
+    // eslint-disable-next-line new-cap
+    const ajv = new Ajv2020.default({ allErrors: true, strict: true, strictTuples: false });
+    addFormats.default(ajv);
+    return ajv.compile(schema);
+}
+
+describe('Pixel schema export', () => {
+    const schemas = buildPixelSchemas(validDefsPath);
+
+    it('exports one standalone schema per pixel', () => {
+        expect(Object.keys(schemas).sort()).to.deep.equal([
+            'm_my_first_pixel',
+            'm_my_first_pixel_test',
+            'test_nested_suffixes',
+            'test_pattern_suffix',
+            'test_suffixes',
+            'test_tokenizer',
+            'test_tokenizer_3_level_deep',
+        ]);
+
+        const schema = schemas.m_my_first_pixel;
+        expect(schema).to.include({
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            description: 'Fires when my cool feature is used.',
+        });
+        expect(JSON.parse(schema.$comment)).to.deep.equal({ owners: ['github_username'], expires: '2099-12-31' });
+        // Shortcuts are expanded and pixel specific keywords are replaced
+        expect(schema.properties.params.properties.appVersion).to.include({ pattern: '^[0-9]+\\.[0-9]+\\.[0-9]$' });
+        expect(schema.properties.params.properties.customMetadata).to.include({ contentEncoding: 'base64' });
+        expect(JSON.stringify(schema)).not.to.match(/"(key|keyPattern|encoding)":/);
+        // Ignore params are accepted by every pixel
+        expect(schema.properties.params.properties).to.have.property('kp');
+
+        Object.values(schemas).forEach((pixelSchema) => expect(() => compileStandalone(pixelSchema)).not.to.throw());
+    });
+
+    it('validates pixel params and suffixes without the live validator', () => {
+        const validate = compileStandalone(schemas.m_my_first_pixel);
+        const pixel = {
+            pixel: 'm_my_first_pixel',
+            suffixes: ['new', 'exceptiontype', 'filenotfoundexception', 'android', 'phone'],
+            params: { appVersion: '1.2.3', count: 5, colors: ['red'], customMetadata: { serviceState: 'Running' } },
+        };
+        expect(validate(pixel)).to.equal(true);
+        // Trailing suffixes can be omitted
+        expect(validate({ pixel: 'm_my_first_pixel', suffixes: ['returning'] })).to.equal(true);
+
+        expect(validate({ ...pixel, pixel: 'm_my_second_pixel' })).to.equal(false);
+        expect(validate({ ...pixel, suffixes: [...pixel.suffixes, 'extra'] })).to.equal(false);
+        expect(validate({ ...pixel, params: { count: 101 } })).to.equal(false);
+        expect(validate({ ...pixel, params: { unknown: '1' } })).to.equal(false);
+    });
+
+    it('allows any of the alternative suffix sequences', () => {
+        const validate = compileStandalone(schemas.test_nested_suffixes);
+        expect(validate({ pixel: 'test_nested_suffixes', suffixes: ['daily'] })).to.equal(true);
+        expect(validate({ pixel: 'test_nested_suffixes', suffixes: ['android', 'tablet', 'count'] })).to.equal(true);
+        expect(validate({ pixel: 'test_nested_suffixes', suffixes: ['tablet', 'count'] })).to.equal(false);
+    });
+
+    it('picks the params of conditional parameters from the suffix values', () => {
+        const pixelDef = {
+            description: 'Sync result',
+            owners: ['owner'],
+            suffixes: [{ enum: ['success', 'error', 'timeout'] }, { enum: ['manual', 'auto'] }],
+            parameters: [{ key: 'count', type: 'integer' }],
+            conditionalParameters: [
+                { suffix: 1, equals: 'error', parameters: [{ key: 'code', type: 'integer', required: true }] },
+                { suffix: 1, equals: 'timeout', parameters: [{ key: 'after', type: 'integer' }] },
+                { suffix: 2, equals: 'auto', parameters: [{ key: 'trigger', type: 'string' }] },
+            ],
+        };
+        const productDef = { agents: [], target: { key: 'appVersion' }, forceLowerCase: false };
+        const schema = buildPixelSchema('m_sync', pixelDef, new ParamsValidator({}, {}, {}), productDef);
+        // Two conditions on the first suffix never hold together
+        expect(schema.allOf).to.have.length(6);
+
+        const validate = compileStandalone(schema);
+        const sync = (suffixes, params) => ({ pixel: 'm_sync', suffixes, params });
+        expect(validate(sync(['error', 'auto'], { count: 1, code: 3, trigger: 'cron' }))).to.equal(true);
+        expect(validate(sync(['timeout'], { after: 30 }))).to.equal(true);
+        expect(validate(sync(['success', 'manual'], { count: 1 }))).to.equal(true);
+        expect(validate({ pixel: 'm_sync', params: { count: 1 } })).to.equal(true);
+
+        expect(validate(sync(['error'], { count: 1 }))).to.equal(false);
+        expect(validate(sync(['success'], { code: 3 }))).to.equal(false);
+        expect(validate(sync(['timeout', 'manual'], { trigger: 'cron' }))).to.equal(false);
+        expect(validate({ pixel: 'm_sync', params: { after: 30 } })).to.equal(false);
+    });
+
+    it('writes the schemas from the CLI', function () {
+        this.timeout(10000);
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pixel-schema-export-'));
+        try {
+            const result = spawnSync('node', ['./bin/export_pixel_schemas.mjs', validDefsPath, '--output', tempDir], { encoding: 'utf8' });
+
+            expect(result.status).to.equal(0);
+            expect(result.stdout).to.include(`Exported 7 pixel schema(s) to ${tempDir}`);
+            const written = JSON.parse(fs.readFileSync(path.join(tempDir, 'test_suffixes.json'), 'utf8'));
+            expect(written).to.deep.equal(schemas.test_suffixes);
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    });
+});
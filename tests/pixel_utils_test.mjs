@@ -1,6 +1,13 @@
 import { describe, it } from 'mocha';
 import { expect } from 'chai';
-import { parseSearchExperiments, matchPixel, matchSearchExperiment, mergeParameters, validatePixelPrefix } from '../src/pixel_utils.mjs';
+import {
+    parseSearchExperiments,
+    matchPixel,
+    matchSearchExperiment,
+    mergeParameters,
+    validatePixelPrefix,
+    getDaysUntilExpiry,
+} from '../src/pixel_utils.mjs';
 import { tokenizePixelDefs } from '../src/tokenizer.mjs';
 import { ROOT_PREFIX } from '../src/constants.mjs';
 
@@ -359,3 +366,19 @@ describe('validatePixelPrefix', () => {
         });
     });
 });
+
+describe('getDaysUntilExpiry', () => {
+    const currentDate = new Date('2025-06-15T18:30:00Z');
+
+    it('should return positive days for future dates', () => {
+        expect(getDaysUntilExpiry('2025-06-25', currentDate)).to.equal(10);
+    });
+
+    it('should return 0 on the expiry date regardless of time of day', () => {
+        expect(getDaysUntilExpiry('2025-06-15', currentDate)).to.equal(0);
+    });
+
+    it('should return negative days for past dates', () => {
+        expect(getDaysUntilExpiry('2025-06-01', currentDate)).to.equal(-14);
+    });
+});
@@ -0,0 +1,126 @@
+import { expect } from 'chai';
+
+import { PixelDefinitionsValidator } from '../src/definitions_validator.mjs';
+import { PRIVACY_RULE_IDS, allowsUnboundedKeys } from '../src/privacy_rules.mjs';
+
+const commonParams = {
+    free_text: { key: 'free_text', description: 'Free-form text' },
+    bounded: { key: 'bounded', description: 'Bounded count', type: 'integer', minimum: 0, maximum: 10 },
+};
+const commonSuffixes = {
+    free_suffix: { description: 'Free-form suffix' },
+    platform: { description: 'Platform', enum: ['ios', 'android'] },
+};
+
+function getPrivacyFindings(pixelDef) {
+    const validator = new PixelDefinitionsValidator(commonParams, commonSuffixes, {});
+    const { errors, warnings } = validator.getPixelsDefinitionDiagnostics({
+        m_pixel: { description: 'A pixel', owners: ['owner'], ...pixelDef },
+    });
+    expect(errors).to.be.empty;
+    return warnings
+        .filter((warning) => PRIVACY_RULE_IDS.includes(warning.ruleId))
+        .map(({ ruleId, instancePath, message }) => ({ ruleId, instancePath, message }));
+}
+
+describe('Privacy rules', () => {
+    it('accepts pixels with constrained params and suffixes', () => {
+        const findings = getPrivacyFindings({
+            triggers: ['exception'],
+            privacyReview: ['https://example.com/review'],
+            suffixes: ['platform', { key: 'step', description: 'Step', pattern: '^[0-9]$' }],
+            parameters: [
+                'bounded',
+                { key: 'date', description: 'Date', format: 'date' },
+                { key: 'flag', description: 'Flag', type: 'boolean' },
+                { key: 'list', description: 'List', type: 'array', items: { enum: ['a', 'b'] } },
+                { keyPattern: '^param[0-9]$', description: 'Params', enum: ['1', '2'] },
+            ],
+        });
+        expect(findings).to.be.empty;
+    });
+
+    it('flags unconstrained string params and suffixes', () => {
+        const findings = getPrivacyFindings({
+            suffixes: [['free_suffix', 'platform'], ['free_suffix']],
+            parameters: ['free_text', { key: 'trackers', description: 'Trackers', type: 'array', items: { type: 'string' } }],
+        });
+        expect(findings).to.deep.equal([
+            {
+                ruleId: 'privacy-unconstrained-param',
+                instancePath: '/m_pixel/parameters/0',
+                message: "m_pixel --> parameter 'free_text' accepts any string. Restrict it with an enum, pattern or format",
+            },
+            {
+                ruleId: 'privacy-unconstrained-param',
+                instancePath: '/m_pixel/parameters/1',
+                message: "m_pixel --> parameter 'trackers' accepts any string. Restrict it with an enum, pattern or format",
+            },
+            {
+                ruleId: 'privacy-unconstrained-suffix',
+                instancePath: '/m_pixel/suffixes/0/0',
+                message: "m_pixel --> suffix 'free_suffix' accepts any string. Restrict it with an enum, pattern or format",
+            },
+        ]);
+    });
+
+    it('flags numeric params without bounds', () => {
+        const findings = getPrivacyFindings({
+            parameters: [
+                { key: 'count', description: 'Count', type: 'integer', minimum: 0 },
+                { key: 'ratio', description: 'Ratio', type: 'number' },
+            ],
+        });
+        expect(findings.map((finding) => finding.message)).to.deep.equal([
+            "m_pixel --> parameter 'count' has no maximum. Bound it or bucket its values with an enum",
+            "m_pixel --> parameter 'ratio' has no minimum or maximum. Bound it or bucket its values with an enum",
+        ]);
+    });
+
+    it('flags keyPatterns that allow unbounded keys', () => {
+        const findings = getPrivacyFindings({
+            parameters: [{ keyPattern: '^param_.*$', description: 'Params', enum: ['1'] }],
+        });
+        expect(findings.map((finding) => finding.ruleId)).to.deep.equal(['privacy-unbounded-key-pattern']);
+
+        expect(allowsUnboundedKeys('^param[0-9]$')).to.equal(false);
+        expect(allowsUnboundedKeys('^p[+*]{2}$')).to.equal(false);
+        expect(allowsUnboundedKeys('^param\\+$')).to.equal(false);
+        expect(allowsUnboundedKeys('^param[0-9]+$')).to.equal(true);
+        expect(allowsUnboundedKeys('^param[0-9]{1,}$')).to.equal(true);
+        expect(allowsUnboundedKeys('^param')).to.equal(true);
+    });
+
+    it('flags risky triggers without a privacy review', () => {
+        const findings = getPrivacyFindings({ triggers: ['user_submitted', 'exception', 'other'] });
+        expect(findings).to.deep.equal([
+            {
+                ruleId: 'privacy-missing-review',
+                instancePath: '/m_pixel/triggers',
+                message: 'm_pixel --> fires on user_submitted, exception but has no privacyReview link',
+            },
+        ]);
+    });
+
+    it('skips rules listed in privacyExceptions', () => {
+        const findings = getPrivacyFindings({
+            triggers: ['exception'],
+            parameters: ['free_text', { key: 'ratio', description: 'Ratio', type: 'number' }],
+            privacyExceptions: { 'privacy-unconstrained-param': 'Only ever contains hard-coded error codes' },
+        });
+        expect(findings.map((finding) => finding.ruleId)).to.deep.equal(['privacy-unbounded-number', 'privacy-missing-review']);
+    });
+
+    it('requires privacyExceptions to name a privacy rule and give a justification', () => {
+        const validator = new PixelDefinitionsValidator(commonParams, commonSuffixes, {});
+        const errors = validator.validatePixelsDefinition({
+            m_pixel: {
+                description: 'A pixel',
+                owners: ['owner'],
+                privacyExceptions: { 'privacy-unconstrained-param': 'ok', 'not-a-rule': 'Some justification' },
+            },
+        });
+        expect(errors).to.include('/m_pixel/privacyExceptions/privacy-unconstrained-param must NOT have fewer than 10 characters');
+        expect(errors).to.include("/m_pixel/privacyExceptions has invalid property name 'not-a-rule'");
+    });
+});
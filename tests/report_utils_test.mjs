@@ -0,0 +1,98 @@
+import { expect } from 'chai';
+
+import { ValidationReport, formatFindings } from '../src/report_utils.mjs';
+import { parseJson5WithSourceMap } from '../src/source_map_utils.mjs';
+
+const findings = [
+    {
+        ruleId: 'unknown-owner',
+        severity: 'error',
+        file: 'pixels/definitions/pixels.json',
+        line: 4,
+        column: 20,
+        name: 'm_pixel',
+        message: 'Owner <nobody> for pixel m_pixel not in list of acceptable github user names',
+    },
+    {
+        ruleId: 'unused-dictionary-entry',
+        severity: 'warning',
+        file: 'pixels/params_dictionary.json',
+        name: 'channel',
+        message: 'channel --> not used by any definition or experiment',
+    },
+];
+
+describe('ValidationReport', () => {
+    let exitCode;
+    beforeEach(() => {
+        exitCode = process.exitCode;
+    });
+    afterEach(() => {
+        process.exitCode = exitCode;
+    });
+
+    it('rejects unknown formats', () => {
+        expect(() => new ValidationReport('xml')).to.throw("Unknown report format 'xml'");
+    });
+
+    it('collects findings with their location and definition name', () => {
+        const { pointers, duplicateKeys } = parseJson5WithSourceMap('{\n    "m_pixel": {\n        "owners": ["nobody"],\n    },\n}');
+        const report = new ValidationReport('json');
+        const source = { filePath: 'pixels.json', pointers, duplicateKeys };
+
+        report.addFileDiagnostics(source, [{ message: 'bad owner', instancePath: '/m_pixel/owners/0', ruleId: 'unknown-owner' }], 'error');
+        report.addMessages('dictionary.json', 'unused-dictionary-entry', 'warning', ['unused'], { name: 'entry' });
+
+        expect(report.findings).to.deep.equal([
+            { ruleId: 'unknown-owner', severity: 'error', file: 'pixels.json', line: 3, column: 20, name: 'm_pixel', message: 'bad owner' },
+            { ruleId: 'unused-dictionary-entry', severity: 'warning', file: 'dictionary.json', name: 'entry', message: 'unused' },
+        ]);
+        expect(process.exitCode).to.equal(1);
+    });
+});
+
+describe('formatFindings', () => {
+    it('formats findings as JSON with a summary', () => {
+        const report = JSON.parse(formatFindings(findings, 'json'));
+        expect(report.summary).to.deep.equal({ errors: 1, warnings: 1 });
+        expect(report.findings).to.deep.equal(findings);
+    });
+
+    it('formats findings as SARIF', () => {
+        const sarif = JSON.parse(formatFindings(findings, 'sarif'));
+        expect(sarif.version).to.equal('2.1.0');
+
+        const [run] = sarif.runs;
+        expect(run.tool.driver.rules.map((rule) => rule.id)).to.deep.equal(['unknown-owner', 'unused-dictionary-entry']);
+        expect(run.tool.driver.rules[0].shortDescription.text).to.include('GitHub user map');
+        expect(run.results[0]).to.deep.equal({
+            ruleId: 'unknown-owner',
+            ruleIndex: 0,
+            level: 'error',
+            message: { text: findings[0].message },
+            locations: [
+                {
+                    physicalLocation: {
+                        artifactLocation: { uri: 'pixels/definitions/pixels.json' },
+                        region: { startLine: 4, startColumn: 20 },
+                    },
+                    logicalLocations: [{ name: 'm_pixel' }],
+                },
+            ],
+        });
+        expect(run.results[1].level).to.equal('warning');
+        expect(run.results[1].locations[0].physicalLocation.region).to.be.undefined;
+    });
+
+    it('formats findings as JUnit XML, with errors as failures', () => {
+        const junit = formatFindings(findings, 'junit');
+        expect(junit).to.include('<testsuites name="validate-ddg-pixel-defs" tests="2" failures="1">');
+        expect(junit).to.include('<testsuite name="pixels/definitions/pixels.json" tests="1" failures="1">');
+        expect(junit).to.include(
+            '<failure type="unknown-owner" message="Owner &lt;nobody&gt; for pixel m_pixel not in list of acceptable github user names">',
+        );
+        expect(junit).to.include(
+            '<system-out>WARNING: pixels/params_dictionary.json: channel --&gt; not used by any definition or experiment</system-out>',
+        );
+    });
+});
@@ -0,0 +1,124 @@
+import { expect } from 'chai';
+
+import { RuleEngine, validateLintConfig } from '../src/rule_engine.mjs';
+
+const pixelsDef = {
+    m_valid_pixel: {
+        description: 'Fires when the feature is used',
+        owners: ['owner1', 'owner2'],
+        triggers: ['scheduled'],
+    },
+    Invalid_Pixel: {
+        description: 'Short',
+        owners: ['owner1'],
+        triggers: ['exception', 'scheduled'],
+    },
+};
+
+describe('Lint config validation', () => {
+    it('accepts severities and severities with options', () => {
+        const config = {
+            rules: {
+                'unknown-owner': 'warn',
+                'expiring-pixel': ['error', { days: 14 }],
+                'pixel-name-pattern': ['error', { pattern: '^m_[a-z_]+$' }],
+                'allowed-triggers': 'off',
+            },
+        };
+        expect(validateLintConfig(config)).to.be.empty;
+        expect(validateLintConfig({})).to.be.empty;
+    });
+
+    it('reports invalid configs', () => {
+        expect(validateLintConfig({ rules: { 'unknown-owner': 'info' } })).to.not.be.empty;
+        expect(validateLintConfig({ rule: {} })).to.deep.equal(["must NOT have additional properties. Found extra property 'rule'"]);
+        expect(
+            validateLintConfig({
+                rules: {
+                    'no-such-rule': 'warn',
+                    schema: 'warn',
+                    'ambiguous-pixel-name': ['warn', { strict: true }],
+                    'allowed-triggers': 'error',
+                    'owner-count': ['warn', { min: 0 }],
+                },
+            }),
+        ).to.deep.equal([
+            "Unknown rule 'no-such-rule'",
+            "Rule 'schema' is required and can only be set to 'error'",
+            "Rule 'ambiguous-pixel-name' does not take any options",
+            "Rule 'allowed-triggers' options: must have required property 'triggers'",
+            "Rule 'owner-count' options: /min must be >= 1",
+        ]);
+    });
+
+    it('throws when creating an engine with an invalid config', () => {
+        expect(() => new RuleEngine({ rules: { 'no-such-rule': 'warn' } })).to.throw("Invalid lint config:\n\tUnknown rule 'no-such-rule'");
+    });
+});
+
+describe('RuleEngine', () => {
+    it('falls back to default severities and options', () => {
+        const engine = new RuleEngine({ rules: { 'expiring-pixel': ['error', { days: 7 }], 'owner-count': 'warn' } });
+
+        expect(engine.getSeverity('schema')).to.equal('error');
+        expect(engine.getSeverity('ambiguous-pixel-name')).to.equal('warn');
+        expect(engine.getSeverity('privacy-unconstrained-param')).to.equal('off');
+        expect(engine.getSeverity('expiring-pixel')).to.equal('error');
+        expect(engine.getOptions('expiring-pixel')).to.deep.equal({ days: 7 });
+        expect(engine.getOptions('owner-count')).to.deep.equal({ min: 2 });
+
+        engine.setSeverity('expiring-pixel', 'off');
+        expect(engine.isEnabled('expiring-pixel')).to.equal(false);
+    });
+
+    it('classifies diagnostics by the severity of their rule', () => {
+        const engine = new RuleEngine({ rules: { 'unknown-owner': 'warn', 'expiring-pixel': 'off' } });
+        const diagnostics = [
+            { message: 'schema error', instancePath: '/a', ruleId: 'schema' },
+            { message: 'unknown owner', instancePath: '/a/owners/0', ruleId: 'unknown-owner' },
+            { message: 'expiring', instancePath: '/a/expires', ruleId: 'expiring-pixel' },
+        ];
+
+        const { errors, warnings } = engine.classify(diagnostics);
+        expect(errors.map((error) => error.message)).to.deep.equal(['schema error']);
+        expect(warnings.map((warning) => warning.message)).to.deep.equal(['unknown owner']);
+    });
+
+    it('runs no convention rules by default', () => {
+        expect(new RuleEngine().checkPixels(pixelsDef)).to.be.empty;
+    });
+
+    it('runs enabled convention rules', () => {
+        const engine = new RuleEngine({
+            rules: {
+                'pixel-name-pattern': ['error', { pattern: '^m_[a-z_]+$' }],
+                'owner-count': ['warn', { min: 2, max: 2 }],
+                'description-length': 'warn',
+                'allowed-triggers': ['error', { triggers: ['scheduled', 'other'] }],
+            },
+        });
+
+        expect(engine.checkPixels(pixelsDef)).to.deep.equal([
+            {
+                message: 'Invalid_Pixel --> pixel name does not match ^m_[a-z_]+$',
+                instancePath: '/Invalid_Pixel',
+                ruleId: 'pixel-name-pattern',
+            },
+            {
+                message: 'Invalid_Pixel --> has 1 owner(s), expected at least 2',
+                instancePath: '/Invalid_Pixel/owners',
+                ruleId: 'owner-count',
+            },
+            {
+                message: 'Invalid_Pixel --> description is 5 characters long, expected at least 20',
+                instancePath: '/Invalid_Pixel/description',
+                ruleId: 'description-length',
+            },
+            {
+                message: "Invalid_Pixel --> trigger 'exception' is not allowed, expected one of: scheduled, other",
+                instancePath: '/Invalid_Pixel/triggers/0',
+                ruleId: 'allowed-triggers',
+            },
+        ]);
+    });
+});
@@ -0,0 +1,144 @@
+import { expect } from 'chai';
+import { spawnSync } from 'child_process';
+import path from 'path';
+
+import { buildLivePixelValidator, buildTokenizedPixels, generateSamplePixelUrls, validateSinglePixel } from '../main.mjs';
+import { getPatternBoundaryValues } from '../src/sample_pixels.mjs';
+
+const validDefsPath = path.join('tests', 'test_data', 'valid');
+
+const commonSuffixes = {
+    device_type: { description: 'Device type', enum: ['phone', 'tablet'] },
+};
+const pixelDef = {
+    description: 'Test pixel',
+    owners: ['tester'],
+    triggers: ['other'],
+    suffixes: [['device_type'], [{ key: 'os', enum: ['android', 'ios'] }, 'device_type']],
+    parameters: [
+        { key: 'count', description: 'Count', type: 'integer', minimum: 1, maximum: 10, required: true },
+        { key: 'hash', description: 'Hash', pattern: '^[0-9a-f]{4,8}$' },
+        { keyPattern: '^exp_[a-z]+$', description: 'Experiment', type: 'boolean' },
+        { key: 'meta', description: 'Metadata', type: 'object', encoding: 'base64', properties: { state: { enum: ['on', 'off'] } } },
+    ],
+};
+
+describe('Sample pixels', () => {
+    it('generates the shortest and longest matches of patterns', () => {
+        expect(getPatternBoundaryValues('^[0-9a-fA-F]+$')).to.deep.equal(['0', 'FFFF']);
+        expect(getPatternBoundaryValues('^(?:ab|c)[^a-z]{2,4}x?$')).to.deep.equal(['cAA', 'ab----x']);
+        expect(getPatternBoundaryValues('^\\d{4}/\\d{1,2}$')).to.deep.equal(['0000/0', '9999/99']);
+        // Unsupported syntax
+        expect(getPatternBoundaryValues('^(?!a)b$')).to.deep.equal([]);
+    });
+
+    it('covers every suffix sequence, enum value and boundary value', () => {
+        const samples = generateSamplePixelUrls('m_test', pixelDef, {}, commonSuffixes, { baseUrl: 'https://example.com/t/' });
+        expect(samples.every((sample) => sample.valid)).to.equal(true);
+
+        const urls = samples.map((sample) => new URL(sample.url));
+        expect(urls.map((url) => url.pathname)).to.deep.equal([
+            '/t/m_test_phone',
+            '/t/m_test_tablet',
+            '/t/m_test_os_android_phone',
+            '/t/m_test_os_ios_tablet',
+        ]);
+        expect(urls[0].search).to.match(/^\?1234567890&count=1&hash=0000&exp_a=true&meta=/);
+        expect(Object.fromEntries(urls[1].searchParams)).to.include({ count: '10', hash: 'ffffffff', exp_a: 'false' });
+        expect(JSON.parse(Buffer.from(urls[0].searchParams.get('meta'), 'base64').toString())).to.deep.equal({ state: 'on' });
+    });
+
+    it('generates invalid samples that round-trip through live validation', () => {
+        const samples = generateSamplePixelUrls('m_test', pixelDef, {}, commonSuffixes, { invalid: true });
+        expect(samples.filter((sample) => !sample.valid).map((sample) => sample.description)).to.include.members([
+            'Invalid suffix 1: not an allowed value',
+            'Invalid: unexpected extra suffix',
+            "Invalid param 'count': below minimum",
+            "Invalid param 'count': above maximum",
+            "Invalid param 'hash': does not match pattern",
+            "Invalid param 'exp_a': not a boolean",
+            "Invalid param 'meta': not valid JSON",
+            "Invalid: missing required param 'count'",
+        ]);
+
+        const productDef = { agents: [], target: { key: 'appVersion' }, forceLowerCase: false };
+        const validator = buildLivePixelValidator({}, commonSuffixes, productDef, {}, buildTokenizedPixels([{ m_test: pixelDef }]));
+        samples.forEach(({ url, valid }) => {
+            if (valid) {
+                expect(() => validateSinglePixel(validator, url), url).to.not.throw();
+            } else {
+                expect(() => validateSinglePixel(validator, url), url).to.throw();
+            }
+        });
+    });
+
+    it('only sends conditional params along with the suffix value they depend on', () => {
+        const conditionalDef = {
+            ...pixelDef,
+            suffixes: [{ key: 'result', description: 'Result', enum: ['error', 'success'] }],
+            conditionalParameters: [
+                { suffix: 2, equals: 'error', parameters: [{ key: 'code', description: 'Code', type: 'integer', required: true }] },
+            ],
+        };
+        const samples = generateSamplePixelUrls('m_test', conditionalDef, {}, commonSuffixes, { invalid: true });
+        const urls = samples.filter((sample) => sample.valid).map((sample) => new URL(sample.url));
+        expect(urls.map((url) => [url.pathname, url.searchParams.has('code')])).to.deep.equal([
+            ['/t/m_test_result_error', true],
+            ['/t/m_test_result_success', false],
+        ]);
+        expect(samples.map((sample) => sample.description)).to.include("Invalid: missing required param 'code'");
+
+        const productDef = { agents: [], target: { key: 'appVersion' }, forceLowerCase: false };
+        const validator = buildLivePixelValidator({}, commonSuffixes, productDef, {}, buildTokenizedPixels([{ m_test: conditionalDef }]));
+        samples.forEach(({ url, valid }) => {
+            if (valid) {
+                expect(() => validateSinglePixel(validator, url), url).to.not.throw();
+            } else {
+                expect(() => validateSinglePixel(validator, url), url).to.throw();
+            }
+        });
+    });
+
+    it('generates suffix values spanning several name tokens', () => {
+        const multiTokenDef = {
+            ...pixelDef,
+            suffixes: [{ description: 'Locale', enum: ['en_us', 'fr', 'en_'] }, 'device_type'],
+            parameters: [],
+        };
+        const samples = generateSamplePixelUrls('m_test', multiTokenDef, {}, commonSuffixes, { invalid: true });
+        // Values with empty tokens cannot be sent
+        expect(samples.filter((sample) => sample.valid).map((sample) => new URL(sample.url).pathname)).to.deep.equal([
+            '/t/m_test_en_us_phone',
+            '/t/m_test_fr_tablet',
+        ]);
+
+        const productDef = { agents: [], target: { key: 'appVersion' }, forceLowerCase: false };
+        const validator = buildLivePixelValidator({}, commonSuffixes, productDef, {}, buildTokenizedPixels([{ m_test: multiTokenDef }]));
+        samples.forEach(({ url, valid }) => {
+            if (valid) {
+                expect(() => validateSinglePixel(validator, url), url).to.not.throw();
+            } else {
+                expect(() => validateSinglePixel(validator, url), url).to.throw();
+            }
+        });
+    });
+
+    it('verifies the samples of all definitions from the CLI', function () {
+        this.timeout(10000);
+        const result = spawnSync('node', ['./bin/generate_sample_pixels.mjs', validDefsPath, '--invalid', '--verify'], {
+            encoding: 'utf8',
+        });
+        expect(result.status).to.equal(0);
+        expect(result.stdout).to.include('all as expected');
+
+        const json = spawnSync('node', ['./bin/generate_sample_pixels.mjs', validDefsPath, '-p', 'test_pattern_suffix', '-f', 'json'], {
+            encoding: 'utf8',
+        });
+        expect(JSON.parse(json.stdout)).to.deep.equal({
+            test_pattern_suffix: [
+                { url: 'https://improving.duckduckgo.com/t/test_pattern_suffix_a?1234567890', valid: true, description: 'Valid' },
+                { url: 'https://improving.duckduckgo.com/t/test_pattern_suffix_z?1234567890', valid: true, description: 'Valid' },
+            ],
+        });
+    });
+});
@@ -0,0 +1,78 @@
+import { expect } from 'chai';
+
+import { escapePointerToken, formatSourceLocation, getSourceLocation, parseJson5WithSourceMap } from '../src/source_map_utils.mjs';
+
+const source = `{
+    // A comment with "quotes", {braces} and [brackets]
+    "m_pixel": {
+        description: 'A pixel, with: punctuation',
+        "owners": ["first", /* inline */ "second",],
+        "a/b~c": 1.5e3,
+    },
+    'other_pixel': { "parameters": [{ "key": "count" }] }
+}`;
+
+describe('parseJson5WithSourceMap', () => {
+    const { data, pointers } = parseJson5WithSourceMap(source);
+
+    it('returns the parsed data', () => {
+        expect(data.m_pixel.owners).to.deep.equal(['first', 'second']);
+        expect(data.other_pixel.parameters[0].key).to.equal('count');
+    });
+
+    it('records key and value locations for object members', () => {
+        expect(pointers['/m_pixel'].key).to.include({ line: 3, column: 5 });
+        expect(pointers['/m_pixel'].value).to.include({ line: 3, column: 16 });
+        expect(pointers['/m_pixel/description'].key).to.include({ line: 4, column: 9 });
+        expect(pointers['/other_pixel/parameters/0/key'].key).to.include({ line: 8, column: 39 });
+    });
+
+    it('records value locations for array items', () => {
+        expect(pointers['/m_pixel/owners/0'].key).to.be.undefined;
+        expect(pointers['/m_pixel/owners/0'].value).to.include({ line: 5, column: 20 });
+        expect(pointers['/m_pixel/owners/1'].value).to.include({ line: 5, column: 42 });
+    });
+
+    it('escapes keys in JSON pointers', () => {
+        expect(pointers['/m_pixel/a~1b~0c'].key).to.include({ line: 6, column: 9 });
+        expect(escapePointerToken('a/b~c')).to.equal('a~1b~0c');
+    });
+
+    it('reports no duplicate keys when there are none', () => {
+        expect(parseJson5WithSourceMap(source).duplicateKeys).to.be.empty;
+    });
+
+    it('reports duplicate keys within the same object', () => {
+        const { data, duplicateKeys } = parseJson5WithSourceMap(`{
+    m_pixel: { description: 'first' },
+    other: { m_pixel: 1 },
+    "m_pixel": { description: 'second', 'description': 'third' },
+}`);
+        expect(data.m_pixel.description).to.equal('third');
+        expect(duplicateKeys.map(({ pointer, name }) => ({ pointer, name }))).to.deep.equal([
+            { pointer: '/m_pixel', name: 'm_pixel' },
+            { pointer: '/m_pixel/description', name: 'description' },
+        ]);
+        expect(duplicateKeys[0].first).to.include({ line: 2, column: 5 });
+        expect(duplicateKeys[0].duplicate).to.include({ line: 4, column: 5 });
+    });
+});
+
+describe('getSourceLocation', () => {
+    const { pointers } = parseJson5WithSourceMap(source);
+
+    it('resolves object members to their key', () => {
+        expect(getSourceLocation(pointers, '/m_pixel/owners')).to.include({ line: 5, column: 9 });
+    });
+
+    it('falls back to the closest existing parent', () => {
+        expect(getSourceLocation(pointers, '/m_pixel/suffixes/0')).to.include({ line: 3, column: 5 });
+        expect(getSourceLocation(pointers, '/unknown')).to.include({ line: 1, column: 1 });
+    });
+});
+
+describe('formatSourceLocation', () => {
+    it('formats locations as file:line:col', () => {
+        expect(formatSourceLocation('pixels.json5', { line: 3, column: 5, pos: 20 })).to.equal('pixels.json5:3:5');
+    });
+});
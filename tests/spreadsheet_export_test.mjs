@@ -0,0 +1,175 @@
+import { expect } from 'chai';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+
+import { buildExportRows, formatCsv, getSheets } from '../src/spreadsheet_export.mjs';
+import { createXlsx, getUniqueSheetName } from '../src/xlsx_writer.mjs';
+
+const validDefsPath = path.join('tests', 'test_data', 'valid');
+
+/**
+ * Reads the entries of a zip archive from its local file headers
+ * @param {Buffer} zip
+ * @returns {Record<string, string>} file contents, keyed by path
+ */
+function readZip(zip) {
+    const files = {};
+    let offset = 0;
+    while (zip.readUInt32LE(offset) === 0x04034b50) {
+        const compressedSize = zip.readUInt32LE(offset + 18);
+        const nameLength = zip.readUInt16LE(offset + 26);
+        const extraLength = zip.readUInt16LE(offset + 28);
+        const dataStart = offset + 30 + nameLength + extraLength;
+        const name = zip.toString('utf8', offset + 30, offset + 30 + nameLength);
+        const data = zlib.inflateRawSync(zip.subarray(dataStart, dataStart + compressedSize));
+        expect(zlib.crc32(data)).to.equal(zip.readUInt32LE(offset + 14));
+        files[name] = data.toString('utf8');
+        offset = dataStart + compressedSize;
+    }
+    return files;
+}
+
+describe('Spreadsheet export', () => {
+    it('flattens pixels, experiments and wide events into rows', () => {
+        const rows = buildExportRows(validDefsPath);
+        const findRow = (name, key) => rows.find((row) => row.name === name && row.key === key);
+
+        expect(findRow('m_my_first_pixel', 'count')).to.deep.equal({
+            kind: 'pixel',
+            name: 'm_my_first_pixel',
+            element: 'param',
+            sequence: '',
+            key: 'count',
+            type: 'integer',
+            allowedValues: 'Minimum: 0; Maximum: 100',
+            required: '',
+            description: 'Number of times an event occured.',
+            owners: 'github_username',
+            expires: '2099-12-31',
+            file: path.join('pixels', 'definitions', 'pixel_guide.json5'),
+        });
+        expect(findRow('m_my_first_pixel', 'customMetadata.serviceMetadata.latency')).to.include({
+            allowedValues: 'One of: excellent, bad',
+        });
+        expect(
+            rows
+                .filter((row) => row.name === 'test_nested_suffixes')
+                .map(({ element, sequence, key, allowedValues }) => [element, sequence, key, allowedValues]),
+        ).to.deep.equal([
+            ['suffix', 1, '1', 'One of: first, daily, count'],
+            ['suffix', 2, '1', 'Value: android'],
+            ['suffix', 2, '2', 'One of: phone, tablet'],
+            ['suffix', 2, '3', 'One of: first, daily, count'],
+        ]);
+        expect(findRow('test_tokenizer', '')).to.include({
+            element: '',
+            description: "Test processing pixels that's 3 levels above the previous one.",
+        });
+
+        expect(findRow('defaultBrowser', 'cohort')).to.include({
+            kind: 'experiment',
+            element: 'cohort',
+            allowedValues: 'One of: control, variant_1, variant_2, variant_3',
+        });
+        expect(findRow('defaultBrowser', 'stageImpression')).to.include({
+            element: 'metric',
+            allowedValues: 'One of: stage1, stage2, stage3',
+        });
+        expect(rows.filter((row) => row.kind === 'wide_event' && row.key === 'meta.version')).to.not.be.empty;
+        expect(rows.find((row) => row.kind === 'wide_event')).to.include({ element: 'property', required: 'yes' });
+    });
+
+    it('formats rows as CSV', () => {
+        const [row] = buildExportRows(validDefsPath).filter((exportRow) => exportRow.key === 'blocked_trackers');
+        const lines = formatCsv([{ ...row, description: 'List of "blocked"\ntrackers' }]).split('\r\n');
+
+        expect(lines[0]).to.equal('Kind,Name,Element,Suffix sequence,Key,Type,Allowed values,Required,Description,Owners,Expires,File');
+        expect(lines[1]).to.equal(
+            [
+                'pixel,m_my_first_pixel,param,,blocked_trackers,array of string,"Examples: [""tracker1"",""tracker2""], [""tracker3""]",,',
+                `"List of ""blocked""\ntrackers",github_username,2099-12-31,${path.join('pixels', 'definitions', 'pixel_guide.json5')}`,
+            ].join(''),
+        );
+        expect(lines.slice(2)).to.deep.equal(['']);
+    });
+
+    it('keeps CSV cells from being run as formulas', () => {
+        const [row] = buildExportRows(validDefsPath);
+        const formatDescription = (description) => formatCsv([{ ...row, description }]).split('\r\n')[1];
+
+        expect(formatDescription('=HYPERLINK("x")')).to.include(`,"'=HYPERLINK(""x"")",`);
+        expect(formatDescription('+1')).to.include(",'+1,");
+        expect(formatDescription('-1')).to.include(",'-1,");
+        expect(formatDescription('@SUM(A1)')).to.include(",'@SUM(A1),");
+        expect(formatDescription('a=b')).to.include(',a=b,');
+    });
+
+    it('groups rows into sheets by pixel prefix', () => {
+        const sheets = getSheets(buildExportRows(validDefsPath));
+
+        expect(sheets.map(({ name }) => name)).to.deep.equal(['m', 'test', 'native_experiments', 'wide_events']);
+        expect(sheets[0].rows[0]).to.include('Allowed values');
+        expect(sheets[0].rows.slice(1).every((row) => String(row[1]).startsWith('m_'))).to.equal(true);
+
+        const usedNames = new Set();
+        expect(getUniqueSheetName('a/b:c', usedNames)).to.equal('a_b_c');
+        expect(getUniqueSheetName('A/B:C', usedNames)).to.equal('A_B_C (2)');
+        expect(getUniqueSheetName('x'.repeat(40), usedNames)).to.have.length(31);
+        expect(getUniqueSheetName('x'.repeat(40), usedNames)).to.equal(`${'x'.repeat(27)} (2)`);
+    });
+
+    it('writes XLSX workbooks', () => {
+        const files = readZip(
+            createXlsx([
+                {
+                    name: 'm',
+                    rows: [
+                        ['Name', 'Count'],
+                        ['a < b & "c"', 3],
+                    ],
+                },
+                { name: 'wide_events', rows: [['Name']] },
+            ]),
+        );
+
+        expect(Object.keys(files)).to.deep.equal([
+            '[Content_Types].xml',
+            '_rels/.rels',
+            'xl/workbook.xml',
+            'xl/_rels/workbook.xml.rels',
+            'xl/styles.xml',
+            'xl/worksheets/sheet1.xml',
+            'xl/worksheets/sheet2.xml',
+        ]);
+        expect(files['xl/workbook.xml']).to.include(
+            '<sheet name="m" sheetId="1" r:id="rId1"/><sheet name="wide_events" sheetId="2" r:id="rId2"/>',
+        );
+        expect(files['xl/worksheets/sheet1.xml']).to.include(
+            '<row r="2"><c r="A2" t="inlineStr"><is><t xml:space="preserve">a &lt; b &amp; &quot;c&quot;</t></is></c><c r="B2"><v>3</v></c></row>',
+        );
+        expect(files['xl/worksheets/sheet1.xml']).to.include('<c r="A1" s="1" t="inlineStr">');
+    });
+
+    it('exports CSV and XLSX files from the CLI', function () {
+        this.timeout(10000);
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pixel-schema-spreadsheet-'));
+        try {
+            const csvPath = path.join(tempDir, 'definitions.csv');
+            const csvResult = spawnSync('node', ['./bin/export_spreadsheet.mjs', validDefsPath, '-o', csvPath], { encoding: 'utf8' });
+            expect(csvResult.status, csvResult.stderr).to.equal(0);
+            const rowCount = fs.readFileSync(csvPath, 'utf8').split('\r\n').length - 2;
+            expect(csvResult.stdout).to.include(`Exported ${rowCount} row(s) to ${csvPath}`);
+
+            const xlsxPath = path.join(tempDir, 'definitions.xlsx');
+            const xlsxResult = spawnSync('node', ['./bin/export_spreadsheet.mjs', validDefsPath, '-o', xlsxPath], { encoding: 'utf8' });
+            expect(xlsxResult.status, xlsxResult.stderr).to.equal(0);
+            expect(xlsxResult.stdout).to.include(`Exported ${rowCount} row(s) in 4 sheet(s) to ${xlsxPath}`);
+            expect(Object.keys(readZip(fs.readFileSync(xlsxPath)))).to.include('xl/worksheets/sheet4.xml');
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    });
+});
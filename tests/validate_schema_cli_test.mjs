@@ -19,7 +19,10 @@ function runValidateSchema(args) {
     });
 }
 
-describe('validate_schema.mjs CLI branches', () => {
+describe('validate_schema.mjs CLI branches', function () {
+    // Each test spawns the CLI at least once
+    this.timeout(10000);
+
     it('validates a single pixel definition file when --file targets pixels', () => {
         const defsCopy = createTempDefsCopy();
         try {
@@ -152,4 +155,137 @@ describe('validate_schema.mjs CLI branches', () => {
             fs.rmSync(defsCopy, { recursive: true, force: true });
         }
     });
+
+    it('warns about pixel names that more than one definition can match', () => {
+        const defsCopy = createTempDefsCopy();
+        try {
+            const ambiguousPixels = {
+                m_ambiguous: { description: 'Pixel with a suffix', owners: ['owner'], suffixes: [{ description: 'kind', enum: ['bar'] }] },
+                m_ambiguous_bar: { description: 'Pixel shadowing the suffix', owners: ['owner'] },
+            };
+            const ambiguousPath = path.join(defsCopy, 'pixels', 'definitions', 'ambiguous.json');
+            fs.writeFileSync(ambiguousPath, `${JSON.stringify(ambiguousPixels, null, 4)}\n`, 'utf8');
+
+            const result = runValidateSchema([defsCopy]);
+
+            expect(result.status).to.equal(0);
+            expect(result.stderr.trim()).to.equal(
+                `WARNING in ${ambiguousPath}:7:9: m_ambiguous --> pixel name 'm_ambiguous_bar' can match both m_ambiguous and m_ambiguous_bar, but is always validated against m_ambiguous_bar`,
+            );
+        } finally {
+            fs.rmSync(defsCopy, { recursive: true, force: true });
+        }
+    });
+
+    it('warns about unused dictionary entries when requested', () => {
+        const defsCopy = createTempDefsCopy();
+        try {
+            const result = runValidateSchema([defsCopy, '--unusedEntries', 'warn']);
+
+            expect(result.status).to.equal(0);
+            expect(result.stderr).to.include('WARNING in params_dictionary.json: channel --> not used by any definition or experiment');
+        } finally {
+            fs.rmSync(defsCopy, { recursive: true, force: true });
+        }
+    });
+
+    it('fails on unused dictionary entries when requested', () => {
+        const defsCopy = createTempDefsCopy();
+        try {
+            const result = runValidateSchema([defsCopy, '--unusedEntries', 'error']);
+
+            expect(result.status).to.equal(1);
+            expect(result.stderr).to.include('ERROR in params_dictionary.json: channel --> not used by any definition or experiment');
+        } finally {
+            fs.rmSync(defsCopy, { recursive: true, force: true });
+        }
+    });
+
+    it('reports privacy findings only when requested', () => {
+        const guidePath = path.join(validDefsPath, 'pixels', 'definitions', 'pixel_guide.json5');
+        const expectedFinding = `${guidePath}:8:9: m_my_first_pixel --> fires on exception but has no privacyReview link`;
+
+        expect(runValidateSchema([validDefsPath]).stderr).to.not.include(expectedFinding);
+
+        const result = runValidateSchema([validDefsPath, '--privacyRules', 'error']);
+        expect(result.status).to.equal(1);
+        expect(result.stderr).to.include(`ERROR in ${expectedFinding}`);
+        expect(result.stderr).to.include("suffix 'exceptiontype' accepts any string");
+    });
+
+    it('applies rule settings from lint_config.json', () => {
+        const defsCopy = createTempDefsCopy();
+        try {
+            const lintConfig = {
+                rules: {
+                    'owner-count': ['error', { min: 2 }],
+                    'privacy-missing-review': 'warn',
+                },
+            };
+            fs.writeFileSync(path.join(defsCopy, 'lint_config.json'), JSON.stringify(lintConfig), 'utf8');
+            const guidePath = path.join(defsCopy, 'pixels', 'definitions', 'pixel_guide.json5');
+
+            const result = runValidateSchema([defsCopy]);
+
+            expect(result.status).to.equal(1);
+            expect(result.stderr).to.include(`ERROR in ${guidePath}:`);
+            expect(result.stderr).to.include('m_my_first_pixel --> has 1 owner(s), expected at least 2');
+            expect(result.stderr).to.include(
+                `WARNING in ${guidePath}:8:9: m_my_first_pixel --> fires on exception but has no privacyReview link`,
+            );
+        } finally {
+            fs.rmSync(defsCopy, { recursive: true, force: true });
+        }
+    });
+
+    it('exits with an error when the lint config is invalid', () => {
+        const defsCopy = createTempDefsCopy();
+        try {
+            const configPath = path.join(defsCopy, 'custom_lint.json');
+            fs.writeFileSync(configPath, JSON.stringify({ rules: { schema: 'off' } }), 'utf8');
+
+            const result = runValidateSchema([defsCopy, '--config', configPath]);
+
+            expect(result.status).to.equal(1);
+            expect(result.stderr).to.include("Rule 'schema' is required and can only be set to 'error'");
+        } finally {
+            fs.rmSync(defsCopy, { recursive: true, force: true });
+        }
+    });
+
+    it('rewrites definitions in place when --fix is used', () => {
+        const defsCopy = createTempDefsCopy();
+        try {
+            const filePath = path.join(defsCopy, 'pixels', 'definitions', 'pixel_subfolder', 'test_pixels.json');
+            expect(fs.readFileSync(filePath, 'utf8')).to.include('"triggers": ["other"]');
+
+            const result = runValidateSchema([defsCopy, '--fix']);
+
+            expect(result.status).to.equal(0);
+            expect(result.stdout).to.include('Fixed test_suffixes --> removed default triggers');
+            expect(fs.readFileSync(filePath, 'utf8')).to.not.include('"triggers": ["other"]');
+            expect(runValidateSchema([defsCopy, '--fix']).stdout).to.not.include('Fixed');
+        } finally {
+            fs.rmSync(defsCopy, { recursive: true, force: true });
+        }
+    });
+
+    it('prints findings as JSON when --format json is used', () => {
+        const result = runValidateSchema([path.join('tests', 'test_data', 'invalid'), '--format', 'json']);
+
+        expect(result.status).to.equal(1);
+        expect(result.stderr.trim()).to.equal('');
+
+        const report = JSON.parse(result.stdout);
+        expect(report.summary.errors).to.equal(report.findings.length);
+        expect(report.findings).to.deep.include({
+            ruleId: 'schema',
+            severity: 'error',
+            file: path.join('tests', 'test_data', 'invalid', 'pixels', 'definitions', 'pixels.json'),
+            line: 2,
+            column: 5,
+            name: 'invalid_pixel',
+            message: "/invalid_pixel must have required property 'owners'",
+        });
+    });
 });